@@ -0,0 +1,63 @@
+// database/migrateVectors.js
+// Imports the legacy one-JSON-file-per-chunk vectors into the indexed vector store.
+//
+//   npm run migrate:vectors                 import from VECTOR_STORE_PATH
+//   npm run migrate:vectors -- <dir>        import from another folder
+//   npm run migrate:vectors -- --remove     delete the JSON files after a successful import
+const fs = require('fs').promises;
+const path = require('path');
+const VectorService = require('../src/services/vectorService');
+const env = require('../src/config/environment');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const removeLegacy = args.includes('--remove');
+  const sourceDir = args.find(arg => !arg.startsWith('--')) || env.VECTOR_STORE_PATH;
+
+  console.log(`\n${colors.cyan}Importing legacy vectors from ${sourceDir}${colors.reset}`);
+
+  const vectorService = new VectorService();
+  await vectorService.initialize();
+
+  const before = vectorService.store.size;
+  const { imported, skipped } = await vectorService.importLegacyDocuments(sourceDir);
+  await vectorService.store.flush();
+
+  console.log(`  Imported: ${imported}`);
+  console.log(`  Skipped:  ${skipped}`);
+  console.log(`  Store:    ${before} → ${vectorService.store.size} documents`);
+
+  if (skipped > 0) {
+    console.log(`${colors.yellow}⚠ Skipped files were unreadable or embedded with a different model${colors.reset}`);
+  }
+
+  if (removeLegacy && imported > 0) {
+    const files = (await fs.readdir(sourceDir)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      const doc = JSON.parse(await fs.readFile(path.join(sourceDir, file), 'utf8'));
+      if (vectorService.store.has(doc.id)) {
+        await fs.unlink(path.join(sourceDir, file));
+      }
+    }
+    console.log(`${colors.yellow}Removed imported JSON files${colors.reset}`);
+  }
+
+  console.log(`\n${colors.green}✓ Vector migration completed${colors.reset}\n`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`${colors.red}Vector migration failed:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
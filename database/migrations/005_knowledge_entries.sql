@@ -0,0 +1,25 @@
+-- database/migrations/005_knowledge_entries.sql
+
+-- Knowledge base entries (editable through /api/admin/knowledge and `npm run kb`)
+CREATE TABLE IF NOT EXISTS knowledge_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  entry_id VARCHAR(191) NOT NULL,
+
+  content TEXT NOT NULL,
+  type VARCHAR(100) NOT NULL,
+  category VARCHAR(100),
+  metadata JSON,
+
+  -- 'builtin' rows are seeded from knowledgeLoader.js, 'admin' rows come from the API
+  origin ENUM('builtin','admin') DEFAULT 'admin',
+  version INT NOT NULL DEFAULT 1,
+  is_active BOOLEAN DEFAULT TRUE,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uq_knowledge_entries_entry_id (entry_id)
+);
+
+CREATE INDEX idx_knowledge_entries_type ON knowledge_entries(type);
+CREATE INDEX idx_knowledge_entries_active ON knowledge_entries(is_active);
@@ -0,0 +1,6 @@
+-- database/migrations/006_profile_language.sql
+
+-- Language the chatbot answers in: 'en', 'rw' (Kinyarwanda) or 'fr'.
+-- Set from the profile API, and updated when the user starts writing in another language.
+ALTER TABLE profiles
+  ADD COLUMN preferred_language ENUM('en', 'rw', 'fr') NOT NULL DEFAULT 'en' AFTER experience_level;
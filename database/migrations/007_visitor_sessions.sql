@@ -0,0 +1,12 @@
+-- database/migrations/007_visitor_sessions.sql
+
+-- Homepage (kozi.rw) visitors chat without an account: their sessions have no user,
+-- belong to an anonymous visitor token instead, and expire. When the visitor signs up
+-- the session is handed over to their new account (user_id set, token and expiry cleared).
+ALTER TABLE chat_sessions
+  MODIFY user_id INT NULL,
+  ADD COLUMN visitor_token VARCHAR(64) NULL AFTER user_id,
+  ADD COLUMN expires_at TIMESTAMP NULL AFTER is_active;
+
+CREATE INDEX idx_chat_sessions_visitor_token ON chat_sessions(visitor_token);
+CREATE INDEX idx_chat_sessions_expires_at ON chat_sessions(expires_at);
@@ -0,0 +1,10 @@
+-- database/migrations/008_upstream_jobs.sql
+
+-- Jobs from the upstream Kozi feed are mirrored into `jobs` so applications (which reference
+-- jobs.id) work for them. A mirrored job has no local employer, keeps the upstream id in
+-- external_id, and is closed once it disappears from the feed (synced_at stops moving).
+ALTER TABLE jobs
+  MODIFY employer_id INT NULL,
+  ADD COLUMN external_id VARCHAR(64) NULL AFTER employer_id,
+  ADD COLUMN synced_at TIMESTAMP NULL AFTER updated_at,
+  ADD UNIQUE KEY unique_jobs_external_id (external_id);
@@ -0,0 +1,29 @@
+-- database/migrations/009_application_outbox.sql
+
+-- Applications to upstream jobs are also sent to the main Kozi platform so its employers
+-- see them. Each one gets an outbox row: 'pending' until the platform accepts it (retried
+-- with backoff at next_attempt_at), then 'submitted' with the platform's id, whose status
+-- is reconciled back into job_applications.status; 'failed' once retries are used up.
+CREATE TABLE IF NOT EXISTS application_outbox (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  application_id INT NOT NULL,
+
+  status ENUM('pending','submitted','failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+
+  upstream_application_id VARCHAR(64),
+  upstream_status VARCHAR(50),
+  submitted_at TIMESTAMP NULL,
+  reconciled_at TIMESTAMP NULL,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  CONSTRAINT fk_outbox_application
+    FOREIGN KEY (application_id) REFERENCES job_applications(id) ON DELETE CASCADE,
+
+  UNIQUE KEY unique_outbox_application (application_id),
+  KEY idx_outbox_due (status, next_attempt_at)
+);
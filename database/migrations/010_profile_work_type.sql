@@ -0,0 +1,6 @@
+-- database/migrations/010_profile_work_type.sql
+
+-- The kind of work a job seeker is looking for. Job matching (services/jobMatcher.js) favours
+-- jobs of this type; NULL means any type is fine.
+ALTER TABLE profiles
+  ADD COLUMN preferred_work_type ENUM('full-time', 'part-time', 'contract', 'temporary') NULL AFTER experience_level;
@@ -0,0 +1,40 @@
+-- database/migrations/011_saved_searches.sql
+
+-- Job searches a user asked to be told about ("notify me about new cleaning jobs in Kigali"):
+-- the jobs gateway filters (category, location, work_type, salary_min/max) and, for work
+-- described in the user's words, the text searched by meaning.
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+
+  filters JSON NOT NULL,
+  query VARCHAR(200) NULL,
+  language VARCHAR(5) NOT NULL DEFAULT 'en',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+
+  checked_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT fk_saved_searches_user
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+  KEY idx_saved_searches_user (user_id, active)
+);
+
+-- Every feed job (upstream id) a saved search has matched. The jobs matching when the search
+-- is saved are the 'baseline'; a job that matches later is 'new' until the user is told
+-- about it at the start of their next chat session ('notified').
+CREATE TABLE IF NOT EXISTS saved_search_jobs (
+  saved_search_id INT NOT NULL,
+  job_id VARCHAR(64) NOT NULL,
+
+  status ENUM('baseline','new','notified') NOT NULL DEFAULT 'new',
+  found_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  notified_at TIMESTAMP NULL,
+
+  PRIMARY KEY (saved_search_id, job_id),
+  CONSTRAINT fk_saved_search_jobs_search
+    FOREIGN KEY (saved_search_id) REFERENCES saved_searches(id) ON DELETE CASCADE,
+
+  KEY idx_saved_search_jobs_status (status)
+);
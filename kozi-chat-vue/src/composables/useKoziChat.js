@@ -1,6 +1,14 @@
 // src/composables/useKoziChat.js - POLISHED VERSION
 import { ref, computed, onMounted, onUnmounted, watch } from 'vue'
-import { getOrCreateDemoUser, startSession, sendChatMessage, getChatHistory } from '../services/api'
+import {
+  getOrCreateDemoUser,
+  startSession,
+  sendChatMessage,
+  streamChatMessage,
+  StreamingUnavailableError,
+  RateLimitedError,
+  getChatHistory
+} from '../services/api'
 
 export function useKoziChat() {
   // Reactive state
@@ -54,11 +62,14 @@ export function useKoziChat() {
     }
   }
 
-  // Helper: push bot message with support for jobs payload
-  const addBotMessage = (payload) => {
+  // Helper: push bot message with support for jobs payload (and optional citations)
+  const addBotMessage = (payload, citations = []) => {
+    const withCitations = (msg) =>
+      Array.isArray(citations) && citations.length ? { ...msg, citations } : msg
+
     // Case 1: plain string from server → format to HTML
     if (typeof payload === 'string') {
-      messages.value.push({ sender: 'bot', text: formatMessage(payload) })
+      messages.value.push(withCitations({ sender: 'bot', text: formatMessage(payload) }))
       return
     }
 
@@ -78,9 +89,10 @@ export function useKoziChat() {
       // Preserve jobs array if present
       if (Array.isArray(payload.jobs) && payload.jobs.length) {
         msg.jobs = payload.jobs
+        msg.jobsOffset = payload.jobsOffset || 0
       }
 
-      messages.value.push(msg)
+      messages.value.push(withCitations(msg))
       return
     }
 
@@ -156,7 +168,8 @@ export function useKoziChat() {
         chatStarted.value = true
 
         if (data.data.message) {
-          addBotMessage(data.data.message)
+          // A welcome with new-job alerts carries job cards
+          addBotMessage(formatMessage(data.data.message, data.data))
         }
       } else {
         throw new Error('Invalid session response')
@@ -192,7 +205,8 @@ export function useKoziChat() {
           chatStarted.value = true
 
           if (data.data.message) {
-            addBotMessage(data.data.message)
+            // A welcome with new-job alerts carries job cards
+            addBotMessage(formatMessage(data.data.message, data.data))
           }
         } else {
           throw new Error('Failed to start session')
@@ -216,24 +230,51 @@ export function useKoziChat() {
 
     loading.value = true
 
+    // Partial answer rendered while tokens stream in; replaced by the final message
+    let streamingText = ''
+    const onToken = (chunk) => {
+      streamingText += chunk
+      const last = messages.value[messages.value.length - 1]
+      if (last?.streaming) {
+        last.text = formatMessageText(streamingText)
+      } else {
+        messages.value.push({ sender: 'bot', text: formatMessageText(streamingText), streaming: true })
+      }
+    }
+    const clearStreamingMessage = () => {
+      messages.value = messages.value.filter(m => !m.streaming)
+    }
+
     try {
       const sessionId = currentSession.value || (await startSession(currentUser.value.user_id)).data?.session_id
-      const resp = await sendChatMessage(sessionId, currentUser.value.user_id, text)
+
+      let resp
+      try {
+        resp = await streamChatMessage(sessionId, currentUser.value.user_id, text, { onToken })
+      } catch (streamError) {
+        if (!(streamError instanceof StreamingUnavailableError)) throw streamError
+        console.warn('Streaming unavailable, falling back to JSON route:', streamError.message)
+        resp = await sendChatMessage(sessionId, currentUser.value.user_id, text)
+      }
       console.log('Message response:', resp)
+      clearStreamingMessage()
 
       if (resp?.success && resp?.data) {
         // Use the full payload so job cards render when backend responds with jobs
         const formatted = formatMessage(resp.data.message || 'I received your message.', resp.data)
-        addBotMessage(formatted)
+        addBotMessage(formatted, resp.data.citations)
       } else {
         throw new Error('Invalid message response')
       }
     } catch (e) {
       console.error('Failed to send message:', e)
-      error.value = 'Failed to send message. Please check your connection and try again.'
+      error.value = e instanceof RateLimitedError
+        ? e.message
+        : 'Failed to send message. Please check your connection and try again.'
       lastFailedMessage.value = text
 
-      // Remove the user message that failed
+      // Remove the user message that failed (and any partial answer)
+      clearStreamingMessage()
       messages.value = messages.value.filter(m => m.text !== text || m.sender !== 'user')
     } finally {
       loading.value = false
@@ -276,9 +317,11 @@ export function useKoziChat() {
             return { sender: 'user', text: m.message || m.text || '' }
           } else {
             const fmtd = formatMessage(m.message || m.text || '', m)
-            return (typeof fmtd === 'string')
+            const msg = (typeof fmtd === 'string')
               ? { sender: 'assistant', text: fmtd }
               : { sender: 'assistant', text: fmtd.text, jobs: fmtd.jobs }
+            if (Array.isArray(m.citations) && m.citations.length) msg.citations = m.citations
+            return msg
           }
         })
         messages.value = msgs
@@ -385,7 +428,7 @@ function stripHtmlAndFormat(text = '') {
  * Job-aware formatter - POLISHED VERSION
  * - Removes special formatting characters (*, #, etc.)
  * - Creates clean, readable HTML
- * - If rawData.intent === 'jobs', returns { text, jobs }
+ * - If rawData.intent === 'jobs', returns { text, jobs, jobsOffset }
  */
 function formatMessage(message = '', rawData = null) {
   if (!message) return ''
@@ -396,6 +439,7 @@ function formatMessage(message = '', rawData = null) {
     return {
       text: formatMessageText(message),
       jobs: Array.isArray(jobsContext) ? jobsContext : [],
+      jobsOffset: rawData.context?.job_offset || 0,
       type: 'jobs'
     }
   }
@@ -5,42 +5,60 @@ const DEMO_CONFIG = {
   demoUser: { email: 'demo@kozi.rw', user_type: 'employee' }
 };
 
+// Bearer token for every API call: issued by the Kozi platform (pass it to setAuthToken,
+// or build with VITE_AUTH_TOKEN), or by the backend's development login
+let authToken = import.meta.env.VITE_AUTH_TOKEN || null;
+
+export function setAuthToken(token) {
+  authToken = token || null;
+}
+
+function authHeaders(headers = {}) {
+  return authToken ? { ...headers, Authorization: `Bearer ${authToken}` } : headers;
+}
+
 export async function getOrCreateDemoUser() {
   try {
-    // Try GET first
-    const r = await fetch(`${DEMO_CONFIG.baseURL}/profile/user/${DEMO_CONFIG.demoUser.email}`);
-    if (r.ok) {
-      const data = await r.json();
-      return data.data;
+    // A platform token identifies the user already
+    if (authToken) {
+      const r = await fetch(`${DEMO_CONFIG.baseURL}/auth/me`, { headers: authHeaders() });
+      if (!r.ok) {
+        throw new Error(`Failed to identify user: ${r.status}`);
+      }
+      const me = await r.json();
+      return me.data;
     }
-    
-    // Create if doesn't exist
-    const c = await fetch(`${DEMO_CONFIG.baseURL}/profile/user`, {
+
+    // Development login (creates the demo user if needed; needs AUTH_DEV_LOGIN on the backend)
+    const r = await fetch(`${DEMO_CONFIG.baseURL}/auth/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(DEMO_CONFIG.demoUser)
     });
     
-    if (!c.ok) {
-      throw new Error(`Failed to create user: ${c.status}`);
+    if (!r.ok) {
+      throw new Error(`Failed to log in: ${r.status}`);
     }
     
-    const created = await c.json();
-    return created.data;
+    const login = await r.json();
+    setAuthToken(login.data.token);
+    return login.data;
   } catch (error) {
     console.error('Error with demo user:', error);
     throw error;
   }
 }
 
-export async function startSession(user_id) {
+// bot_type: 'employee' (default) or 'employer'
+export async function startSession(user_id, bot_type) {
   try {
     const r = await fetch(`${DEMO_CONFIG.baseURL}/chat/start`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ user_id })
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ user_id, ...(bot_type && { bot_type }) })
     });
     
+    await throwIfRateLimited(r);
     if (!r.ok) {
       throw new Error(`Failed to start session: ${r.status}`);
     }
@@ -56,10 +74,11 @@ export async function sendChatMessage(session_id, user_id, message) {
   try {
     const r = await fetch(`${DEMO_CONFIG.baseURL}/chat/message`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({ session_id, user_id, message })
     });
     
+    await throwIfRateLimited(r);
     if (!r.ok) {
       throw new Error(`Failed to send message: ${r.status}`);
     }
@@ -71,9 +90,98 @@ export async function sendChatMessage(session_id, user_id, message) {
   }
 }
 
+// Thrown on HTTP 429; `message` is the backend's explanation, `retryAfter` in seconds
+export class RateLimitedError extends Error {
+  constructor(message, retryAfter = null) {
+    super(message || 'Too many requests. Please try again shortly.');
+    this.name = 'RateLimitedError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+async function throwIfRateLimited(r) {
+  if (r.status !== 429) return;
+  const body = await r.json().catch(() => ({}));
+  throw new RateLimitedError(body.error, Number(r.headers.get('Retry-After')) || body.retry_after || null);
+}
+
+// Thrown when the streaming route can't be used, so callers can fall back to sendChatMessage
+export class StreamingUnavailableError extends Error {
+  constructor(message = 'Streaming is not available') {
+    super(message);
+    this.name = 'StreamingUnavailableError';
+  }
+}
+
+/**
+ * Send a message over the SSE route. `onToken` receives partial text as it arrives;
+ * resolves with the same { success, data } payload as sendChatMessage.
+ */
+export async function streamChatMessage(session_id, user_id, message, { onToken } = {}) {
+  if (typeof ReadableStream === 'undefined' || typeof TextDecoder === 'undefined') {
+    throw new StreamingUnavailableError();
+  }
+
+  const r = await fetch(`${DEMO_CONFIG.baseURL}/chat/message/stream`, {
+    method: 'POST',
+    headers: authHeaders({ 'Content-Type': 'application/json', Accept: 'text/event-stream' }),
+    body: JSON.stringify({ session_id, user_id, message })
+  });
+
+  await throwIfRateLimited(r);
+  const contentType = r.headers.get('content-type') || '';
+  if ([404, 405, 501].includes(r.status) || (r.ok && !contentType.includes('text/event-stream'))) {
+    throw new StreamingUnavailableError(`Streaming route unavailable: ${r.status}`);
+  }
+  if (!r.ok) {
+    throw new Error(`Failed to send message: ${r.status}`);
+  }
+  if (!r.body) {
+    throw new StreamingUnavailableError();
+  }
+
+  const reader = r.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handleEvent = (raw) => {
+    let event = 'message';
+    let data = '';
+    for (const line of raw.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (!data) return;
+
+    const payload = JSON.parse(data);
+    if (event === 'token' && onToken) onToken(payload.text || '');
+    else if (event === 'done') result = payload;
+    else if (event === 'error') throw new Error(payload.error || 'Streaming failed');
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) handleEvent(buffer);
+
+  if (!result) {
+    throw new Error('Stream ended before the response completed');
+  }
+  return result;
+}
+
 export async function getChatHistory(session_id) {
   try {
-    const r = await fetch(`${DEMO_CONFIG.baseURL}/chat/history/${session_id}`);
+    const r = await fetch(`${DEMO_CONFIG.baseURL}/chat/history/${session_id}`, { headers: authHeaders() });
     
     if (!r.ok) {
       throw new Error(`Failed to get history: ${r.status}`);
@@ -90,13 +198,13 @@ export async function getChatHistory(session_id) {
 
 export async function getJobs(filters = {}) {
   const params = new URLSearchParams(filters);
-  const r = await fetch(`${DEMO_CONFIG.baseURL}/jobs?${params}`);
+  const r = await fetch(`${DEMO_CONFIG.baseURL}/jobs?${params}`, { headers: authHeaders() });
   if (!r.ok) throw new Error(`Failed to get jobs: ${r.status}`);
   return r.json();
 }
 
 export async function getRecommendedJobs(userId) {
-  const r = await fetch(`${DEMO_CONFIG.baseURL}/jobs/recommended/${userId}`);
+  const r = await fetch(`${DEMO_CONFIG.baseURL}/jobs/recommended/${userId}`, { headers: authHeaders() });
   if (!r.ok) throw new Error(`Failed to get recommended jobs: ${r.status}`);
   return r.json();
 }
@@ -104,7 +212,7 @@ export async function getRecommendedJobs(userId) {
 export async function applyToJob(jobId, userId, data = {}) {
   const r = await fetch(`${DEMO_CONFIG.baseURL}/jobs/${jobId}/apply`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
     body: JSON.stringify({ user_id: userId, ...data })
   });
   if (!r.ok) throw new Error(`Failed to apply: ${r.status}`);
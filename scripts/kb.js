@@ -0,0 +1,182 @@
+// scripts/kb.js
+// Command-line client for the knowledge base admin API (/api/admin/knowledge).
+//
+//   npm run kb -- list [--type policy] [--category fees] [--q salary]
+//   npm run kb -- show <entry_id>
+//   npm run kb -- add <entry_id> --type policy [--category fees] (--content "..." | --file entry.txt) [--meta '{"source":"agreement"}']
+//   npm run kb -- edit <entry_id> [--type ...] [--category ...] [--content ... | --file ...] [--meta ...]
+//   npm run kb -- delete <entry_id>
+//   npm run kb -- reindex
+//   npm run kb -- docs
+//   npm run kb -- upload <path/to/file.pdf>
+//   npm run kb -- remove-doc <filename>
+//   npm run kb -- search <query>
+//
+// Reads KB_API_URL (default http://localhost:$PORT/api) and ADMIN_API_KEY from .env.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const API_URL = (process.env.KB_API_URL || `http://localhost:${process.env.PORT || 3000}/api`).replace(/\/$/, '');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m'
+};
+
+async function request(method, route, body) {
+  const res = await fetch(`${API_URL}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Admin-Key': process.env.ADMIN_API_KEY || ''
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const payload = await res.json().catch(() => ({}));
+  if (!res.ok || payload.success === false) {
+    throw new Error(`${res.status} ${payload.error || res.statusText}`);
+  }
+  return payload.data;
+}
+
+// `--key value` pairs → { key: value }; everything else is positional
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function entryFields(options) {
+  const fields = {
+    type: options.type,
+    category: options.category,
+    content: options.file ? fs.readFileSync(options.file, 'utf8') : options.content
+  };
+  if (options.meta) fields.metadata = JSON.parse(options.meta);
+  return fields;
+}
+
+function printEntry(entry) {
+  const tags = [entry.type, entry.category].filter(Boolean).join('/');
+  console.log(`${colors.cyan}${entry.entry_id}${colors.reset} ${colors.dim}[${tags}] v${entry.version}${colors.reset}`);
+  console.log(`  ${entry.content.replace(/\s+/g, ' ').slice(0, 160)}`);
+}
+
+function printSync(stats) {
+  console.log(`  added ${stats.added} · updated ${stats.updated} · removed ${stats.removed} · unchanged ${stats.unchanged}`);
+}
+
+const commands = {
+  async list({ options }) {
+    const { entries } = await request('GET', `/admin/knowledge?${new URLSearchParams(pick(options, ['type', 'category', 'q']))}`);
+    entries.forEach(printEntry);
+    console.log(`\n${entries.length} entries`);
+  },
+
+  async show({ positional: [id] }) {
+    const entry = await request('GET', `/admin/knowledge/${encodeURIComponent(required(id, 'entry_id'))}`);
+    console.log(JSON.stringify(entry, null, 2));
+  },
+
+  async add({ positional: [id], options }) {
+    const { entry, indexed } = await request('POST', '/admin/knowledge', {
+      entry_id: required(id, 'entry_id'),
+      ...entryFields(options)
+    });
+    printEntry(entry);
+    console.log(`${colors.green}✓ Added (${indexed})${colors.reset}`);
+  },
+
+  async edit({ positional: [id], options }) {
+    const { entry, indexed } = await request('PUT', `/admin/knowledge/${encodeURIComponent(required(id, 'entry_id'))}`, entryFields(options));
+    printEntry(entry);
+    console.log(`${colors.green}✓ Updated (${indexed})${colors.reset}`);
+  },
+
+  async delete({ positional: [id] }) {
+    await request('DELETE', `/admin/knowledge/${encodeURIComponent(required(id, 'entry_id'))}`);
+    console.log(`${colors.green}✓ Deleted ${id}${colors.reset}`);
+  },
+
+  async reindex() {
+    const stats = await request('POST', '/admin/knowledge/reindex');
+    printSync(stats);
+    console.log(`${colors.green}✓ Knowledge base re-indexed${colors.reset}`);
+  },
+
+  async docs() {
+    const { documents } = await request('GET', '/admin/knowledge/documents');
+    documents.forEach(doc => {
+      console.log(`${colors.cyan}${doc.filename}${colors.reset} ${colors.dim}${Math.round(doc.size / 1024)} KB, ${doc.chunks} chunks${colors.reset}`);
+    });
+    console.log(`\n${documents.length} documents`);
+  },
+
+  async upload({ positional: [file] }) {
+    const filePath = required(file, 'file');
+    const stats = await request('POST', '/admin/knowledge/documents', {
+      filename: path.basename(filePath),
+      content_base64: fs.readFileSync(filePath).toString('base64')
+    });
+    printSync(stats);
+    console.log(`${colors.green}✓ Uploaded ${stats.filename}${colors.reset}`);
+  },
+
+  async 'remove-doc'({ positional: [filename] }) {
+    const { vectors_removed } = await request('DELETE', `/admin/knowledge/documents/${encodeURIComponent(required(filename, 'filename'))}`);
+    console.log(`${colors.green}✓ Removed ${filename} (${vectors_removed} chunks)${colors.reset}`);
+  },
+
+  async search({ positional }) {
+    const q = required(positional.join(' '), 'query');
+    const { hits } = await request('GET', `/chat/knowledge/search?${new URLSearchParams({ q })}`);
+    hits.forEach(hit => {
+      console.log(`${colors.cyan}${hit.id}${colors.reset} ${colors.dim}fused ${hit.fusedScore.toFixed(4)} · sim ${hit.similarity?.toFixed(3) ?? '-'} · bm25 ${hit.keywordScore?.toFixed(2) ?? '-'}${colors.reset}`);
+      console.log(`  ${hit.text.replace(/\s+/g, ' ').slice(0, 160)}`);
+    });
+  }
+};
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key]).map(key => [key, object[key]]));
+}
+
+function required(value, name) {
+  if (!value) throw new Error(`Missing ${name}`);
+  return value;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const run = commands[command];
+
+  if (!run) {
+    console.log(`Usage: npm run kb -- <${Object.keys(commands).join('|')}> [args]`);
+    process.exit(command ? 1 : 0);
+  }
+
+  await run(parseArgs(rest));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`${colors.red}kb:${colors.reset}`, error.message);
+      process.exit(1);
+    });
+}
@@ -7,6 +7,11 @@ const env = require('./src/config/environment');
 // Import utilities and middleware
 const logger = require('./src/core/utils/logger');
 const { testConnection } = require('./src/core/db/connection');
+const { ChatSession } = require('./src/core/db/models');
+const JobSyncService = require('./src/services/jobSyncService');
+const { getJobIndex } = require('./src/services/jobIndex');
+const ApplicationSubmitter = require('./src/services/applicationSubmitter');
+const { SavedSearchService } = require('./src/services/savedSearchService');
 const setupMiddleware = require('./src/core/middleware/requestMiddleware');
 const { errorHandler, notFoundHandler } = require('./src/core/middleware/errorHandler');
 
@@ -34,8 +39,18 @@ class KoziServer {
       logger.info('Loading Kozi knowledge base...');
       const KnowledgeLoader = require('./src/services/knowledgeLoader');
       const knowledgeLoader = new KnowledgeLoader();
-      await knowledgeLoader.loadKoziKnowledge();
-      logger.info('Knowledge base loaded successfully');
+      const kbStats = await knowledgeLoader.loadKoziKnowledge();
+      logger.info('Knowledge base loaded successfully', kbStats);
+
+      // Delete expired homepage visitor sessions now and then
+      this.startSessionSweep();
+
+      // Keep the upstream jobs snapshot warm, mirrored into the jobs table and searchable by meaning,
+      // and queue new-job alerts for saved searches
+      this.startJobsSync();
+
+      // Send queued applications to the Kozi platform and pick up its decisions
+      this.startApplicationSubmitter();
 
       // Setup routes
       this.setupRoutes();
@@ -50,6 +65,54 @@ class KoziServer {
     }
   }
 
+  startSessionSweep() {
+    const sweep = () => ChatSession.deleteExpired().catch(error =>
+      logger.error('Expired session sweep failed', { error: error.message })
+    );
+
+    sweep();
+    this.sessionSweep = setInterval(sweep, env.SESSION_SWEEP_INTERVAL_MINUTES * 60 * 1000);
+    this.sessionSweep.unref();
+  }
+
+  startJobsSync() {
+    const jobSync = new JobSyncService();
+    const jobIndex = getJobIndex();
+    const savedSearches = new SavedSearchService();
+    // Re-embed what changed once the new snapshot is in, even if the table sync failed,
+    // then look for new jobs matching saved searches (theirs may be searched by meaning)
+    const sync = () => jobSync.sync()
+      .catch(error => logger.error('Upstream jobs sync failed', { error: error.message }))
+      .then(() => jobIndex.refresh())
+      .catch(error => logger.error('Job search index refresh failed', { error: error.message }))
+      .then(() => savedSearches.checkAll())
+      .catch(error => logger.error('Saved search check failed', { error: error.message }));
+
+    sync();
+    if (env.JOBS_REFRESH_INTERVAL_SECONDS > 0) {
+      this.jobsSync = setInterval(sync, env.JOBS_REFRESH_INTERVAL_SECONDS * 1000);
+      this.jobsSync.unref();
+    }
+  }
+
+  startApplicationSubmitter() {
+    const submitter = new ApplicationSubmitter();
+    if (!submitter.enabled) return;
+
+    const submit = () => submitter.submitDue().catch(error =>
+      logger.error('Application submission run failed', { error: error.message })
+    );
+    const reconcile = () => submitter.reconcile().catch(error =>
+      logger.error('Application status reconciliation failed', { error: error.message })
+    );
+
+    submit();
+    this.applicationSubmit = setInterval(submit, env.APPLICATION_SUBMIT_INTERVAL_SECONDS * 1000);
+    this.applicationSubmit.unref();
+    this.applicationReconcile = setInterval(reconcile, env.APPLICATION_RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+    this.applicationReconcile.unref();
+  }
+
   setupRoutes() {
     // API routes
     this.app.use('/api', apiRoutes);
@@ -110,14 +173,19 @@ class KoziServer {
   setupGracefulShutdown() {
     const shutdown = (signal) => {
       logger.info(`Received ${signal}. Shutting down gracefully...`);
+      clearInterval(this.sessionSweep);
+      clearInterval(this.jobsSync);
+      clearInterval(this.applicationSubmit);
+      clearInterval(this.applicationReconcile);
       
       if (this.server) {
-        this.server.close(() => {
+        this.server.close(async () => {
+          await this.flushVectorStore();
           logger.info('Server closed successfully');
           process.exit(0);
         });
       } else {
-        process.exit(0);
+        this.flushVectorStore().then(() => process.exit(0));
       }
     };
 
@@ -125,7 +193,21 @@ class KoziServer {
     process.on('SIGINT', () => shutdown('SIGINT'));
   }
 
+  // Persist any pending vector index writes before exiting
+  async flushVectorStore() {
+    try {
+      const VectorStore = require('./src/services/vectorStore');
+      await VectorStore.flushAll();
+    } catch (error) {
+      logger.error('Failed to flush vector store', { error: error.message });
+    }
+  }
+
   stop() {
+    clearInterval(this.sessionSweep);
+    clearInterval(this.jobsSync);
+    clearInterval(this.applicationSubmit);
+    clearInterval(this.applicationReconcile);
     if (this.server) {
       this.server.close();
     }
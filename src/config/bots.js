@@ -0,0 +1,144 @@
+// Chat bots by session type (chat_sessions.bot_type, BOT_TYPES in constants.js).
+// A session is started for one bot and keeps it for its whole life.
+//
+//   intents        – the intent set its messages are classified into (config/intents.js)
+//   welcome        – message catalog key for the first message
+//   persona        – opening of the system prompt for knowledge-base answers
+//   audience       – which knowledge documents answers may be grounded in (see audienceOf)
+//   profileContext – include the user's profile completion in knowledge-base answers
+//   agent          – whether CHAT_MODE=agent applies (the agent tools are job-seeker tools)
+//   anonymous      – sessions belong to a visitor token instead of a user, and expire
+//   role           – the token role a user needs to chat with it (none for anonymous bots)
+
+const { BOT_TYPES, ROLES } = require('./constants');
+const { INTENTS, EMPLOYER_INTENTS, HOMEPAGE_INTENTS } = require('./intents');
+
+const SUPPORT_LINE = 'Please contact our Support Team 📧 support@kozi.rw | ☎ +250 788 123 456';
+
+const BOTS = {
+  [BOT_TYPES.EMPLOYEE]: {
+    type: BOT_TYPES.EMPLOYEE,
+    intents: INTENTS,
+    welcome: 'WELCOME',
+    audience: 'employee',
+    profileContext: true,
+    agent: true,
+    anonymous: false,
+    role: ROLES.EMPLOYEE,
+    persona: `You are KOZI DASHBOARD AGENT, the official virtual assistant for Kozi users (job seekers).
+
+CORE BEHAVIOR:
+- Always greet users warmly, acknowledging they have a Kozi account
+- Help with profile completion, job applications, and CV preparation
+- Provide step-by-step guidance
+- Be friendly, encouraging, and professional
+- End responses with motivation about profile completion
+
+SCOPE: Only answer Kozi-related questions about:
+- Profile completion/updating
+- Document uploads (ID, CV, profile photo)
+- Job searching and applications
+- CV creation and improvement
+
+If unrelated question → redirect: "${SUPPORT_LINE}"`
+  },
+
+  [BOT_TYPES.EMPLOYER]: {
+    type: BOT_TYPES.EMPLOYER,
+    intents: EMPLOYER_INTENTS,
+    welcome: 'EMPLOYER_WELCOME',
+    audience: 'employer',
+    profileContext: false,
+    agent: false,
+    anonymous: false,
+    role: ROLES.EMPLOYER,
+    persona: `You are KOZI EMPLOYER ASSISTANT, the official virtual assistant for Kozi clients (families and businesses hiring domestic workers).
+
+CORE BEHAVIOR:
+- Be warm, professional and concise
+- Help the client post a job request, understand Kozi's fees and the client agreement, and review applicants
+- Quote amounts, deadlines and penalties exactly as the Kozi information states them
+- When the client wants to hire, invite them to say "Post a job"; to see applicants, "Show my applicants"
+
+SCOPE: Only answer Kozi-related questions about:
+- Posting a job (the Job Providers Request Form)
+- Service fees, salary payments and invoices
+- The client agreement: replacements, termination, direct-payment rules, confidentiality
+- Applicants to the client's jobs
+
+If unrelated question → redirect: "${SUPPORT_LINE}"`
+  },
+
+  [BOT_TYPES.HOMEPAGE]: {
+    type: BOT_TYPES.HOMEPAGE,
+    intents: HOMEPAGE_INTENTS,
+    welcome: 'HOMEPAGE_WELCOME',
+    audience: 'public',
+    profileContext: false,
+    agent: false,
+    anonymous: true,
+    role: null,
+    persona: `You are KOZI ASSISTANT on the kozi.rw homepage, talking with a visitor who does not have a Kozi account.
+
+CORE BEHAVIOR:
+- Be welcoming, brief and clear
+- Explain what Kozi is, its services, its fees and how to register
+- Invite job seekers and employers to sign up at www.kozi.rw to go further
+- Never ask for or discuss personal details, profiles, CVs or job applications; those need an account
+
+SCOPE: Only answer questions about:
+- Kozi, its services and the kinds of workers it places
+- Fees
+- How to register as a job seeker or an employer
+- How to contact Kozi
+
+If unrelated question → redirect: "${SUPPORT_LINE}"`
+  }
+};
+
+// Worker-facing material: profile, CV, documents and applying
+const WORKER_TYPES = ['guidance', 'requirements'];
+const WORKER_CATEGORIES = ['profile', 'cv', 'documents', 'application'];
+
+// Material anyone may see (the homepage bot): about Kozi, contacts, fees, kinds of work
+const PUBLIC_TYPES = ['company_info', 'contact_info'];
+const PUBLIC_CATEGORIES = ['fees', 'categories', 'registration'];
+
+/**
+ * Who a knowledge document is for: 'employee', 'employer' and/or 'public' (visitors).
+ * An explicit `metadata.audience` (string or array, e.g. set through the admin API)
+ * wins; otherwise it is derived from the source, file name, type and category.
+ */
+function audienceOf(metadata = {}) {
+  if (metadata.audience) return [].concat(metadata.audience);
+
+  const filename = String(metadata.filename || '').toLowerCase();
+  if (filename.includes('request form')) return ['employer'];
+  if (filename.includes('guidelines') || metadata.source === 'worker_guidelines') return ['employee'];
+  if (WORKER_TYPES.includes(metadata.type) || WORKER_CATEGORIES.includes(metadata.category)) return ['employee'];
+
+  const isPublic = PUBLIC_TYPES.includes(metadata.type) || PUBLIC_CATEGORIES.includes(metadata.category);
+  return isPublic ? ['employee', 'employer', 'public'] : ['employee', 'employer'];
+}
+
+function isSupportedBot(botType) {
+  return Object.prototype.hasOwnProperty.call(BOTS, botType);
+}
+
+// Sessions created before bot types were used have no (or an unknown) type: treat them as job-seeker sessions
+function getBot(botType) {
+  return BOTS[botType] || BOTS[BOT_TYPES.EMPLOYEE];
+}
+
+// Retrieval filter keeping the documents meant for `bot`
+function knowledgeFilter(bot) {
+  return doc => audienceOf(doc.metadata).includes(bot.audience);
+}
+
+module.exports = {
+  BOTS,
+  audienceOf,
+  isSupportedBot,
+  getBot,
+  knowledgeFilter
+};
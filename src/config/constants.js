@@ -6,8 +6,11 @@ const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   BAD_GATEWAY: 502,
+  SERVICE_UNAVAILABLE: 503,
 };
 
 // Bot Types
@@ -18,12 +21,25 @@ const BOT_TYPES = {
   ADMIN: 'admin'
 };
 
+// LLM / embedding providers (LLM_PROVIDER, EMBEDDING_PROVIDER)
+const LLM_PROVIDERS = {
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  FAKE: 'fake'
+};
+
 // User Types
 const USER_TYPES = {
   EMPLOYEE: 'employee',
   EMPLOYER: 'employer'
 };
 
+// Roles in API tokens: the user types, plus admin (platform staff; not a users.user_type)
+const ROLES = {
+  ...USER_TYPES,
+  ADMIN: 'admin'
+};
+
 // Experience Levels
 const EXPERIENCE_LEVELS = {
   ENTRY: 'entry',
@@ -31,14 +47,56 @@ const EXPERIENCE_LEVELS = {
   SENIOR: 'senior'
 };
 
+// Where a jobs row comes from: posted through Kozi (local) or mirrored from the upstream feed
+const JOB_SOURCES = {
+  LOCAL: 'local',
+  UPSTREAM: 'upstream'
+};
+
+// jobs.status values
+const JOB_STATUSES = ['active', 'filled', 'closed', 'draft'];
+
 // Chat Response Templates
 const CHAT_RESPONSES = {
   WELCOME: "Hello 👋 Welcome back to your Kozi dashboard! I can help you complete your profile, apply for jobs, or even prepare a professional CV. What would you like to do first?",
   REDIRECT_SUPPORT: "Please contact our Support Team 📧 support@kozi.rw | ☎ +250 788 123 456.",
   ERROR_GENERIC: "I encountered an issue. Please try again or contact support if the problem persists.",
-  PROFILE_MOTIVATION: "✨ Every completed profile and polished CV gives you more visibility with employers. Let's finish yours today!"
+  PROFILE_MOTIVATION: "✨ Every completed profile and polished CV gives you more visibility with employers. Let's finish yours today!",
+  AGENT_CANCELLED: "Okay, I've cancelled that. Nothing was changed. What would you like to do instead?",
+  AGENT_STEP_LIMIT: "Sorry, I couldn't finish that request. Could you break it into smaller steps?"
 };
 
+// Profile completion (%) needed before applying to a job
+const MIN_PROFILE_COMPLETION_TO_APPLY = 60;
+
+// Saved job searches (new-job alerts) a user can have at once
+const MAX_SAVED_SEARCHES = 5;
+
+// Job Providers Request Form terms (RWF): lowest monthly salary Kozi accepts,
+// and the one-time service fee the client agrees to when posting a job
+const JOB_POST_MIN_SALARY = 60000;
+const JOB_POST_SERVICE_FEE = 30000;
+
+// Display titles for knowledge sources, used in answer citations
+const KNOWLEDGE_SOURCE_TITLES = {
+  agreement: 'Kozi Client Agreement (House Cleaner)',
+  business_profile: 'Kozi Business Profile',
+  worker_guidelines: 'Kozi Worker Guidelines',
+  default: 'Kozi Knowledge Base'
+};
+
+// Knowledge entry types (metadata.type), as used by the seeded knowledge base
+const KNOWLEDGE_TYPES = [
+  'company_info',
+  'contact_info',
+  'contract',
+  'guidance',
+  'jobs',
+  'policy',
+  'process',
+  'requirements'
+];
+
 // File Upload Limits
 const UPLOAD_LIMITS = {
   CV_MAX_SIZE: 5 * 1024 * 1024, // 5MB
@@ -46,15 +104,26 @@ const UPLOAD_LIMITS = {
   PHOTO_MAX_SIZE: 1 * 1024 * 1024, // 1MB
   ALLOWED_CV_TYPES: ['pdf', 'doc', 'docx'],
   ALLOWED_ID_TYPES: ['jpg', 'jpeg', 'png', 'pdf'],
-  ALLOWED_PHOTO_TYPES: ['jpg', 'jpeg', 'png']
+  ALLOWED_PHOTO_TYPES: ['jpg', 'jpeg', 'png'],
+  KB_DOCUMENT_MAX_SIZE: 8 * 1024 * 1024 // 8MB (base64 must fit the 10mb JSON body limit)
 };
 
 module.exports = {
   HTTP_STATUS,
   BOT_TYPES,
+  LLM_PROVIDERS,
   USER_TYPES,
+  ROLES,
   EXPERIENCE_LEVELS,
+  JOB_SOURCES,
+  JOB_STATUSES,
   CHAT_RESPONSES,
+  MIN_PROFILE_COMPLETION_TO_APPLY,
+  MAX_SAVED_SEARCHES,
+  JOB_POST_MIN_SALARY,
+  JOB_POST_SERVICE_FEE,
+  KNOWLEDGE_SOURCE_TITLES,
+  KNOWLEDGE_TYPES,
   UPLOAD_LIMITS
 };
 
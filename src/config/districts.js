@@ -0,0 +1,49 @@
+// Approximate centre (district seat) of each district in LOCATIONS (config/intents.js), as
+// [latitude, longitude]. Job matching uses them to tell how far a job is from the user;
+// 'kigali' is the city centre, for jobs and profiles that only say "Kigali".
+
+const DISTRICT_CENTERS = {
+  kigali: [-1.9441, 30.0619],
+
+  // Kigali City
+  nyarugenge: [-1.9499, 30.0588],
+  gasabo: [-1.9000, 30.1150],
+  kicukiro: [-1.9700, 30.1040],
+
+  // Northern Province
+  musanze: [-1.4997, 29.6344],
+  burera: [-1.4600, 29.8300],
+  gakenke: [-1.6950, 29.7850],
+  gicumbi: [-1.5760, 30.0670],
+  rulindo: [-1.7280, 29.9930],
+
+  // Southern Province
+  huye: [-2.5967, 29.7394],
+  gisagara: [-2.6010, 29.8360],
+  kamonyi: [-2.0500, 29.9000],
+  muhanga: [-2.0850, 29.7560],
+  nyamagabe: [-2.4800, 29.5700],
+  nyanza: [-2.3520, 29.7510],
+  nyaruguru: [-2.6400, 29.5300],
+  ruhango: [-2.2250, 29.7790],
+
+  // Western Province
+  rubavu: [-1.6790, 29.2590],
+  karongi: [-2.0600, 29.3480],
+  ngororero: [-1.8650, 29.6230],
+  nyabihu: [-1.6530, 29.5050],
+  nyamasheke: [-2.3350, 29.0900],
+  rusizi: [-2.4840, 28.9070],
+  rutsiro: [-1.9280, 29.3180],
+
+  // Eastern Province
+  bugesera: [-2.1550, 30.1000],
+  gatsibo: [-1.5870, 30.4270],
+  kayonza: [-1.9000, 30.5100],
+  kirehe: [-2.2640, 30.7100],
+  ngoma: [-2.1630, 30.5380],
+  nyagatare: [-1.2980, 30.3260],
+  rwamagana: [-1.9490, 30.4350]
+};
+
+module.exports = { DISTRICT_CENTERS };
@@ -13,15 +13,102 @@ const envSchema = Joi.object({
   DB_NAME: Joi.string().required(),
   
   // AI Services
-  OPENAI_API_KEY: Joi.string().required(),
+  LLM_PROVIDER: Joi.string().valid('openai', 'openai-compatible', 'fake').default('openai'),
+  EMBEDDING_PROVIDER: Joi.string().valid('openai', 'openai-compatible', 'fake'),
+  OPENAI_API_KEY: Joi.string().when('LLM_PROVIDER', {
+    is: 'openai',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  LLM_BASE_URL: Joi.string().uri().when('LLM_PROVIDER', {
+    is: 'openai-compatible',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  LLM_API_KEY: Joi.string().default('not-needed'),
+  EMBEDDING_BASE_URL: Joi.string().uri(),
   EMBEDDING_MODEL: Joi.string().default('text-embedding-3-small'),
   CHAT_MODEL: Joi.string().default('gpt-4o-mini'),
+  FAKE_LLM_SCRIPT: Joi.string().default('./data/fake-llm-script.json'),
+  FAKE_EMBEDDING_DIM: Joi.number().integer().min(8).default(256),
   
   // Vector Storage
   VECTOR_STORE_PATH: Joi.string().default('./data/vectors'),
+
+  // Retrieval (hybrid vector + BM25, fused with reciprocal-rank fusion)
+  RAG_MIN_SIMILARITY: Joi.number().min(-1).max(1).default(0.55),
+  RAG_MIN_KEYWORD_SCORE: Joi.number().min(0).default(2),
+  RAG_CANDIDATES: Joi.number().integer().min(1).default(20),
+  RAG_RRF_K: Joi.number().integer().min(1).default(60),
+  RAG_RERANKER: Joi.string().valid('none', 'llm').default('none'),
+
+  // Intent classification: 'llm' asks the model when the regex fast path misses
+  INTENT_CLASSIFIER: Joi.string().valid('llm', 'rules').default('llm'),
+  INTENT_MIN_CONFIDENCE: Joi.number().min(0).max(1).default(0.5),
+
+  // Chat mode: 'intents' routes by classified intent; 'agent' lets the model call tools
+  CHAT_MODE: Joi.string().valid('intents', 'agent').default('intents'),
+  AGENT_MAX_STEPS: Joi.number().integer().min(1).max(20).default(5),
+
+  // Upstream Kozi jobs feed; JOBS_API_EMAIL/PASSWORD log in for a bearer token when set
+  JOBS_API_URL: Joi.string().uri().default('https://apis.kozi.rw/admin/select_jobss'),
+  JOBS_API_LOGIN_URL: Joi.string().uri().default('https://apis.kozi.rw/login'),
+  JOBS_API_EMAIL: Joi.string(),
+  JOBS_API_PASSWORD: Joi.string(),
+  JOBS_API_ROLE_ID: Joi.number().integer().default(1),
+  JOBS_API_TIMEOUT_MS: Joi.number().integer().min(1000).default(15000),
+  JOBS_API_RETRIES: Joi.number().integer().min(0).max(5).default(1),
+  // Applications to upstream jobs are sent to the Kozi platform when JOBS_API_APPLY_URL is set;
+  // their outcome is read back from JOBS_API_APPLICATION_STATUS_URL ('{id}' = the platform's id)
+  JOBS_API_APPLY_URL: Joi.string().uri(),
+  JOBS_API_APPLICATION_STATUS_URL: Joi.string().pattern(/\{id\}/),
+  APPLICATION_SUBMIT_INTERVAL_SECONDS: Joi.number().integer().min(5).default(60),
+  APPLICATION_SUBMIT_MAX_ATTEMPTS: Joi.number().integer().min(1).default(8),
+  APPLICATION_RECONCILE_INTERVAL_MINUTES: Joi.number().integer().min(1).default(30),
+  // Feed snapshot: fresh for JOBS_CACHE_TTL_SECONDS, then refreshed in the background; when
+  // upstream fails the last one is still served (flagged stale) for JOBS_CACHE_MAX_STALE_SECONDS
+  JOBS_CACHE_TTL_SECONDS: Joi.number().integer().min(0).default(120),
+  JOBS_CACHE_MAX_STALE_SECONDS: Joi.number().integer().min(0).default(24 * 60 * 60),
+  // How often the feed is refreshed and mirrored into the jobs table (0 = only on demand)
+  JOBS_REFRESH_INTERVAL_SECONDS: Joi.number().integer().min(0).default(300),
+  // Circuit breaker: failures in a row before upstream is left alone for the cooldown
+  JOBS_BREAKER_THRESHOLD: Joi.number().integer().min(1).default(3),
+  JOBS_BREAKER_COOLDOWN_SECONDS: Joi.number().integer().min(1).default(60),
+  // Search by description (services/jobIndex.js): lowest similarity a job may have to the query
+  JOBS_SEMANTIC_MIN_SIMILARITY: Joi.number().min(-1).max(1).default(0.35),
+
+  // Homepage visitor sessions: idle minutes before they expire, and how often expired ones are deleted
+  VISITOR_SESSION_TTL_MINUTES: Joi.number().integer().min(5).default(120),
+  SESSION_SWEEP_INTERVAL_MINUTES: Joi.number().integer().min(1).default(15),
+  
+  // Rate limits: requests per RATE_LIMIT_WINDOW_SECONDS, counted per user, IP and chat session
+  RATE_LIMIT_STORE: Joi.string().valid('memory', 'redis').default('memory'),
+  REDIS_URL: Joi.string().uri({ scheme: ['redis', 'rediss'] }).when('RATE_LIMIT_STORE', {
+    is: 'redis',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  // Proxy hops in front of the API (nginx, load balancer), so per-IP limits see the client's IP
+  TRUST_PROXY: Joi.number().integer().min(0).default(0),
+  RATE_LIMIT_WINDOW_SECONDS: Joi.number().integer().min(1).default(60),
+  CHAT_LIMIT_PER_USER: Joi.number().integer().min(1).default(20),
+  CHAT_LIMIT_PER_IP: Joi.number().integer().min(1).default(60),
+  CHAT_LIMIT_PER_SESSION: Joi.number().integer().min(1).default(15),
+  JOBS_LIMIT_PER_USER: Joi.number().integer().min(1).default(30),
+  JOBS_LIMIT_PER_IP: Joi.number().integer().min(1).default(60),
+  // LLM tokens a user may spend per day (0 = unlimited); anonymous visitors are also capped per
+  // visitor and per IP by it, and all of them together by ANONYMOUS_DAILY_TOKEN_BUDGET
+  DAILY_TOKEN_BUDGET: Joi.number().integer().min(0).default(50000),
+  ANONYMOUS_DAILY_TOKEN_BUDGET: Joi.number().integer().min(0).default(500000),
   
   // Security
   JWT_SECRET: Joi.string().min(32).required(),
+  JWT_ISSUER: Joi.string(),
+  JWT_EXPIRES_IN: Joi.string().default('12h'),
+  // POST /api/auth/login issues tokens by email alone; only honoured when NODE_ENV is set to
+  // development or test (admin tokens also need ADMIN_API_KEY)
+  AUTH_DEV_LOGIN: Joi.boolean().default(false),
+  ADMIN_API_KEY: Joi.string().min(16),
   
   // Logging
   LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'debug').default('info')
@@ -0,0 +1,380 @@
+// Intent and slot configuration for the chat classifier (src/services/intentClassifier.js).
+// INTENTS is the job-seeker bot's set, EMPLOYER_INTENTS the employer bot's and
+// HOMEPAGE_INTENTS the anonymous homepage bot's (see config/bots.js).
+//
+// To add an intent, append an entry to the bot's list:
+//   name        – identifier returned by the classifier
+//   description – what the LLM is told the intent means
+//   examples    – a few sample user messages (shown to the LLM)
+//   patterns    – regexes for the fast path (English, Kinyarwanda and French); a match skips the LLM call
+//   reply       – optional canned answer for intents without a handler in ChatService
+//                 (a string, or { en, rw, fr } to answer in the user's language)
+// Order matters for the fast path: the first matching intent wins.
+
+const INTENTS = [
+  {
+    name: 'cv_generation',
+    description: 'The user wants help creating, writing or preparing a CV / resume.',
+    examples: ['Create my CV', 'Can you help me write a resume?'],
+    patterns: [
+      /\b(create|write|make|generate|build|prepare|need)\s+(a\s+|my\s+)?(cv|resume|curriculum vitae)\b/,
+      /\b(cv|resume)\s+(creation|generation|preparation|help|assistance)\b/,
+      /\bhelp.*cv\b/,
+      // rw: "nkorere CV", "ndashaka gukora CV"
+      /\b(gukora|kwandika|gutegura|nkorere|nyandikira|ntegurire)\s+(cv|umwirondoro w'akazi)\b/,
+      // fr: "créer mon CV", "aide pour mon CV"
+      /\b(cr[ée]er|faire|r[ée]diger|pr[ée]parer)\s+(un\s+|mon\s+)?(cv|curriculum)\b/,
+      /\baide\b.*\bcv\b/
+    ]
+  },
+  {
+    name: 'application_status',
+    description: 'The user asks about jobs they already applied to: the status of their applications or whether an employer responded.',
+    examples: ['What happened to my application?', 'Show my applications', 'Any news on the jobs I applied to?', 'Ubusabe bwanjye bugeze he?', 'Où en est ma candidature ?'],
+    patterns: [
+      /\bwhat\s+happened\s+(to|with)\s+my\s+(job\s+)?applications?\b/,
+      /\b(status|update|news|progress)\s+(of|on|about)\s+(my\s+)?(job\s+)?applications?\b/,
+      /\b(check|see|show|view|list|track)\s+(me\s+)?my\s+(job\s+)?applications?\b/,
+      /\bjobs?\s+(that\s+)?i\s+(have\s+)?applied\b/,
+      /\bhave\s+i\s+been\s+(hired|shortlisted|accepted|rejected|selected)\b/,
+      // rw: "ubusabe bwanjye bugeze he?", "akazi nasabye"
+      /\bubusabe\s+bwanjye\b/,
+      /\bakazi\s+nasabye\b/,
+      // fr: "où en est ma candidature", "voir mes candidatures"
+      /\bo[uù]\s+en\s+(est|sont)\s+(ma|mes)\s+candidatures?\b/,
+      /\b(statut|suivi|nouvelles)\s+de\s+(ma|mes)\s+candidatures?\b/,
+      /\b(voir|afficher|montre[rz]?(-moi)?)\s+mes\s+candidatures\b/
+    ]
+  },
+  {
+    name: 'job_details',
+    description: 'The user wants the full details of one job, usually by its number in the list just shown.',
+    examples: ['Show me job number 1', 'Tell me more about the second one', 'Show me details for job #4521', 'Nyereka akazi nimero 2', 'Détails de l\'offre 3'],
+    patterns: [
+      /\b(show|see|view|open)\s+(me\s+)?(the\s+)?job\s+(number\s*|no\.?\s*)?#?\d/,
+      /\b(details?|more|info(rmation)?)\s+(about|on|for|of)\s+(the\s+)?(job\b|number\b|#|\w+\s+(one|job)\b)/,
+      /\btell\s+me\s+(more\s+)?about\s+(the\s+)?(job\b|number\b|#|\w+\s+(one|job)\b)/,
+      // rw: "nyereka akazi nimero 2", "ibisobanuro by'akazi ka kabiri"
+      /\b(nyereka|sobanura|mbwira\s+ibyerekeye)\s+(aka\s|akazi\s+(nimero|ka)\b)/,
+      /\bibisobanuro\s+(by'|bya\s+)akazi\b/,
+      // fr: "détails de l'offre 3", "voir l'offre numéro 2", "en savoir plus sur la deuxième"
+      /\b(d[ée]tails?|infos?|informations?|en savoir plus)\s+(sur|de|du)\s+(l'offre|l'emploi|le\s+poste|la\s+\p{L}+)/u,
+      /\b(voir|afficher|montre[rz]?(-moi)?)\s+l'offre\s+(num[ée]ro\s*|n°\s*|#)?\d/
+    ]
+  },
+  {
+    name: 'stop_job_alerts',
+    description: 'The user no longer wants to be told about new jobs: turn off their saved searches / job alerts.',
+    examples: ['Stop my job alerts', 'Unsubscribe from job notifications', 'Hagarika kummenyesha akazi gashya', 'Arrêtez mes alertes'],
+    patterns: [
+      /\b(stop|cancel|turn\s+off|disable|remove|delete)\s+(my\s+|the\s+|all\s+|these\s+)?(new[-\s]job\s+|job\s+)?(alerts?|notifications?|saved\s+searche?s?)\b/,
+      /\bstop\s+(notifying|alerting|messaging)\s+me\b/,
+      /\bunsubscribe\b/,
+      // rw: "hagarika kummenyesha", "reka kummenyesha akazi"
+      /\b(hagarika|hagarikira|reka|mureke|nimureke)\b.*menyesh/,
+      // fr: "arrêtez mes alertes", "désactiver les notifications", "me désabonner"
+      /\b(arr[êe]te[rz]?|d[ée]sactive[rz]?|supprime[rz]?|annule[rz]?)\s+(mes\s+|les\s+)?(alertes|notifications)\b/,
+      /\bd[ée]sabonne[rz]?\b/
+    ]
+  },
+  {
+    name: 'save_search',
+    description: 'The user wants to be told about new jobs of a kind (or like the ones just shown) as they are posted: a saved search / job alert.',
+    examples: ['Notify me about new cleaning jobs in Kigali', 'Let me know when there are new part-time jobs', 'Save this search', 'Mujye mummenyesha akazi gashya ko gusukura', 'Prévenez-moi des nouvelles offres de ménage'],
+    patterns: [
+      // Only wording about jobs still to come: "text me the job details" is not an alert
+      /\b(notify|alert|ping|email|text|message)\s+me\b.*\b(new|newly|future|upcoming|(is|are|gets?|been)\s+posted|comes?\s+up|opens?\s+up)\b/,
+      /\b(let me know|tell me|remind me)\s+(when(ever)?|if|as soon as|once)\b.*\b(new|newly|posted|comes?\s+up|opens?\s+up)\b/,
+      /\blet me know about\s+(any\s+)?new\b/,
+      /\bsave\s+(this|the|my|that)\s+(job\s+)?search\b/,
+      /\b((new[-\s])?job\s+alerts?|alerts?\s+for\s+(any\s+)?new\b)/,
+      /\b(subscribe|sign\s+me\s+up)\s+(to|for)\b.*\b(new|alerts?|notifications?)\b/,
+      // rw: "mujye mummenyesha akazi gashya", "mummenyeshe nihaboneka akazi", "bika ubu bushakashatsi"
+      // (not "ushobora kummenyesha akazi gahari": that asks about jobs there are now)
+      /menyesh\w*\b.*\b(gashya|mashya|nihaboneka|nikaboneka|nibiboneka|nihagira|nihajyaho)\b/,
+      /\b(mujye|ujye)\s+\w*menyesh/,
+      /\bbika\s+(ubu\s+)?bushakashatsi\b/,
+      // fr: "prévenez-moi des nouvelles offres", "alertez-moi quand une offre est publiée",
+      // "enregistrer cette recherche" (not "informe-moi sur les offres de ménage")
+      /\b(pr[ée]venez|pr[ée]viens|alertez|alerte|avertissez|avertis|informez|informe|tenez|tiens)[-\s]moi\b.*\b(nouvel(le)?s?|nouveaux|d[èe]s\s+qu|quand|lorsqu|publi[ée]e?s?)/,
+      /\benregistre[rz]?\s+(cette|ma|la)\s+recherche\b/,
+      /\balertes?\s+(emploi|d'emploi|pour\s+les\s+offres)\b/
+    ]
+  },
+  {
+    name: 'job_recommendations',
+    description: 'The user wants the jobs that best suit them: matched to their profile (category, location, experience, skills).',
+    examples: ['Jobs for me', 'What jobs match my profile?', 'Recommend me some jobs', 'Akazi kankwiriye', 'Des offres pour moi'],
+    patterns: [
+      /\b(jobs?|work|vacancies)\s+(for me|that\s+(suits?|fits?|match(es)?)\s+(me|my\s+(profile|skills)))\b/,
+      /\b(jobs?|work)\s+(recommended|suggested)\s+for\s+me\b/,
+      /\b(recommend|suggest)\s+(me\s+)?(some\s+|a\s+)?(jobs?|work)\b/,
+      /\b(best|right|good|suitable)\s+(jobs?|work)\s+for\s+me\b/,
+      /\bmatch(es|ing)?\s+my\s+(profile|skills)\b/,
+      /\bjob\s+(recommendations|matches)\b/,
+      // rw: "akazi kankwiriye", "akazi kajyanye n'umwirondoro wanjye"
+      /\bakazi\s+(kankwiriye|kambereye|kajyanye\s+n'?\s*(umwirondoro|ubumenyi))/,
+      // fr: "des offres pour moi", "emplois adaptés à mon profil", "recommande-moi des offres"
+      /\b(offres?|emplois?|postes?)\s+(pour moi|qui me (convien(nen)?t|correspond(ent)?)|adapt[ée]e?s?\s+[àa]\s+mon profil)/,
+      /\brecommande[rz]?(-moi)?\s+(des\s+)?(offres|emplois|postes)\b/
+    ]
+  },
+  {
+    name: 'jobs',
+    description: 'The user is looking for work or wants to see available jobs, possibly for a kind of work, place, schedule or pay.',
+    examples: ['Show available jobs', 'I want to work as a nanny in Kicukiro', 'Any part-time cleaning jobs paying at least 60,000?', 'Ndashaka akazi ko mu rugo i Gasabo', 'Je cherche un emploi de gardien'],
+    patterns: [
+      /\b(find|search|look for|show|available|open)\s+(jobs?|positions?|opportunities?|vacancies?)\b/,
+      /\bjobs?\s+(available|near me|in|for)\b/,
+      /\bwhat\s+jobs?\b/,
+      /\bhiring\b/,
+      /\b(want|like|looking)\s+(to\s+)?(work|job)\s+as\b/,
+      /\b(looking for|need|want)\s+(a\s+)?(job|work)\b/,
+      /\bany\b.*\b(jobs?|vacancies|openings)\b/,
+      // rw: "ndashaka akazi", "hari akazi k'isuku?", "akazi gahari"
+      /\b(ndashaka|nshaka|nifuza|ndashakisha|mfite ikibazo cy)\s+akazi\b/,
+      /\bhari\s+akazi\b/,
+      /\bakazi\s+(gahari|kahari|kari|k'|ko|ka\s+\w+\s+(i|mu|muri))/,
+      // fr: "je cherche un emploi", "offres d'emploi", "du travail à Kigali"
+      /\b(cherche|recherche|trouver|veux|voudrais)\s+(un\s+|du\s+|une\s+)?(emploi|travail|boulot|poste)\b/,
+      /\boffres?\s+(d'emploi|disponibles?)\b/,
+      /\b(emplois?|postes?)\s+(disponibles?|[àa]\s)/
+    ]
+  },
+  {
+    name: 'jobs_more',
+    description: 'The user wants the next (or previous) jobs of the list already shown.',
+    examples: ['Show more', 'Next 5', 'More jobs', 'Go back to the previous ones', 'Nyereka ibindi', 'Voir plus'],
+    patterns: [
+      /\b(show|see|give|list)\s+(me\s+)?(some\s+)?more\b(?!\s+(about|on|of)\b)/,
+      /\bnext\s+(\d+|page|ones|jobs|five|ten)\b/,
+      /\b(previous|prev)\s+(\d+|page|ones|jobs|five|ten)\b/,
+      /^(more|next|previous|more jobs|show previous|go back)\s*[.!?]*$/,
+      // rw: "nyereka ibindi", "ibyabanje"
+      /\b(nyereka|nyerekera|erekana|mpa)\s+(ibindi|akandi|utundi|ibikurikira|ibyabanje)\b/,
+      /^(ibindi|ibikurikira|ibyabanje)\s*[.!?]*$/,
+      // fr: "voir plus", "les suivantes", "les précédentes"
+      /\b(voir|afficher|montre[rz]?(-moi)?)\s+(plus|la suite|d'autres)\b/,
+      /\b(offres\s+)?(suivantes|pr[ée]c[ée]dentes)\b/
+    ]
+  },
+  {
+    name: 'jobs_refine',
+    description: 'The user narrows or re-sorts the job list already shown: a kind of work, place, schedule, pay, or an order such as newest or highest pay first.',
+    examples: ['Only part-time', 'Closer to Gasabo', 'Above 80,000 RWF', 'Highest pay first', 'Newest first', 'Igice cy\'igihe gusa', 'Seulement à temps partiel'],
+    patterns: [
+      /^(only|just)\b/,
+      /\b(show|keep)\s+(me\s+)?only\b/,
+      /\b(closer|nearer)\s+to\b/,
+      /\b(sort|order|rank)\s+(them\s+|it\s+|the list\s+|the jobs\s+)?by\b/,
+      /\b(newest|latest|most recent|highest[-\s]pay(ing)?|best[-\s]paid|lowest[-\s]pay(ing)?|best[-\s]match(es|ing)?)\s+(first|jobs|ones)\b/,
+      /^(above|over|at least|more than|below|under|less than|between)\s+\d/,
+      /\b(paying|pays?|salary)\s+(above|over|at least|more than|below|under|less than)\b/,
+      // rw: "igice cy'igihe gusa", "hafi ya Gasabo", "ibishya mbere", "hejuru ya 80000"
+      /\b(akazi|aka|ako)\b.*\bgusa\s*[.!?]*$/,
+      /\bgusa\s*[.!?]*$/,
+      /\bhafi\s+ya\b/,
+      /\b(ibishya|umushahara\s+(munini|mwinshi|muto))\s+mbere\b/,
+      /^(hejuru ya|nibura|munsi ya)\s+\d/,
+      // fr: "seulement à temps partiel", "plus près de Gasabo", "les mieux payées d'abord"
+      /^(seulement|uniquement|juste)\b/,
+      /\bplus\s+pr[eè]s\s+de\b/,
+      /\b(trier|classer)\s+(par|les)\b/,
+      /\b(plus\s+r[ée]centes?|mieux\s+pay[ée]e?s)\s+(d'abord|en premier)\b/,
+      /^(plus de|au moins|moins de|entre)\s+\d/
+    ]
+  },
+  {
+    name: 'job_application',
+    description: 'The user wants to apply to a job (often one from the list just shown) or asks how applying works.',
+    examples: ['Apply to job number 2', 'I want the second one', 'How do I apply?', 'Nsabira akazi nimero 1', 'Postuler à la deuxième offre'],
+    patterns: [
+      /\b(apply|applying|application)\s+(for|to)?\s*(job|position)\b/,
+      /\bhow.*apply\b/,
+      // rw: "nsabira akazi nimero 2", "nasaba nte?"
+      /\b(nsabira|gusaba|ndasaba|nasaba)\s+akazi\b/,
+      /\bnasaba\s+(gute|nte)\b/,
+      // fr: "postuler à l'offre 2", "comment postuler"
+      /\b(postuler|candidater)\s+(à|a|au|pour)\s/,
+      /\bcomment\s+(postuler|candidater)\b/
+    ]
+  },
+  {
+    name: 'general',
+    description: 'Anything else: questions about Kozi, fees, contracts, profile, documents, greetings.',
+    examples: ['How much is the service fee?', 'Hello', 'What documents do I need?', 'Amafaranga ya serivisi ni angahe?', 'Quels documents faut-il ?'],
+    patterns: []
+  }
+];
+
+const EMPLOYER_INTENTS = [
+  {
+    name: 'applicant_decision',
+    description: 'The employer shortlists, rejects or hires an applicant from the list just shown.',
+    examples: ['Shortlist applicant 2', 'Reject candidate number 1', 'Hitamo usaba wa 2', 'Rejeter le candidat 3'],
+    patterns: [
+      /\b(shortlist|reject|decline|hire)\s+(the\s+)?(applicant|candidate)\b/,
+      // rw: "hitamo usaba nimero 2", "wanga usaba wa 1"
+      /\b(hitamo|hitamwo|wanga|ha akazi)\s+(usaba|uwasabye)\b/,
+      // fr: "présélectionner le candidat 2", "refuser le candidat 1"
+      /\b(pr[ée]s[ée]lectionner|retenir|rejeter|refuser|embaucher)\s+(le\s+|la\s+)?candidat/
+    ]
+  },
+  {
+    name: 'review_applicants',
+    description: 'The employer wants to see their posted jobs or the people who applied to them.',
+    examples: ['Show me the applicants', 'Who applied to job 2?', 'My jobs', 'Abasabye akazi ni bande?', 'Voir les candidats'],
+    patterns: [
+      /\b(show|see|view|list|review|check)\s+(me\s+)?(my\s+|the\s+)?(applicants?|candidates?|applications?)\b/,
+      /\bwho\s+(has\s+|have\s+)?applied\b/,
+      /\b(applicants?|candidates?)\s+(for|to|on)\b/,
+      /\b(show|see|view|list)\s+(me\s+)?my\s+(jobs|job posts|postings|vacancies)\b/,
+      /^my\s+(jobs|job posts|postings|vacancies)\b/,
+      // rw: "abasabye akazi", "abakandida"
+      /\babasabye\b/,
+      /\babakandida\b/,
+      // fr: "voir les candidats", "qui a postulé", "mes offres"
+      /\b(voir|afficher|montre[rz]?(-moi)?)\s+(les\s+|mes\s+)?(candidats|candidatures|offres)\b/,
+      /\bqui\s+a\s+postul[ée]/
+    ]
+  },
+  {
+    name: 'post_job',
+    description: 'The employer wants to post a job or find a worker (fill in the Job Providers Request Form).',
+    examples: ['I want to post a job', 'I need a nanny', 'Hire a house cleaner', 'Ndashaka umukozi wo mu rugo', 'Publier une offre'],
+    patterns: [
+      /\b(post|create|add|publish|advertise)\s+(a\s+|an\s+|new\s+|my\s+)?(job|vacancy|position|opening|job request)\b/,
+      /\b(hire|need|looking for|find me|recruit)\s+(a|an|some)\s+(worker|employee|(house )?cleaner|house ?keeper|house help|house manager|maid|nanny|babysitter|cook|chef|guard|watchman|driver|gardener|caregiver)\b/,
+      /\b(request|request form|job providers? request)\s+form\b/,
+      // rw: "ndashaka umukozi", "nkeneye abakozi"
+      /\b(ndashaka|nshaka|nkeneye|nifuza|ndashakisha)\s+(umukozi|abakozi|umuzamu|umutetsi|umushoferi)\b/,
+      // fr: "publier une offre", "je cherche une femme de ménage"
+      /\b(publier|poster|cr[ée]er|d[ée]poser)\s+(une\s+)?(offre|annonce)\b/,
+      /\b(cherche|recrute|besoin d'une?)\s+(une?\s+)?(employ[ée]e?|femme de m[ée]nage|nounou|gardien|cuisini[eè]re?|chauffeur|jardinier|domestique)\b/
+    ]
+  },
+  {
+    name: 'general',
+    description: 'Anything else: questions about Kozi, the service fee, the client agreement, payments, replacements, greetings.',
+    examples: ['How much is the service fee?', 'Can I pay the worker directly?', 'Amafaranga ya serivisi ni angahe?', 'Quels sont les frais ?'],
+    patterns: []
+  }
+];
+
+// Anything a visitor without an account asks the homepage bot to do for them
+const ACCOUNT_ACTIONS = ['cv_generation', 'application_status', 'job_details', 'stop_job_alerts', 'save_search', 'job_recommendations', 'jobs', 'jobs_more', 'jobs_refine', 'job_application', 'post_job', 'review_applicants', 'applicant_decision'];
+
+const HOMEPAGE_INTENTS = [
+  {
+    name: 'account_required',
+    description: 'The visitor wants something that needs a Kozi account: search or apply for jobs, build a CV, check a profile or application, post a job or see applicants.',
+    examples: ['Show available jobs', 'Apply to job 2', 'Create my CV', 'What is my profile status?', 'I need a nanny', 'Ndashaka akazi', 'Je cherche un emploi'],
+    patterns: [
+      ...[...INTENTS, ...EMPLOYER_INTENTS]
+        .filter(intent => ACCOUNT_ACTIONS.includes(intent.name))
+        .flatMap(intent => intent.patterns),
+      /\bapply\s+(for|to)\b/,
+      /\bmy\s+(profile|account|application|applications|cv|documents?)\b/,
+      /\bumwirondoro\s+wanjye\b/,
+      /\b(mon|ma|mes)\s+(profil|compte|candidatures?|cv)\b/
+    ],
+    reply: {
+      en: 'You\'ll need a Kozi account for that 🙂 Sign up at www.kozi.rw as a job seeker to search and apply for jobs and build your CV, or as an employer to request a worker. Once you\'re registered, I\'ll pick up right where we left off. Meanwhile, I\'m happy to answer questions about Kozi, our fees or how to register.',
+      rw: 'Ibyo bisaba konti ya Kozi 🙂 Mwiyandikishe kuri www.kozi.rw nk\'ushaka akazi kugira ngo mushakishe kandi musabe akazi, munategure CV, cyangwa nk\'umukoresha kugira ngo musabe umukozi. Nimumara kwiyandikisha, tuzakomereza aho twari tugeze. Hagati aho, nabasubiza ibibazo bijyanye na Kozi, amafaranga yacu cyangwa uko biyandikisha.',
+      fr: 'Il vous faut un compte Kozi pour cela 🙂 Inscrivez-vous sur www.kozi.rw comme chercheur d\'emploi pour chercher et postuler à des offres et créer votre CV, ou comme employeur pour demander un employé. Une fois inscrit, je reprendrai là où nous en étions. En attendant, je réponds volontiers à vos questions sur Kozi, nos frais ou l\'inscription.'
+    }
+  },
+  {
+    name: 'general',
+    description: 'Anything else: what Kozi is, its services, fees, how to register, contacts, greetings.',
+    examples: ['What is Kozi?', 'How much does it cost?', 'How do I register?', 'Kozi ni iki?', 'Comment s\'inscrire ?'],
+    patterns: []
+  }
+];
+
+// Canonical job category → words people use for it (English, Kinyarwanda, French)
+const JOB_CATEGORIES = {
+  cleaning: [
+    'cleaning', 'cleaner', 'house cleaner', 'janitor', 'office cleaner',
+    'isuku', 'gukora isuku', 'nettoyage', 'agent de nettoyage'
+  ],
+  housekeeping: [
+    'housekeeping', 'housekeeper', 'house manager', 'house help', 'housemaid', 'maid', 'domestic worker',
+    'umukozi wo mu rugo', 'abakozi bo mu rugo', 'mu rugo', 'ménage', 'femme de ménage', 'aide ménagère', 'domestique'
+  ],
+  childcare: [
+    'childcare', 'child care', 'nanny', 'babysitter', 'babysitting', 'baby sitter', 'caregiver for children',
+    'kurera abana', 'kwita ku bana', 'umurezi', 'nounou', "garde d'enfants"
+  ],
+  cooking: ['cooking', 'cook', 'chef', 'kitchen', 'guteka', 'umutetsi', 'cuisinier', 'cuisinière', 'cuisine'],
+  security: [
+    'security', 'security guard', 'guard', 'watchman', 'gatekeeper',
+    'umuzamu', 'abazamu', 'kurinda', 'gardien', 'sécurité', 'vigile'
+  ],
+  gardening: ['gardening', 'gardener', 'landscaping', 'compound cleaner', 'ubusitani', 'jardinier', 'jardinage'],
+  driver: ['driver', 'driving', 'chauffeur', 'moto driver', 'umushoferi', 'gutwara imodoka', 'conducteur']
+};
+
+// Kigali plus the districts of Rwanda
+const LOCATIONS = [
+  'kigali',
+  'nyarugenge', 'gasabo', 'kicukiro',
+  'musanze', 'burera', 'gakenke', 'gicumbi', 'rulindo',
+  'huye', 'gisagara', 'kamonyi', 'muhanga', 'nyamagabe', 'nyanza', 'nyaruguru', 'ruhango',
+  'rubavu', 'karongi', 'ngororero', 'nyabihu', 'nyamasheke', 'rusizi', 'rutsiro',
+  'bugesera', 'gatsibo', 'kayonza', 'kirehe', 'ngoma', 'nyagatare', 'rwamagana'
+];
+
+const WORK_TYPES = {
+  'full-time': ['full-time', 'full time', 'fulltime', 'igihe cyose', 'temps plein'],
+  'part-time': ['part-time', 'part time', 'parttime', "igice cy'igihe", 'temps partiel', 'mi-temps'],
+  contract: ['contract', 'amasezerano', 'contrat'],
+  temporary: ['temporary', 'temp', 'short-term', 'short term', "by'agateganyo", 'temporaire', 'court terme']
+};
+
+// Orders a job list can be sorted in (see sortJobs in services/jobsGateway.js); best_match
+// needs the jobs scored against the profile first (services/jobMatcher.js), relevance a
+// search by description (services/jobIndex.js)
+const JOB_SORTS = {
+  newest: ['newest', 'latest', 'most recent', 'ibishya', 'bishya', 'plus récente', 'plus récent'],
+  highest_pay: ['highest pay', 'highest paying', 'highest salary', 'best paid', 'best paying', 'umushahara munini', 'umushahara mwinshi', 'mieux payée', 'mieux payé', 'salaire le plus élevé'],
+  lowest_pay: ['lowest pay', 'lowest paying', 'lowest salary', 'umushahara muto', 'moins payée', 'moins payé'],
+  deadline: ['deadline', 'closing soon', 'closing soonest', 'ending soon', 'itariki ntarengwa', 'date limite', 'expire bientôt', 'expirent bientôt'],
+  best_match: ['best match', 'best matches', 'best matching', 'best fit', 'bikwiriye', 'bimbereye', 'meilleure correspondance', 'plus pertinentes', 'plus pertinents'],
+  relevance: ['relevance', 'most relevant', 'closest match', 'ibisa cyane', 'pertinence']
+};
+
+// Words of a job search that don't describe the work itself ("show me available jobs in ...");
+// what is left of a message without them, its place, type, pay and order, is searched by meaning
+const SEARCH_FILLER_WORDS = [
+  'show', 'find', 'search', 'searching', 'look', 'looking', 'available', 'open', 'any', 'there', 'are',
+  'want', 'would', 'like', 'need', 'get', 'have', 'has', 'please', 'hiring', 'job', 'jobs', 'work', 'working',
+  'vacancy', 'vacancies', 'position', 'positions', 'opportunity', 'opportunities', 'openings', 'role', 'roles',
+  'the', 'and', 'for', 'with', 'near', 'some', 'all', 'new', 'today', 'now', 'can', 'you', 'what', 'which',
+  'where', 'how', 'give', 'list', 'see', 'offer', 'offers', 'kind', 'type', 'doing', 'something', 'anything',
+  'paying', 'pays', 'pay', 'salary', 'rwf', 'frw', 'month', 'monthly', 'time', 'first', 'sort', 'sorted', 'only',
+  'least', 'above', 'over', 'more', 'than', 'less', 'below', 'under', 'between', 'minimum', 'min', 'max', 'from',
+  'per', 'number', 'about', 'around', 'notify', 'alert', 'alerts', 'let', 'know', 'tell', 'remind', 'when',
+  'whenever', 'save', 'subscribe', 'sign', 'posted', 'email', 'text', 'ping', 'this', 'these', 'them',
+  'ndashaka', 'nshaka', 'nifuza', 'ndashakisha', 'akazi', 'hari', 'gahari', 'kahari', 'kari', 'muri', 'nyereka',
+  'mwampa', 'umukozi', 'imirimo', 'umurimo', 'gukora', 'nkora', 'kose', 'ese', 'mbese', 'umushahara',
+  'nibura', 'hejuru', 'munsi', 'hagati', 'kugeza', 'nimero', 'mujye', 'ujye', 'mummenyesha', 'mummenyeshe',
+  'menyesha', 'nmenyesha', 'unmenyeshe', 'gashya', 'mashya', 'nihaboneka', 'bika', 'ubu', 'bushakashatsi',
+  'cherche', 'recherche', 'trouver', 'veux', 'voudrais', 'une', 'des', 'les', 'emploi', 'emplois', 'travail',
+  'boulot', 'poste', 'postes', 'offre', 'offres', 'disponible', 'disponibles', 'pour', 'moi', 'dans', 'avec',
+  'est', 'sont', 'quels', 'quelles', 'quel', 'quelle', 'montre', 'montrez', 'avez', 'vous', 'salaire',
+  'moins', 'plus', 'entre', 'numéro', 'prévenez', 'préviens', 'alertez', 'alerte', 'avertissez', 'avertis',
+  'informez', 'informe', 'tenez', 'tiens', 'courant', 'nouvelles', 'nouvelle', 'nouveaux', 'nouveau',
+  'enregistrer', 'enregistre', 'recherche', 'quand', 'cette'
+];
+
+module.exports = {
+  INTENTS,
+  EMPLOYER_INTENTS,
+  HOMEPAGE_INTENTS,
+  JOB_CATEGORIES,
+  LOCATIONS,
+  WORK_TYPES,
+  JOB_SORTS,
+  SEARCH_FILLER_WORDS
+};
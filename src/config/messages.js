@@ -0,0 +1,678 @@
+// User-facing chat messages in English (en), Kinyarwanda (rw) and French (fr).
+// Look messages up with t(key, language, vars) from src/core/utils/i18n.js;
+// `{name}` placeholders are filled from vars. A key missing from rw/fr falls back to en.
+
+const { CHAT_RESPONSES } = require('./constants');
+
+const en = {
+  ...CHAT_RESPONSES,
+
+  AGENT_CONFIRM: '{question}\n\nReply "yes" to confirm or "no" to cancel.',
+  AGENT_CONFIRM_PROFILE: "I'll update your profile with:\n{changes}",
+  AGENT_CONFIRM_APPLY: 'I\'ll apply to "{title}" ({location}) for you.',
+  AGENT_CONFIRM_CV_START: "I'll start the CV builder with you. It takes a few short steps.",
+  AGENT_CONFIRM_CV_RESTART: "I'll start a new CV from scratch; any CV in progress will be discarded.",
+  AGENT_CONFIRM_SAVE_SEARCH: "I'll alert you about new jobs matching {search} when you open the chat.",
+  AGENT_CONFIRM_STOP_ALERTS: "I'll turn off all your job alerts.",
+
+  CV_STEPS: {
+    contact_info: "Let's start creating your professional CV! 📄\n\nFirst, I need your contact information:\n• Full Name\n• Phone Number\n• Email Address\n• Location (City)\n\nPlease provide these details.",
+
+    professional_summary: "Great! 👍 Now, let's write your professional summary.\n\nIn 2-3 sentences, tell me:\n• Your current role or profession\n• Your key skills\n• Your career goals\n\nExample: 'Experienced house manager with 5+ years in maintaining clean, organized homes. Skilled in deep cleaning, laundry care, and household organization. Seeking to provide exceptional service to families in Kigali.'",
+
+    work_experience: "Perfect! Now let's add your work experience. 💼\n\nFor each job, provide:\n• Job Title\n• Company/Employer Name\n• Dates (e.g., 'Jan 2020 - Present')\n• Key responsibilities and achievements\n\nYou can list multiple jobs, starting with the most recent.",
+
+    education: "Excellent work history! Now let's add your education. 🎓\n\nProvide:\n• Highest level of education\n• Institution name\n• Year completed (or expected)\n• Any relevant coursework or honors\n\nExample: 'High School Diploma, Kigali Secondary School, 2018'",
+
+    skills: "Great! Now let's list your relevant skills. ⚡\n\nList 5-10 skills related to your job category:\n• Technical skills\n• Soft skills\n• Job-specific abilities\n\nExample: 'Deep cleaning, Laundry & ironing, Time management, Attention to detail, Customer service'",
+
+    certifications: "Almost done! Do you have any certifications or training? 📜\n\nIf yes, provide:\n• Certification name\n• Issuing organization\n• Date obtained\n\nIf none, just say 'None' or 'Skip'",
+
+    languages: "Final step! What languages do you speak? 🗣️\n\nList languages and proficiency level:\n• Language (Proficiency)\n\nExample: 'Kinyarwanda (Native), English (Fluent), French (Intermediate)'"
+  },
+  CV_STEP_SAVED: '✅ Got it! Information saved.\n\n{prompt}',
+  CV_COMPLETED: '🎉 Congratulations! Your CV has been generated successfully!\n\n{summary}\n\nYou can now download it or view it in your profile.',
+  CV_IN_PROGRESS: 'I see you already have a CV in progress. Would you like to continue from where you left off, or start fresh?',
+  CV_CONTINUE: "Great! Let's continue. {prompt}",
+  CV_CANCELLED: 'CV generation cancelled. Your progress has been saved.',
+  CV_START_ERROR: 'I had trouble starting CV generation. Please try again.',
+  CV_STEP_ERROR: 'I had trouble processing that. Could you please rephrase?',
+  CV_SUMMARY_NAME: '📋 CV for {name}',
+  CV_SUMMARY_EXPERIENCE: '💼 {count} work experience entries',
+  CV_SUMMARY_SKILLS: '⚡ {count} skills listed',
+
+  JOBS_NONE: "I couldn't find any jobs matching your criteria right now.\n\nWould you like me to:\n• Show all available jobs\n• Help you update your profile\n• Search for different job types",
+  JOBS_FOUND_ONE: 'I found 1 job opportunity for you!',
+  JOBS_FOUND_MANY: 'I found {count} job opportunities for you!',
+  JOBS_SALARY_NEGOTIABLE: 'Salary negotiable',
+  JOBS_LOCATION_LINE: 'Location: {location} | Type: {work_type}',
+  JOBS_SALARY_LINE: 'Salary: {salary}',
+  JOBS_POSITIONS_LINE: 'Positions available: {count}',
+  JOBS_DEADLINE_LINE: 'Deadline: {date}',
+  JOBS_MORE: '... and {count} more jobs! Say "Show more" to see the next ones.',
+  JOBS_PAGE_HEADER: 'Jobs {from}–{to} of {total}:',
+  JOBS_SORTED_BY: 'Sorted: {sort}',
+  JOBS_LIST_END: 'That\'s all {total} jobs for this search. Say "Show previous" to go back.',
+  JOBS_NO_MORE: 'There are no more jobs in this search. Narrow it down or sort it, e.g. "Only part-time" or "Highest pay first".',
+  JOBS_LIST_START: 'This is already the beginning of the list.',
+  JOBS_NO_SEARCH: 'Let me find some jobs first: say "Show available jobs".',
+  JOBS_REFINE_HINT: 'Narrow it down with e.g. "Only part-time", "Closer to Gasabo", "Above 80,000 RWF" or "Highest pay first".',
+  JOBS_REFINE_NONE: 'No jobs match that. Your previous list is still here: say "Show more" to keep browsing, or try another filter.',
+  JOB_SORTS: {
+    newest: 'newest first',
+    highest_pay: 'highest pay first',
+    lowest_pay: 'lowest pay first',
+    deadline: 'closing soonest first',
+    best_match: 'best match for your profile first',
+    relevance: 'closest to what you described first'
+  },
+  JOBS_QUERY_NONE: 'I couldn\'t find a job like that right now.',
+  JOBS_MATCH_LINE: '🎯 {score}% match: {reasons}',
+  JOBS_MATCH_SCORE: '🎯 {score}% match',
+  JOBS_FOR_ME_NEED_PROFILE: 'To find the jobs that suit you, I need to know the work you do and where you live. Add your job category and location to your profile, then ask me again. Meanwhile, say "Show available jobs" to see everything.',
+  MATCH_REASONS: {
+    category: 'matches your {category} category',
+    same_district: 'in {district}, your district',
+    distance: '{km} km from {district}',
+    experience: 'fits your {level} experience',
+    skills: 'uses your skills ({skills})',
+    work_type: '{work_type}, as you prefer',
+    education: 'you have the education it asks for ({education})'
+  },
+  EXPERIENCE_LEVELS: {
+    entry: 'entry-level',
+    mid: 'mid-level',
+    senior: 'senior'
+  },
+  SAVED_SEARCH_SAVED: '🔔 Done! I\'ll keep an eye out for new jobs matching {search} and tell you about them next time you open the chat.',
+  SAVED_SEARCH_OPEN_ONE: 'There is 1 open job like this right now.',
+  SAVED_SEARCH_OPEN_NOW: 'There are {count} open jobs like this right now.',
+  SAVED_SEARCH_OPEN_NONE: 'There are none open right now, so you\'ll be among the first to know.',
+  SAVED_SEARCH_EXISTS: 'You already have an alert for {search}. I\'ll tell you about new jobs next time you open the chat.',
+  SAVED_SEARCH_LIMIT: 'You already have {max} job alerts, the most you can have. Say "Stop my job alerts" to clear them, then save the ones you want.',
+  SAVED_SEARCH_WHICH: 'Which jobs should I watch for? Say for example "Notify me about new cleaning jobs in Kigali".',
+  SAVED_SEARCH_ERROR: 'I couldn\'t update your job alerts right now. Please try again in a moment.',
+  SAVED_SEARCH_ALL_JOBS: 'all jobs',
+  SAVED_SEARCH_NEW_ONE: '🔔 1 new job matches your saved search ({search}):',
+  SAVED_SEARCH_NEW_MANY: '🔔 {count} new jobs match your saved search ({search}):',
+  SAVED_SEARCHES_NEW_ONE: '🔔 1 new job matches your saved searches:',
+  SAVED_SEARCHES_NEW_MANY: '🔔 {count} new jobs match your saved searches:',
+  SAVED_SEARCHES_STOPPED: 'Okay, I\'ve turned off your job alerts. Say "Notify me about new ... jobs" whenever you want one again.',
+  SAVED_SEARCHES_NONE: 'You don\'t have any job alerts. Say for example "Notify me about new cleaning jobs in Kigali" to create one.',
+  JOBS_HOW_TO_APPLY: 'To view details or apply, say: "Show me job number {number}" or "Apply to job number {number}"',
+  JOBS_PROFILE_STATUS: 'Your profile is {percent}% complete. ',
+  JOBS_PROFILE_LOW: 'Complete it to improve your chances!',
+  JOBS_PROFILE_GOOD: 'Great job!',
+  JOBS_ERROR: 'I had trouble fetching jobs right now. Please try again in a moment.',
+  JOBS_UNAVAILABLE: 'The Kozi jobs service is temporarily unavailable, so I can\'t see the current openings. Please try again in a few minutes.',
+  JOBS_STALE_NOTICE: '⚠️ I can\'t reach the jobs service right now, so this list may be out of date.',
+  JOB_DETAILS_WHICH: 'Which job would you like to see? Say for example "Show me job number 1".',
+  JOB_DETAILS_CATEGORY_LINE: 'Category: {category}',
+  JOB_DETAILS_START_LINE: 'Start date: {date}',
+  JOB_DETAILS_EDUCATION_LINE: 'Education: {education}',
+  JOB_DETAILS_DESCRIPTION: 'About the job:',
+  JOB_DETAILS_REQUIREMENTS: 'Requirements:',
+  JOB_DETAILS_CLOSED: 'This job is no longer accepting applications.',
+  JOB_DETAILS_FOLLOW_UP: 'Ask me anything about this job, or say "Apply to job number {number}" to apply.',
+  JOB_DETAILS_ASK: 'Ask me anything about this job.',
+
+  APPLY_WHICH_JOB: "Which job would you like to apply to? Please say 'Apply to job number 1'.",
+  APPLY_NO_RECENT_JOBS: "I don't see any recent job listings. Please search for jobs first.",
+  APPLY_JOB_NOT_FOUND: "I couldn't find job number {number}. Please check the number.",
+  APPLY_PROFILE_INCOMPLETE: "To apply, complete at least {required}% of your profile. You're at {percent}%.\n\nMissing: {missing}\n\nShall I help you complete it?",
+  APPLY_SUCCESS: 'Success! You\'ve applied to "{title}"!\n\nThe employer will review your application and contact you.\n\nTips:\n• Keep your phone handy\n• Complete your profile to 100%\n• Apply to similar jobs\n\nGood luck!',
+  APPLY_ERROR: 'I had trouble submitting your application. Please try again.',
+  APPLY_JOB_CLOSED: '"{title}" is no longer accepting applications. Would you like to see other open jobs?',
+  APPLY_ALREADY: 'You have already applied to "{title}". The employer will contact you if you are selected.',
+  MY_APPLICATIONS_NONE: 'You haven\'t applied to any jobs yet. Say "Show available jobs" to find one.',
+  MY_APPLICATIONS_HEADER: 'Your applications ({count}):',
+  MY_APPLICATION_LINE: '{number}. {title} – {status}, applied {date}',
+  MY_APPLICATION_SENDING: ' (still being sent to the employer)',
+  MY_APPLICATION_NOT_DELIVERED: ' (couldn\'t be delivered to the employer – please contact support@kozi.rw)',
+  MY_APPLICATIONS_ERROR: 'I had trouble loading your applications right now. Please try again in a moment.',
+
+  EMPLOYER_WELCOME: 'Hello 👋 Welcome to Kozi! I can help you post a job request, explain our service fee and client agreement, or review the people who applied to your jobs. What would you like to do?',
+
+  JOB_POST_STEPS: {
+    location: 'Let\'s fill in your job request! 📝 It takes 5 short steps; say "cancel" at any time.\n\nFirst, where will the worker work? Give your address (district and sector, e.g. \'Kicukiro, Niboye\').',
+
+    position: 'What position do you need to fill? 👤\n• Job title (e.g. house cleaner, nanny, cook)\n• Full-time, part-time or live-in\n• Working hours (e.g. Mon–Sat, 7am–5pm)',
+
+    duties: 'Now describe the job. 🧹\n• Main tasks\n• Responsibilities\n\nExample: \'Cleaning the house, laundry and ironing, cooking lunch for a family of 4.\'',
+
+    requirements: 'Any expectations for the worker? 🗣️\n• Gender and age, if it matters\n• Language skills (e.g. Kinyarwanda, English)\n• Anything else (experience, references...)\n\nIf none, just say \'None\'.',
+
+    salary: 'Last step! 💰\n• Monthly salary range (at least {min_salary} RWF)\n• Starting date\n• Number of workers needed\n\nExample: \'70,000 - 90,000 RWF, starting 2025-11-03, 1 worker\''
+  },
+  JOB_POST_STEP_SAVED: '✅ Got it!\n\n{prompt}',
+  JOB_POST_STEP_MISSING: 'I didn\'t catch the {fields}. Could you tell me again?',
+  JOB_POST_SALARY_TOO_LOW: 'Kozi\'s minimum salary is {min} RWF a month. Please give a salary of at least {min} RWF.',
+  JOB_POST_REVIEW: 'Here is your job request:\n\n{summary}\n\n💳 Kozi charges a one-time service fee of {fee} RWF, which covers vetting, the contract and follow-up. The worker\'s salary is paid through Kozi each month.\n\nDo you agree to the fee and want me to post this job? Reply "yes" to post it or "no" to cancel.',
+  JOB_POST_REVIEW_AGAIN: 'Please reply "yes" to agree to the {fee} RWF service fee and post the job, or "no" to cancel.',
+  JOB_POST_CREATED: '🎉 Your job "{title}" is posted (reference #{id}).\n\nKozi will contact you about the service fee and send you matching workers. Say "Show my applicants" any time to see who applied.',
+  JOB_POST_CANCELLED: 'Okay, I\'ve cancelled the job request. Nothing was posted. Say "Post a job" whenever you want to start again.',
+  JOB_POST_STEP_ERROR: 'I had trouble processing that. Could you please rephrase?',
+  JOB_POST_ERROR: 'I had trouble saving your job request. Please try again.',
+  JOB_POST_LIVE_IN: 'live-in',
+  JOB_POST_FIELDS: {
+    title: 'Job title',
+    category: 'Category',
+    location: 'Location',
+    work_type: 'Type',
+    working_hours: 'Working hours',
+    salary: 'Salary',
+    start_date: 'Starting date',
+    positions: 'Workers needed',
+    description: 'Tasks',
+    requirements: 'Expectations'
+  },
+
+  EMPLOYER_NO_JOBS: 'You haven\'t posted any jobs yet. Say "Post a job" to fill in a job request.',
+  EMPLOYER_JOBS_HEADER: 'Your jobs:',
+  EMPLOYER_JOB_LINE: '{number}. {title} ({location}) – {count} applicant(s), {status}',
+  EMPLOYER_PICK_JOB: 'Which job\'s applicants would you like to see? Say for example "Applicants for job 1".',
+  EMPLOYER_JOB_NOT_FOUND: 'I couldn\'t find job number {number}. You have {count} job(s).',
+  APPLICANTS_NONE: 'No one has applied to "{title}" yet. Kozi will let you know when workers apply.',
+  APPLICANTS_HEADER: 'Applicants for "{title}" ({count}):',
+  APPLICANT_LINE: '{number}. {name} – {status}, applied {date}',
+  APPLICANT_HAS_CV: ' – CV attached',
+  APPLICANT_UNNAMED: 'Applicant',
+  APPLICANTS_MORE: '... and {count} more.',
+  APPLICANTS_HOW_TO_DECIDE: 'To respond, say "Shortlist applicant 1", "Reject applicant 2" or "Hire applicant 1". Kozi arranges interviews with shortlisted applicants.',
+  APPLICANT_WHICH: 'Which applicant? Say for example "Shortlist applicant 1".',
+  APPLICANT_NO_LIST: 'Let me show you the applicants first: say "Show my applicants".',
+  APPLICANT_NOT_FOUND: 'I couldn\'t find applicant number {number} in the last list.',
+  APPLICANT_UPDATED: '{name} is now {status} for "{title}".',
+  APPLICANTS_ERROR: 'I had trouble loading your jobs right now. Please try again in a moment.',
+  APPLICATION_STATUSES: {
+    pending: 'pending',
+    reviewed: 'reviewed',
+    shortlisted: 'shortlisted',
+    rejected: 'rejected',
+    hired: 'hired'
+  },
+  JOB_STATUSES: {
+    active: 'open',
+    filled: 'filled',
+    closed: 'closed',
+    draft: 'draft'
+  },
+
+  HOMEPAGE_WELCOME: 'Hello 👋 Welcome to Kozi! I can tell you about Kozi, our services and fees, and how to register as a job seeker or an employer. What would you like to know?',
+  HANDOVER_DONE: 'Welcome aboard! 🎉 Your account is now linked to this conversation.',
+
+  DAILY_QUOTA_REACHED: 'You\'ve reached today\'s chat limit 🙏 I\'ll be ready to help again in about {hours} hour(s). Meanwhile you can still browse jobs and update your profile on www.kozi.rw, or contact support@kozi.rw.',
+
+  WORK_TYPES: {
+    'full-time': 'Full-Time',
+    'part-time': 'Part-Time',
+    contract: 'Contract',
+    temporary: 'Temporary'
+  },
+
+  PROFILE_FIELDS: {
+    full_name: 'full name',
+    phone: 'phone number',
+    location: 'location',
+    date_of_birth: 'date of birth',
+    job_category: 'job category',
+    experience_level: 'experience level',
+    preferred_work_type: 'preferred work type',
+    cv: 'CV',
+    id: 'ID'
+  }
+};
+
+const rw = {
+  WELCOME: 'Muraho 👋 Murakaza neza kuri dashboard yanyu ya Kozi! Nabafasha kuzuza umwirondoro wanyu, gusaba akazi, cyangwa gutegura CV y\'umwuga. Ni iki mwifuza ko duheraho?',
+  REDIRECT_SUPPORT: 'Mwavugisha itsinda ryacu ry\'ubufasha 📧 support@kozi.rw | ☎ +250 788 123 456.',
+  ERROR_GENERIC: 'Habaye ikibazo. Mwongere mugerageze cyangwa muvugishe itsinda ry\'ubufasha niba ikibazo gikomeje.',
+  PROFILE_MOTIVATION: '✨ Umwirondoro wuzuye na CV nziza bituma abakoresha babona kurushaho. Reka turangize uwanyu uyu munsi!',
+  AGENT_CANCELLED: 'Nta kibazo, nabihagaritse. Nta cyahindutse. Ni iki kindi mwifuza gukora?',
+  AGENT_STEP_LIMIT: 'Mutwihanganire, sinashoboye kurangiza icyo gikorwa. Mwakigabanyamo intambwe ntoya?',
+
+  AGENT_CONFIRM: '{question}\n\nMusubize "yego" kugira ngo mwemeze cyangwa "oya" kugira ngo muhagarike.',
+  AGENT_CONFIRM_PROFILE: 'Ngiye kuvugurura umwirondoro wanyu nshyiramo:\n{changes}',
+  AGENT_CONFIRM_APPLY: 'Ngiye kubasabira akazi ka "{title}" ({location}).',
+  AGENT_CONFIRM_CV_START: 'Ngiye gutangira gukora CV yanyu. Bifata intambwe nke ngufi.',
+  AGENT_CONFIRM_CV_RESTART: 'Ngiye gutangira CV nshya; iyo mwari mwaratangiye izasibwa.',
+  AGENT_CONFIRM_SAVE_SEARCH: 'Nzabamenyesha akazi gashya gahuye na {search} igihe mufunguye ikiganiro.',
+  AGENT_CONFIRM_STOP_ALERTS: 'Ngiye guhagarika ubutumwa bwanyu bwose bw\'akazi.',
+
+  CV_STEPS: {
+    contact_info: 'Reka dutangire gukora CV yanyu y\'umwuga! 📄\n\nMbanza mumpe aho mwabonekera:\n• Amazina yombi\n• Nimero ya telefoni\n• Imeri (email)\n• Aho mutuye (umujyi)\n\nMwohereze ayo makuru.',
+
+    professional_summary: 'Ni byiza! 👍 Noneho reka twandike incamake y\'umwuga wanyu.\n\nMu nteruro 2-3, mumbwire:\n• Akazi mukora ubu cyangwa umwuga wanyu\n• Ubumenyi bwanyu bw\'ingenzi\n• Intego zanyu mu kazi\n\nUrugero: \'Nkora isuku mu ngo, mfite uburambe bw\'imyaka 5. Nzi gukora isuku yimbitse, kumesa no gutunganya urugo. Nifuza gukorera imiryango i Kigali.\'',
+
+    work_experience: 'Ni byiza cyane! Noneho reka twongeremo uburambe bwanyu mu kazi. 💼\n\nKuri buri kazi, mutange:\n• Izina ry\'akazi\n• Izina ry\'ikigo cyangwa umukoresha\n• Igihe (urugero: \'Mutarama 2020 - ubu\')\n• Inshingano z\'ingenzi n\'ibyo mwagezeho\n\nMushobora gutanga akazi kenshi, muhereye ku ka vuba.',
+
+    education: 'Uburambe bwiza! Noneho reka twongeremo amashuri mwize. 🎓\n\nMutange:\n• Urwego rw\'amashuri rwo hejuru mwagezeho\n• Izina ry\'ishuri\n• Umwaka mwarangirijeho (cyangwa muteganya kurangiza)\n• Amasomo cyangwa ibihembo by\'ingenzi\n\nUrugero: \'Impamyabumenyi y\'amashuri yisumbuye, Kigali Secondary School, 2018\'',
+
+    skills: 'Ni byiza! Noneho mwandike ubumenyi bwanyu. ⚡\n\nMwandike ubumenyi 5-10 bujyanye n\'akazi kanyu:\n• Ubumenyi bwa tekiniki\n• Imyitwarire myiza mu kazi\n• Ubushobozi bwihariye bw\'akazi\n\nUrugero: \'Isuku yimbitse, Kumesa no gutera ipasi, Kubahiriza igihe, Kwitonda, Kwakira neza abakiriya\'',
+
+    certifications: 'Tugeze hafi ku musozo! Hari impamyabushobozi cyangwa amahugurwa mwakoze? 📜\n\nNiba ahari, mutange:\n• Izina ry\'impamyabushobozi\n• Ikigo cyayitanze\n• Itariki mwayiboneyeho\n\nNiba ntayo, muvuge \'Ntayo\' cyangwa \'Simbuka\'',
+
+    languages: 'Intambwe ya nyuma! Ni izihe ndimi muvuga? 🗣️\n\nMwandike indimi n\'urwego muzivugamo:\n• Ururimi (Urwego)\n\nUrugero: \'Ikinyarwanda (Kavukire), Icyongereza (Neza cyane), Igifaransa (Hagati)\''
+  },
+  CV_STEP_SAVED: '✅ Byakiriwe! Amakuru yabitswe.\n\n{prompt}',
+  CV_COMPLETED: '🎉 Turabashimiye! CV yanyu yakozwe neza!\n\n{summary}\n\nUbu mushobora kuyimanura cyangwa kuyireba mu mwirondoro wanyu.',
+  CV_IN_PROGRESS: 'Mbona hari CV mwari mwaratangiye. Murashaka gukomereza aho mwari mugeze, cyangwa gutangira bundi bushya?',
+  CV_CONTINUE: 'Ni byiza! Reka dukomeze. {prompt}',
+  CV_CANCELLED: 'Gukora CV byahagaritswe. Ibyo mwari mumaze gukora byabitswe.',
+  CV_START_ERROR: 'Nagize ikibazo cyo gutangira gukora CV. Mwongere mugerageze.',
+  CV_STEP_ERROR: 'Nagize ikibazo cyo gusobanukirwa ibyo. Mwabivuga mu bundi buryo?',
+  CV_SUMMARY_NAME: '📋 CV ya {name}',
+  CV_SUMMARY_EXPERIENCE: '💼 Uburambe mu kazi: {count}',
+  CV_SUMMARY_SKILLS: '⚡ Ubumenyi bwanditswe: {count}',
+
+  JOBS_NONE: 'Nta kazi mbonye gahuye n\'ibyo mwasabye ubu.\n\nMwifuza ko:\n• Mbereka akazi kose gahari\n• Mbafasha kuvugurura umwirondoro wanyu\n• Dushakisha ubundi bwoko bw\'akazi',
+  JOBS_FOUND_ONE: 'Nababoneye akazi 1!',
+  JOBS_FOUND_MANY: 'Nababoneye akazi {count}!',
+  JOBS_SALARY_NEGOTIABLE: 'Umushahara uganirwaho',
+  JOBS_LOCATION_LINE: 'Aho ari: {location} | Ubwoko: {work_type}',
+  JOBS_SALARY_LINE: 'Umushahara: {salary}',
+  JOBS_POSITIONS_LINE: 'Imyanya ihari: {count}',
+  JOBS_DEADLINE_LINE: 'Itariki ntarengwa: {date}',
+  JOBS_MORE: '... n\'akandi kazi {count}! Muvuge "Nyereka ibindi" kugira ngo mubone ibikurikira.',
+  JOBS_PAGE_HEADER: 'Akazi {from}–{to} muri {total}:',
+  JOBS_SORTED_BY: 'Bikurikiranye: {sort}',
+  JOBS_LIST_END: 'Ako ni ko kazi kose uko ari {total} kajyanye n\'ibyo mwashakishije. Muvuge "Ibyabanje" kugira ngo musubire inyuma.',
+  JOBS_NO_MORE: 'Nta kandi kazi gasigaye muri ubu bushakashatsi. Mushobora kubugabanya cyangwa kubukurikiranya, nk\'"Igice cy\'igihe gusa" cyangwa "Umushahara munini mbere".',
+  JOBS_LIST_START: 'Aha ni ho urutonde rutangirira.',
+  JOBS_NO_SEARCH: 'Reka mbanze mbashakire akazi: muvuge "Hari akazi?".',
+  JOBS_REFINE_HINT: 'Mushobora kugabanya urutonde, nk\'"Igice cy\'igihe gusa", "Hafi ya Gasabo", "Hejuru ya 80,000 RWF" cyangwa "Umushahara munini mbere".',
+  JOBS_REFINE_NONE: 'Nta kazi gahuye n\'ibyo. Urutonde rwanyu rwa mbere ruracyahari: muvuge "Nyereka ibindi" kugira ngo mukomeze, cyangwa mugerageze ikindi.',
+  JOB_SORTS: {
+    newest: 'ibishya mbere',
+    highest_pay: 'umushahara munini mbere',
+    lowest_pay: 'umushahara muto mbere',
+    deadline: 'ibirangira vuba mbere',
+    best_match: 'ibibakwiriye kurusha ibindi mbere',
+    relevance: 'ibisa cyane n\'ibyo mwavuze mbere'
+  },
+  JOBS_QUERY_NONE: 'Nta kazi nk\'ako mbonye ubu.',
+  JOBS_MATCH_LINE: '🎯 Bihuye ku kigero cya {score}%: {reasons}',
+  JOBS_MATCH_SCORE: '🎯 Bihuye ku kigero cya {score}%',
+  JOBS_FOR_ME_NEED_PROFILE: 'Kugira ngo mbabonere akazi kabakwiriye, nkeneye kumenya umurimo mukora n\'aho mutuye. Mwongere icyiciro cy\'akazi n\'aho mutuye mu mwirondoro wanyu, hanyuma mwongere mumbaze. Hagati aho, muvuge "Hari akazi?" kugira ngo mubone akazi kose.',
+  MATCH_REASONS: {
+    category: 'kari mu cyiciro cyanyu cya {category}',
+    same_district: 'kari i {district}, mu karere kanyu',
+    distance: 'km {km} uvuye i {district}',
+    experience: 'gahuye n\'uburambe bwanyu ({level})',
+    skills: 'gakenera ubumenyi mufite ({skills})',
+    work_type: '{work_type}, nk\'uko mubyifuza',
+    education: 'mufite amashuri gasaba ({education})'
+  },
+  EXPERIENCE_LEVELS: {
+    entry: 'utangira',
+    mid: 'uciriritse',
+    senior: 'uwo ku rwego rwo hejuru'
+  },
+  SAVED_SEARCH_SAVED: '🔔 Byakozwe! Nzajya nkurikirana akazi gashya gahuye na {search}, mbibamenyeshe ubutaha mufunguye ikiganiro.',
+  SAVED_SEARCH_OPEN_ONE: 'Hari akazi 1 nk\'aka gahari ubu.',
+  SAVED_SEARCH_OPEN_NOW: 'Hari akazi {count} nk\'aka gahari ubu.',
+  SAVED_SEARCH_OPEN_NONE: 'Nta kazi nk\'aka gahari ubu, muzaba muri aba mbere bazabimenya.',
+  SAVED_SEARCH_EXISTS: 'Musanzwe mufite ubutumwa bw\'akazi bwa {search}. Nzabamenyesha akazi gashya ubutaha mufunguye ikiganiro.',
+  SAVED_SEARCH_LIMIT: 'Musanzwe mufite ubutumwa bw\'akazi {max}, ari bwo bwinshi bushoboka. Muvuge "Hagarika kummenyesha akazi" kugira ngo mubusibe, hanyuma mubike ubwo mushaka.',
+  SAVED_SEARCH_WHICH: 'Ni akahe kazi mwifuza ko nkurikirana? Muvuge nk\'"Mujye mummenyesha akazi gashya k\'isuku i Kigali".',
+  SAVED_SEARCH_ERROR: 'Sinshoboye kuvugurura ubutumwa bw\'akazi ubu. Mwongere mugerageze mu kanya.',
+  SAVED_SEARCH_ALL_JOBS: 'akazi kose',
+  SAVED_SEARCH_NEW_ONE: '🔔 Akazi gashya 1 gahuye n\'ubushakashatsi mwabitse ({search}):',
+  SAVED_SEARCH_NEW_MANY: '🔔 Akazi gashya {count} gahuye n\'ubushakashatsi mwabitse ({search}):',
+  SAVED_SEARCHES_NEW_ONE: '🔔 Akazi gashya 1 gahuye n\'ubushakashatsi mwabitse:',
+  SAVED_SEARCHES_NEW_MANY: '🔔 Akazi gashya {count} gahuye n\'ubushakashatsi mwabitse:',
+  SAVED_SEARCHES_STOPPED: 'Yego, nahagaritse ubutumwa bw\'akazi. Muvuge "Mujye mummenyesha akazi gashya ka ..." igihe cyose mubushaka.',
+  SAVED_SEARCHES_NONE: 'Nta butumwa bw\'akazi mufite. Muvuge nk\'"Mujye mummenyesha akazi gashya k\'isuku i Kigali" kugira ngo mubushyireho.',
+  JOBS_HOW_TO_APPLY: 'Kugira ngo murebe ibisobanuro cyangwa musabe, muvuge: "Nyereka akazi nimero {number}" cyangwa "Nsabira akazi nimero {number}"',
+  JOBS_PROFILE_STATUS: 'Umwirondoro wanyu wuzuye ku kigero cya {percent}%. ',
+  JOBS_PROFILE_LOW: 'Muwuzuze kugira ngo mwongere amahirwe yanyu!',
+  JOBS_PROFILE_GOOD: 'Ni byiza cyane!',
+  JOBS_ERROR: 'Nagize ikibazo cyo kubona akazi ubu. Mwongere mugerageze mu kanya.',
+  JOBS_UNAVAILABLE: 'Serivisi y\'akazi ya Kozi ntiboneka by\'agateganyo, sinshobora kubona akazi gahari ubu. Mwongere mugerageze mu minota mike.',
+  JOBS_STALE_NOTICE: '⚠️ Sinshobora kugera kuri serivisi y\'akazi ubu, uru rutonde rushobora kuba rutajyanye n\'igihe.',
+  JOB_DETAILS_WHICH: 'Ni akahe kazi mwifuza kureba? Muvuge nk\'"Nyereka akazi nimero 1".',
+  JOB_DETAILS_CATEGORY_LINE: 'Icyiciro: {category}',
+  JOB_DETAILS_START_LINE: 'Itariki yo gutangira: {date}',
+  JOB_DETAILS_EDUCATION_LINE: 'Amashuri: {education}',
+  JOB_DETAILS_DESCRIPTION: 'Ibyerekeye akazi:',
+  JOB_DETAILS_REQUIREMENTS: 'Ibisabwa:',
+  JOB_DETAILS_CLOSED: 'Aka kazi ntikacyakira ubusabe.',
+  JOB_DETAILS_FOLLOW_UP: 'Mumbaze ikibazo icyo ari cyo cyose kuri aka kazi, cyangwa muvuge "Nsabira akazi nimero {number}" kugira ngo mugasabe.',
+  JOB_DETAILS_ASK: 'Mumbaze ikibazo icyo ari cyo cyose kuri aka kazi.',
+
+  APPLY_WHICH_JOB: 'Ni akahe kazi mwifuza gusaba? Muvuge \'Nsabira akazi nimero 1\'.',
+  APPLY_NO_RECENT_JOBS: 'Nta rutonde rw\'akazi ruherutse mbona. Mubanze mushakishe akazi.',
+  APPLY_JOB_NOT_FOUND: 'Sinabonye akazi nimero {number}. Mugenzure nimero.',
+  APPLY_PROFILE_INCOMPLETE: 'Kugira ngo musabe akazi, umwirondoro wanyu ugomba kuba wuzuye nibura ku {required}%. Ubu uri kuri {percent}%.\n\nIbibura: {missing}\n\nMbafashe kuwuzuza?',
+  APPLY_SUCCESS: 'Byagenze neza! Mwasabye akazi ka "{title}"!\n\nUmukoresha azasuzuma ubusabe bwanyu maze abavugishe.\n\nInama:\n• Mugumane telefoni hafi\n• Muzuze umwirondoro wanyu 100%\n• Musabe n\'akandi kazi gasa n\'aka\n\nAmahirwe masa!',
+  APPLY_ERROR: 'Nagize ikibazo cyo kohereza ubusabe bwanyu. Mwongere mugerageze.',
+  APPLY_JOB_CLOSED: 'Akazi ka "{title}" ntikacyakira ubusabe. Mwifuza kureba akandi kazi gahari?',
+  APPLY_ALREADY: 'Mwamaze gusaba akazi ka "{title}". Umukoresha azabavugisha nimutoranywa.',
+  MY_APPLICATIONS_NONE: 'Ntimurasaba akazi na kamwe. Muvuge "Hari akazi?" kugira ngo mubone akazi gahari.',
+  MY_APPLICATIONS_HEADER: 'Ubusabe bwanyu ({count}):',
+  MY_APPLICATION_LINE: '{number}. {title} – {status}, mwasabye {date}',
+  MY_APPLICATION_SENDING: ' (buracyoherezwa umukoresha)',
+  MY_APPLICATION_NOT_DELIVERED: ' (ntibwashoboye kugera ku mukoresha – mutwandikire kuri support@kozi.rw)',
+  MY_APPLICATIONS_ERROR: 'Nagize ikibazo cyo kubona ubusabe bwanyu ubu. Mwongere mugerageze mu kanya.',
+
+  EMPLOYER_WELCOME: 'Muraho 👋 Murakaza neza kuri Kozi! Nabafasha gutanga ubusabe bw\'umukozi, kubasobanurira amafaranga ya serivisi n\'amasezerano y\'umukiriya, cyangwa kureba abasabye akazi mwatanze. Ni iki mwifuza gukora?',
+
+  JOB_POST_STEPS: {
+    location: 'Reka twuzuze ubusabe bwanyu bw\'umukozi! 📝 Bifata intambwe 5 ngufi; muvuge "hagarika" igihe icyo ari cyo cyose.\n\nMbanza, umukozi azakorera he? Mutange aderesi yanyu (akarere n\'umurenge, urugero: \'Kicukiro, Niboye\').',
+
+    position: 'Ni uwuhe mwanya mushaka gushyiramo umukozi? 👤\n• Izina ry\'akazi (urugero: isuku, kurera abana, guteka)\n• Igihe cyose, igice cy\'igihe cyangwa aba mu rugo\n• Amasaha y\'akazi (urugero: Kuwa mbere–Kuwa gatandatu, 7h–17h)',
+
+    duties: 'Noneho musobanure akazi. 🧹\n• Imirimo y\'ingenzi\n• Inshingano\n\nUrugero: \'Gukora isuku mu nzu, kumesa no gutera ipasi, guteka ifunguro rya saa sita ry\'abantu 4.\'',
+
+    requirements: 'Hari ibyo mwifuza ku mukozi? 🗣️\n• Igitsina n\'imyaka, niba ari ngombwa\n• Indimi (urugero: Ikinyarwanda, Icyongereza)\n• Ibindi (uburambe, abamwishingira...)\n\nNiba ntabyo, muvuge \'Ntabyo\'.',
+
+    salary: 'Intambwe ya nyuma! 💰\n• Umushahara w\'ukwezi (nibura {min_salary} RWF)\n• Itariki yo gutangira\n• Umubare w\'abakozi mukeneye\n\nUrugero: \'70,000 - 90,000 RWF, guhera 2025-11-03, umukozi 1\''
+  },
+  JOB_POST_STEP_SAVED: '✅ Byakiriwe!\n\n{prompt}',
+  JOB_POST_STEP_MISSING: 'Sinabonye {fields}. Mwabisubiramo?',
+  JOB_POST_SALARY_TOO_LOW: 'Umushahara muto Kozi yemera ni {min} RWF ku kwezi. Mutange umushahara nibura wa {min} RWF.',
+  JOB_POST_REVIEW: 'Ubu ni ubusabe bwanyu:\n\n{summary}\n\n💳 Kozi yishyuza amafaranga ya serivisi {fee} RWF rimwe gusa, akubiyemo igenzura ry\'umukozi, amasezerano n\'ikurikirana. Umushahara w\'umukozi wishyurwa binyuze kuri Kozi buri kwezi.\n\nMwemeye ayo mafaranga kandi mushaka ko nshyiraho aka kazi? Musubize "yego" kugira ngo gashyirweho cyangwa "oya" kugira ngo muhagarike.',
+  JOB_POST_REVIEW_AGAIN: 'Musubize "yego" mwemera amafaranga ya serivisi {fee} RWF kandi akazi gashyirweho, cyangwa "oya" kugira ngo muhagarike.',
+  JOB_POST_CREATED: '🎉 Akazi kanyu "{title}" kashyizweho (nimero #{id}).\n\nKozi izabavugisha ku bijyanye n\'amafaranga ya serivisi kandi ibohereze abakozi babikwiye. Muvuge "Nyereka abasabye" igihe cyose mushaka kureba abasabye.',
+  JOB_POST_CANCELLED: 'Nta kibazo, ubusabe bwahagaritswe. Nta kazi kashyizweho. Muvuge "Ndashaka umukozi" igihe mushaka kongera gutangira.',
+  JOB_POST_STEP_ERROR: 'Nagize ikibazo cyo gusobanukirwa ibyo. Mwabivuga mu bundi buryo?',
+  JOB_POST_ERROR: 'Nagize ikibazo cyo kubika ubusabe bwanyu. Mwongere mugerageze.',
+  JOB_POST_LIVE_IN: 'aba mu rugo',
+  JOB_POST_FIELDS: {
+    title: 'Izina ry\'akazi',
+    category: 'Ubwoko',
+    location: 'Aho ari',
+    work_type: 'Igihe',
+    working_hours: 'Amasaha y\'akazi',
+    salary: 'Umushahara',
+    start_date: 'Itariki yo gutangira',
+    positions: 'Abakozi bakenewe',
+    description: 'Imirimo',
+    requirements: 'Ibyifuzo'
+  },
+
+  EMPLOYER_NO_JOBS: 'Ntabwo muratanga akazi. Muvuge "Ndashaka umukozi" kugira ngo twuzuze ubusabe.',
+  EMPLOYER_JOBS_HEADER: 'Akazi kanyu:',
+  EMPLOYER_JOB_LINE: '{number}. {title} ({location}) – abasabye {count}, {status}',
+  EMPLOYER_PICK_JOB: 'Ni akahe kazi mushaka kureba abasabye? Muvuge urugero "Abasabye akazi nimero 1".',
+  EMPLOYER_JOB_NOT_FOUND: 'Sinabonye akazi nimero {number}. Mufite akazi {count}.',
+  APPLICANTS_NONE: 'Nta muntu urasaba akazi ka "{title}". Kozi izabamenyesha abakozi nibasaba.',
+  APPLICANTS_HEADER: 'Abasabye akazi ka "{title}" ({count}):',
+  APPLICANT_LINE: '{number}. {name} – {status}, yasabye {date}',
+  APPLICANT_HAS_CV: ' – afite CV',
+  APPLICANT_UNNAMED: 'Usaba',
+  APPLICANTS_MORE: '... n\'abandi {count}.',
+  APPLICANTS_HOW_TO_DECIDE: 'Kugira ngo musubize, muvuge "Hitamo usaba nimero 1", "Wanga usaba nimero 2" cyangwa "Ha akazi usaba nimero 1". Kozi itegura ibiganiro n\'abatoranyijwe.',
+  APPLICANT_WHICH: 'Ni uwuhe usaba? Muvuge urugero "Hitamo usaba nimero 1".',
+  APPLICANT_NO_LIST: 'Reka mbanze mbereke abasabye: muvuge "Nyereka abasabye".',
+  APPLICANT_NOT_FOUND: 'Sinabonye usaba nimero {number} ku rutonde ruheruka.',
+  APPLICANT_UPDATED: '{name} ubu ari {status} ku kazi ka "{title}".',
+  APPLICANTS_ERROR: 'Nagize ikibazo cyo kubona akazi kanyu ubu. Mwongere mugerageze mu kanya.',
+  APPLICATION_STATUSES: {
+    pending: 'ategereje',
+    reviewed: 'yarebwe',
+    shortlisted: 'yatoranyijwe',
+    rejected: 'ntiyemewe',
+    hired: 'yahawe akazi'
+  },
+  JOB_STATUSES: {
+    active: 'gafunguye',
+    filled: 'kabonye abakozi',
+    closed: 'kafunzwe',
+    draft: 'ntikaratangazwa'
+  },
+
+  HOMEPAGE_WELCOME: 'Muraho 👋 Murakaza neza kuri Kozi! Nabasobanurira Kozi, serivisi zacu n\'amafaranga yazo, n\'uko mwiyandikisha nk\'ushaka akazi cyangwa nk\'ushaka umukozi. Ni iki mwifuza kumenya?',
+  HANDOVER_DONE: 'Murakaza neza! 🎉 Konti yanyu ubu ihujwe n\'iki kiganiro.',
+
+  DAILY_QUOTA_REACHED: 'Mwageze ku mupaka w\'ibiganiro by\'uyu munsi 🙏 Nzongera kubafasha mu masaha {hours} ari imbere. Hagati aho mushobora gukomeza kureba akazi no kuvugurura umwirondoro wanyu kuri www.kozi.rw, cyangwa mukandikira support@kozi.rw.',
+
+  WORK_TYPES: {
+    'full-time': 'Igihe cyose',
+    'part-time': 'Igice cy\'igihe',
+    contract: 'Amasezerano',
+    temporary: 'By\'agateganyo'
+  },
+
+  PROFILE_FIELDS: {
+    full_name: 'amazina yombi',
+    phone: 'nimero ya telefoni',
+    location: 'aho mutuye',
+    date_of_birth: 'itariki y\'amavuko',
+    job_category: 'ubwoko bw\'akazi',
+    experience_level: 'urwego rw\'uburambe',
+    preferred_work_type: 'ubwoko bw\'akazi mwifuza',
+    cv: 'CV',
+    id: 'indangamuntu'
+  }
+};
+
+const fr = {
+  WELCOME: 'Bonjour 👋 Bon retour sur votre tableau de bord Kozi ! Je peux vous aider à compléter votre profil, postuler à des offres ou préparer un CV professionnel. Par quoi voulez-vous commencer ?',
+  REDIRECT_SUPPORT: 'Veuillez contacter notre équipe d\'assistance 📧 support@kozi.rw | ☎ +250 788 123 456.',
+  ERROR_GENERIC: 'Un problème est survenu. Veuillez réessayer ou contacter l\'assistance si le problème persiste.',
+  PROFILE_MOTIVATION: '✨ Un profil complet et un CV soigné vous rendent plus visible auprès des employeurs. Terminons le vôtre aujourd\'hui !',
+  AGENT_CANCELLED: 'D\'accord, c\'est annulé. Rien n\'a été modifié. Que souhaitez-vous faire à la place ?',
+  AGENT_STEP_LIMIT: 'Désolé, je n\'ai pas pu terminer cette demande. Pouvez-vous la découper en étapes plus simples ?',
+
+  AGENT_CONFIRM: '{question}\n\nRépondez « oui » pour confirmer ou « non » pour annuler.',
+  AGENT_CONFIRM_PROFILE: 'Je vais mettre à jour votre profil avec :\n{changes}',
+  AGENT_CONFIRM_APPLY: 'Je vais postuler pour vous à « {title} » ({location}).',
+  AGENT_CONFIRM_CV_START: 'Je vais lancer la création de votre CV avec vous. Cela prend quelques courtes étapes.',
+  AGENT_CONFIRM_CV_RESTART: 'Je vais créer un nouveau CV depuis le début ; le CV en cours sera abandonné.',
+  AGENT_CONFIRM_SAVE_SEARCH: 'Je vous signalerai les nouvelles offres correspondant à {search} à l\'ouverture du chat.',
+  AGENT_CONFIRM_STOP_ALERTS: 'Je vais désactiver toutes vos alertes emploi.',
+
+  CV_STEPS: {
+    contact_info: 'Commençons à créer votre CV professionnel ! 📄\n\nD\'abord, j\'ai besoin de vos coordonnées :\n• Nom complet\n• Numéro de téléphone\n• Adresse e-mail\n• Lieu (ville)\n\nMerci de me donner ces informations.',
+
+    professional_summary: 'Très bien ! 👍 Rédigeons maintenant votre résumé professionnel.\n\nEn 2 ou 3 phrases, dites-moi :\n• Votre poste ou métier actuel\n• Vos compétences principales\n• Vos objectifs professionnels\n\nExemple : « Gouvernante expérimentée avec plus de 5 ans d\'expérience dans l\'entretien de maisons. Compétente en nettoyage en profondeur, lessive et organisation du foyer. Je souhaite offrir un service de qualité aux familles de Kigali. »',
+
+    work_experience: 'Parfait ! Ajoutons maintenant votre expérience professionnelle. 💼\n\nPour chaque emploi, indiquez :\n• Intitulé du poste\n• Nom de l\'entreprise ou de l\'employeur\n• Dates (ex. : « janv. 2020 - aujourd\'hui »)\n• Principales responsabilités et réalisations\n\nVous pouvez indiquer plusieurs emplois, en commençant par le plus récent.',
+
+    education: 'Belle expérience ! Ajoutons maintenant votre formation. 🎓\n\nIndiquez :\n• Votre plus haut niveau d\'études\n• Le nom de l\'établissement\n• L\'année d\'obtention (ou prévue)\n• Les cours ou distinctions pertinents\n\nExemple : « Diplôme d\'études secondaires, Kigali Secondary School, 2018 »',
+
+    skills: 'Très bien ! Listons maintenant vos compétences. ⚡\n\nIndiquez 5 à 10 compétences liées à votre métier :\n• Compétences techniques\n• Savoir-être\n• Compétences propres au poste\n\nExemple : « Nettoyage en profondeur, Lessive et repassage, Gestion du temps, Souci du détail, Service client »',
+
+    certifications: 'Presque fini ! Avez-vous des certificats ou des formations ? 📜\n\nSi oui, indiquez :\n• Nom du certificat\n• Organisme émetteur\n• Date d\'obtention\n\nSinon, répondez simplement « Aucun » ou « Passer »',
+
+    languages: 'Dernière étape ! Quelles langues parlez-vous ? 🗣️\n\nIndiquez les langues et votre niveau :\n• Langue (niveau)\n\nExemple : « Kinyarwanda (langue maternelle), anglais (courant), français (intermédiaire) »'
+  },
+  CV_STEP_SAVED: '✅ C\'est noté ! Informations enregistrées.\n\n{prompt}',
+  CV_COMPLETED: '🎉 Félicitations ! Votre CV a été généré avec succès !\n\n{summary}\n\nVous pouvez maintenant le télécharger ou le consulter dans votre profil.',
+  CV_IN_PROGRESS: 'Je vois que vous avez déjà un CV en cours. Voulez-vous reprendre là où vous vous étiez arrêté, ou recommencer ?',
+  CV_CONTINUE: 'Très bien ! Continuons. {prompt}',
+  CV_CANCELLED: 'Création du CV annulée. Votre progression a été enregistrée.',
+  CV_START_ERROR: 'Je n\'ai pas pu lancer la création du CV. Veuillez réessayer.',
+  CV_STEP_ERROR: 'Je n\'ai pas pu traiter votre réponse. Pouvez-vous la reformuler ?',
+  CV_SUMMARY_NAME: '📋 CV de {name}',
+  CV_SUMMARY_EXPERIENCE: '💼 {count} expérience(s) professionnelle(s)',
+  CV_SUMMARY_SKILLS: '⚡ {count} compétence(s)',
+
+  JOBS_NONE: 'Je n\'ai trouvé aucune offre correspondant à vos critères pour le moment.\n\nVoulez-vous que je :\n• Vous montre toutes les offres disponibles\n• Vous aide à mettre à jour votre profil\n• Cherche d\'autres types d\'emploi',
+  JOBS_FOUND_ONE: 'J\'ai trouvé 1 offre d\'emploi pour vous !',
+  JOBS_FOUND_MANY: 'J\'ai trouvé {count} offres d\'emploi pour vous !',
+  JOBS_SALARY_NEGOTIABLE: 'Salaire à négocier',
+  JOBS_LOCATION_LINE: 'Lieu : {location} | Type : {work_type}',
+  JOBS_SALARY_LINE: 'Salaire : {salary}',
+  JOBS_POSITIONS_LINE: 'Postes disponibles : {count}',
+  JOBS_DEADLINE_LINE: 'Date limite : {date}',
+  JOBS_MORE: '... et {count} autres offres ! Dites « Voir plus » pour afficher les suivantes.',
+  JOBS_PAGE_HEADER: 'Offres {from} à {to} sur {total} :',
+  JOBS_SORTED_BY: 'Tri : {sort}',
+  JOBS_LIST_END: 'Voilà les {total} offres de cette recherche. Dites « Les précédentes » pour revenir en arrière.',
+  JOBS_NO_MORE: 'Il n\'y a plus d\'offres dans cette recherche. Affinez-la ou triez-la, par exemple « Seulement à temps partiel » ou « Les mieux payées d\'abord ».',
+  JOBS_LIST_START: 'Vous êtes déjà au début de la liste.',
+  JOBS_NO_SEARCH: 'Cherchons d\'abord des offres : dites « Offres disponibles ».',
+  JOBS_REFINE_HINT: 'Affinez avec par exemple « Seulement à temps partiel », « Plus près de Gasabo », « Plus de 80 000 RWF » ou « Les mieux payées d\'abord ».',
+  JOBS_REFINE_NONE: 'Aucune offre ne correspond. Votre liste précédente est toujours là : dites « Voir plus » pour continuer, ou essayez un autre filtre.',
+  JOB_SORTS: {
+    newest: 'les plus récentes d\'abord',
+    highest_pay: 'les mieux payées d\'abord',
+    lowest_pay: 'les moins payées d\'abord',
+    deadline: 'date limite la plus proche d\'abord',
+    best_match: 'les plus adaptées à votre profil d\'abord',
+    relevance: 'les plus proches de votre description d\'abord'
+  },
+  JOBS_QUERY_NONE: 'Je n\'ai pas trouvé d\'offre de ce type pour le moment.',
+  JOBS_MATCH_LINE: '🎯 Correspondance {score} % : {reasons}',
+  JOBS_MATCH_SCORE: '🎯 Correspondance {score} %',
+  JOBS_FOR_ME_NEED_PROFILE: 'Pour trouver les offres qui vous conviennent, j\'ai besoin de connaître votre métier et votre lieu de résidence. Ajoutez votre catégorie d\'emploi et votre localisation à votre profil, puis redemandez-moi. En attendant, dites « Offres disponibles » pour tout voir.',
+  MATCH_REASONS: {
+    category: 'correspond à votre catégorie {category}',
+    same_district: 'à {district}, votre district',
+    distance: 'à {km} km de {district}',
+    experience: 'adaptée à votre niveau ({level})',
+    skills: 'fait appel à vos compétences ({skills})',
+    work_type: '{work_type}, comme vous le souhaitez',
+    education: 'vous avez le niveau d\'études demandé ({education})'
+  },
+  EXPERIENCE_LEVELS: {
+    entry: 'débutant',
+    mid: 'intermédiaire',
+    senior: 'confirmé'
+  },
+  SAVED_SEARCH_SAVED: '🔔 C\'est fait ! Je surveille les nouvelles offres correspondant à {search} et vous les présenterai à votre prochaine visite.',
+  SAVED_SEARCH_OPEN_ONE: 'Il y a 1 offre de ce type ouverte en ce moment.',
+  SAVED_SEARCH_OPEN_NOW: 'Il y a {count} offres de ce type ouvertes en ce moment.',
+  SAVED_SEARCH_OPEN_NONE: 'Aucune n\'est ouverte pour le moment, vous serez parmi les premiers informés.',
+  SAVED_SEARCH_EXISTS: 'Vous avez déjà une alerte pour {search}. Je vous présenterai les nouvelles offres à votre prochaine visite.',
+  SAVED_SEARCH_LIMIT: 'Vous avez déjà {max} alertes emploi, le maximum possible. Dites « Arrêtez mes alertes » pour les effacer, puis enregistrez celles que vous voulez.',
+  SAVED_SEARCH_WHICH: 'Quelles offres dois-je surveiller ? Dites par exemple « Prévenez-moi des nouvelles offres de ménage à Kigali ».',
+  SAVED_SEARCH_ERROR: 'Je n\'arrive pas à mettre à jour vos alertes emploi pour le moment. Veuillez réessayer dans un instant.',
+  SAVED_SEARCH_ALL_JOBS: 'toutes les offres',
+  SAVED_SEARCH_NEW_ONE: '🔔 1 nouvelle offre correspond à votre recherche enregistrée ({search}) :',
+  SAVED_SEARCH_NEW_MANY: '🔔 {count} nouvelles offres correspondent à votre recherche enregistrée ({search}) :',
+  SAVED_SEARCHES_NEW_ONE: '🔔 1 nouvelle offre correspond à vos recherches enregistrées :',
+  SAVED_SEARCHES_NEW_MANY: '🔔 {count} nouvelles offres correspondent à vos recherches enregistrées :',
+  SAVED_SEARCHES_STOPPED: 'D\'accord, j\'ai désactivé vos alertes emploi. Dites « Prévenez-moi des nouvelles offres de ... » quand vous en voulez une nouvelle.',
+  SAVED_SEARCHES_NONE: 'Vous n\'avez aucune alerte emploi. Dites par exemple « Prévenez-moi des nouvelles offres de ménage à Kigali » pour en créer une.',
+  JOBS_HOW_TO_APPLY: 'Pour voir les détails ou postuler, dites : « Montre-moi l\'offre numéro {number} » ou « Postuler à l\'offre numéro {number} »',
+  JOBS_PROFILE_STATUS: 'Votre profil est complet à {percent} %. ',
+  JOBS_PROFILE_LOW: 'Complétez-le pour augmenter vos chances !',
+  JOBS_PROFILE_GOOD: 'Excellent travail !',
+  JOBS_ERROR: 'Je n\'arrive pas à récupérer les offres pour le moment. Veuillez réessayer dans un instant.',
+  JOBS_UNAVAILABLE: 'Le service des offres Kozi est temporairement indisponible, je ne peux donc pas voir les offres actuelles. Veuillez réessayer dans quelques minutes.',
+  JOBS_STALE_NOTICE: '⚠️ Je n\'arrive pas à joindre le service des offres pour le moment, cette liste n\'est peut-être plus à jour.',
+  JOB_DETAILS_WHICH: 'Quelle offre souhaitez-vous voir ? Dites par exemple « Voir l\'offre numéro 1 ».',
+  JOB_DETAILS_CATEGORY_LINE: 'Catégorie : {category}',
+  JOB_DETAILS_START_LINE: 'Date de début : {date}',
+  JOB_DETAILS_EDUCATION_LINE: 'Niveau d\'études : {education}',
+  JOB_DETAILS_DESCRIPTION: 'À propos du poste :',
+  JOB_DETAILS_REQUIREMENTS: 'Exigences :',
+  JOB_DETAILS_CLOSED: 'Cette offre n\'accepte plus de candidatures.',
+  JOB_DETAILS_FOLLOW_UP: 'Posez-moi vos questions sur cette offre, ou dites « Postuler à l\'offre numéro {number} » pour postuler.',
+  JOB_DETAILS_ASK: 'Posez-moi vos questions sur cette offre.',
+
+  APPLY_WHICH_JOB: 'À quelle offre souhaitez-vous postuler ? Dites par exemple « Postuler à l\'offre numéro 1 ».',
+  APPLY_NO_RECENT_JOBS: 'Je ne vois aucune liste d\'offres récente. Veuillez d\'abord rechercher des offres.',
+  APPLY_JOB_NOT_FOUND: 'Je n\'ai pas trouvé l\'offre numéro {number}. Veuillez vérifier le numéro.',
+  APPLY_PROFILE_INCOMPLETE: 'Pour postuler, votre profil doit être complet à au moins {required} %. Vous êtes à {percent} %.\n\nÀ compléter : {missing}\n\nVoulez-vous que je vous aide à le compléter ?',
+  APPLY_SUCCESS: 'C\'est fait ! Vous avez postulé à « {title} » !\n\nL\'employeur examinera votre candidature et vous contactera.\n\nConseils :\n• Gardez votre téléphone à portée de main\n• Complétez votre profil à 100 %\n• Postulez à des offres similaires\n\nBonne chance !',
+  APPLY_ERROR: 'Je n\'ai pas pu envoyer votre candidature. Veuillez réessayer.',
+  APPLY_JOB_CLOSED: 'L\'offre « {title} » n\'accepte plus de candidatures. Voulez-vous voir d\'autres offres ouvertes ?',
+  APPLY_ALREADY: 'Vous avez déjà postulé à « {title} ». L\'employeur vous contactera si vous êtes retenu(e).',
+  MY_APPLICATIONS_NONE: 'Vous n\'avez encore postulé à aucune offre. Dites « Offres disponibles » pour en trouver une.',
+  MY_APPLICATIONS_HEADER: 'Vos candidatures ({count}) :',
+  MY_APPLICATION_LINE: '{number}. {title} – {status}, envoyée le {date}',
+  MY_APPLICATION_SENDING: ' (en cours d\'envoi à l\'employeur)',
+  MY_APPLICATION_NOT_DELIVERED: ' (n\'a pas pu être transmise à l\'employeur – contactez support@kozi.rw)',
+  MY_APPLICATIONS_ERROR: 'Je n\'arrive pas à charger vos candidatures pour le moment. Veuillez réessayer dans un instant.',
+
+  EMPLOYER_WELCOME: 'Bonjour 👋 Bienvenue chez Kozi ! Je peux vous aider à publier une demande de personnel, vous expliquer nos frais de service et le contrat client, ou consulter les candidats à vos offres. Que souhaitez-vous faire ?',
+
+  JOB_POST_STEPS: {
+    location: 'Remplissons votre demande de personnel ! 📝 Cela prend 5 courtes étapes ; dites « annuler » à tout moment.\n\nD\'abord, où travaillera l\'employé ? Indiquez votre adresse (district et secteur, ex. : « Kicukiro, Niboye »).',
+
+    position: 'Quel poste souhaitez-vous pourvoir ? 👤\n• Intitulé du poste (ex. : agent de nettoyage, nounou, cuisinier)\n• Temps plein, temps partiel ou logé\n• Horaires de travail (ex. : lun–sam, 7h–17h)',
+
+    duties: 'Décrivez maintenant le poste. 🧹\n• Tâches principales\n• Responsabilités\n\nExemple : « Ménage de la maison, lessive et repassage, préparation du déjeuner pour une famille de 4. »',
+
+    requirements: 'Avez-vous des attentes particulières ? 🗣️\n• Sexe et âge, si c\'est important\n• Langues (ex. : kinyarwanda, anglais)\n• Autres (expérience, références...)\n\nSinon, répondez simplement « Aucune ».',
+
+    salary: 'Dernière étape ! 💰\n• Fourchette de salaire mensuel (au moins {min_salary} RWF)\n• Date de début\n• Nombre d\'employés recherchés\n\nExemple : « 70 000 - 90 000 RWF, à partir du 2025-11-03, 1 employé »'
+  },
+  JOB_POST_STEP_SAVED: '✅ C\'est noté !\n\n{prompt}',
+  JOB_POST_STEP_MISSING: 'Il me manque : {fields}. Pouvez-vous me le redire ?',
+  JOB_POST_SALARY_TOO_LOW: 'Le salaire minimum chez Kozi est de {min} RWF par mois. Veuillez indiquer un salaire d\'au moins {min} RWF.',
+  JOB_POST_REVIEW: 'Voici votre demande :\n\n{summary}\n\n💳 Kozi facture des frais de service uniques de {fee} RWF, qui couvrent la vérification, le contrat et le suivi. Le salaire de l\'employé est versé chaque mois par l\'intermédiaire de Kozi.\n\nAcceptez-vous ces frais et voulez-vous que je publie cette offre ? Répondez « oui » pour la publier ou « non » pour annuler.',
+  JOB_POST_REVIEW_AGAIN: 'Répondez « oui » pour accepter les frais de service de {fee} RWF et publier l\'offre, ou « non » pour annuler.',
+  JOB_POST_CREATED: '🎉 Votre offre « {title} » est publiée (référence n°{id}).\n\nKozi vous contactera au sujet des frais de service et vous proposera des candidats adaptés. Dites « Voir mes candidats » à tout moment pour voir qui a postulé.',
+  JOB_POST_CANCELLED: 'D\'accord, la demande est annulée. Rien n\'a été publié. Dites « Publier une offre » quand vous voulez recommencer.',
+  JOB_POST_STEP_ERROR: 'Je n\'ai pas pu traiter votre réponse. Pouvez-vous la reformuler ?',
+  JOB_POST_ERROR: 'Je n\'ai pas pu enregistrer votre demande. Veuillez réessayer.',
+  JOB_POST_LIVE_IN: 'logé',
+  JOB_POST_FIELDS: {
+    title: 'Intitulé du poste',
+    category: 'Catégorie',
+    location: 'Lieu',
+    work_type: 'Type',
+    working_hours: 'Horaires',
+    salary: 'Salaire',
+    start_date: 'Date de début',
+    positions: 'Employés recherchés',
+    description: 'Tâches',
+    requirements: 'Attentes'
+  },
+
+  EMPLOYER_NO_JOBS: 'Vous n\'avez encore publié aucune offre. Dites « Publier une offre » pour remplir une demande.',
+  EMPLOYER_JOBS_HEADER: 'Vos offres :',
+  EMPLOYER_JOB_LINE: '{number}. {title} ({location}) – {count} candidat(s), {status}',
+  EMPLOYER_PICK_JOB: 'De quelle offre voulez-vous voir les candidats ? Dites par exemple « Candidats pour l\'offre 1 ».',
+  EMPLOYER_JOB_NOT_FOUND: 'Je n\'ai pas trouvé l\'offre numéro {number}. Vous avez {count} offre(s).',
+  APPLICANTS_NONE: 'Personne n\'a encore postulé à « {title} ». Kozi vous préviendra dès que des candidats postulent.',
+  APPLICANTS_HEADER: 'Candidats pour « {title} » ({count}) :',
+  APPLICANT_LINE: '{number}. {name} – {status}, a postulé le {date}',
+  APPLICANT_HAS_CV: ' – CV joint',
+  APPLICANT_UNNAMED: 'Candidat',
+  APPLICANTS_MORE: '... et {count} autre(s).',
+  APPLICANTS_HOW_TO_DECIDE: 'Pour répondre, dites « Présélectionner le candidat 1 », « Refuser le candidat 2 » ou « Embaucher le candidat 1 ». Kozi organise les entretiens avec les candidats présélectionnés.',
+  APPLICANT_WHICH: 'Quel candidat ? Dites par exemple « Présélectionner le candidat 1 ».',
+  APPLICANT_NO_LIST: 'Je vous montre d\'abord les candidats : dites « Voir mes candidats ».',
+  APPLICANT_NOT_FOUND: 'Je n\'ai pas trouvé le candidat numéro {number} dans la dernière liste.',
+  APPLICANT_UPDATED: '{name} est maintenant {status} pour « {title} ».',
+  APPLICANTS_ERROR: 'Je n\'arrive pas à charger vos offres pour le moment. Veuillez réessayer dans un instant.',
+  APPLICATION_STATUSES: {
+    pending: 'en attente',
+    reviewed: 'examiné(e)',
+    shortlisted: 'présélectionné(e)',
+    rejected: 'refusé(e)',
+    hired: 'embauché(e)'
+  },
+  JOB_STATUSES: {
+    active: 'ouverte',
+    filled: 'pourvue',
+    closed: 'fermée',
+    draft: 'brouillon'
+  },
+
+  HOMEPAGE_WELCOME: 'Bonjour 👋 Bienvenue chez Kozi ! Je peux vous présenter Kozi, nos services et nos frais, et vous expliquer comment vous inscrire comme chercheur d\'emploi ou comme employeur. Que souhaitez-vous savoir ?',
+  HANDOVER_DONE: 'Bienvenue ! 🎉 Votre compte est maintenant lié à cette conversation.',
+
+  DAILY_QUOTA_REACHED: 'Vous avez atteint la limite de discussion du jour 🙏 Je pourrai vous aider à nouveau dans environ {hours} heure(s). En attendant, vous pouvez consulter les offres et mettre à jour votre profil sur www.kozi.rw, ou écrire à support@kozi.rw.',
+
+  WORK_TYPES: {
+    'full-time': 'Temps plein',
+    'part-time': 'Temps partiel',
+    contract: 'Contrat',
+    temporary: 'Temporaire'
+  },
+
+  PROFILE_FIELDS: {
+    full_name: 'nom complet',
+    phone: 'numéro de téléphone',
+    location: 'lieu',
+    date_of_birth: 'date de naissance',
+    job_category: 'catégorie d\'emploi',
+    experience_level: 'niveau d\'expérience',
+    preferred_work_type: 'type de contrat souhaité',
+    cv: 'CV',
+    id: 'pièce d\'identité'
+  }
+};
+
+const MESSAGES = { en, rw, fr };
+
+module.exports = {
+  MESSAGES
+};
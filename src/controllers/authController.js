@@ -0,0 +1,100 @@
+const ProfileService = require('../services/profileService');
+const { User } = require('../core/db/models');
+const env = require('../config/environment');
+const { HTTP_STATUS, USER_TYPES, ROLES } = require('../config/constants');
+const { signToken } = require('../core/middleware/auth');
+const { hasAdminKey } = require('../core/middleware/adminAuth');
+const logger = require('../core/utils/logger');
+
+// Development login only where NODE_ENV says so explicitly: env defaults an unset NODE_ENV
+// to development, and that may well be a forgotten production setting
+const DEV_LOGIN_ENVIRONMENTS = ['development', 'test'];
+
+class AuthController {
+  constructor() {
+    this.profileService = new ProfileService();
+  }
+
+  /**
+   * Development login: a token for the user with `email` (created if missing, like the
+   * demo user). In production tokens come from the main Kozi platform only.
+   * Body: { email, user_type?, role? } – role 'admin' gives an admin token, and only with
+   * the X-Admin-Key header (ADMIN_API_KEY).
+   */
+  async login(req, res) {
+    try {
+      if (!env.AUTH_DEV_LOGIN || !DEV_LOGIN_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: 'Login is handled by the Kozi platform'
+        });
+      }
+
+      const { email, user_type = USER_TYPES.EMPLOYEE, role } = req.body;
+
+      if (!email) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: 'email is required'
+        });
+      }
+
+      if (!Object.values(USER_TYPES).includes(user_type) || (role && !Object.values(ROLES).includes(role))) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: `user_type must be one of: ${Object.values(USER_TYPES).join(', ')}; role one of: ${Object.values(ROLES).join(', ')}`
+        });
+      }
+
+      if (role === ROLES.ADMIN && !hasAdminKey(req)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          error: 'An admin token needs the X-Admin-Key header'
+        });
+      }
+
+      let user = await User.findByEmail(email);
+      if (!user) {
+        const userId = await User.create({ email, user_type });
+        await this.profileService.getOrCreateProfile(userId);
+        user = { id: userId, email, user_type };
+      }
+
+      const tokenRole = role === ROLES.ADMIN ? ROLES.ADMIN : user.user_type;
+      const token = signToken({ id: user.id, role: tokenRole, email: user.email });
+
+      logger.info('Development login', { userId: user.id, role: tokenRole });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          token,
+          user_id: user.id,
+          email: user.email,
+          user_type: user.user_type,
+          role: tokenRole
+        }
+      });
+    } catch (error) {
+      logger.error('Login failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to log in'
+      });
+    }
+  }
+
+  // The caller as read from their token
+  async me(req, res) {
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        user_id: req.user.id,
+        role: req.user.role,
+        email: req.user.email
+      }
+    });
+  }
+}
+
+module.exports = AuthController;
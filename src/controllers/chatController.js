@@ -1,7 +1,13 @@
 const ChatService = require('../services/chatService');
-const { HTTP_STATUS } = require('../config/constants');
+const { HTTP_STATUS, BOT_TYPES, ROLES } = require('../config/constants');
+const { BOTS, isSupportedBot, getBot } = require('../config/bots');
+const { isSupportedLanguage, DEFAULT_LANGUAGE } = require('../core/utils/i18n');
+const { canAccessUser, isAdmin } = require('../core/middleware/auth');
 const logger = require('../core/utils/logger');
 
+// Visitor tokens are chosen by us (hex) or by the embedding page; keep them opaque but sane
+const VISITOR_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
 class ChatController {
   constructor() {
     this.chatService = new ChatService();
@@ -13,20 +19,41 @@ class ChatController {
 
   async startSession(req, res) {
     try {
-      const { user_id } = req.body;
+      const { bot_type = BOT_TYPES.EMPLOYEE } = req.body;
 
-      if (!user_id) {
+      // The homepage bot is for visitors without an account
+      if (bot_type === BOT_TYPES.HOMEPAGE) {
+        return await this._startVisitorSession(req, res);
+      }
+
+      if (!req.user) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+
+      if (!isSupportedBot(bot_type)) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
           success: false,
-          error: 'user_id is required'
+          error: `bot_type must be one of: ${Object.keys(BOTS).join(', ')}`
+        });
+      }
+
+      // Admins may open a session for someone else (user_id); everyone else gets their own
+      const user_id = req.body.user_id ?? req.user.id;
+      if (!canAccessUser(req.user, user_id) || !this._mayUseBot(req.user, bot_type)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          error: `The ${bot_type} assistant is not available to this account`
         });
       }
 
       // 🔎 Trace: starting session (logger + console)
-      logger.info('chat-start', { user_id });
-      console.log('chat-start', { user_id });
+      logger.info('chat-start', { user_id, bot_type });
+      console.log('chat-start', { user_id, bot_type });
 
-      const result = await this.chatService.startSession(user_id);
+      const result = await this.chatService.startSession(user_id, bot_type);
 
       // 🔎 Trace: session result
       logger.info('chat-start-result', {
@@ -52,22 +79,95 @@ class ChatController {
     }
   }
 
+  // POST /api/chat/start with bot_type 'homepage': { visitor_token?, language? }
+  async _startVisitorSession(req, res) {
+    const { visitor_token, language = DEFAULT_LANGUAGE } = req.body;
+
+    if (visitor_token !== undefined && !VISITOR_TOKEN_PATTERN.test(String(visitor_token))) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        error: 'visitor_token must be 16-64 letters, digits, - or _'
+      });
+    }
+
+    if (!isSupportedLanguage(language)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        error: 'language must be one of: en, rw, fr'
+      });
+    }
+
+    logger.info('chat-start', { bot_type: BOT_TYPES.HOMEPAGE, visitor: true });
+
+    const result = await this.chatService.startVisitorSession(visitor_token || null, language);
+
+    logger.info('chat-start-result', { session_id: result.session_id, visitor: true });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: result
+    });
+  }
+
+  // Users chat with the bot for their role; admins with any
+  _mayUseBot(user, botType) {
+    return isAdmin(user) || getBot(botType).role === user.role;
+  }
+
+  /**
+   * Resolve the session a chat call is about and the user to act as. Homepage
+   * sessions need their visitor token and act as no user; other sessions need the
+   * owner's (or an admin's) bearer token and act as their owner. Someone else's
+   * session is reported as not found. Sends the error response and returns null
+   * when the call can't go ahead.
+   */
+  async _resolveCaller(req, res, { session_id, visitor_token }) {
+    const session = await this.chatService.getAccessibleSession(session_id, { visitorToken: visitor_token });
+    const anonymous = session && getBot(session.bot_type).anonymous;
+
+    if (session && !anonymous && !req.user) {
+      res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        error: 'Authentication required'
+      });
+      return null;
+    }
+
+    if (!session || (!anonymous && !canAccessUser(req.user, session.user_id))) {
+      res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        error: 'Chat session not found or expired'
+      });
+      return null;
+    }
+
+    return { session, userId: anonymous ? null : session.user_id };
+  }
+
+  // Who a visitor's token usage is charged to besides the shared anonymous budget
+  _budgetOptions(req, caller) {
+    return caller.userId ? {} : { visitorToken: caller.session.visitor_token, ip: req.ip };
+  }
+
   async sendMessage(req, res) {
     try {
-      const { session_id, user_id, message } = req.body;
+      const { session_id, message } = req.body;
 
-      if (!session_id || !user_id || !message) {
+      if (!session_id || !message) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
           success: false,
-          error: 'session_id, user_id, and message are required'
+          error: 'session_id and message are required'
         });
       }
 
+      const caller = await this._resolveCaller(req, res, req.body);
+      if (!caller) return;
+
       // 🔎 Trace: inbound user message
-      logger.info('chat-inbound', { session_id, user_id, msg: message });
-      console.log('chat-inbound', { session_id, user_id, msg: message });
+      logger.info('chat-inbound', { session_id, user_id: caller.userId, msg: message });
+      console.log('chat-inbound', { session_id, user_id: caller.userId, msg: message });
 
-      const result = await this.chatService.sendMessage(session_id, user_id, message);
+      const result = await this.chatService.sendMessage(session_id, caller.userId, message, this._budgetOptions(req, caller));
 
       // ✅ If ChatService attaches debug (e.g., { scope, hits }), log it. Safe if absent.
       if (result && result.debug) {
@@ -83,13 +183,13 @@ class ChatController {
 
       logger.info('chat-outbound', {
         session_id,
-        user_id,
+        user_id: caller.userId,
         msgPreview: preview,
         length: typeof result?.message === 'string' ? result.message.length : undefined
       });
       console.log('chat-outbound', {
         session_id,
-        user_id,
+        user_id: caller.userId,
         msgPreview: preview,
         length: typeof result?.message === 'string' ? result.message.length : undefined
       });
@@ -108,6 +208,119 @@ class ChatController {
     }
   }
 
+  /**
+   * Same as sendMessage, but answers over Server-Sent Events:
+   * `token` events carry partial text, a final `done` event carries the full
+   * response (intent, jobs context, persisted message id).
+   */
+  async streamMessage(req, res) {
+    const { session_id, message } = req.body;
+
+    if (!session_id || !message) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        error: 'session_id and message are required'
+      });
+    }
+
+    let caller;
+    try {
+      caller = await this._resolveCaller(req, res, req.body);
+    } catch (error) {
+      logger.error('Stream message failed', { error: error.message });
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to process message'
+      });
+    }
+    if (!caller) return;
+
+    res.status(HTTP_STATUS.OK).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let clientGone = false;
+    res.on('close', () => {
+      clientGone = true;
+    });
+
+    const sendEvent = (event, data) => {
+      if (clientGone) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let streamedTokens = 0;
+    const onToken = (text) => {
+      streamedTokens++;
+      sendEvent('token', { text });
+    };
+
+    try {
+      // 🔎 Trace: inbound user message
+      logger.info('chat-inbound', { session_id, user_id: caller.userId, msg: message, stream: true });
+      console.log('chat-inbound', { session_id, user_id: caller.userId, msg: message, stream: true });
+
+      const result = await this.chatService.sendMessage(session_id, caller.userId, message, { ...this._budgetOptions(req, caller), onToken });
+
+      // Intents that don't use the LLM answer in one piece
+      if (streamedTokens === 0 && typeof result?.message === 'string') {
+        sendEvent('token', { text: result.message });
+      }
+
+      logger.info('chat-outbound', {
+        session_id,
+        user_id: caller.userId,
+        stream: true,
+        tokens: streamedTokens,
+        length: typeof result?.message === 'string' ? result.message.length : undefined
+      });
+
+      sendEvent('done', { success: true, data: result });
+    } catch (error) {
+      logger.error('Stream message failed', { error: error.message });
+      console.error('Stream message failed', error);
+      sendEvent('error', { success: false, error: 'Failed to process message' });
+    } finally {
+      res.end();
+    }
+  }
+
+  // Inspect hybrid retrieval for a query (scores + sources) to tune the cut-offs
+  async searchKnowledge(req, res) {
+    try {
+      const { q, limit } = req.query;
+
+      if (!q) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: 'q is required'
+        });
+      }
+
+      const ragService = this.chatService.ragService;
+      const hits = await ragService.retrieve(q, Number(limit) || 6);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          query: q,
+          settings: ragService.getRetrievalSettings(),
+          hits
+        }
+      });
+    } catch (error) {
+      logger.error('Knowledge search failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to search knowledge base'
+      });
+    }
+  }
+
   async getHistory(req, res) {
     try {
       const { session_id } = req.params;
@@ -119,6 +332,9 @@ class ChatController {
         });
       }
 
+      // Homepage sessions are read with their visitor token (?visitor_token=)
+      if (!(await this._resolveCaller(req, res, { session_id, visitor_token: req.query.visitor_token }))) return;
+
       const result = await this.chatService.getSessionHistory(session_id);
 
       // 🔎 Trace: history fetch
@@ -142,7 +358,7 @@ class ChatController {
 
   async endSession(req, res) {
     try {
-      const { session_id } = req.body;
+      const { session_id, visitor_token } = req.body;
 
       if (!session_id) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -151,6 +367,8 @@ class ChatController {
         });
       }
 
+      if (!(await this._resolveCaller(req, res, { session_id, visitor_token }))) return;
+
       // 🔎 Trace: ending session
       logger.info('chat-end', { session_id });
       console.log('chat-end', { session_id });
@@ -175,6 +393,64 @@ class ChatController {
     }
   }
 
+  /**
+   * After a visitor signs up, continue their homepage conversation as the new user
+   * (the bearer token's). Body: { session_id, visitor_token, bot_type? }; bot_type
+   * defaults to the assistant for the user's role.
+   */
+  async handOver(req, res) {
+    try {
+      const { session_id, visitor_token } = req.body;
+      const user_id = req.body.user_id ?? req.user.id;
+      const bot_type = req.body.bot_type ||
+        (req.user.role === ROLES.EMPLOYER ? BOT_TYPES.EMPLOYER : BOT_TYPES.EMPLOYEE);
+
+      if (!session_id || !visitor_token) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: 'session_id and visitor_token are required'
+        });
+      }
+
+      if (!isSupportedBot(bot_type) || getBot(bot_type).anonymous) {
+        const types = Object.values(BOTS).filter(bot => !bot.anonymous).map(bot => bot.type);
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: `bot_type must be one of: ${types.join(', ')}`
+        });
+      }
+
+      if (!canAccessUser(req.user, user_id) || !this._mayUseBot(req.user, bot_type)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          error: `The ${bot_type} assistant is not available to this account`
+        });
+      }
+
+      logger.info('chat-handover', { session_id, user_id, bot_type });
+
+      const result = await this.chatService.handOverSession(session_id, visitor_token, user_id, bot_type);
+
+      if (!result) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: 'Visitor session not found or expired'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Session handover failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to hand over chat session'
+      });
+    }
+  }
+
   async getGuidance(req, res) {
     try {
       const { user_id } = req.params;
@@ -1,7 +1,11 @@
 const ChatController = require('./chatController');
 const ProfileController = require('./profileController');
+const KnowledgeController = require('./knowledgeController');
+const AuthController = require('./authController');
 
 module.exports = {
   ChatController,
-  ProfileController
+  ProfileController,
+  KnowledgeController,
+  AuthController
 };
\ No newline at end of file
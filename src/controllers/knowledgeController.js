@@ -0,0 +1,308 @@
+const path = require('path');
+const KnowledgeLoader = require('../services/knowledgeLoader');
+const { JOB_DOCUMENT_PREFIX } = require('../services/jobIndex');
+const { KnowledgeEntry } = require('../core/db/models');
+const { HTTP_STATUS, KNOWLEDGE_TYPES, UPLOAD_LIMITS } = require('../config/constants');
+const logger = require('../core/utils/logger');
+
+const ENTRY_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,190}$/i;
+
+class KnowledgeController {
+  constructor() {
+    this.knowledgeLoader = new KnowledgeLoader();
+  }
+
+  async initialize() {
+    await this.knowledgeLoader.initialize();
+  }
+
+  async listEntries(req, res) {
+    try {
+      const { type, category, q } = req.query;
+      const entries = await KnowledgeEntry.findAll({ type, category, q });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { count: entries.length, entries }
+      });
+    } catch (error) {
+      logger.error('List knowledge entries failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to list knowledge entries'
+      });
+    }
+  }
+
+  async getEntry(req, res) {
+    try {
+      const entry = await KnowledgeEntry.findByEntryId(req.params.entry_id);
+
+      if (!entry) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: 'Knowledge entry not found'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: entry
+      });
+    } catch (error) {
+      logger.error('Get knowledge entry failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to retrieve knowledge entry'
+      });
+    }
+  }
+
+  async createEntry(req, res) {
+    try {
+      const { entry_id, content, type, category, metadata = {} } = req.body;
+
+      const invalid = validateEntry({ entry_id, content, type, metadata }, { partial: false });
+      if (invalid) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, error: invalid });
+      }
+
+      if (await KnowledgeEntry.findByEntryId(entry_id)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: 'Knowledge entry already exists'
+        });
+      }
+
+      const entry = await KnowledgeEntry.create({ entry_id, content: content.trim(), type, category, metadata });
+      const indexed = await this.knowledgeLoader.indexEntry(entry);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        data: { entry, indexed }
+      });
+    } catch (error) {
+      logger.error('Create knowledge entry failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to create knowledge entry'
+      });
+    }
+  }
+
+  async updateEntry(req, res) {
+    try {
+      const { entry_id } = req.params;
+      const { content, type, category, metadata } = req.body;
+
+      const invalid = validateEntry({ content, type, metadata }, { partial: true });
+      if (invalid) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, error: invalid });
+      }
+
+      const entry = await KnowledgeEntry.update(entry_id, {
+        content: typeof content === 'string' ? content.trim() : undefined,
+        type,
+        category,
+        metadata
+      });
+
+      if (!entry) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: 'Knowledge entry not found'
+        });
+      }
+
+      const indexed = await this.knowledgeLoader.indexEntry(entry);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { entry, indexed }
+      });
+    } catch (error) {
+      logger.error('Update knowledge entry failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to update knowledge entry'
+      });
+    }
+  }
+
+  async deleteEntry(req, res) {
+    try {
+      const { entry_id } = req.params;
+      const deleted = await KnowledgeEntry.remove(entry_id);
+
+      if (!deleted) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: 'Knowledge entry not found'
+        });
+      }
+
+      const removed = await this.knowledgeLoader.removeEntry(entry_id);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { entry_id, deleted: true, vectors_removed: removed }
+      });
+    } catch (error) {
+      logger.error('Delete knowledge entry failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to delete knowledge entry'
+      });
+    }
+  }
+
+  // Full sync of entries + documents; only changed items are re-embedded
+  async reindex(req, res) {
+    try {
+      const stats = await this.knowledgeLoader.loadKoziKnowledge();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      logger.error('Knowledge reindex failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to re-index knowledge base'
+      });
+    }
+  }
+
+  async listDocuments(req, res) {
+    try {
+      const documents = this.knowledgeLoader.listDocuments();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { count: documents.length, documents }
+      });
+    } catch (error) {
+      logger.error('List knowledge documents failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to list documents'
+      });
+    }
+  }
+
+  /**
+   * Upload a document as JSON: { filename, content_base64 }.
+   * Re-uploading the same filename replaces the document and its chunks.
+   */
+  async uploadDocument(req, res) {
+    try {
+      const { filename, content_base64 } = req.body;
+
+      if (!filename || !content_base64) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: 'filename and content_base64 are required'
+        });
+      }
+
+      if (!isPlainFilename(filename) || !this.knowledgeLoader.isSupportedDocument(filename)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: 'Unsupported or invalid filename'
+        });
+      }
+
+      const buffer = Buffer.from(content_base64, 'base64');
+      if (!buffer.length) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: 'Document is empty'
+        });
+      }
+      if (buffer.length > UPLOAD_LIMITS.KB_DOCUMENT_MAX_SIZE) {
+        return res.status(HTTP_STATUS.PAYLOAD_TOO_LARGE).json({
+          success: false,
+          error: 'Document is too large'
+        });
+      }
+
+      const stats = await this.knowledgeLoader.saveDocument(filename, buffer);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        data: { filename, size: buffer.length, ...stats }
+      });
+    } catch (error) {
+      logger.error('Upload knowledge document failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to index document'
+      });
+    }
+  }
+
+  async deleteDocument(req, res) {
+    try {
+      const { filename } = req.params;
+
+      if (!isPlainFilename(filename)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: 'Invalid filename'
+        });
+      }
+
+      const { existed, removed } = await this.knowledgeLoader.removeDocument(filename);
+
+      if (!existed && !removed) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { filename, deleted: true, vectors_removed: removed }
+      });
+    } catch (error) {
+      logger.error('Delete knowledge document failed', { error: error.message });
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: 'Failed to delete document'
+      });
+    }
+  }
+}
+
+// Returns an error message, or null when the entry fields are acceptable
+function validateEntry({ entry_id, content, type, metadata }, { partial }) {
+  if (!partial) {
+    if (!entry_id || !content || !type) return 'entry_id, content, and type are required';
+    if (!ENTRY_ID_PATTERN.test(entry_id)) {
+      return 'entry_id may only contain letters, digits, ".", "_" and "-"';
+    }
+    // The job search index keeps its vectors in the same store under these ids
+    if (entry_id.toLowerCase().startsWith(JOB_DOCUMENT_PREFIX)) {
+      return `entry_id may not start with "${JOB_DOCUMENT_PREFIX}" (reserved for jobs)`;
+    }
+  }
+  if (content !== undefined && (typeof content !== 'string' || !content.trim())) {
+    return 'content must be a non-empty string';
+  }
+  if (type !== undefined && !KNOWLEDGE_TYPES.includes(type)) {
+    return `type must be one of: ${KNOWLEDGE_TYPES.join(', ')}`;
+  }
+  if (metadata !== undefined && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+    return 'metadata must be an object';
+  }
+  return null;
+}
+
+// No directories or traversal — documents always live directly in data/docs
+function isPlainFilename(filename) {
+  return typeof filename === 'string' && filename === path.basename(filename) && !filename.startsWith('.');
+}
+
+module.exports = KnowledgeController;
@@ -1,6 +1,9 @@
 const ProfileService = require('../services/profileService');
 const { User } = require('../core/db/models');
 const { HTTP_STATUS } = require('../config/constants');
+const { WORK_TYPES } = require('../config/intents');
+const { isSupportedLanguage, SUPPORTED_LANGUAGES } = require('../core/utils/i18n');
+const { canAccessUser } = require('../core/middleware/auth');
 const logger = require('../core/utils/logger');
 
 class ProfileController {
@@ -86,6 +89,20 @@ class ProfileController {
         });
       }
 
+      if (updateData.preferred_language !== undefined && !isSupportedLanguage(updateData.preferred_language)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: `preferred_language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`
+        });
+      }
+
+      if (updateData.preferred_work_type && !WORK_TYPES[updateData.preferred_work_type]) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          error: `preferred_work_type must be one of: ${Object.keys(WORK_TYPES).join(', ')}`
+        });
+      }
+
       const result = await this.profileService.updateProfile(user_id, updateData);
       
       res.status(HTTP_STATUS.OK).json({
@@ -175,7 +192,8 @@ class ProfileController {
 
       const user = await User.findByEmail(email);
       
-      if (!user) {
+      // Other people's accounts look the same as missing ones
+      if (!user || !canAccessUser(req.user, user.id)) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
           success: false,
           error: 'User not found'
@@ -0,0 +1,136 @@
+// src/core/db/models/ApplicationOutbox.js
+const { pool } = require('../connection');
+const logger = require('../../utils/logger');
+
+// Applications waiting to be (or already) sent to the main Kozi platform; see migration 009
+class ApplicationOutbox {
+  // Queue an application for submission (once; a second call is ignored)
+  static async enqueue(applicationId) {
+    const query = 'INSERT IGNORE INTO application_outbox (application_id) VALUES (?)';
+
+    try {
+      const [result] = await pool.execute(query, [applicationId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error queueing application for submission', { error: error.message, applicationId });
+      throw error;
+    }
+  }
+
+  // Pending submissions whose next attempt is due, with everything the platform needs
+  static async findDue(limit = 20) {
+    const query = `
+      SELECT o.*, ja.user_id, ja.cover_letter, ja.cv_file_path, ja.applied_at,
+        j.external_id, j.title, u.email, p.full_name, p.phone
+      FROM application_outbox o
+      JOIN job_applications ja ON o.application_id = ja.id
+      JOIN jobs j ON ja.job_id = j.id
+      JOIN users u ON ja.user_id = u.id
+      LEFT JOIN profiles p ON ja.user_id = p.user_id
+      WHERE o.status = 'pending' AND o.next_attempt_at <= NOW()
+      ORDER BY o.next_attempt_at ASC
+      LIMIT ?
+    `;
+
+    try {
+      const [rows] = await pool.execute(query, [parseInt(limit)]);
+      return rows;
+    } catch (error) {
+      logger.error('Error finding due submissions', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Submitted applications whose outcome isn't final yet, least recently checked first
+   * (optionally only one user's). upstream_application_id is null where the platform
+   * already had the application (409); external_id and email identify it there.
+   */
+  static async findToReconcile({ userId = null, limit = 50 } = {}) {
+    let query = `
+      SELECT o.*, ja.user_id, ja.status AS application_status, j.external_id, u.email
+      FROM application_outbox o
+      JOIN job_applications ja ON o.application_id = ja.id
+      JOIN jobs j ON ja.job_id = j.id
+      JOIN users u ON ja.user_id = u.id
+      WHERE o.status = 'submitted'
+        AND ja.status NOT IN ('rejected', 'hired')
+    `;
+    const params = [];
+
+    if (userId) {
+      query += ' AND ja.user_id = ?';
+      params.push(userId);
+    }
+
+    query += ' ORDER BY o.reconciled_at IS NOT NULL, o.reconciled_at ASC LIMIT ?';
+    params.push(parseInt(limit));
+
+    try {
+      const [rows] = await pool.execute(query, params);
+      return rows;
+    } catch (error) {
+      logger.error('Error finding submissions to reconcile', { error: error.message });
+      throw error;
+    }
+  }
+
+  static async markSubmitted(id, { upstreamId = null, upstreamStatus = null } = {}) {
+    const query = `
+      UPDATE application_outbox
+      SET status = 'submitted', attempts = attempts + 1, last_error = NULL,
+        upstream_application_id = ?, upstream_status = ?, submitted_at = NOW()
+      WHERE id = ?
+    `;
+
+    try {
+      await pool.execute(query, [upstreamId, upstreamStatus, id]);
+    } catch (error) {
+      logger.error('Error marking submission sent', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  // A failed attempt: retry at `nextAttemptAt`, or give up when it is null
+  static async markAttemptFailed(id, errorMessage, nextAttemptAt = null) {
+    const query = `
+      UPDATE application_outbox
+      SET attempts = attempts + 1, last_error = ?,
+        status = IF(? IS NULL, 'failed', 'pending'),
+        next_attempt_at = COALESCE(?, next_attempt_at)
+      WHERE id = ?
+    `;
+
+    try {
+      await pool.execute(query, [String(errorMessage).slice(0, 1000), nextAttemptAt, nextAttemptAt, id]);
+    } catch (error) {
+      logger.error('Error recording failed submission', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  // The platform's id, found after the submission (see findToReconcile)
+  static async setUpstreamId(id, upstreamId) {
+    const query = 'UPDATE application_outbox SET upstream_application_id = ? WHERE id = ?';
+
+    try {
+      await pool.execute(query, [upstreamId, id]);
+    } catch (error) {
+      logger.error('Error recording upstream application id', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  static async markReconciled(id, upstreamStatus) {
+    const query = 'UPDATE application_outbox SET upstream_status = ?, reconciled_at = NOW() WHERE id = ?';
+
+    try {
+      await pool.execute(query, [upstreamStatus, id]);
+    } catch (error) {
+      logger.error('Error recording reconciled status', { error: error.message, id });
+      throw error;
+    }
+  }
+}
+
+module.exports = ApplicationOutbox;
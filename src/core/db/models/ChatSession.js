@@ -1,4 +1,5 @@
 const { pool } = require('../connection');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger');
 const { BOT_TYPES } = require('../../../config/constants');
 
@@ -19,8 +20,29 @@ class ChatSession {
     }
   }
 
+  // Anonymous homepage session, owned by a visitor token until it expires or is handed over
+  static async createForVisitor(visitorToken, sessionId, expiresAt) {
+    const query = `
+      INSERT INTO chat_sessions (user_id, visitor_token, session_id, bot_type, messages, context, expires_at)
+      VALUES (NULL, ?, ?, ?, JSON_ARRAY(), JSON_OBJECT(), ?)
+    `;
+
+    try {
+      const [result] = await pool.execute(query, [visitorToken, sessionId, BOT_TYPES.HOMEPAGE, expiresAt]);
+      logger.info('Visitor chat session created', { sessionId, expiresAt });
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error creating visitor chat session', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+
   static async findBySessionId(sessionId) {
-    const query = 'SELECT * FROM chat_sessions WHERE session_id = ? AND is_active = true';
+    const query = `
+      SELECT * FROM chat_sessions
+      WHERE session_id = ? AND is_active = true
+        AND (expires_at IS NULL OR expires_at > NOW())
+    `;
     
     try {
       const [rows] = await pool.execute(query, [sessionId]);
@@ -39,13 +61,16 @@ class ChatSession {
     }
   }
 
-  static async addMessage(sessionId, message, sender = 'user') {
+  // `extras` holds structured data stored alongside the text (e.g. citations)
+  static async addMessage(sessionId, message, sender = 'user', extras = {}) {
     const session = await this.findBySessionId(sessionId);
     if (!session) throw new Error('Chat session not found');
 
     const newMessage = {
+      id: uuidv4(),
       sender,
       message,
+      ...extras,
       timestamp: new Date().toISOString()
     };
 
@@ -56,6 +81,7 @@ class ChatSession {
     try {
       await pool.execute(query, [JSON.stringify(session.messages), sessionId]);
       logger.info('Message added to chat session', { sessionId, sender });
+      return newMessage.id;
     } catch (error) {
       logger.error('Error adding message to chat session', { error: error.message, sessionId });
       throw error;
@@ -96,6 +122,55 @@ class ChatSession {
     }
   }
 
+  // Push back the expiry of a visitor session (sliding idle timeout)
+  static async extendExpiry(sessionId, expiresAt) {
+    const query = 'UPDATE chat_sessions SET expires_at = ? WHERE session_id = ? AND expires_at IS NOT NULL';
+
+    try {
+      await pool.execute(query, [expiresAt, sessionId]);
+    } catch (error) {
+      logger.error('Error extending chat session expiry', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a visitor session over to a registered user: it becomes an ordinary session
+   * of `botType` and stops expiring. Only succeeds with the session's own visitor
+   * token while it is live. Returns true if the session was claimed.
+   */
+  static async claimForUser(sessionId, visitorToken, userId, botType) {
+    const query = `
+      UPDATE chat_sessions
+      SET user_id = ?, bot_type = ?, visitor_token = NULL, expires_at = NULL
+      WHERE session_id = ? AND visitor_token = ? AND user_id IS NULL
+        AND is_active = true AND expires_at > NOW()
+    `;
+
+    try {
+      const [result] = await pool.execute(query, [userId, botType, sessionId, visitorToken]);
+      if (result.affectedRows) logger.info('Visitor chat session handed over', { sessionId, userId, botType });
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error handing over chat session', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+
+  // Delete expired visitor sessions. Returns the number removed.
+  static async deleteExpired() {
+    const query = 'DELETE FROM chat_sessions WHERE user_id IS NULL AND expires_at IS NOT NULL AND expires_at <= NOW()';
+
+    try {
+      const [result] = await pool.execute(query);
+      if (result.affectedRows) logger.info('Expired visitor chat sessions deleted', { count: result.affectedRows });
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error deleting expired chat sessions', { error: error.message });
+      throw error;
+    }
+  }
+
   static async deactivate(sessionId) {
     const query = 'UPDATE chat_sessions SET is_active = false WHERE session_id = ?';
 
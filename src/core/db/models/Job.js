@@ -59,6 +59,23 @@ class Job {
     }
   }
 
+  // All of an employer's jobs (any status), newest first
+  static async findByEmployerId(employerId) {
+    const query = `
+      SELECT * FROM jobs
+      WHERE employer_id = ?
+      ORDER BY posted_date DESC, id DESC
+    `;
+
+    try {
+      const [rows] = await pool.execute(query, [employerId]);
+      return rows;
+    } catch (error) {
+      logger.error('Error finding employer jobs', { error: error.message, employerId });
+      throw error;
+    }
+  }
+
   static async findActive(filters = {}) {
     let query = `
       SELECT j.*, u.email as employer_email
@@ -112,46 +129,112 @@ class Job {
     }
   }
 
-  static async findRecommended(userId, limit = 10) {
-    // Get user profile to match with jobs
-    const profileQuery = 'SELECT * FROM profiles WHERE user_id = ?';
-    const [profiles] = await pool.execute(profileQuery, [userId]);
-    
-    if (!profiles.length) {
-      return this.findActive({ limit });
+  // The local mirror of an upstream job
+  static async findByExternalId(externalId) {
+    const query = 'SELECT * FROM jobs WHERE external_id = ?';
+
+    try {
+      const [rows] = await pool.execute(query, [String(externalId)]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding job by external id', { error: error.message, externalId });
+      throw error;
     }
+  }
+
+  /**
+   * Insert or update the mirror of an upstream job (keyed by external_id) and return its
+   * local id. Local counters (views, applications_count) are kept on update.
+   */
+  static async upsertExternal(jobData, syncedAt = new Date()) {
+    const {
+      external_id,
+      title,
+      category,
+      description,
+      requirements,
+      salary_min,
+      salary_max,
+      salary_currency,
+      location,
+      work_type,
+      experience_level,
+      education_level,
+      status,
+      positions_available,
+      positions_filled,
+      posted_date,
+      application_deadline,
+      start_date
+    } = jobData;
 
-    const profile = profiles[0];
-    
     const query = `
-      SELECT j.*, u.email as employer_email,
-        CASE 
-          WHEN j.category = ? THEN 3
-          WHEN j.experience_level = ? THEN 2
-          WHEN j.location LIKE ? THEN 1
-          ELSE 0
-        END as match_score
-      FROM jobs j
-      LEFT JOIN users u ON j.employer_id = u.id
-      WHERE j.status = 'active'
-        AND j.positions_available > j.positions_filled
-        AND (j.application_deadline IS NULL OR j.application_deadline >= CURDATE())
-      ORDER BY match_score DESC, j.posted_date DESC
-      LIMIT ?
+      INSERT INTO jobs (
+        external_id, employer_id, title, category, description, requirements,
+        salary_min, salary_max, salary_currency, location, work_type, experience_level,
+        education_level, status, positions_available, positions_filled, posted_date,
+        application_deadline, start_date, synced_at
+      ) VALUES (?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        id = LAST_INSERT_ID(id),
+        title = VALUES(title),
+        category = VALUES(category),
+        description = VALUES(description),
+        requirements = VALUES(requirements),
+        salary_min = VALUES(salary_min),
+        salary_max = VALUES(salary_max),
+        salary_currency = VALUES(salary_currency),
+        location = VALUES(location),
+        work_type = VALUES(work_type),
+        experience_level = VALUES(experience_level),
+        education_level = VALUES(education_level),
+        status = VALUES(status),
+        positions_available = VALUES(positions_available),
+        positions_filled = VALUES(positions_filled),
+        posted_date = VALUES(posted_date),
+        application_deadline = VALUES(application_deadline),
+        start_date = VALUES(start_date),
+        synced_at = VALUES(synced_at)
     `;
 
     try {
-      const [rows] = await pool.execute(query, [
-        profile.job_category,
-        profile.experience_level,
-        `%${profile.location}%`,
-        limit
+      const [result] = await pool.execute(query, [
+        external_id, title, category, description, requirements,
+        salary_min, salary_max, salary_currency, location, work_type, experience_level,
+        education_level, status, positions_available, positions_filled, posted_date,
+        application_deadline, start_date, syncedAt
       ]);
-      
-      logger.info('Recommended jobs retrieved', { userId, count: rows.length });
-      return rows;
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error upserting upstream job', { error: error.message, externalId: external_id });
+      throw error;
+    }
+  }
+
+  /**
+   * Close active upstream mirrors not synced since `syncedBefore` (gone from the feed),
+   * except `keepExternalIds` (in the feed but not saved this time). Returns how many.
+   */
+  static async closeUnsynced(syncedBefore, keepExternalIds = []) {
+    let query = `
+      UPDATE jobs SET status = 'closed'
+      WHERE external_id IS NOT NULL
+        AND status = 'active'
+        AND (synced_at IS NULL OR synced_at < ?)
+    `;
+    const params = [syncedBefore];
+
+    if (keepExternalIds.length > 0) {
+      query += ` AND external_id NOT IN (${keepExternalIds.map(() => '?').join(', ')})`;
+      params.push(...keepExternalIds);
+    }
+
+    try {
+      const [result] = await pool.execute(query, params);
+      if (result.affectedRows) logger.info('Closed upstream jobs no longer in the feed', { count: result.affectedRows });
+      return result.affectedRows;
     } catch (error) {
-      logger.error('Error finding recommended jobs', { error: error.message, userId });
+      logger.error('Error closing unsynced jobs', { error: error.message });
       throw error;
     }
   }
@@ -224,9 +307,11 @@ class JobApplication {
 
   static async findByUserId(userId) {
     const query = `
-      SELECT ja.*, j.title, j.category, j.location, j.employer_id
+      SELECT ja.*, j.title, j.category, j.location, j.employer_id, j.external_id,
+        o.status AS submission_status, o.submitted_at
       FROM job_applications ja
       JOIN jobs j ON ja.job_id = j.id
+      LEFT JOIN application_outbox o ON o.application_id = ja.id
       WHERE ja.user_id = ?
       ORDER BY ja.applied_at DESC
     `;
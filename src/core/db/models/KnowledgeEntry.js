@@ -0,0 +1,151 @@
+// src/core/db/models/KnowledgeEntry.js
+const { pool } = require('../connection');
+const logger = require('../../utils/logger');
+
+// Columns that live outside the metadata JSON
+const FIELDS = ['content', 'type', 'category'];
+
+class KnowledgeEntry {
+  /**
+   * Insert built-in entries that are not in the table yet. Existing rows
+   * (including edited or deleted ones) are left alone.
+   */
+  static async seed(entries) {
+    const query = `
+      INSERT IGNORE INTO knowledge_entries (entry_id, content, type, category, metadata, origin)
+      VALUES (?, ?, ?, ?, ?, 'builtin')
+    `;
+
+    try {
+      let inserted = 0;
+      for (const entry of entries) {
+        const { type, category, ...metadata } = entry.metadata || {};
+        const [result] = await pool.execute(query, [
+          entry.id, entry.content, type, category || null, JSON.stringify(metadata)
+        ]);
+        inserted += result.affectedRows;
+      }
+      if (inserted) logger.info('Knowledge entries seeded', { inserted });
+      return inserted;
+    } catch (error) {
+      logger.error('Error seeding knowledge entries', { error: error.message });
+      throw error;
+    }
+  }
+
+  static async create({ entry_id, content, type, category = null, metadata = {} }) {
+    const query = `
+      INSERT INTO knowledge_entries (entry_id, content, type, category, metadata, origin)
+      VALUES (?, ?, ?, ?, ?, 'admin')
+      ON DUPLICATE KEY UPDATE
+        content = VALUES(content), type = VALUES(type), category = VALUES(category),
+        metadata = VALUES(metadata), version = version + 1, is_active = TRUE
+    `;
+
+    try {
+      await pool.execute(query, [entry_id, content, type, category, JSON.stringify(metadata)]);
+      logger.info('Knowledge entry created', { entry_id, type });
+      return this.findByEntryId(entry_id);
+    } catch (error) {
+      logger.error('Error creating knowledge entry', { error: error.message, entry_id });
+      throw error;
+    }
+  }
+
+  static async findByEntryId(entryId) {
+    const query = 'SELECT * FROM knowledge_entries WHERE entry_id = ? AND is_active = TRUE';
+
+    try {
+      const [rows] = await pool.execute(query, [entryId]);
+      return rows[0] ? hydrate(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding knowledge entry', { error: error.message, entryId });
+      throw error;
+    }
+  }
+
+  static async findAll(filters = {}) {
+    let query = 'SELECT * FROM knowledge_entries WHERE is_active = TRUE';
+    const params = [];
+
+    if (filters.type) {
+      query += ' AND type = ?';
+      params.push(filters.type);
+    }
+
+    if (filters.category) {
+      query += ' AND category = ?';
+      params.push(filters.category);
+    }
+
+    if (filters.q) {
+      query += ' AND (entry_id LIKE ? OR content LIKE ?)';
+      params.push(`%${filters.q}%`, `%${filters.q}%`);
+    }
+
+    query += ' ORDER BY type, entry_id';
+
+    try {
+      const [rows] = await pool.execute(query, params);
+      return rows.map(hydrate);
+    } catch (error) {
+      logger.error('Error listing knowledge entries', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a partial update and bump the version. Returns the updated entry or null.
+   */
+  static async update(entryId, changes) {
+    const current = await this.findByEntryId(entryId);
+    if (!current) return null;
+
+    const next = { ...current };
+    FIELDS.forEach(field => {
+      if (changes[field] !== undefined) next[field] = changes[field];
+    });
+    if (changes.metadata !== undefined) next.metadata = changes.metadata || {};
+
+    const query = `
+      UPDATE knowledge_entries
+      SET content = ?, type = ?, category = ?, metadata = ?, version = version + 1
+      WHERE entry_id = ? AND is_active = TRUE
+    `;
+
+    try {
+      await pool.execute(query, [
+        next.content, next.type, next.category || null, JSON.stringify(next.metadata), entryId
+      ]);
+      logger.info('Knowledge entry updated', { entry_id: entryId, version: current.version + 1 });
+      return this.findByEntryId(entryId);
+    } catch (error) {
+      logger.error('Error updating knowledge entry', { error: error.message, entryId });
+      throw error;
+    }
+  }
+
+  // Soft delete, so a removed built-in entry is not seeded again on the next boot
+  static async remove(entryId) {
+    const query = `
+      UPDATE knowledge_entries SET is_active = FALSE, version = version + 1
+      WHERE entry_id = ? AND is_active = TRUE
+    `;
+
+    try {
+      const [result] = await pool.execute(query, [entryId]);
+      logger.info('Knowledge entry deleted', { entry_id: entryId });
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting knowledge entry', { error: error.message, entryId });
+      throw error;
+    }
+  }
+}
+
+function hydrate(row) {
+  const metadata = typeof row.metadata === 'string' ? JSON.parse(row.metadata || '{}') : row.metadata || {};
+  return { ...row, metadata };
+}
+
+module.exports = KnowledgeEntry;
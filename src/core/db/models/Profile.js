@@ -33,7 +33,7 @@ class Profile {
   }
 
   static async update(userId, updateData) {
-    const allowedFields = ['full_name', 'phone', 'location', 'date_of_birth', 'job_category', 'experience_level'];
+    const allowedFields = ['full_name', 'phone', 'location', 'date_of_birth', 'job_category', 'experience_level', 'preferred_work_type', 'preferred_language'];
     const updates = [];
     const values = [];
 
@@ -0,0 +1,146 @@
+// src/core/db/models/SavedSearch.js
+const { pool } = require('../connection');
+const logger = require('../../utils/logger');
+
+// mysql2 parses JSON columns, but be lenient with rows written as text
+function parseFilters(row) {
+  if (typeof row.filters === 'string') {
+    try {
+      row.filters = JSON.parse(row.filters);
+    } catch {
+      row.filters = {};
+    }
+  }
+  row.filters = row.filters || {};
+  return row;
+}
+
+// Job searches users get new-job alerts for, and the jobs each has matched; see migration 011
+class SavedSearch {
+  static async create(userId, { filters = {}, query = null, language = 'en' }) {
+    const sql = 'INSERT INTO saved_searches (user_id, filters, query, language) VALUES (?, ?, ?, ?)';
+
+    try {
+      const [result] = await pool.execute(sql, [userId, JSON.stringify(filters), query, language]);
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error saving job search', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  static async findActiveByUserId(userId) {
+    const sql = 'SELECT * FROM saved_searches WHERE user_id = ? AND active = TRUE ORDER BY created_at ASC';
+
+    try {
+      const [rows] = await pool.execute(sql, [userId]);
+      return rows.map(parseFilters);
+    } catch (error) {
+      logger.error('Error finding saved searches', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  // Turn off all of a user's alerts; returns how many were active
+  static async deactivateByUserId(userId) {
+    const sql = 'UPDATE saved_searches SET active = FALSE WHERE user_id = ? AND active = TRUE';
+
+    try {
+      const [result] = await pool.execute(sql, [userId]);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error turning off saved searches', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  // Every active search, least recently checked first
+  static async findActive() {
+    const sql = `
+      SELECT * FROM saved_searches
+      WHERE active = TRUE
+      ORDER BY checked_at IS NOT NULL, checked_at ASC
+    `;
+
+    try {
+      const [rows] = await pool.execute(sql);
+      return rows.map(parseFilters);
+    } catch (error) {
+      logger.error('Error finding active saved searches', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record feed jobs (upstream ids) a search matches. Jobs it already matched are left as
+   * they are; returns how many were recorded for the first time.
+   */
+  static async recordJobs(savedSearchId, jobIds, status = 'new') {
+    if (!jobIds.length) return 0;
+
+    const sql = `
+      INSERT IGNORE INTO saved_search_jobs (saved_search_id, job_id, status)
+      VALUES ${jobIds.map(() => '(?, ?, ?)').join(', ')}
+    `;
+    const params = jobIds.flatMap(jobId => [savedSearchId, String(jobId), status]);
+
+    try {
+      const [result] = await pool.execute(sql, params);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error recording saved search jobs', { error: error.message, savedSearchId });
+      throw error;
+    }
+  }
+
+  static async markChecked(id) {
+    const sql = 'UPDATE saved_searches SET checked_at = NOW() WHERE id = ?';
+
+    try {
+      await pool.execute(sql, [id]);
+    } catch (error) {
+      logger.error('Error marking saved search checked', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  // Jobs found for the user's active searches that they haven't been told about yet
+  static async findNewJobsByUserId(userId) {
+    const sql = `
+      SELECT ssj.saved_search_id, ssj.job_id, ssj.found_at, s.filters, s.query
+      FROM saved_search_jobs ssj
+      JOIN saved_searches s ON ssj.saved_search_id = s.id
+      WHERE s.user_id = ? AND s.active = TRUE AND ssj.status = 'new'
+      ORDER BY ssj.found_at DESC
+    `;
+
+    try {
+      const [rows] = await pool.execute(sql, [userId]);
+      return rows.map(parseFilters);
+    } catch (error) {
+      logger.error('Error finding new saved search jobs', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  static async markNotified(userId, jobIds) {
+    if (!jobIds.length) return;
+
+    const sql = `
+      UPDATE saved_search_jobs ssj
+      JOIN saved_searches s ON ssj.saved_search_id = s.id
+      SET ssj.status = 'notified', ssj.notified_at = NOW()
+      WHERE s.user_id = ? AND ssj.status = 'new'
+        AND ssj.job_id IN (${jobIds.map(() => '?').join(', ')})
+    `;
+
+    try {
+      await pool.execute(sql, [userId, ...jobIds.map(String)]);
+    } catch (error) {
+      logger.error('Error marking saved search jobs notified', { error: error.message, userId });
+      throw error;
+    }
+  }
+}
+
+module.exports = SavedSearch;
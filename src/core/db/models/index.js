@@ -2,11 +2,17 @@ const User = require('./User');
 const Profile = require('./Profile');
 const ChatSession = require('./ChatSession');
 const { Job, JobApplication } = require('./Job');
+const KnowledgeEntry = require('./KnowledgeEntry');
+const ApplicationOutbox = require('./ApplicationOutbox');
+const SavedSearch = require('./SavedSearch');
 
 module.exports = {
   User,
   Profile,
   ChatSession,
   Job,
-  JobApplication
+  JobApplication,
+  KnowledgeEntry,
+  ApplicationOutbox,
+  SavedSearch
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const env = require('../../config/environment');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../../config/constants');
+const { readToken, verifyToken, isAdmin } = require('./auth');
+
+// Whether the request carries the shared X-Admin-Key (never true while ADMIN_API_KEY is unset)
+function hasAdminKey(req) {
+  if (!env.ADMIN_API_KEY) return false;
+
+  const provided = Buffer.from(req.get('X-Admin-Key') || '');
+  const expected = Buffer.from(env.ADMIN_API_KEY);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Guard for /api/admin: an admin bearer token, or the shared X-Admin-Key (scripts such as
+// `npm run kb`). The key is only accepted once ADMIN_API_KEY is set.
+const requireAdmin = (req, res, next) => {
+  const token = readToken(req);
+  if (token) {
+    try {
+      req.user = verifyToken(token);
+    } catch (error) {
+      logger.warn('Rejected admin token', { method: req.method, url: req.url, ip: req.ip, error: error.message });
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+
+    if (isAdmin(req.user)) return next();
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      error: 'This action requires the admin role'
+    });
+  }
+
+  if (!env.ADMIN_API_KEY) {
+    return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+      success: false,
+      error: 'Admin API key is disabled (ADMIN_API_KEY not set); use an admin token'
+    });
+  }
+
+  if (!hasAdminKey(req)) {
+    logger.warn('Rejected admin request', { method: req.method, url: req.url, ip: req.ip });
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      error: 'Invalid or missing admin key'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin,
+  hasAdminKey
+};
@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+const env = require('../../config/environment');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, ROLES } = require('../../config/constants');
+
+// Bearer-token auth. Tokens are HS256 JWTs signed with JWT_SECRET, issued by the main
+// Kozi platform (or by POST /api/auth/login in development). The user id is read from
+// `sub` (or `user_id` / `id`) and the role from `role` (or `user_type`).
+
+const ALGORITHMS = ['HS256'];
+
+function readToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Verify a token and map its claims to { id, role, email }. Throws when invalid or expired.
+function verifyToken(token) {
+  const claims = jwt.verify(token, env.JWT_SECRET, {
+    algorithms: ALGORITHMS,
+    ...(env.JWT_ISSUER && { issuer: env.JWT_ISSUER })
+  });
+
+  const id = claims.sub ?? claims.user_id ?? claims.id;
+  const role = claims.role ?? claims.user_type;
+  if (id === undefined || id === null || !Object.values(ROLES).includes(role)) {
+    throw new Error('Token is missing a user id or a known role');
+  }
+
+  return { id: String(id), role, email: claims.email || null };
+}
+
+function signToken({ id, role, email }) {
+  return jwt.sign({ sub: String(id), role, ...(email && { email }) }, env.JWT_SECRET, {
+    algorithm: ALGORITHMS[0],
+    expiresIn: env.JWT_EXPIRES_IN,
+    ...(env.JWT_ISSUER && { issuer: env.JWT_ISSUER })
+  });
+}
+
+function isAdmin(user) {
+  return user?.role === ROLES.ADMIN;
+}
+
+// A user may act on their own data; admins on anyone's
+function canAccessUser(user, userId) {
+  return Boolean(user) && (isAdmin(user) || String(user.id) === String(userId));
+}
+
+function rejectToken(req, res, error) {
+  logger.warn('Rejected bearer token', { method: req.method, url: req.url, ip: req.ip, error: error.message });
+  return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+    success: false,
+    error: 'Invalid or expired token'
+  });
+}
+
+// Requires a valid bearer token; sets req.user
+const authenticate = (req, res, next) => {
+  const token = readToken(req);
+  if (!token) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (error) {
+    rejectToken(req, res, error);
+  }
+};
+
+// Sets req.user when a token is sent (an invalid one is still rejected); for routes visitors may use too
+const optionalAuth = (req, res, next) => {
+  const token = readToken(req);
+  if (!token) return next();
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (error) {
+    rejectToken(req, res, error);
+  }
+};
+
+// Use after authenticate. Admins pass every role check.
+const requireRole = (...roles) => (req, res, next) => {
+  if (isAdmin(req.user) || roles.includes(req.user?.role)) return next();
+
+  return res.status(HTTP_STATUS.FORBIDDEN).json({
+    success: false,
+    error: `This action requires the ${roles.join(' or ')} role`
+  });
+};
+
+// Use after authenticate: the route's :param must be the caller's own user id
+const requireSelf = (param = 'user_id') => (req, res, next) => {
+  if (canAccessUser(req.user, req.params[param])) return next();
+
+  return res.status(HTTP_STATUS.FORBIDDEN).json({
+    success: false,
+    error: 'You can only access your own data'
+  });
+};
+
+module.exports = {
+  authenticate,
+  optionalAuth,
+  requireRole,
+  requireSelf,
+  canAccessUser,
+  isAdmin,
+  signToken,
+  verifyToken,
+  readToken
+};
@@ -0,0 +1,68 @@
+const env = require('../../config/environment');
+const logger = require('../utils/logger');
+const { getCounterStore } = require('../utils/counterStore');
+const { HTTP_STATUS } = require('../../config/constants');
+
+/**
+ * Fixed-window rate limiter over the shared counter store. Each rule counts requests
+ * per key (user, IP, chat session, ...); a request over any rule's `max` gets a 429 with
+ * Retry-After. Rules whose key is missing (e.g. no user on a visitor request) are skipped.
+ * If the store is unreachable, requests are let through rather than failing.
+ *
+ *   rateLimit('chat', [{ scope: 'ip', max: 60, key: req => req.ip }])
+ */
+function rateLimit(name, rules, { windowSeconds = env.RATE_LIMIT_WINDOW_SECONDS, message } = {}) {
+  const windowMs = windowSeconds * 1000;
+
+  return async (req, res, next) => {
+    let blocked = null;
+
+    try {
+      const store = getCounterStore();
+
+      for (const rule of rules) {
+        const key = rule.key(req);
+        if (key === undefined || key === null || key === '') continue;
+
+        const { count, resetMs } = await store.increment(`rate:${name}:${rule.scope}:${key}`, 1, windowMs);
+        if (count > rule.max && (!blocked || resetMs > blocked.resetMs)) {
+          blocked = { scope: rule.scope, max: rule.max, resetMs };
+        }
+      }
+    } catch (error) {
+      logger.warn('Rate limiter unavailable, allowing request', { name, error: error.message });
+      return next();
+    }
+
+    if (!blocked) return next();
+
+    const retryAfter = Math.max(Math.ceil(blocked.resetMs / 1000), 1);
+    logger.warn('Rate limit exceeded', { name, scope: blocked.scope, ip: req.ip, userId: req.user?.id, retryAfter });
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+      success: false,
+      error: message || `Too many requests. Please try again in ${retryAfter} seconds.`,
+      retry_after: retryAfter
+    });
+  };
+}
+
+// Chat messages cost LLM tokens: limit per user, per IP and per session
+const chatRateLimit = rateLimit('chat', [
+  { scope: 'user', max: env.CHAT_LIMIT_PER_USER, key: req => req.user?.id },
+  { scope: 'ip', max: env.CHAT_LIMIT_PER_IP, key: req => req.ip },
+  { scope: 'session', max: env.CHAT_LIMIT_PER_SESSION, key: req => req.body?.session_id }
+], { message: 'You are sending messages too quickly. Please wait a moment and try again.' });
+
+// Job listings hit the upstream jobs feed: limit per user and per IP
+const jobsRateLimit = rateLimit('jobs', [
+  { scope: 'user', max: env.JOBS_LIMIT_PER_USER, key: req => req.user?.id },
+  { scope: 'ip', max: env.JOBS_LIMIT_PER_IP, key: req => req.ip }
+]);
+
+module.exports = {
+  rateLimit,
+  chatRateLimit,
+  jobsRateLimit
+};
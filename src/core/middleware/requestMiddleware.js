@@ -1,6 +1,7 @@
 const cors = require('cors');
 const helmet = require('helmet');
 const express = require('express');
+const env = require('../../config/environment');
 const logger = require('../utils/logger');
 
 // CORS configuration
@@ -9,7 +10,8 @@ const corsOptions = {
     ? ['https://kozi.rw', 'https://www.kozi.rw']
     : true, // Allow all origins in development (includes Vue on port 5173)
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Key'],
+  exposedHeaders: ['Retry-After'], // so the chat UI can tell users when to retry
   credentials: true
 };
 
@@ -61,6 +63,11 @@ const securityMiddleware = helmet({
 });
 
 const setupMiddleware = (app) => {
+  // Client IPs from X-Forwarded-For when behind a proxy (used by the per-IP rate limits)
+  if (env.TRUST_PROXY) {
+    app.set('trust proxy', env.TRUST_PROXY);
+  }
+
   // Security middleware
   app.use(securityMiddleware);
   
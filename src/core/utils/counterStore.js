@@ -0,0 +1,104 @@
+// src/core/utils/counterStore.js
+// Expiring counters for rate limits and token budgets. RATE_LIMIT_STORE picks the backend:
+//   memory – this process only (counts reset on restart and aren't shared between instances)
+//   redis  – any Redis-protocol server at REDIS_URL (Redis, Valkey, KeyDB, ...), shared
+//
+// A store has:
+//   increment(key, amount, ttlMs) → { count, resetMs }  (the TTL starts with the first increment)
+//   get(key)                      → { count, resetMs }  ({ count: 0, resetMs: 0 } when absent)
+
+const Redis = require('ioredis');
+const env = require('../../config/environment');
+const logger = require('./logger');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+
+    // Drop expired counters now and then so idle keys don't pile up
+    this.sweeper = setInterval(() => this._sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  async increment(key, amount, ttlMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.expiresAt <= now) {
+      counter = { count: 0, expiresAt: now + ttlMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += amount;
+
+    return { count: counter.count, resetMs: counter.expiresAt - now };
+  }
+
+  async get(key) {
+    const now = Date.now();
+    const counter = this.counters.get(key);
+
+    return counter && counter.expiresAt > now
+      ? { count: counter.count, resetMs: counter.expiresAt - now }
+      : { count: 0, resetMs: 0 };
+  }
+
+  _sweep() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+// INCRBY and set the TTL on first use, atomically
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCRBY', KEYS[1], ARGV[1])
+if count == tonumber(ARGV[1]) then redis.call('PEXPIRE', KEYS[1], ARGV[2]) end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+class RedisStore {
+  // `client` is an ioredis-compatible client
+  constructor(client, prefix = 'kozi:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async increment(key, amount, ttlMs) {
+    const [count, ttl] = await this.client.eval(INCREMENT_SCRIPT, 1, this.prefix + key, amount, ttlMs);
+    return { count: Number(count), resetMs: Math.max(Number(ttl), 0) };
+  }
+
+  async get(key) {
+    const [count, ttl] = await this.client.multi().get(this.prefix + key).pttl(this.prefix + key).exec()
+      .then(results => results.map(([error, value]) => (error ? null : value)));
+
+    return count === null ? { count: 0, resetMs: 0 } : { count: Number(count), resetMs: Math.max(Number(ttl), 0) };
+  }
+}
+
+let store = null;
+
+// The shared store for this process, created on first use
+function getCounterStore() {
+  if (store) return store;
+
+  if (env.RATE_LIMIT_STORE === 'redis') {
+    const client = new Redis(env.REDIS_URL, { maxRetriesPerRequest: 2 });
+    client.on('error', error => logger.error('Redis counter store error', { error: error.message }));
+    store = new RedisStore(client);
+  } else {
+    store = new MemoryStore();
+  }
+
+  logger.info('Counter store ready', { backend: env.RATE_LIMIT_STORE });
+  return store;
+}
+
+module.exports = {
+  getCounterStore,
+  MemoryStore,
+  RedisStore
+};
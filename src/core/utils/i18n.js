@@ -0,0 +1,113 @@
+// src/core/utils/i18n.js
+// Message lookup and language detection for English, Kinyarwanda and French.
+// Messages live in src/config/messages.js; missing translations fall back to English.
+
+const { MESSAGES } = require('../../config/messages');
+
+const SUPPORTED_LANGUAGES = ['en', 'rw', 'fr'];
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  rw: 'Kinyarwanda',
+  fr: 'French'
+};
+
+// Frequent words that are (nearly) unique to each language
+const MARKERS = {
+  en: [
+    'the', 'is', 'are', 'i', 'you', 'my', 'me', 'want', 'need', 'job', 'jobs', 'work', 'how', 'what',
+    'where', 'when', 'please', 'help', 'to', 'for', 'and', 'with', 'can', 'do', 'does', 'apply',
+    'hello', 'hi', 'yes', 'thanks', 'thank', 'show', 'find', 'looking', 'much', 'fee', 'of', 'in'
+  ],
+  rw: [
+    'muraho', 'mwaramutse', 'mwiriwe', 'bite', 'amakuru', 'murakoze', 'yego', 'oya', 'ese', 'mbese',
+    'ndashaka', 'nshaka', 'nifuza', 'ndashakisha', 'akazi', 'umukozi', 'abakozi', 'ni', 'iki', 'nde',
+    'gute', 'nte', 'ryari', 'angahe', 'he', 'ndi', 'uri', 'turi', 'cyane', 'neza', 'kuri', 'mu', 'ku',
+    'na', 'nka', 'ariko', 'kandi', 'umwirondoro', 'inyandiko', 'ubufasha', 'mfasha', 'umfashe',
+    'amafaranga', 'umushahara', 'igihe', 'kwiyandikisha', 'gusaba', 'nasaba', 'gukora', 'ndabaza',
+    'mwampa', 'mumfashe', 'nkorere', 'nyereka', 'nsabira', 'mbwira', 'rwa', 'cya', 'bya', 'kwa', 'hari', 'nta'
+  ],
+  fr: [
+    'bonjour', 'bonsoir', 'salut', 'merci', 'je', 'vous', 'tu', 'est', 'une', 'le', 'la', 'les', 'des',
+    'du', 'pour', 'avec', 'dans', 'mon', 'ma', 'mes', 'emploi', 'emplois', 'travail', 'cherche',
+    'comment', 'quel', 'quelle', 'quels', 'pourquoi', 'oui', 'non', 'plait', 'plaît', 'être', 'avoir',
+    'postuler', 'offre', 'offres', 'frais', 'aide', 'besoin', 'ça', 'très', 'et', 'sur', 'au', 'aux',
+    'combien', 'coûte', 'puis', 'voudrais', 'veux', 'suis', 'où'
+  ]
+};
+
+const MARKER_SETS = Object.fromEntries(
+  Object.entries(MARKERS).map(([language, words]) => [language, new Set(words)])
+);
+
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+function normalizeLanguage(language) {
+  return isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a message by key ('WELCOME', or a dotted path such as 'CV_STEPS.skills')
+ * and fill `{name}` placeholders from `vars`.
+ */
+function t(key, language = DEFAULT_LANGUAGE, vars = {}) {
+  const template = lookup(MESSAGES[normalizeLanguage(language)], key) ?? lookup(MESSAGES[DEFAULT_LANGUAGE], key);
+  if (typeof template !== 'string') return key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+  );
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+// Missing-field labels from ProfileService.getProfileStatus ('full name', 'CV') in `language`
+function profileFieldNames(fields, language) {
+  return fields.map(field => {
+    const key = `PROFILE_FIELDS.${field.toLowerCase().replace(/\s+/g, '_')}`;
+    const label = t(key, language);
+    return label === key ? field : label;
+  });
+}
+
+/**
+ * Guess the language of a message from marker words. Returns 'en', 'rw', 'fr', or
+ * null when the message is too short or mixed to tell (e.g. "ok", "2", a name).
+ */
+function detectLanguage(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+  if (!words.length) return null;
+
+  const scores = { en: 0, rw: 0, fr: 0 };
+  words.forEach(word => {
+    const bare = word.replace(/^[a-z]'/, ''); // l'offre, d'emploi, j'ai
+    SUPPORTED_LANGUAGES.forEach(language => {
+      if (MARKER_SETS[language].has(bare)) scores[language]++;
+    });
+  });
+
+  // Accented letters and Kinyarwanda spelling patterns are strong hints
+  if (/[éèêàçùûôî]/.test(text)) scores.fr += 1;
+  if (/\b\w*(?:cy|shy|nny|rw|mbw)\w*\b/i.test(text) && scores.rw > 0) scores.rw += 1;
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[best, top], [, second]] = ranked;
+
+  return top > 0 && top > second ? best : null;
+}
+
+module.exports = {
+  t,
+  detectLanguage,
+  profileFieldNames,
+  isSupportedLanguage,
+  normalizeLanguage,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES
+};
@@ -0,0 +1,113 @@
+// src/core/utils/tokenBudget.js
+// Daily LLM token budget per user (DAILY_TOKEN_BUDGET, 0 = unlimited). Work done for a
+// user runs inside `track(keys, fn)`; every model call made inside it (see OpenAIService)
+// is charged to each key through AsyncLocalStorage, so call sites don't pass them around.
+// Anonymous visitors are charged per visitor token and per IP, and all of them together
+// to ANONYMOUS_KEY (ANONYMOUS_DAILY_TOKEN_BUDGET); any exhausted key stops the reply.
+// Days run midnight to midnight Kigali time.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const env = require('../../config/environment');
+const { getCounterStore } = require('./counterStore');
+const logger = require('./logger');
+
+const KIGALI_UTC_OFFSET_MS = 2 * 60 * 60 * 1000; // CAT, no daylight saving
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHARS_PER_TOKEN = 4; // estimate when the provider reports no usage (e.g. the fake model)
+
+// The bucket every anonymous visitor is charged to as well as their own
+const ANONYMOUS_KEY = 'anonymous';
+
+const budgetContext = new AsyncLocalStorage();
+
+// Run `fn` with every model call inside it charged to `keys` (one key or a list)
+function track(keys, fn) {
+  return budgetContext.run({ keys: [].concat(keys).filter(Boolean) }, fn);
+}
+
+function currentKeys() {
+  return budgetContext.getStore()?.keys || [];
+}
+
+function limitFor(key) {
+  return key === ANONYMOUS_KEY ? env.ANONYMOUS_DAILY_TOKEN_BUDGET : env.DAILY_TOKEN_BUDGET;
+}
+
+// Today's counter key and the time left until the next Kigali midnight
+function today(key) {
+  const local = Date.now() + KIGALI_UTC_OFFSET_MS;
+  return {
+    counterKey: `tokens:${key}:${new Date(local).toISOString().slice(0, 10)}`,
+    resetMs: DAY_MS - (local % DAY_MS)
+  };
+}
+
+// Charge `tokens` to the tracked keys, if any. Never throws: usage accounting must not break a reply.
+async function record(tokens) {
+  if (!tokens) return;
+
+  for (const key of currentKeys()) {
+    if (!limitFor(key)) continue;
+    try {
+      const { counterKey, resetMs } = today(key);
+      await getCounterStore().increment(counterKey, Math.ceil(tokens), resetMs);
+    } catch (error) {
+      logger.warn('Could not record token usage', { error: error.message, key });
+    }
+  }
+}
+
+// { key, used, limit, remaining, exhausted, resetMs } for one key today
+async function keyStatus(key) {
+  const limit = limitFor(key);
+  const { counterKey, resetMs } = today(key);
+  let count = 0;
+  if (limit) {
+    try {
+      ({ count } = await getCounterStore().get(counterKey));
+    } catch (error) {
+      // Fail open, like record(): an unreachable store must not take chat down with it
+      logger.warn('Could not read token usage; budget not enforced', { error: error.message, key });
+    }
+  }
+
+  return {
+    key,
+    used: count,
+    limit,
+    remaining: limit ? Math.max(limit - count, 0) : Infinity,
+    exhausted: Boolean(limit) && count >= limit,
+    resetMs
+  };
+}
+
+// The status of the tightest of `keys` (one key or a list): exhausted when any of them is
+async function status(keys) {
+  const statuses = await Promise.all([].concat(keys).filter(Boolean).map(keyStatus));
+  if (!statuses.length) return keyStatus(null);
+  return statuses.reduce((tightest, next) => (next.remaining < tightest.remaining ? next : tightest));
+}
+
+// Tokens reported by a LangChain message (usage_metadata), else estimated from the text
+function tokensUsed(message, promptText = '') {
+  const reported = message?.usage_metadata?.total_tokens;
+  if (reported) return reported;
+
+  const output = typeof message?.content === 'string' ? message.content : JSON.stringify(message?.content ?? '');
+  return estimateTokens(String(promptText) + output);
+}
+
+// Estimated tokens of a text (embedding APIs don't report their usage through LangChain)
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+module.exports = {
+  track,
+  record,
+  status,
+  tokensUsed,
+  estimateTokens,
+  currentKeys,
+  ANONYMOUS_KEY
+};
@@ -0,0 +1,69 @@
+const express = require('express');
+const { KnowledgeController } = require('../controllers');
+const { requireAdmin } = require('../core/middleware/adminAuth');
+const JobSyncService = require('../services/jobSyncService');
+const { HTTP_STATUS } = require('../config/constants');
+const logger = require('../core/utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Initialize knowledge controller once
+let knowledgeController;
+const initializeController = async () => {
+  if (!knowledgeController) {
+    knowledgeController = new KnowledgeController();
+    await knowledgeController.initialize();
+  }
+  return knowledgeController;
+};
+
+const handle = (method) => async (req, res) => {
+  try {
+    const controller = await initializeController();
+    await controller[method](req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Service initialization failed' });
+  }
+};
+
+// GET /api/admin/knowledge?type=&category=&q= - List knowledge entries
+router.get('/knowledge', handle('listEntries'));
+
+// POST /api/admin/knowledge - Add an entry (embedded immediately)
+router.post('/knowledge', handle('createEntry'));
+
+// POST /api/admin/knowledge/reindex - Sync all entries and documents into the vector store
+router.post('/knowledge/reindex', handle('reindex'));
+
+// GET /api/admin/knowledge/documents - List documents in data/docs
+router.get('/knowledge/documents', handle('listDocuments'));
+
+// POST /api/admin/knowledge/documents - Upload a document { filename, content_base64 }
+router.post('/knowledge/documents', handle('uploadDocument'));
+
+// DELETE /api/admin/knowledge/documents/:filename - Remove a document and its chunks
+router.delete('/knowledge/documents/:filename', handle('deleteDocument'));
+
+// GET /api/admin/knowledge/:entry_id - Get one entry
+router.get('/knowledge/:entry_id', handle('getEntry'));
+
+// PUT /api/admin/knowledge/:entry_id - Edit an entry (re-embedded immediately)
+router.put('/knowledge/:entry_id', handle('updateEntry'));
+
+// DELETE /api/admin/knowledge/:entry_id - Delete an entry and its vector
+router.delete('/knowledge/:entry_id', handle('deleteEntry'));
+
+// POST /api/admin/jobs/sync - Mirror the upstream jobs feed into the jobs table now
+router.post('/jobs/sync', async (req, res) => {
+  try {
+    const result = await new JobSyncService().sync();
+    res.status(HTTP_STATUS.OK).json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Manual jobs sync failed', { error: error.message });
+    res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({ success: false, error: `Jobs sync failed: ${error.message}` });
+  }
+});
+
+module.exports = router;
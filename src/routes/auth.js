@@ -0,0 +1,18 @@
+const express = require('express');
+const { AuthController } = require('../controllers');
+const { authenticate } = require('../core/middleware/auth');
+
+const router = express.Router();
+const authController = new AuthController();
+
+// POST /api/auth/login - Development login ({ email, user_type?, role? }); needs AUTH_DEV_LOGIN
+router.post('/login', async (req, res) => {
+  await authController.login(req, res);
+});
+
+// GET /api/auth/me - Who the bearer token belongs to
+router.get('/me', authenticate, async (req, res) => {
+  await authController.me(req, res);
+});
+
+module.exports = router;
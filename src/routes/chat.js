@@ -1,5 +1,8 @@
 const express = require('express');
 const { ChatController } = require('../controllers');
+const { authenticate, optionalAuth, requireSelf } = require('../core/middleware/auth');
+const { requireAdmin } = require('../core/middleware/adminAuth');
+const { chatRateLimit } = require('../core/middleware/rateLimit');
 
 const router = express.Router();
 
@@ -13,8 +16,12 @@ const initializeController = async () => {
   return chatController;
 };
 
-// POST /api/chat/start - Start new chat session
-router.post('/start', async (req, res) => {
+// Homepage visitors have no account: the routes their sessions use accept a visitor
+// token instead of a bearer token, and the controller checks which one a session needs.
+
+// POST /api/chat/start - Start new chat session ({ bot_type? } with a bearer token, or
+// { bot_type: 'homepage', visitor_token?, language? } for visitors without an account)
+router.post('/start', optionalAuth, chatRateLimit, async (req, res) => {
   try {
     const controller = await initializeController();
     await controller.startSession(req, res);
@@ -24,7 +31,7 @@ router.post('/start', async (req, res) => {
 });
 
 // POST /api/chat/message - Send message to chat
-router.post('/message', async (req, res) => {
+router.post('/message', optionalAuth, chatRateLimit, async (req, res) => {
   try {
     const controller = await initializeController();
     await controller.sendMessage(req, res);
@@ -33,8 +40,18 @@ router.post('/message', async (req, res) => {
   }
 });
 
+// POST /api/chat/message/stream - Send message, stream the answer (SSE)
+router.post('/message/stream', optionalAuth, chatRateLimit, async (req, res) => {
+  try {
+    const controller = await initializeController();
+    await controller.streamMessage(req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Service initialization failed' });
+  }
+});
+
 // GET /api/chat/history/:session_id - Get chat history
-router.get('/history/:session_id', async (req, res) => {
+router.get('/history/:session_id', optionalAuth, async (req, res) => {
   try {
     const controller = await initializeController();
     await controller.getHistory(req, res);
@@ -44,7 +61,7 @@ router.get('/history/:session_id', async (req, res) => {
 });
 
 // POST /api/chat/end - End chat session
-router.post('/end', async (req, res) => {
+router.post('/end', optionalAuth, async (req, res) => {
   try {
     const controller = await initializeController();
     await controller.endSession(req, res);
@@ -53,8 +70,28 @@ router.post('/end', async (req, res) => {
   }
 });
 
+// POST /api/chat/handover - Move a visitor's homepage session to their new account
+router.post('/handover', authenticate, chatRateLimit, async (req, res) => {
+  try {
+    const controller = await initializeController();
+    await controller.handOver(req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Service initialization failed' });
+  }
+});
+
+// GET /api/chat/knowledge/search?q= - Inspect hybrid retrieval scores (admin token or X-Admin-Key, for `npm run kb -- search`)
+router.get('/knowledge/search', requireAdmin, async (req, res) => {
+  try {
+    const controller = await initializeController();
+    await controller.searchKnowledge(req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Service initialization failed' });
+  }
+});
+
 // GET /api/chat/guidance/:user_id - Get profile guidance
-router.get('/guidance/:user_id', async (req, res) => {
+router.get('/guidance/:user_id', authenticate, requireSelf(), async (req, res) => {
   try {
     const controller = await initializeController();
     await controller.getGuidance(req, res);
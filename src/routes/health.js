@@ -1,5 +1,6 @@
 const express = require('express');
 const { testConnection } = require('../core/db/connection');
+const { getJobsGateway } = require('../services/jobsGateway');
 const { HTTP_STATUS } = require('../config/constants');
 
 const router = express.Router();
@@ -14,7 +15,8 @@ router.get('/', async (req, res) => {
       timestamp: new Date().toISOString(),
       services: {
         database: dbConnected ? 'connected' : 'disconnected',
-        server: 'running'
+        server: 'running',
+        jobs_feed: getJobsGateway().status()
       }
     };
 
@@ -3,6 +3,8 @@ const chatRoutes = require('./chat');
 const profileRoutes = require('./profile');
 const healthRoutes = require('./health');
 const jobsRoutes = require('./jobs'); // NEW
+const adminRoutes = require('./admin');
+const authRoutes = require('./auth');
 
 const router = express.Router();
 
@@ -10,6 +12,8 @@ router.use('/chat', chatRoutes);
 router.use('/profile', profileRoutes);
 router.use('/health', healthRoutes);
 router.use('/jobs', jobsRoutes); // NEW
+router.use('/admin', adminRoutes);
+router.use('/auth', authRoutes);
 
 router.get('/', (req, res) => {
   res.json({
@@ -19,7 +23,9 @@ router.get('/', (req, res) => {
       chat: '/api/chat',
       profile: '/api/profile',
       health: '/api/health',
-      jobs: '/api/jobs' // NEW
+      jobs: '/api/jobs', // NEW
+      admin: '/api/admin',
+      auth: '/api/auth'
     }
   });
 });
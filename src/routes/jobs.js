@@ -1,184 +1,163 @@
 // src/routes/jobs.js
 const express = require('express');
 const { Job, JobApplication } = require('../core/db/models/Job');
+const { ChatSession, Profile } = require('../core/db/models');
 const CVGenerationService = require('../services/cvGenerationService');
-const { HTTP_STATUS } = require('../config/constants');
+const { getJobsGateway, normalizeJob } = require('../services/jobsGateway');
+const JobSyncService = require('../services/jobSyncService');
+const ApplicationSubmitter = require('../services/applicationSubmitter');
+const { matchJobs, describeMatch } = require('../services/jobMatcher');
+const { getJobIndex } = require('../services/jobIndex');
+const { HTTP_STATUS, ROLES, JOB_SOURCES } = require('../config/constants');
+const { authenticate, requireRole, requireSelf, canAccessUser } = require('../core/middleware/auth');
+const { jobsRateLimit } = require('../core/middleware/rateLimit');
+const { normalizeLanguage } = require('../core/utils/i18n');
 const logger = require('../core/utils/logger');
 
 const router = express.Router();
 const cvService = new CVGenerationService();
-
-/* =========================================================
-   External jobs feed (proxy)
-   ========================================================= */
-
-const JOBS_API_URL = process.env.JOBS_API_URL || 'https://apis.kozi.rw/admin/select_jobss';
-const DEFAULT_CURRENCY = 'RWF';
-
-// Minimal helpers (Node 18+/20+ has global fetch)
-function numOrNull(v) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
+const jobsGateway = getJobsGateway();
+const jobIndex = getJobIndex();
+const jobSync = new JobSyncService();
+const submitter = new ApplicationSubmitter();
+
+router.use(authenticate);
+
+// 403 for acting on someone else's data
+function forbidden(res) {
+  return res.status(HTTP_STATUS.FORBIDDEN).json({
+    success: false,
+    error: 'You can only act on your own data'
+  });
 }
-function intOrNull(v) {
-  const n = parseInt(v, 10);
-  return Number.isFinite(n) ? n : null;
-}
-function dateOrNull(v) {
-  if (!v) return null;
-  const d = new Date(v);
-  return isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10); // YYYY-MM-DD
+
+// 503 while the jobs feed can't be served (upstream down and nothing cached)
+function feedUnavailable(res, error, message) {
+  logger.error(message, { error: error.message });
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+    success: false,
+    error: `${message}: the jobs service is temporarily unavailable`
+  });
 }
 
-/**
- * Normalize one raw job from upstream into your internal shape.
- * If the upstream schema differs, adjust these mappings.
- */
-function normalizeJob(raw) {
-  if (!raw || typeof raw !== 'object') return null;
-
-  const j = {
-    id: raw.id ?? raw.job_id ?? raw.ID ?? null,
-    title: raw.title ?? raw.job_title ?? raw.position ?? 'Untitled',
-    category: raw.category ?? raw.job_category ?? 'General',
-    description: raw.description ?? raw.job_description ?? '',
-    requirements: raw.requirements ?? raw.requirement ?? '',
-
-    salary_min: numOrNull(raw.salary_min ?? raw.min_salary),
-    salary_max: numOrNull(raw.salary_max ?? raw.max_salary),
-    salary_currency: raw.salary_currency || DEFAULT_CURRENCY,
-
-    location: raw.location ?? raw.city ?? raw.district ?? raw.area ?? 'Kigali',
-    work_type: raw.work_type ?? raw.employment_type ?? 'full-time',
-
-    experience_level: raw.experience_level ?? raw.level ?? 'entry',
-    education_level: raw.education_level ?? raw.education ?? null,
-
-    status: (raw.status ?? 'active') || 'active',
-    positions_available: intOrNull(raw.positions_available ?? raw.slots ?? 1),
-    positions_filled: intOrNull(raw.positions_filled ?? 0),
-
-    posted_date: dateOrNull(raw.posted_date ?? raw.created_at ?? raw.date_posted),
-    application_deadline: dateOrNull(raw.application_deadline ?? raw.deadline),
-    start_date: dateOrNull(raw.start_date),
-
-    views: intOrNull(raw.views ?? 0),
-    applications_count: intOrNull(raw.applications_count ?? 0),
-  };
-
-  // require an id
-  if (j.id == null) return null;
-  return j;
+// A failed feed read: 503 when the feed is unavailable, 500 for anything else
+function feedError(res, error, message) {
+  if (error.code === 'JOBS_UNAVAILABLE') return feedUnavailable(res, error, message);
+
+  logger.error(message, { error: error.message });
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+    success: false,
+    error: message
+  });
 }
 
-async function fetchExternalJobs() {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
-  try {
-    const res = await fetch(JOBS_API_URL, { signal: controller.signal });
-    if (!res.ok) {
-      throw new Error(`Upstream jobs API error ${res.status} ${res.statusText}`);
-    }
-    const json = await res.json();
-    // handle { data: [] } or []
-    const list = Array.isArray(json) ? json : Array.isArray(json?.data) ? json.data : [];
-    return list.map(normalizeJob).filter(Boolean);
-  } finally {
-    clearTimeout(timeout);
-  }
+// How current the served jobs are; `stale` when upstream is failing and a cached copy is served
+function feedMeta({ stale, fetchedAt }) {
+  return { stale, fetched_at: new Date(fetchedAt).toISOString() };
 }
 
 /* =========================================================
    JOB ROUTES (GETs now proxy external feed)
    ========================================================= */
 
-// GET /api/jobs - Get jobs from external API (with optional filters)
-router.get('/', async (req, res) => {
+// GET /api/jobs - Get jobs from external API (with optional filters). With `q`, the jobs
+// are searched by meaning ("looking after elderly people") and each has a `similarity`.
+router.get('/', jobsRateLimit, async (req, res) => {
   try {
-    const { category, location, experience_level, work_type, limit, status } = req.query;
-
-    let jobs = await fetchExternalJobs();
-
-    // lightweight filtering
-    if (status) {
-      const s = String(status).toLowerCase();
-      jobs = jobs.filter(j => (j.status || '').toLowerCase() === s);
-    } else {
-      // default to active if upstream mixes states
-      jobs = jobs.filter(j => (j.status || '').toLowerCase() === 'active');
-    }
-    if (category) {
-      const val = String(category).toLowerCase();
-      jobs = jobs.filter(j => (j.category || '').toLowerCase() === val);
-    }
-    if (location) {
-      const val = String(location).toLowerCase();
-      jobs = jobs.filter(j => (j.location || '').toLowerCase().includes(val));
-    }
-    if (experience_level) {
-      const val = String(experience_level).toLowerCase();
-      jobs = jobs.filter(j => (j.experience_level || '').toLowerCase() === val);
-    }
-    if (work_type) {
-      const val = String(work_type).toLowerCase();
-      jobs = jobs.filter(j => (j.work_type || '').toLowerCase() === val);
-    }
+    const { category, location, experience_level, work_type, limit, status, q } = req.query;
+    const filters = { category, location, experience_level, work_type, status };
 
-    // sort by posted_date desc if present
-    jobs.sort((a, b) => String(b.posted_date || '').localeCompare(String(a.posted_date || '')));
+    const feed = q && String(q).trim()
+      ? await jobIndex.search(String(q).trim().slice(0, 200), filters)
+      : await jobsGateway.getJobs(filters);
 
     const lim = Number(limit) || 50;
-    const sliced = jobs.slice(0, lim);
+    const sliced = feed.jobs.slice(0, lim);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
       data: {
         jobs: sliced,
         count: sliced.length
-      }
+      },
+      meta: feedMeta(feed)
     });
   } catch (error) {
-    logger.error('Failed to proxy jobs', { error: error.message });
-    res.status(HTTP_STATUS.BAD_GATEWAY).json({
-      success: false,
-      error: 'Failed to retrieve jobs from upstream'
-    });
+    feedError(res, error, 'Failed to retrieve jobs');
   }
 });
 
-// GET /api/jobs/recommended/:user_id - you can still compute recommendations locally,
-// but for now we fetch upstream and just slice.
-router.get('/recommended/:user_id', async (req, res) => {
+// GET /api/jobs/recommended/:user_id - Open jobs ranked by how well they suit the user's
+// profile, best first, each with its 0–100 match_score and match_reasons (services/jobMatcher.js)
+router.get('/recommended/:user_id', requireSelf(), jobsRateLimit, async (req, res) => {
+  const limit = Number(req.query.limit) || 10;
+
+  let profile;
   try {
-    const limit = Number(req.query.limit) || 10;
-    let jobs = await fetchExternalJobs();
+    profile = await Profile.findByUserId(req.params.user_id);
+  } catch (error) {
+    logger.error('Failed to load profile for recommendations', { error: error.message });
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: 'Failed to retrieve recommended jobs'
+    });
+  }
 
-    // TODO: replace with real recommendation logic if/when available
-    jobs = jobs.filter(j => (j.status || '').toLowerCase() === 'active')
-               .slice(0, limit);
+  try {
+    const feed = await jobsGateway.getJobs();
+    const language = normalizeLanguage(req.query.lang || profile?.preferred_language);
+    const jobs = matchJobs(feed.jobs, profile)
+      .slice(0, limit)
+      .map(({ match, ...job }) => ({
+        ...job,
+        match_score: match.score,
+        match_reasons: describeMatch(match, language)
+      }));
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
       data: {
         jobs,
         count: jobs.length
+      },
+      meta: feedMeta(feed)
+    });
+  } catch (error) {
+    feedError(res, error, 'Failed to retrieve recommended jobs');
+  }
+});
+
+// GET /api/jobs/test-external-api - Raw upstream feed next to its normalized form (admin debugging)
+router.get('/test-external-api', requireRole(ROLES.ADMIN), jobsRateLimit, async (req, res) => {
+  try {
+    const raw = await jobsGateway.fetchRaw();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      debug: {
+        url: jobsGateway.url,
+        authenticated: Boolean(jobsGateway.apiToken),
+        jobsCount: raw.length,
+        firstJobSample: raw[0] || null,
+        firstJobNormalized: raw.length ? normalizeJob(raw[0], jobsGateway.fieldMap) : null,
+        allJobs: raw
       }
     });
   } catch (error) {
-    logger.error('Failed to get recommended jobs (upstream)', { error: error.message });
+    logger.error('Upstream jobs API test failed', { error: error.message });
     res.status(HTTP_STATUS.BAD_GATEWAY).json({
       success: false,
-      error: 'Failed to retrieve recommended jobs'
+      error: error.message
     });
   }
 });
 
 // GET /api/jobs/:job_id - Get single job details from external API
-router.get('/:job_id', async (req, res) => {
+router.get('/:job_id', jobsRateLimit, async (req, res) => {
   try {
     const { job_id } = req.params;
-    const jobs = await fetchExternalJobs();
-    const job = jobs.find(j => String(j.id) === String(job_id));
+    const { job, ...feed } = await jobsGateway.getJob(job_id);
 
     if (!job) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({
@@ -190,29 +169,29 @@ router.get('/:job_id', async (req, res) => {
     // (We can't increment upstream views reliably; skip or implement downstream analytics)
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      data: job
+      data: job,
+      meta: feedMeta(feed)
     });
   } catch (error) {
-    logger.error('Failed to get job (upstream)', { error: error.message });
-    res.status(HTTP_STATUS.BAD_GATEWAY).json({
-      success: false,
-      error: 'Failed to retrieve job'
-    });
+    feedError(res, error, 'Failed to retrieve job');
   }
 });
 
 /* =========================================================
-   JOB APPLICATION ROUTES (unchanged - local DB)
-   NOTE: These still use your local Job & JobApplication models.
-   If you want to apply to EXTERNAL jobs, we must redesign:
-   - remove/relax FK constraint, or
-   - forward to an upstream "apply" endpoint.
+   JOB APPLICATION ROUTES (local DB)
+   Upstream jobs are mirrored into the local jobs table (see
+   services/jobSyncService.js), so applications always reference
+   a local jobs row.
    ========================================================= */
 
 // POST /api/jobs - Create new job (for employers)  — still local
-router.post('/', async (req, res) => {
+router.post('/', requireRole(ROLES.EMPLOYER), async (req, res) => {
   try {
-    const jobData = req.body;
+    const jobData = { ...req.body, employer_id: req.body.employer_id ?? req.user.id };
+
+    if (!canAccessUser(req.user, jobData.employer_id)) {
+      return forbidden(res);
+    }
 
     const required = ['employer_id', 'title', 'category', 'description', 'location', 'posted_date'];
     const missing = required.filter(field => !jobData[field]);
@@ -243,36 +222,47 @@ router.post('/', async (req, res) => {
 });
 
 // POST /api/jobs/:job_id/apply - Apply to a job (local applications table)
-router.post('/:job_id/apply', async (req, res) => {
+// :job_id is the id GET /api/jobs lists (upstream); ?source=local for a job posted through Kozi (jobs.id)
+router.post('/:job_id/apply', requireRole(ROLES.EMPLOYEE), async (req, res) => {
   try {
     const { job_id } = req.params;
-    const { user_id, cover_letter, cv_file_path } = req.body;
+    const { source = JOB_SOURCES.UPSTREAM } = req.query;
+    const { user_id = req.user.id, cover_letter, cv_file_path } = req.body;
+
+    if (!canAccessUser(req.user, user_id)) {
+      return forbidden(res);
+    }
 
-    if (!user_id) {
+    if (!Object.values(JOB_SOURCES).includes(source)) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
-        error: 'user_id is required'
+        error: `source must be one of: ${Object.values(JOB_SOURCES).join(', ')}`
       });
     }
 
-    // This check uses LOCAL DB (because job_applications has FK to jobs).
-    // If you want to apply to EXTERNAL jobs, see note above.
-    const job = await Job.findById(job_id);
+    let job;
+    try {
+      job = await jobSync.findLocalJob(job_id, source);
+    } catch (error) {
+      if (error.code === 'JOBS_UNAVAILABLE') return feedUnavailable(res, error, 'Failed to submit application');
+      throw error;
+    }
+
     if (!job) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({
         success: false,
-        error: 'Job not found (local DB)'
+        error: 'Job not found'
       });
     }
 
-    if (job.status !== 'active') {
+    if (!jobSync.acceptsApplications(job)) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
         error: 'This job is no longer accepting applications'
       });
     }
 
-    const hasApplied = await JobApplication.hasApplied(user_id, job_id);
+    const hasApplied = await JobApplication.hasApplied(user_id, job.id);
     if (hasApplied) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
@@ -281,16 +271,22 @@ router.post('/:job_id/apply', async (req, res) => {
     }
 
     const applicationId = await JobApplication.create({
-      job_id,
+      job_id: job.id,
       user_id,
       cover_letter,
       cv_file_path
     });
 
+    // Upstream jobs: also send it to the Kozi platform (queued, retried in the background)
+    const forwarded = await submitter.enqueue(applicationId, job);
+
     res.status(HTTP_STATUS.CREATED).json({
       success: true,
       data: {
         application_id: applicationId,
+        job_id: job.id,
+        external_id: job.external_id,
+        submission_status: forwarded ? 'pending' : null,
         message: 'Application submitted successfully'
       }
     });
@@ -304,7 +300,7 @@ router.post('/:job_id/apply', async (req, res) => {
 });
 
 // GET /api/jobs/applications/user/:user_id - Get user's job applications (local)
-router.get('/applications/user/:user_id', async (req, res) => {
+router.get('/applications/user/:user_id', requireSelf(), async (req, res) => {
   try {
     const { user_id } = req.params;
 
@@ -333,15 +329,20 @@ router.get('/applications/user/:user_id', async (req, res) => {
 // POST /api/cv/start - Start CV generation
 router.post('/cv/start', async (req, res) => {
   try {
-    const { user_id, session_id } = req.body;
+    const { user_id = req.user.id, session_id } = req.body;
 
-    if (!user_id || !session_id) {
+    if (!session_id) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
-        error: 'user_id and session_id are required'
+        error: 'session_id is required'
       });
     }
 
+    const session = await ChatSession.findBySessionId(session_id);
+    if (!canAccessUser(req.user, user_id) || !session || String(session.user_id) !== String(user_id)) {
+      return forbidden(res);
+    }
+
     const result = await cvService.startCVGeneration(user_id, session_id);
 
     res.status(HTTP_STATUS.OK).json({
@@ -358,7 +359,7 @@ router.post('/cv/start', async (req, res) => {
 });
 
 // GET /api/cv/user/:user_id - Get user's generated CVs
-router.get('/cv/user/:user_id', async (req, res) => {
+router.get('/cv/user/:user_id', requireSelf(), async (req, res) => {
   try {
     const { user_id } = req.params;
 
@@ -401,72 +402,4 @@ router.get('/cv/download/:cv_id', async (req, res) => {
   }
 });
 
-// Add this to src/routes/jobs.js temporarily for debugging
-
-// TEST ENDPOINT - Remove after debugging
-router.get('/test-external-api', async (req, res) => {
-  try {
-    const JOBS_API_URL = process.env.JOBS_API_URL || 'https://apis.kozi.rw/admin/select_jobss';
-    
-    console.log('Testing external API:', JOBS_API_URL);
-    
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-    
-    const response = await fetch(JOBS_API_URL, { 
-      signal: controller.signal,
-      headers: { 'Accept': 'application/json' }
-    });
-    
-    clearTimeout(timeout);
-    
-    console.log('Response status:', response.status);
-    console.log('Response headers:', Object.fromEntries(response.headers.entries()));
-    
-    if (!response.ok) {
-      return res.status(response.status).json({
-        success: false,
-        error: `API returned ${response.status}`,
-        statusText: response.statusText
-      });
-    }
-    
-    const data = await response.json();
-    
-    console.log('Data type:', typeof data);
-    console.log('Is array:', Array.isArray(data));
-    console.log('Has data property:', !!data?.data);
-    console.log('Data keys:', Object.keys(data || {}));
-    
-    // Show first job as sample
-    const jobsArray = Array.isArray(data) ? data : (Array.isArray(data?.data) ? data.data : []);
-    console.log('Jobs count:', jobsArray.length);
-    
-    if (jobsArray.length > 0) {
-      console.log('First job sample:', JSON.stringify(jobsArray[0], null, 2));
-    }
-    
-    res.status(200).json({
-      success: true,
-      debug: {
-        url: JOBS_API_URL,
-        responseStatus: response.status,
-        dataType: typeof data,
-        isArray: Array.isArray(data),
-        hasDataProperty: !!data?.data,
-        jobsCount: jobsArray.length,
-        firstJobSample: jobsArray[0] || null,
-        allJobs: jobsArray
-      }
-    });
-  } catch (error) {
-    console.error('Test endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stack: error.stack
-    });
-  }
-});
-
 module.exports = router;
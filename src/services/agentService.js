@@ -0,0 +1,243 @@
+// src/services/agentService.js
+// Agent mode (CHAT_MODE=agent): instead of routing by intent, the chat model answers
+// each message by calling the typed tools in agentTools.js until it has a reply.
+//
+//   - Tool arguments are validated against the tool's zod schema; invalid calls are
+//     sent back to the model as errors so it can correct them.
+//   - Side-effecting tools are not run straight away: the call is parked in the session
+//     context (`pending_tool_call`) and the user is asked to confirm it. A "yes" on the
+//     next message runs it, a "no" (or any other message) drops it.
+//   - At most AGENT_MAX_STEPS model calls per message.
+//   - Every tool call is recorded in the session context (`agent_trace`).
+
+const { ChatSession } = require('../core/db/models');
+const OpenAIService = require('./openaiService');
+const { TOOLS } = require('./agentTools');
+const env = require('../config/environment');
+const { t, LANGUAGE_NAMES } = require('../core/utils/i18n');
+const logger = require('../core/utils/logger');
+
+const TRACE_LIMIT = 50;
+const HISTORY_MESSAGES = 10;
+const CONFIRM_PATTERN = /^\s*(yes|y|yeah|yep|sure|ok|okay|confirm|go ahead|do it|please do|yego|ni byo|oui|d'accord|vas-y)\b/i;
+const DECLINE_PATTERN = /^\s*(no|n|nope|cancel|stop|don'?t|never mind|oya|reka|non|annuler|annule)\b/i;
+
+class AgentService {
+  /**
+   * `chatService` supplies the services the tools run against
+   * (its profile and CV services, and the real-time jobs fetch).
+   */
+  constructor(chatService) {
+    this.openaiService = new OpenAIService();
+    this.tools = TOOLS;
+    this.services = {
+      chat: chatService,
+      profile: chatService.profileService,
+      cv: chatService.cvService
+    };
+  }
+
+  /**
+   * Answer one user message (already saved to the session) in `language`.
+   * Returns { message, intent: 'agent', tool_calls, context? }.
+   */
+  async respond(session, userId, message, language = 'en') {
+    const context = session.context || {};
+    const turn = {
+      sessionId: session.session_id,
+      userId,
+      language,
+      lastJobs: context.last_jobs || [],
+      shownJobs: null,
+      shownOffset: 0,
+      trace: [],
+      services: this.services
+    };
+
+    const history = session.messages
+      .slice(-HISTORY_MESSAGES)
+      .map(msg => ({ sender: msg.sender, message: msg.message }));
+
+    let result;
+    const pending = context.pending_tool_call;
+
+    if (pending && CONFIRM_PATTERN.test(message)) {
+      result = await this._runConfirmed(pending, history, turn);
+    } else if (pending && DECLINE_PATTERN.test(message)) {
+      this._record(turn, pending, 'cancelled');
+      result = { message: t('AGENT_CANCELLED', turn.language) };
+    } else {
+      if (pending) this._record(turn, pending, 'cancelled');
+      result = await this._loop(history, turn);
+    }
+
+    await ChatSession.updateContext(turn.sessionId, {
+      pending_tool_call: result.pending || null,
+      agent_trace: [...(context.agent_trace || []), ...turn.trace].slice(-TRACE_LIMIT)
+    });
+
+    return {
+      message: result.message,
+      intent: 'agent',
+      tool_calls: turn.trace,
+      ...(turn.shownJobs && { context: { last_jobs: turn.shownJobs, job_offset: turn.shownOffset } })
+    };
+  }
+
+  // Run the parked call, then let the model report the outcome
+  async _runConfirmed(pending, history, turn) {
+    const tool = this._tool(pending.name);
+    if (!tool) {
+      this._record(turn, pending, 'invalid', { error: 'Unknown tool' });
+      return { message: t('AGENT_CANCELLED', turn.language) };
+    }
+
+    const output = await this._execute(tool, pending, turn, { confirmed: true });
+
+    if (typeof output.reply === 'string') {
+      return { message: output.reply };
+    }
+
+    return this._loop([
+      ...history,
+      { sender: 'assistant', message: '', tool_calls: [toolCall(pending)] },
+      { sender: 'tool', name: pending.name, tool_call_id: pending.id, message: JSON.stringify(output) }
+    ], turn);
+  }
+
+  async _loop(conversation, turn) {
+    const messages = [...conversation];
+
+    for (let step = 0; step < env.AGENT_MAX_STEPS; step++) {
+      const { content, toolCalls } = await this.openaiService.generateWithTools(
+        messages,
+        this._systemPrompt(turn),
+        this.tools
+      );
+
+      if (!toolCalls.length) {
+        return { message: content || t('ERROR_GENERIC', turn.language) };
+      }
+
+      messages.push({ sender: 'assistant', message: content, tool_calls: toolCalls.map(toolCall) });
+
+      for (const call of toolCalls) {
+        const outcome = await this._handleCall(call, turn);
+
+        if (outcome.pending) {
+          return {
+            message: t('AGENT_CONFIRM', turn.language, { question: outcome.question }),
+            pending: outcome.pending
+          };
+        }
+        if (typeof outcome.output.reply === 'string') {
+          return { message: outcome.output.reply };
+        }
+
+        messages.push({
+          sender: 'tool',
+          name: call.name,
+          tool_call_id: call.id,
+          message: JSON.stringify(outcome.output)
+        });
+      }
+    }
+
+    logger.warn('Agent step limit reached', { sessionId: turn.sessionId, steps: env.AGENT_MAX_STEPS });
+    return { message: t('AGENT_STEP_LIMIT', turn.language) };
+  }
+
+  // Validate one call; run it, or park it for confirmation if it has side effects
+  async _handleCall(call, turn) {
+    const tool = this._tool(call.name);
+    if (!tool) {
+      this._record(turn, call, 'invalid', { error: 'Unknown tool' });
+      return { output: { error: `Unknown tool "${call.name}"` } };
+    }
+
+    const parsed = tool.schema.safeParse(call.args || {});
+    if (!parsed.success) {
+      const error = parsed.error.issues.map(issue => `${issue.path.join('.') || 'args'}: ${issue.message}`).join('; ');
+      this._record(turn, call, 'invalid', { error });
+      return { output: { error: `Invalid arguments: ${error}` } };
+    }
+
+    const validated = { ...call, args: parsed.data };
+    const problem = tool.check ? await tool.check(validated.args, turn) : null;
+    if (problem) {
+      this._record(turn, validated, 'rejected', { error: problem });
+      return { output: { error: problem } };
+    }
+
+    if (tool.sideEffect) {
+      const pending = { id: call.id, name: call.name, args: validated.args, requested_at: new Date().toISOString() };
+      this._record(turn, pending, 'awaiting_confirmation');
+      return { pending, question: tool.confirm(validated.args, turn) };
+    }
+
+    return { output: await this._execute(tool, validated, turn) };
+  }
+
+  async _execute(tool, call, turn, extra = {}) {
+    try {
+      // A confirmed call is checked again: the job list or profile may have changed since
+      const problem = extra.confirmed && tool.check ? await tool.check(call.args, turn) : null;
+      if (problem) {
+        this._record(turn, call, 'rejected', { error: problem, ...extra });
+        return { error: problem };
+      }
+
+      const output = await tool.execute(call.args, turn);
+      this._record(turn, call, 'ok', extra);
+      logger.info('Agent tool executed', { sessionId: turn.sessionId, tool: call.name, ...extra });
+      return output;
+    } catch (error) {
+      logger.error('Agent tool failed', { sessionId: turn.sessionId, tool: call.name, error: error.message });
+      this._record(turn, call, 'error', { error: error.message, ...extra });
+      return { error: error.message };
+    }
+  }
+
+  _record(turn, call, status, extra = {}) {
+    turn.trace.push({
+      tool: call.name,
+      args: call.args || {},
+      status,
+      ...extra,
+      at: new Date().toISOString()
+    });
+  }
+
+  _tool(name) {
+    return this.tools.find(tool => tool.name === name) || null;
+  }
+
+  _systemPrompt(turn) {
+    const jobs = turn.lastJobs.length
+      ? 'Jobs last shown to the user (apply_to_job uses these numbers):\n' +
+        turn.lastJobs.slice(0, 5).map((job, i) => `${i + 1}. ${job.title} (${job.location})`).join('\n')
+      : 'No job list has been shown to the user yet.';
+
+    return `You are KOZI DASHBOARD AGENT, the virtual assistant for Kozi job seekers in Rwanda.
+You can act for the user with the tools provided: check or update their profile, search jobs,
+apply to a job from the last list, and start the CV builder.
+
+RULES:
+- Use a tool whenever the user asks you to do something a tool can do; never claim an action you did not take.
+- Only pass profile values the user actually gave you.
+- Changes are confirmed with the user before they run; do not ask for confirmation yourself.
+- If a tool returns an error, explain it briefly and say what the user can do next.
+- For anything outside Kozi: "${t('REDIRECT_SUPPORT', turn.language)}"
+- Be friendly, brief and encouraging.
+- Reply in ${LANGUAGE_NAMES[turn.language] || LANGUAGE_NAMES.en}; tool arguments stay in English.
+
+${jobs}`;
+  }
+}
+
+// Tool call in the shape chat models expect on an assistant message
+function toolCall(call) {
+  return { id: call.id, name: call.name, args: call.args, type: 'tool_call' };
+}
+
+module.exports = AgentService;
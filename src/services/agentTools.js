@@ -0,0 +1,306 @@
+// src/services/agentTools.js
+// Typed tools the chat model can call in agent mode (see agentService.js).
+//
+// Each tool:
+//   name, description – what the model sees
+//   schema            – zod schema for the arguments (validated before anything runs)
+//   sideEffect        – true when it changes data; the user must confirm first
+//   confirm(args, turn) – the question put to the user before a side-effecting call
+//   check(args, turn)   – optional; returns an error string when the call can't succeed
+//   execute(args, turn) – does the work; a string `reply` in the result ends the turn with it
+//
+// `turn` is { sessionId, userId, language, lastJobs, services: { chat, profile, cv } }.
+
+const { z } = require('zod');
+const { ChatSession } = require('../core/db/models');
+const { JobApplication } = require('../core/db/models/Job');
+const { JOB_CATEGORIES, WORK_TYPES, JOB_SORTS } = require('../config/intents');
+const { sortJobs } = require('./jobsGateway');
+const { matchJobs, describeMatch } = require('./jobMatcher');
+const { describeSearch } = require('./savedSearchService');
+const { MIN_PROFILE_COMPLETION_TO_APPLY, MAX_SAVED_SEARCHES } = require('../config/constants');
+const { t } = require('../core/utils/i18n');
+
+const JOBS_SHOWN = 5;
+
+const TOOLS = [
+  {
+    name: 'get_profile_status',
+    description: "Get the user's profile completion percentage and the fields or documents still missing.",
+    schema: z.object({}),
+    sideEffect: false,
+    async execute(args, turn) {
+      const status = await turn.services.profile.getProfileStatus(turn.userId);
+      return {
+        completion_percentage: status.completion_percentage,
+        missing_fields: status.missing_fields
+      };
+    }
+  },
+  {
+    name: 'update_profile',
+    description: "Update fields of the user's profile. Only pass the fields the user gave you.",
+    schema: z.object({
+      full_name: z.string().min(2).max(255).optional(),
+      phone: z.string().regex(/^\+?[\d\s-]{9,20}$/, 'a phone number such as +250788123456').optional(),
+      location: z.string().min(2).max(255).optional(),
+      date_of_birth: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'a date as YYYY-MM-DD').optional(),
+      job_category: z.string().min(2).max(100).describe(`e.g. ${Object.keys(JOB_CATEGORIES).join(', ')}`).optional(),
+      experience_level: z.enum(['entry', 'mid', 'senior']).optional(),
+      preferred_work_type: z.enum(Object.keys(WORK_TYPES)).optional()
+    }),
+    sideEffect: true,
+    check(args) {
+      return Object.keys(args).length ? null : 'No profile fields given';
+    },
+    confirm(args, turn) {
+      const changes = Object.entries(args)
+        .map(([field, value]) => `• ${t(`PROFILE_FIELDS.${field}`, turn.language)}: ${value}`)
+        .join('\n');
+      return t('AGENT_CONFIRM_PROFILE', turn.language, { changes });
+    },
+    async execute(args, turn) {
+      const result = await turn.services.profile.updateProfile(turn.userId, args);
+      return {
+        updated: result.updated,
+        fields: Object.keys(args),
+        completion_percentage: result.completionPercentage ?? null
+      };
+    }
+  },
+  {
+    name: 'search_jobs',
+    description: 'Search the open jobs on Kozi. Shows the user a numbered list; all filters are optional. ' +
+      'For "show more", call it again with the same filters and the next page. ' +
+      'For jobs that suit the user, sort by best_match: each job then has a match score and reasons.',
+    schema: z.object({
+      category: z.string().describe(`one of ${Object.keys(JOB_CATEGORIES).join(', ')}`).optional(),
+      location: z.string().describe('a Rwandan district or Kigali').optional(),
+      work_type: z.enum(Object.keys(WORK_TYPES)).optional(),
+      salary_min: z.number().positive().describe('monthly RWF').optional(),
+      salary_max: z.number().positive().describe('monthly RWF').optional(),
+      query: z.string().min(2).max(200)
+        .describe('the work in the user\'s words when no category fits (e.g. "looking after elderly people"); searched by meaning')
+        .optional(),
+      sort: z.enum(Object.keys(JOB_SORTS)).optional(),
+      page: z.number().int().min(1).describe(`${JOBS_SHOWN} jobs per page`).optional()
+    }),
+    sideEffect: false,
+    async execute(args, turn) {
+      const { query, sort = query ? 'relevance' : 'newest', page = 1, ...filters } = args;
+      const feed = query
+        ? await turn.services.chat.jobIndex.search(query, filters)
+        : await turn.services.chat.jobsGateway.getJobs(filters);
+      const jobs = sort === 'best_match'
+        ? matchJobs(feed.jobs, (await turn.services.profile.getProfileStatus(turn.userId)).profile_data)
+        : sortJobs(feed.jobs, sort);
+      const offset = (page - 1) * JOBS_SHOWN;
+
+      turn.lastJobs = jobs;
+      turn.shownJobs = jobs.slice(offset, offset + JOBS_SHOWN);
+      turn.shownOffset = offset;
+      await ChatSession.updateContext(turn.sessionId, {
+        last_jobs: jobs,
+        last_jobs_timestamp: Date.now(),
+        job_search: { filters, sort, offset, ...(query && { query }) },
+        focused_job: null
+      });
+
+      return {
+        total: jobs.length,
+        page,
+        ...(feed.stale && { note: 'The jobs service is unreachable; this list may be out of date. Tell the user.' }),
+        jobs: turn.shownJobs.map((job, index) => ({
+          number: offset + index + 1,
+          title: job.title,
+          category: job.category,
+          location: job.location,
+          work_type: job.work_type,
+          salary_min: job.salary_min,
+          salary_max: job.salary_max,
+          currency: job.salary_currency,
+          ...(job.match && { match_score: job.match.score, match_reasons: describeMatch(job.match, turn.language) })
+        }))
+      };
+    }
+  },
+  {
+    name: 'get_job_details',
+    description: 'Get everything known about one job from the most recent job list (description, requirements, pay, dates), by its number in that list.',
+    schema: z.object({
+      job_number: z.number().int().min(1)
+    }),
+    sideEffect: false,
+    check(args, turn) {
+      if (!turn.lastJobs.length) return 'No job list has been shown yet; search for jobs first';
+      if (!turn.lastJobs[args.job_number - 1]) return `There is no job number ${args.job_number} in the last list`;
+      return null;
+    },
+    async execute(args, turn) {
+      const job = turn.lastJobs[args.job_number - 1];
+      await turn.services.chat.viewJob(turn.sessionId, job);
+
+      return {
+        number: args.job_number,
+        title: job.title,
+        category: job.category,
+        location: job.location,
+        work_type: job.work_type,
+        experience_level: job.experience_level,
+        education_level: job.education_level,
+        salary_min: job.salary_min,
+        salary_max: job.salary_max,
+        currency: job.salary_currency,
+        positions_open: Math.max((job.positions_available || 0) - (job.positions_filled || 0), 0),
+        application_deadline: job.application_deadline,
+        start_date: job.start_date,
+        description: job.description,
+        requirements: job.requirements
+      };
+    }
+  },
+  {
+    name: 'apply_to_job',
+    description: 'Apply the user to a job from the most recent job list, by its number in that list.',
+    schema: z.object({
+      job_number: z.number().int().min(1),
+      cover_letter: z.string().max(2000).optional()
+    }),
+    sideEffect: true,
+    async check(args, turn) {
+      if (!turn.lastJobs.length) return 'No job list has been shown yet; search for jobs first';
+      if (!turn.lastJobs[args.job_number - 1]) return `There is no job number ${args.job_number} in the last list`;
+
+      const status = await turn.services.profile.getProfileStatus(turn.userId);
+      if (status.completion_percentage < MIN_PROFILE_COMPLETION_TO_APPLY) {
+        return `The profile is ${status.completion_percentage}% complete; at least ${MIN_PROFILE_COMPLETION_TO_APPLY}% is needed to apply. ` +
+          `Missing: ${status.missing_fields.join(', ')}`;
+      }
+      return null;
+    },
+    confirm(args, turn) {
+      const job = turn.lastJobs[args.job_number - 1];
+      return t('AGENT_CONFIRM_APPLY', turn.language, { title: job.title, location: job.location });
+    },
+    async execute(args, turn) {
+      const job = turn.lastJobs[args.job_number - 1];
+      const status = await turn.services.profile.getProfileStatus(turn.userId);
+
+      // Listed jobs carry upstream ids; applications go to their local mirror
+      const localJob = await turn.services.chat.jobSync.findLocalJob(job.id);
+      if (!localJob || !turn.services.chat.jobSync.acceptsApplications(localJob)) {
+        return { applied: false, error: `"${job.title}" is no longer accepting applications` };
+      }
+
+      const applicationId = await JobApplication.create({
+        job_id: localJob.id,
+        user_id: turn.userId,
+        cover_letter: args.cover_letter || 'Application via Kozi chatbot',
+        cv_file_path: status.profile_data?.cv_file_path || null
+      });
+      await turn.services.chat.applicationSubmitter.enqueue(applicationId, localJob);
+
+      return { applied: true, application_id: applicationId, job_id: job.id, title: job.title };
+    }
+  },
+  {
+    name: 'list_my_applications',
+    description: 'List the jobs the user has applied to, with the status of each application.',
+    schema: z.object({}),
+    sideEffect: false,
+    async execute(args, turn) {
+      await turn.services.chat.applicationSubmitter.reconcile({ userId: turn.userId });
+      const applications = await JobApplication.findByUserId(turn.userId);
+      return {
+        count: applications.length,
+        applications: applications.map(application => ({
+          title: application.title,
+          location: application.location,
+          status: application.status,
+          applied_at: application.applied_at,
+          // pending/failed: still being sent to, or never reached, the Kozi platform
+          delivery: application.submission_status || null
+        }))
+      };
+    }
+  },
+  {
+    name: 'save_job_search',
+    description: 'Save a job search so the user is told about new jobs matching it the next time they open the chat ' +
+      '("notify me about new cleaning jobs in Kigali"). For "save this search", pass the filters of the last search_jobs call.',
+    schema: z.object({
+      category: z.string().describe(`one of ${Object.keys(JOB_CATEGORIES).join(', ')}`).optional(),
+      location: z.string().describe('a Rwandan district or Kigali').optional(),
+      work_type: z.enum(Object.keys(WORK_TYPES)).optional(),
+      salary_min: z.number().positive().describe('monthly RWF').optional(),
+      salary_max: z.number().positive().describe('monthly RWF').optional(),
+      query: z.string().min(2).max(200).describe('the work in the user\'s words when no category fits').optional()
+    }),
+    sideEffect: true,
+    check(args) {
+      return Object.keys(args).length ? null : 'Say which jobs to watch for: at least one filter or a query';
+    },
+    confirm(args, turn) {
+      const { query = null, ...filters } = args;
+      return t('AGENT_CONFIRM_SAVE_SEARCH', turn.language, { search: describeSearch({ filters, query }, turn.language) });
+    },
+    async execute(args, turn) {
+      const { query = null, ...filters } = args;
+      const { status, count } = await turn.services.chat.savedSearches.save(turn.userId, { filters, query }, turn.language);
+      return {
+        saved: status === 'saved',
+        ...(status === 'exists' && { note: 'The user already had this alert' }),
+        ...(status === 'limit' && { error: `The user already has ${MAX_SAVED_SEARCHES} alerts, the most allowed; they can turn them all off` }),
+        ...(count !== null && { open_jobs_now: count })
+      };
+    }
+  },
+  {
+    name: 'stop_job_alerts',
+    description: 'Turn off all of the user\'s saved job searches (new-job alerts).',
+    schema: z.object({}),
+    sideEffect: true,
+    confirm(args, turn) {
+      return t('AGENT_CONFIRM_STOP_ALERTS', turn.language);
+    },
+    async execute(args, turn) {
+      const stopped = await turn.services.chat.savedSearches.stopAll(turn.userId);
+      return { stopped };
+    }
+  },
+  {
+    name: 'start_cv_generation',
+    description: "Start (or resume) the step-by-step CV builder. The user's next messages go to the builder.",
+    schema: z.object({
+      restart: z.boolean().describe('discard a CV already in progress').optional()
+    }),
+    sideEffect: true,
+    confirm(args, turn) {
+      return t(args.restart ? 'AGENT_CONFIRM_CV_RESTART' : 'AGENT_CONFIRM_CV_START', turn.language);
+    },
+    async execute(args, turn) {
+      const cv = turn.services.cv;
+      const result = await cv.startCVGeneration(turn.userId, turn.sessionId, turn.language);
+
+      if (!result.hasProgress) {
+        return { started: true, step: result.currentStep, reply: result.message };
+      }
+
+      const state = args.restart
+        ? { current_step: 'contact_info', completed_steps: [], cv_data: {}, language: turn.language }
+        : { ...(await cv.getCVGenerationState(turn.sessionId)), completed: false, language: turn.language };
+      await cv.saveCVGenerationState(turn.sessionId, turn.userId, state);
+
+      const prompt = cv.stepPrompt(state.current_step, turn.language);
+      return {
+        started: true,
+        step: state.current_step,
+        reply: args.restart ? prompt : t('CV_CONTINUE', turn.language, { prompt })
+      };
+    }
+  }
+];
+
+module.exports = {
+  TOOLS
+};
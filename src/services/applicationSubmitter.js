@@ -0,0 +1,203 @@
+// src/services/applicationSubmitter.js
+// Sends applications for upstream jobs to the main Kozi platform so its employers see them.
+// Applying only queues the application (application_outbox) and nudges the submitter; the
+// server also runs submitDue() every APPLICATION_SUBMIT_INTERVAL_SECONDS. Failed attempts
+// are retried with exponential backoff up to APPLICATION_SUBMIT_MAX_ATTEMPTS. reconcile()
+// copies the platform's decision back into job_applications.status.
+// Does nothing unless JOBS_API_APPLY_URL is set.
+
+const { ApplicationOutbox, JobApplication } = require('../core/db/models');
+const { getJobsGateway } = require('./jobsGateway');
+const env = require('../config/environment');
+const logger = require('../core/utils/logger');
+
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Platform status → job_applications.status (unknown ones leave ours unchanged)
+const UPSTREAM_STATUSES = {
+  pending: 'pending',
+  submitted: 'pending',
+  received: 'pending',
+  new: 'pending',
+  reviewed: 'reviewed',
+  viewed: 'reviewed',
+  seen: 'reviewed',
+  shortlisted: 'shortlisted',
+  interview: 'shortlisted',
+  rejected: 'rejected',
+  declined: 'rejected',
+  unsuccessful: 'rejected',
+  hired: 'hired',
+  accepted: 'hired',
+  approved: 'hired'
+};
+
+// One submit run at a time per process
+let submitting = null;
+
+// 1, 2, 4, ... minutes (capped), ±20% so a backlog doesn't retry in lockstep
+function backoffMs(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function localStatus(upstreamStatus) {
+  return UPSTREAM_STATUSES[String(upstreamStatus || '').trim().toLowerCase()] || null;
+}
+
+class ApplicationSubmitter {
+  constructor() {
+    this.jobsGateway = getJobsGateway();
+  }
+
+  get enabled() {
+    return Boolean(env.JOBS_API_APPLY_URL);
+  }
+
+  /**
+   * Queue an application for the platform and try to send it right away. Only jobs from
+   * the upstream feed (with an external_id) go out. Never throws: the application is
+   * already saved locally, and a queued one is retried later.
+   */
+  async enqueue(applicationId, job) {
+    if (!this.enabled || !job?.external_id) return false;
+
+    try {
+      await ApplicationOutbox.enqueue(applicationId);
+      this.submitDue().catch(error =>
+        logger.error('Application submission run failed', { error: error.message })
+      );
+      return true;
+    } catch (error) {
+      logger.error('Could not queue application for the Kozi platform', { error: error.message, applicationId });
+      return false;
+    }
+  }
+
+  // Send every due pending application; returns { submitted, failed }
+  submitDue() {
+    if (!this.enabled) return Promise.resolve({ submitted: 0, failed: 0 });
+    if (!submitting) {
+      submitting = this._submitDue().finally(() => {
+        submitting = null;
+      });
+    }
+    return submitting;
+  }
+
+  async _submitDue() {
+    const due = await ApplicationOutbox.findDue();
+    let submitted = 0;
+    let failed = 0;
+
+    for (const entry of due) {
+      if (await this._submit(entry)) submitted += 1;
+      else failed += 1;
+    }
+
+    if (due.length) logger.info('Application submission run', { due: due.length, submitted, failed });
+    return { submitted, failed };
+  }
+
+  async _submit(entry) {
+    try {
+      const result = await this.jobsGateway.submitApplication({
+        job_id: entry.external_id,
+        reference: `kozi-chat-${entry.application_id}`, // lets the platform drop a repeated submission
+        email: entry.email,
+        full_name: entry.full_name,
+        phone: entry.phone,
+        cover_letter: entry.cover_letter,
+        cv_file_path: entry.cv_file_path,
+        applied_at: entry.applied_at
+      });
+
+      await ApplicationOutbox.markSubmitted(entry.id, {
+        upstreamId: result.id === null ? null : String(result.id),
+        upstreamStatus: result.status
+      });
+      await this._applyStatus(entry.application_id, result.status);
+
+      logger.info('Application sent to the Kozi platform', {
+        applicationId: entry.application_id,
+        upstreamId: result.id,
+        duplicate: result.duplicate
+      });
+      return true;
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      const giveUp = error.permanent || attempts >= env.APPLICATION_SUBMIT_MAX_ATTEMPTS;
+      const nextAttemptAt = giveUp ? null : new Date(Date.now() + backoffMs(attempts));
+
+      await ApplicationOutbox.markAttemptFailed(entry.id, error.message, nextAttemptAt);
+
+      logger[giveUp ? 'error' : 'warn']('Application submission failed', {
+        applicationId: entry.application_id,
+        attempts,
+        error: error.message,
+        ...(giveUp ? { gaveUp: true } : { nextAttemptAt })
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Read the platform's status of submitted applications (all, or one user's) and copy
+   * decisions into job_applications. Needs JOBS_API_APPLICATION_STATUS_URL.
+   * Returns how many applications changed status.
+   */
+  async reconcile({ userId = null } = {}) {
+    if (!this.enabled || !env.JOBS_API_APPLICATION_STATUS_URL) return 0;
+
+    const entries = await ApplicationOutbox.findToReconcile({ userId });
+    let changed = 0;
+
+    for (const entry of entries) {
+      try {
+        const upstreamId = await this._upstreamId(entry);
+        if (!upstreamId) {
+          await ApplicationOutbox.markReconciled(entry.id, entry.upstream_status); // try it again last
+          continue;
+        }
+
+        const { status } = await this.jobsGateway.getApplicationStatus(upstreamId);
+        await ApplicationOutbox.markReconciled(entry.id, status);
+        if (await this._applyStatus(entry.application_id, status, entry.application_status)) changed += 1;
+      } catch (error) {
+        logger.warn('Could not reconcile application status', {
+          applicationId: entry.application_id,
+          error: error.message
+        });
+      }
+    }
+
+    if (changed) logger.info('Application statuses reconciled', { checked: entries.length, changed });
+    return changed;
+  }
+
+  // The platform's id for an entry; one it already had (409) is looked up by job and applicant
+  async _upstreamId(entry) {
+    if (entry.upstream_application_id) return entry.upstream_application_id;
+
+    const found = await this.jobsGateway.findApplication({ jobId: entry.external_id, email: entry.email });
+    if (!found) {
+      logger.warn('Kozi platform has no application to reconcile', { applicationId: entry.application_id });
+      return null;
+    }
+
+    await ApplicationOutbox.setUpstreamId(entry.id, String(found.id));
+    return String(found.id);
+  }
+
+  // Copy a platform status onto the local application; true when it changed
+  async _applyStatus(applicationId, upstreamStatus, currentStatus = null) {
+    const status = localStatus(upstreamStatus);
+    if (!status || status === currentStatus) return false;
+
+    await JobApplication.updateStatus(applicationId, status);
+    return true;
+  }
+}
+
+module.exports = ApplicationSubmitter;
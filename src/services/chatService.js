@@ -1,30 +1,67 @@
-// src/services/chatService.js - REAL-TIME JOBS (AUTH) + existing flows
+// src/services/chatService.js - real-time jobs (via the jobs gateway) + existing flows
 const { ChatSession } = require('../core/db/models');
-const { JobApplication } = require('../core/db/models/Job');
+const { Job, JobApplication } = require('../core/db/models/Job');
 const RAGService = require('./ragService');
 const ProfileService = require('./profileService');
 const CVGenerationService = require('./cvGenerationService');
-const { CHAT_RESPONSES } = require('../config/constants');
+const IntentClassifier = require('./intentClassifier');
+const AgentService = require('./agentService');
+const EmployerService = require('./employerService');
+const { getJobsGateway, isOpen, sortJobs } = require('./jobsGateway');
+const { matchJobs, describeMatch } = require('./jobMatcher');
+const { getJobIndex } = require('./jobIndex');
+const JobSyncService = require('./jobSyncService');
+const ApplicationSubmitter = require('./applicationSubmitter');
+const { SavedSearchService, describeSearch } = require('./savedSearchService');
+const { MIN_PROFILE_COMPLETION_TO_APPLY, MAX_SAVED_SEARCHES, BOT_TYPES } = require('../config/constants');
+const { BOTS, getBot, isSupportedBot, knowledgeFilter } = require('../config/bots');
+const env = require('../config/environment');
+const { t, detectLanguage, profileFieldNames, DEFAULT_LANGUAGE } = require('../core/utils/i18n');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const tokenBudget = require('../core/utils/tokenBudget');
 const logger = require('../core/utils/logger');
 
-// ===== Real-time jobs API configuration =====
-const JOBS_API_URL = process.env.JOBS_API_URL || 'https://apis.kozi.rw/admin/select_jobss';
-const JOBS_API_LOGIN_URL = process.env.JOBS_API_LOGIN_URL || 'https://apis.kozi.rw/login';
-const JOBS_API_EMAIL = process.env.JOBS_API_EMAIL;
-const JOBS_API_PASSWORD = process.env.JOBS_API_PASSWORD;
-const JOBS_API_ROLE_ID = parseInt(process.env.JOBS_API_ROLE_ID || '1', 10);
-const DEFAULT_CURRENCY = 'RWF';
+// Single words ("ok", "yes") don't switch the conversation language
+const MIN_WORDS_TO_SWITCH_LANGUAGE = 2;
+
+// Applications listed when the user asks about theirs
+const MY_APPLICATIONS_SHOWN = 10;
+
+// "Show me details for job #4521", as the job cards send it: an upstream job id, not a list number
+const JOB_ID_PATTERN = /#\s*([\w-]+)/;
+
+// Jobs per page of a job list, and the order a new search starts in
+const JOBS_PAGE_SIZE = 5;
+const DEFAULT_JOB_SORT = 'newest';
+
+// Strongest match reasons shown under a job (the recommendations API returns them all)
+const MATCH_REASONS_SHOWN = 3;
+
+// "show previous", "go back", "ibyabanje", "les précédentes"
+const PREVIOUS_PAGE_PATTERN = /\b(previous|prev|back)\b|ibyabanje|pr[ée]c[ée]dent/;
 
 class ChatService {
   constructor() {
     this.ragService = new RAGService();
     this.profileService = new ProfileService();
     this.cvService = new CVGenerationService();
+    this.intentClassifier = new IntentClassifier();
+    this.employerService = new EmployerService();
+    this.agentService = new AgentService(this);
+
+    // One classifier per bot, over that bot's intent set
+    this.intentClassifiers = {
+      [BOT_TYPES.EMPLOYEE]: this.intentClassifier,
+      [BOT_TYPES.EMPLOYER]: new IntentClassifier(BOTS[BOT_TYPES.EMPLOYER].intents),
+      [BOT_TYPES.HOMEPAGE]: new IntentClassifier(BOTS[BOT_TYPES.HOMEPAGE].intents)
+    };
 
-    // Token cache for upstream auth
-    this.apiToken = null;
-    this.tokenExpiry = null; // ms epoch
+    this.jobsGateway = getJobsGateway();
+    this.jobIndex = getJobIndex();
+    this.jobSync = new JobSyncService();
+    this.applicationSubmitter = new ApplicationSubmitter();
+    this.savedSearches = new SavedSearchService();
   }
 
   async initialize() {
@@ -32,16 +69,38 @@ class ChatService {
     logger.info('Chat service initialized');
   }
 
-  async startSession(userId) {
+  /**
+   * Start a session with one of the bots in config/bots.js (job seeker by default).
+   * The bot decides the welcome, intents and knowledge for the whole session. Job seekers
+   * are also told about new jobs matching their saved searches.
+   */
+  async startSession(userId, botType = BOT_TYPES.EMPLOYEE) {
     try {
+      if (!isSupportedBot(botType)) {
+        throw new Error(`Unsupported bot type: ${botType}`);
+      }
+
+      const bot = getBot(botType);
+      if (bot.anonymous) {
+        throw new Error(`Bot type ${botType} is for visitors; use startVisitorSession`);
+      }
+
       const sessionId = uuidv4();
-      await ChatSession.create(userId, sessionId, 'employee');
+      await ChatSession.create(userId, sessionId, bot.type);
+
+      const language = await this.profileService.getPreferredLanguage(userId).catch(() => DEFAULT_LANGUAGE);
+      await ChatSession.updateContext(sessionId, { language });
+
+      logger.info('Chat session started', { userId, sessionId, botType: bot.type, language });
 
-      logger.info('Chat session started', { userId, sessionId });
+      const alert = bot.type === BOT_TYPES.EMPLOYEE ? await this._newJobsAlert(sessionId, userId, language) : null;
 
       return {
         session_id: sessionId,
-        message: CHAT_RESPONSES.WELCOME
+        bot_type: bot.type,
+        message: alert ? `${t(bot.welcome, language)}\n\n${alert.message}` : t(bot.welcome, language),
+        // New-job alerts come with their job cards, like a job search reply
+        ...(alert && { intent: 'jobs', context: alert.context })
       };
     } catch (error) {
       logger.error('Failed to start chat session', { error: error.message, userId });
@@ -49,42 +108,213 @@ class ChatService {
     }
   }
 
-  async sendMessage(sessionId, userId, message) {
+  /**
+   * "3 new jobs match your saved search": the jobs found for the user's saved searches since
+   * they were last told, listed briefly and kept as the session's job list so "show me job 1"
+   * and "apply to job 2" work straight away. Null when there is nothing new; a failure only
+   * costs the alert (the jobs stay new for next time).
+   */
+  async _newJobsAlert(sessionId, userId, language = DEFAULT_LANGUAGE) {
+    try {
+      const { jobs, searches } = await this.savedSearches.takeNewJobs(userId);
+      if (!jobs.length) return null;
+
+      const count = jobs.length;
+      let message = searches.length === 1
+        ? t(count === 1 ? 'SAVED_SEARCH_NEW_ONE' : 'SAVED_SEARCH_NEW_MANY', language, { count, search: describeSearch(searches[0], language) })
+        : t(count === 1 ? 'SAVED_SEARCHES_NEW_ONE' : 'SAVED_SEARCHES_NEW_MANY', language, { count });
+      message += '\n\n';
+
+      const page = jobs.slice(0, JOBS_PAGE_SIZE);
+      page.forEach((job, index) => {
+        message += `${index + 1}. ${job.title} (${job.location})\n`;
+      });
+      if (count > page.length) {
+        message += `\n${t('JOBS_MORE', language, { count: count - page.length })}\n`;
+      }
+      message += `\n${t('JOBS_HOW_TO_APPLY', language, { number: 1 })}`;
+
+      // One search: "only part-time" refines it; several: the list pages like any other
+      const search = searches.length === 1
+        ? { filters: searches[0].filters, sort: DEFAULT_JOB_SORT, offset: 0, ...(searches[0].query && { query: searches[0].query }) }
+        : { filters: {}, sort: DEFAULT_JOB_SORT, offset: 0 };
+      await ChatSession.updateContext(sessionId, {
+        last_jobs: jobs,
+        last_jobs_timestamp: Date.now(),
+        job_search: search,
+        focused_job: null
+      });
+
+      return { message, context: { last_jobs: page, job_offset: 0 } };
+    } catch (error) {
+      logger.warn('Could not check saved searches for new jobs', { error: error.message, userId });
+      return null;
+    }
+  }
+
+  /**
+   * Start an anonymous homepage session. The visitor token identifies the visitor
+   * (a new one is issued when none is given) and must accompany every later call.
+   * The session expires after VISITOR_SESSION_TTL_MINUTES without messages.
+   */
+  async startVisitorSession(visitorToken = null, language = DEFAULT_LANGUAGE) {
+    try {
+      const bot = getBot(BOT_TYPES.HOMEPAGE);
+      const token = visitorToken || crypto.randomBytes(24).toString('hex');
+      const sessionId = uuidv4();
+      const expiresAt = this._visitorExpiry();
+
+      await ChatSession.createForVisitor(token, sessionId, expiresAt);
+      await ChatSession.updateContext(sessionId, { language });
+
+      logger.info('Visitor chat session started', { sessionId, language });
+
+      return {
+        session_id: sessionId,
+        bot_type: bot.type,
+        visitor_token: token,
+        expires_at: expiresAt.toISOString(),
+        message: t(bot.welcome, language)
+      };
+    } catch (error) {
+      logger.error('Failed to start visitor chat session', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * The live session `sessionId` if the caller may use it: anonymous sessions only
+   * with their own visitor token. Returns null otherwise.
+   */
+  async getAccessibleSession(sessionId, { visitorToken = null } = {}) {
+    const session = await ChatSession.findBySessionId(sessionId);
+    if (!session) return null;
+
+    if (getBot(session.bot_type).anonymous && !sameToken(session.visitor_token, visitorToken)) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * After sign-up, move a visitor's homepage session to their new account. The session
+   * keeps its id and messages and continues with `botType`. Returns null when the
+   * session is gone, expired or the token doesn't match.
+   */
+  async handOverSession(sessionId, visitorToken, userId, botType = BOT_TYPES.EMPLOYEE) {
+    try {
+      const bot = getBot(botType);
+      if (!isSupportedBot(botType) || bot.anonymous) {
+        throw new Error(`Unsupported bot type: ${botType}`);
+      }
+
+      const session = await this.getAccessibleSession(sessionId, { visitorToken });
+      if (!session || !getBot(session.bot_type).anonymous) return null;
+
+      const claimed = await ChatSession.claimForUser(sessionId, visitorToken, userId, bot.type);
+      if (!claimed) return null;
+
+      const language = session.context?.language || DEFAULT_LANGUAGE;
+      await this.profileService.setPreferredLanguage(userId, language).catch(error =>
+        logger.warn('Could not save preferred language', { error: error.message, userId })
+      );
+      await ChatSession.updateContext(sessionId, { handed_over_at: new Date().toISOString() });
+
+      const message = `${t('HANDOVER_DONE', language)}\n\n${t(bot.welcome, language)}`;
+      const messageId = await ChatSession.addMessage(sessionId, message, 'assistant');
+
+      logger.info('Visitor chat session handed over', { sessionId, userId, botType: bot.type });
+
+      return { session_id: sessionId, bot_type: bot.type, message, message_id: messageId };
+    } catch (error) {
+      logger.error('Failed to hand over chat session', { error: error.message, sessionId, userId });
+      throw error;
+    }
+  }
+
+  _visitorExpiry() {
+    return new Date(Date.now() + env.VISITOR_SESSION_TTL_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Process one user message. `options.onToken` is forwarded to the LLM-backed
+   * answer so callers can stream partial text; other intents answer in one piece.
+   * Replies are in the language the user writes in (en, rw or fr). Model calls are
+   * charged to the user's daily token budget; a visitor's go to their visitor token
+   * (`options.visitorToken`), their IP (`options.ip`) and the shared anonymous budget.
+   */
+  async sendMessage(sessionId, userId, message, options = {}) {
+    const budgetKeys = userId
+      ? [`user:${userId}`]
+      : [
+        options.visitorToken ? `visitor:${options.visitorToken}` : `session:${sessionId}`,
+        options.ip && `ip:${options.ip}`,
+        tokenBudget.ANONYMOUS_KEY
+      ];
+    return tokenBudget.track(budgetKeys, () => this._processMessage(sessionId, userId, message, options));
+  }
+
+  async _processMessage(sessionId, userId, message, options) {
+    let language = DEFAULT_LANGUAGE;
+
     try {
       await ChatSession.addMessage(sessionId, message, 'user');
 
       logger.info('chat-inbound', { sessionId, userId, msgPreview: String(message).slice(0, 140) });
 
       const session = await ChatSession.findBySessionId(sessionId);
+      const bot = getBot(session.bot_type);
+      if (bot.anonymous) {
+        await ChatSession.extendExpiry(sessionId, this._visitorExpiry());
+      }
       const cvState = session.context?.cv_generation;
+      const jobPost = session.context?.job_post;
+      language = await this._resolveLanguage(session, userId, message);
 
-      if (cvState && cvState.current_step && !cvState.completed) {
-        return await this._handleCVGenerationFlow(sessionId, userId, message, cvState);
+      const budget = await tokenBudget.status(tokenBudget.currentKeys());
+      if (budget.exhausted) {
+        return await this._replyQuotaReached(sessionId, userId, budget, language);
       }
 
-      const intent = this._detectIntent(message);
+      if (cvState && cvState.current_step && !cvState.completed) {
+        return await this._handleCVGenerationFlow(sessionId, userId, message, cvState, language);
+      }
 
+      let intent;
       let responseData;
-      switch (intent) {
-        case 'jobs':
-          responseData = await this._handleJobsIntent(sessionId, userId, message);
-          break;
-
-        case 'cv_generation':
-          responseData = await this._handleCVGenerationIntent(sessionId, userId, message);
-          break;
 
-        case 'job_application':
-          responseData = await this._handleJobApplicationIntent(sessionId, userId, message);
-          break;
+      if (jobPost && jobPost.current_step && !jobPost.completed) {
+        // Mid-way through the job request form (employer bot)
+        responseData = await this.employerService.processJobPostStep(sessionId, userId, message, jobPost, language);
+        intent = responseData.intent;
+      } else if (env.CHAT_MODE === 'agent' && bot.agent) {
+        // The model picks and calls tools itself (see agentService.js)
+        responseData = await this.agentService.respond(session, userId, message, language);
+        intent = responseData.intent;
+      } else {
+        const classification = await this._classifierFor(bot).classify(message, {
+          has_recent_jobs: Boolean(session.context?.last_jobs?.length)
+        });
+        intent = classification.intent;
+        const { slots } = classification;
+
+        logger.info('chat-intent', {
+          sessionId,
+          botType: bot.type,
+          intent,
+          language,
+          confidence: classification.confidence,
+          source: classification.source,
+          slots
+        });
 
-        default:
-          responseData = await this._handleGeneralIntent(sessionId, userId, message);
+        responseData = await this._respondToIntent(sessionId, userId, message, intent, slots, { ...options, language, bot });
       }
 
       // Persist the assistant message (string only)
       const finalMessage = typeof responseData === 'string' ? responseData : responseData.message;
-      await ChatSession.addMessage(sessionId, finalMessage, 'assistant');
+      const extras = responseData?.citations?.length ? { citations: responseData.citations } : {};
+      const messageId = await ChatSession.addMessage(sessionId, finalMessage, 'assistant', extras);
 
       logger.info('chat-outbound', {
         sessionId,
@@ -95,433 +325,569 @@ class ChatService {
 
       // Return full response (including jobs context if present)
       if (typeof responseData === 'object') {
-        return responseData;
+        return { ...responseData, message_id: messageId };
       }
-      return { message: finalMessage, intent };
+      return { message: finalMessage, intent, message_id: messageId };
     } catch (error) {
       logger.error('Message processing failed', { error: error.message, sessionId, userId });
 
-      const errorResponse = CHAT_RESPONSES.ERROR_GENERIC;
-      await ChatSession.addMessage(sessionId, errorResponse, 'assistant');
+      const errorResponse = t('ERROR_GENERIC', language);
+      const messageId = await ChatSession.addMessage(sessionId, errorResponse, 'assistant');
 
-      return { message: errorResponse };
+      return { message: errorResponse, message_id: messageId };
     }
   }
 
-  _detectIntent(message) {
-    const text = String(message || '').toLowerCase();
+  async _respondToIntent(sessionId, userId, message, intent, slots, options = {}) {
+    const language = options.language || DEFAULT_LANGUAGE;
+    const bot = options.bot || getBot(BOT_TYPES.EMPLOYEE);
 
-    if (
-      /\b(create|write|make|generate|build|prepare|need)\s+(a\s+)?(cv|resume|curriculum vitae)\b/.test(text) ||
-      /\b(cv|resume)\s+(creation|generation|preparation|help|assistance)\b/.test(text) ||
-      /\bhelp.*cv\b/.test(text)
-    ) {
-      return 'cv_generation';
-    }
+    switch (intent) {
+      case 'jobs':
+        return this._handleJobsIntent(sessionId, userId, message, slots, language);
 
-    if (
-      /\b(find|search|look for|show|available|open)\s+(jobs?|positions?|opportunities?|vacancies?)\b/.test(text) ||
-      /\bjobs?\s+(available|near me|in|for)\b/.test(text) ||
-      /\bwhat\s+jobs?\b/.test(text) ||
-      /\bhiring\b/.test(text)
-    ) {
-      return 'jobs';
-    }
+      case 'job_recommendations':
+        return this._handleJobRecommendationsIntent(sessionId, userId, slots, language);
 
-    if (
-      /\b(apply|applying|application)\s+(for|to)?\s*(job|position)\b/.test(text) ||
-      /\bhow.*apply\b/.test(text)
-    ) {
-      return 'job_application';
-    }
+      case 'save_search':
+        return this._handleSaveSearchIntent(sessionId, userId, slots, language);
 
-    return 'general';
-  }
+      case 'stop_job_alerts':
+        return this._handleStopJobAlertsIntent(userId, language);
 
-  // ======================================================
-  //               UPSTREAM AUTH (token)
-  // ======================================================
+      case 'jobs_more':
+        return this._handleJobsMoreIntent(sessionId, userId, message, language);
 
-  /**
-   * Get an API token; cache it until near expiry.
-   * If credentials are missing, returns null (unauthenticated request).
-   */
-  async _getAPIToken() {
-    // Use cached token if valid (5 min buffer)
-    if (this.apiToken && this.tokenExpiry && Date.now() < (this.tokenExpiry - 300000)) {
-      logger.info('Using cached API token');
-      return this.apiToken;
-    }
+      case 'jobs_refine':
+        // Nothing to refine by (e.g. a stray "gusa"): treat it as a general question
+        if (!Object.keys(this._jobFilters(slots)).length && !slots.sort) {
+          return this._handleGeneralIntent(sessionId, userId, message, options.onToken, language, bot);
+        }
+        return this._handleJobsRefineIntent(sessionId, userId, slots, language);
 
-    // Missing creds? Try unauthenticated
-    if (!JOBS_API_EMAIL || !JOBS_API_PASSWORD) {
-      logger.warn('JOBS_API_EMAIL or JOBS_API_PASSWORD not set; proceeding without Authorization');
-      this.apiToken = null;
-      this.tokenExpiry = null;
-      return null;
-    }
+      case 'cv_generation':
+        return this._handleCVGenerationIntent(sessionId, userId, message, language);
 
-    try {
-      logger.info('Logging in to upstream to obtain token...', { loginUrl: JOBS_API_LOGIN_URL });
-
-      const resp = await fetch(JOBS_API_LOGIN_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          email: JOBS_API_EMAIL,
-          password: JOBS_API_PASSWORD,
-          role_id: JOBS_API_ROLE_ID
-        })
-      });
+      case 'job_details':
+        return this._handleJobDetailsIntent(sessionId, userId, message, slots, language);
+
+      case 'job_application':
+        return this._handleJobApplicationIntent(sessionId, userId, message, slots, language);
+
+      case 'application_status':
+        return this._handleApplicationStatusIntent(userId, language);
 
-      if (!resp.ok) {
-        const errText = await resp.text().catch(() => '');
-        throw new Error(`Login failed ${resp.status}: ${errText.slice(0, 300)}`);
+      // Employer bot
+      case 'post_job':
+        return this.employerService.startJobPost(sessionId, userId, language);
+
+      case 'review_applicants':
+        return this.employerService.reviewApplicants(sessionId, userId, slots, language);
+
+      case 'applicant_decision':
+        return this.employerService.decideApplicant(sessionId, userId, message, slots, language);
+
+      default: {
+        // Config-only intents answer with their canned reply ({ en, rw, fr } or a string)
+        const reply = this._classifierFor(bot).getIntent(intent)?.reply;
+        return reply
+          ? { message: typeof reply === 'string' ? reply : (reply[language] || reply.en), intent }
+          : this._handleGeneralIntent(sessionId, userId, message, options.onToken, language, bot);
       }
+    }
+  }
 
-      const data = await resp.json().catch(() => ({}));
-      const token = data.token || data.access_token || data.accessToken || null;
+  // Friendly in-chat answer once the daily token budget is spent (no model call)
+  async _replyQuotaReached(sessionId, userId, budget, language) {
+    const retryAfter = Math.ceil(budget.resetMs / 1000);
+    const message = t('DAILY_QUOTA_REACHED', language, { hours: Math.max(Math.ceil(retryAfter / 3600), 1) });
+    const messageId = await ChatSession.addMessage(sessionId, message, 'assistant');
 
-      if (!token) throw new Error('No token field found in login response');
+    logger.warn('Daily token budget reached', { sessionId, userId, used: budget.used, limit: budget.limit });
 
-      // Default to 1 hour expiry
-      this.apiToken = token;
-      this.tokenExpiry = Date.now() + (3600 * 1000);
+    return { message, intent: 'quota_exceeded', retry_after: retryAfter, message_id: messageId };
+  }
 
-      logger.info('Upstream token acquired', {
-        expiresIn: '1h',
-        tokenPreview: token ? token.slice(0, 12) + '…' : null
-      });
+  _classifierFor(bot) {
+    return this.intentClassifiers[bot.type] || this.intentClassifier;
+  }
 
-      return token;
-    } catch (err) {
-      logger.error('Failed to obtain upstream token', { error: err.message });
-      // If auth fails, allow unauthenticated attempt (in case endpoint allows public)
-      this.apiToken = null;
-      this.tokenExpiry = null;
-      return null;
+  /**
+   * The language to answer in: the one the message is written in, else the session's,
+   * else the user's preferred language. A switch is remembered on the profile
+   * (visitors have none; theirs only lives in the session).
+   */
+  async _resolveLanguage(session, userId, message) {
+    const current = session.context?.language ||
+      (userId ? await this.profileService.getPreferredLanguage(userId).catch(() => DEFAULT_LANGUAGE) : DEFAULT_LANGUAGE);
+
+    const words = String(message || '').trim().split(/\s+/).length;
+    const detected = words >= MIN_WORDS_TO_SWITCH_LANGUAGE ? detectLanguage(message) : null;
+    const language = detected || current;
+
+    if (language !== session.context?.language) {
+      await ChatSession.updateContext(session.session_id, { language });
     }
+    if (detected && detected !== current) {
+      logger.info('Chat language switched', { sessionId: session.session_id, from: current, to: detected });
+    }
+    if (detected && detected !== current && userId) {
+      await this.profileService.setPreferredLanguage(userId, detected).catch(error =>
+        logger.warn('Could not save preferred language', { error: error.message, userId })
+      );
+    }
+
+    return language;
   }
 
   // ======================================================
-  //              REAL-TIME JOBS (fetch + normalize)
+  //                 INTENTS / RESPONSES
   // ======================================================
 
   /**
-   * Fetch jobs from EXTERNAL API with auth (when available).
-   * Returns an array of normalized jobs, filtered as requested.
+   * Jobs intent → a new search: fetch the feed with the filters mentioned and show the
+   * first page. Work described without a known category ("looking after elderly people",
+   * the query slot) is searched by meaning, closest first. The search
+   * ({ filters, sort, offset, query? }) is saved as context.job_search so "show more" and
+   * "only part-time" build on it.
    */
-  async _fetchRealtimeJobs(filters = {}) {
-    const startTime = Date.now();
+  async _handleJobsIntent(sessionId, userId, message, slots = {}, language = DEFAULT_LANGUAGE) {
+    const query = slots.category ? null : slots.query;
+    const search = {
+      filters: this._jobFilters(slots),
+      sort: slots.sort || (query ? 'relevance' : DEFAULT_JOB_SORT),
+      offset: 0,
+      ...(query && { query })
+    };
+    return this._searchJobs(sessionId, userId, search, language);
+  }
 
+  /**
+   * "Jobs for me" (optionally "... in Gasabo"): open jobs ranked by how well they suit the
+   * profile (jobMatcher), shown with their match score and paged and refined like any search.
+   */
+  async _handleJobRecommendationsIntent(sessionId, userId, slots = {}, language = DEFAULT_LANGUAGE) {
     try {
-      console.log('\n========== JOBS FETCH START ==========');
-      console.log('1. API URL:', JOBS_API_URL);
-      console.log('2. Filters:', JSON.stringify(filters));
-
-      // Acquire/refresh token if configured
-      const token = await this._getAPIToken();
-      console.log('3. Token obtained:', !!token);
-
-      logger.info('Fetching jobs from external API', { url: JOBS_API_URL, filters });
-
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 15000);
-
-      console.log('4. Sending authenticated request...');
-      const resp = await fetch(JOBS_API_URL, {
-        signal: controller.signal,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Kozi-Platform/1.0',
-          ...(token ? { Authorization: `Bearer ${token}` } : {})
-        }
-      });
+      const { profile_data: profile } = await this.profileService.getProfileStatus(userId);
+      if (!profile?.job_category && !profile?.location) {
+        return { message: t('JOBS_FOR_ME_NEED_PROFILE', language), intent: 'jobs' };
+      }
+    } catch (error) {
+      logger.error('Failed to load profile for job recommendations', { error: error.message });
+      return { message: t('JOBS_ERROR', language), intent: 'jobs' };
+    }
 
-      clearTimeout(timeout);
-      console.log('5. Response received:', resp.status, resp.statusText);
-
-      // Expired token → refresh once and retry
-      if (resp.status === 401 && token) {
-        console.log('6. Token possibly expired; refreshing…');
-        this.apiToken = null;
-        this.tokenExpiry = null;
-
-        const fresh = await this._getAPIToken();
-        const retry = await fetch(JOBS_API_URL, {
-          headers: {
-            'Accept': 'application/json',
-            'User-Agent': 'Kozi-Platform/1.0',
-            ...(fresh ? { Authorization: `Bearer ${fresh}` } : {})
-          }
-        });
+    const search = { filters: this._jobFilters(slots), sort: 'best_match', offset: 0 };
+    return this._searchJobs(sessionId, userId, search, language);
+  }
 
-        if (!retry.ok) {
-          const t = await retry.text().catch(() => '');
-          throw new Error(`API authentication failed after retry: ${retry.status} ${retry.statusText} ${t.slice(0, 200)}`);
+  /**
+   * "Notify me about new cleaning jobs in Kigali": save the search for new-job alerts, which
+   * greet the user when they next open the chat. Without any criteria ("save this search")
+   * the current search is saved.
+   */
+  async _handleSaveSearchIntent(sessionId, userId, slots = {}, language = DEFAULT_LANGUAGE) {
+    try {
+      let search = { filters: this._jobFilters(slots), query: slots.category ? null : slots.query };
+      if (!Object.keys(search.filters).length && !search.query) {
+        const session = await ChatSession.findBySessionId(sessionId);
+        const current = session.context?.job_search;
+        if (!current) {
+          return { message: t('SAVED_SEARCH_WHICH', language), intent: 'save_search' };
         }
-
-        const retraw = await retry.json().catch(() => ({}));
-        console.log('7. Retry successful');
-        return this._processJobsResponse(retraw, filters, startTime);
+        search = { filters: current.filters || {}, query: current.query || null };
       }
 
-      if (!resp.ok) {
-        const errorText = await resp.text().catch(() => '');
-        console.error('6. API ERROR Response:', errorText);
-        throw new Error(`API returned ${resp.status}: ${resp.statusText}`);
+      const { status, count } = await this.savedSearches.save(userId, search, language);
+      const label = describeSearch(search, language);
+
+      if (status === 'exists') {
+        return { message: t('SAVED_SEARCH_EXISTS', language, { search: label }), intent: 'save_search' };
+      }
+      if (status === 'limit') {
+        return { message: t('SAVED_SEARCH_LIMIT', language, { max: MAX_SAVED_SEARCHES }), intent: 'save_search' };
       }
 
-      const raw = await resp.json().catch(() => ({}));
-      return this._processJobsResponse(raw, filters, startTime);
+      let message = t('SAVED_SEARCH_SAVED', language, { search: label });
+      if (count !== null) {
+        const open = count === 0 ? 'SAVED_SEARCH_OPEN_NONE' : count === 1 ? 'SAVED_SEARCH_OPEN_ONE' : 'SAVED_SEARCH_OPEN_NOW';
+        message += `\n\n${t(open, language, { count })}`;
+      }
+      return { message, intent: 'save_search' };
     } catch (error) {
-      const duration = Date.now() - startTime;
-      console.error('\n❌ JOBS FETCH FAILED:', error.message);
-      console.error('Stack:', error.stack);
-      console.error(`Duration: ${duration}ms`);
-      console.error('========== JOBS FETCH END ==========\n');
-
-      logger.error('Failed to fetch external jobs', {
-        error: error.message,
-        stack: error.stack,
-        url: JOBS_API_URL,
-        duration: `${duration}ms`
-      });
+      logger.error('Failed to save job search', { error: error.message, userId });
+      return { message: t('SAVED_SEARCH_ERROR', language), intent: 'save_search' };
+    }
+  }
 
-      return [];
+  // "Stop my job alerts": turn off every saved search
+  async _handleStopJobAlertsIntent(userId, language = DEFAULT_LANGUAGE) {
+    try {
+      const stopped = await this.savedSearches.stopAll(userId);
+      return {
+        message: t(stopped ? 'SAVED_SEARCHES_STOPPED' : 'SAVED_SEARCHES_NONE', language),
+        intent: 'stop_job_alerts'
+      };
+    } catch (error) {
+      logger.error('Failed to turn off job alerts', { error: error.message, userId });
+      return { message: t('SAVED_SEARCH_ERROR', language), intent: 'stop_job_alerts' };
     }
   }
 
   /**
-   * Handle variations in upstream response; normalize + filter; log timing.
+   * "Only part-time", "closer to Gasabo", "highest pay first": narrow or re-sort the current
+   * search. A new filter replaces the same one and keeps the others; a new order alone just
+   * re-sorts the jobs already found. Without a current search, this starts one.
    */
-  _processJobsResponse(rawData, filters, startTime) {
-    console.log('6. Raw data type:', typeof rawData);
-    console.log('7. Is array?', Array.isArray(rawData));
-    console.log('8. Has .data property?', !!rawData?.data);
-
-    // Accept either [] or { data: [] }
-    const jobsArray = Array.isArray(rawData)
-      ? rawData
-      : (Array.isArray(rawData?.data) ? rawData.data : []);
-
-    console.log('9. Jobs array length:', jobsArray.length);
-
-    if (jobsArray.length === 0) {
-      console.log('10. ❌ NO JOBS in response!');
-      logger.warn('No jobs returned from external API');
-      return [];
-    }
-
-    console.log('11. First job sample:', JSON.stringify(jobsArray[0], null, 2));
+  async _handleJobsRefineIntent(sessionId, userId, slots = {}, language = DEFAULT_LANGUAGE) {
+    try {
+      const session = await ChatSession.findBySessionId(sessionId);
+      const current = session.context?.job_search;
+      const filters = this._jobFilters(slots);
 
-    // Normalize
-    let normalizedJobs = [];
-    for (let i = 0; i < jobsArray.length; i++) {
-      const normalized = this._normalizeJob(jobsArray[i]);
-      if (normalized) normalizedJobs.push(normalized);
-    }
+      if (!current) {
+        return this._searchJobs(sessionId, userId, { filters, sort: slots.sort || DEFAULT_JOB_SORT, offset: 0 }, language);
+      }
 
-    console.log(`12. After normalization: ${normalizedJobs.length}/${jobsArray.length} jobs`);
+      const search = { ...current, filters: { ...current.filters, ...filters }, sort: slots.sort || current.sort, offset: 0 };
+      if (!Object.keys(filters).length) {
+        const jobs = await this._sortJobs(userId, session.context.last_jobs || [], search.sort);
+        return this._showJobs(sessionId, userId, jobs, search, {}, language);
+      }
 
-    if (normalizedJobs.length === 0) {
-      console.log('13. ❌ ALL JOBS FAILED NORMALIZATION!');
-      return [];
+      return this._searchJobs(sessionId, userId, search, language, { refining: true });
+    } catch (error) {
+      logger.error('Failed to refine jobs', { error: error.message });
+      return { message: t('JOBS_ERROR', language), intent: 'jobs' };
     }
+  }
 
-    // Apply optional filters
-    const before = normalizedJobs.length;
+  // "Show more" / "show previous": the next or previous page of the saved list
+  async _handleJobsMoreIntent(sessionId, userId, message, language = DEFAULT_LANGUAGE) {
+    try {
+      const session = await ChatSession.findBySessionId(sessionId);
+      const jobs = session.context?.last_jobs || [];
+      if (!jobs.length) {
+        return { message: t('JOBS_NO_SEARCH', language), intent: 'jobs' };
+      }
 
-    if (filters.category) {
-      const cat = String(filters.category).toLowerCase();
-      normalizedJobs = normalizedJobs.filter(j => (j.category || '').toLowerCase().includes(cat));
-    }
-    if (filters.location) {
-      const loc = String(filters.location).toLowerCase();
-      normalizedJobs = normalizedJobs.filter(j => (j.location || '').toLowerCase().includes(loc));
-    }
-    if (filters.work_type) {
-      const type = String(filters.work_type).toLowerCase();
-      normalizedJobs = normalizedJobs.filter(j => (j.work_type || '').toLowerCase() === type);
-    }
+      // Lists saved before searches were tracked start at the first page
+      const search = session.context.job_search || { filters: {}, sort: DEFAULT_JOB_SORT, offset: 0 };
+      const back = PREVIOUS_PAGE_PATTERN.test(String(message || '').toLowerCase());
 
-    // Filter out clearly inactive/closed items; allow missing position fields
-    normalizedJobs = normalizedJobs.filter(j => {
-      const status = (j.status || 'active').toLowerCase();
-      if (['inactive', 'closed', 'expired', 'deleted'].includes(status)) return false;
+      if (back && search.offset === 0) {
+        return { message: t('JOBS_LIST_START', language), intent: 'jobs' };
+      }
+      const offset = back ? Math.max(search.offset - JOBS_PAGE_SIZE, 0) : search.offset + JOBS_PAGE_SIZE;
+      if (offset >= jobs.length) {
+        return { message: t('JOBS_NO_MORE', language), intent: 'jobs' };
+      }
 
-      if (!j.positions_available) return true;
-      const filled = j.positions_filled || 0;
-      return j.positions_available > filled;
-    });
+      return this._showJobs(sessionId, userId, jobs, { ...search, offset }, {}, language);
+    } catch (error) {
+      logger.error('Failed to page jobs', { error: error.message });
+      return { message: t('JOBS_ERROR', language), intent: 'jobs' };
+    }
+  }
 
-    console.log(`14. After filters: ${normalizedJobs.length} jobs (filtered out: ${before - normalizedJobs.length})`);
+  // Fetch the feed for `search` (by meaning when it has a query) and show its first page
+  async _searchJobs(sessionId, userId, search, language = DEFAULT_LANGUAGE, { refining = false } = {}) {
+    try {
+      logger.info('Handling jobs search', { filters: search.filters, sort: search.sort, query: search.query });
+
+      let feed;
+      try {
+        feed = search.query
+          ? await this.jobIndex.search(search.query, search.filters)
+          : await this.jobsGateway.getJobs(search.filters);
+      } catch (error) {
+        // Upstream down and nothing cached: say so rather than "no jobs match"
+        logger.warn('Jobs feed unavailable for chat', { sessionId, error: error.message });
+        return {
+          message: t('JOBS_UNAVAILABLE', language),
+          intent: 'jobs_unavailable'
+        };
+      }
+      const { stale } = feed;
+
+      // Nothing like what was described: fall back to the same search without the description
+      if (search.query && feed.jobs.length === 0 && !refining) {
+        const { query, ...plain } = search;
+        const sort = plain.sort === 'relevance' ? DEFAULT_JOB_SORT : plain.sort;
+        const result = await this._searchJobs(sessionId, userId, { ...plain, sort }, language);
+        return { ...result, message: `${t('JOBS_QUERY_NONE', language)}\n\n${result.message}` };
+      }
 
-    const duration = Date.now() - startTime;
-    console.log(`\n15. ✅ FINAL RESULT: ${normalizedJobs.length} jobs (${duration}ms)`);
-    console.log('========== JOBS FETCH END ==========\n');
+      const jobs = await this._sortJobs(userId, feed.jobs, search.sort);
 
-    logger.info('Jobs fetch completed', {
-      total: jobsArray.length,
-      normalized: normalizedJobs.length,
-      duration: `${duration}ms`
-    });
+      // A refinement that matches nothing keeps the previous list (and its search)
+      if (jobs.length === 0) {
+        const none = t(refining ? 'JOBS_REFINE_NONE' : 'JOBS_NONE', language);
+        return {
+          message: stale ? `${t('JOBS_STALE_NOTICE', language)}\n\n${none}` : none,
+          intent: 'jobs'
+        };
+      }
 
-    return normalizedJobs;
+      return await this._showJobs(sessionId, userId, jobs, search, { stale }, language);
+    } catch (error) {
+      logger.error('Failed to handle jobs intent', { error: error.message, stack: error.stack });
+      return {
+        message: t('JOBS_ERROR', language),
+        intent: 'jobs'
+      };
+    }
   }
 
-  _normalizeJob(raw) {
-    if (!raw || typeof raw !== 'object') return null;
+  /**
+   * One page of a job list as chat text, numbered across pages (so "apply to job 7" works
+   * on the second page), plus the page's jobs for the UI cards. Saves the list and the
+   * search to the session.
+   */
+  async _showJobs(sessionId, userId, jobs, search, { stale = false } = {}, language = DEFAULT_LANGUAGE) {
+    const { offset } = search;
+    const page = jobs.slice(offset, offset + JOBS_PAGE_SIZE);
+
+    let response = stale ? `${t('JOBS_STALE_NOTICE', language)}\n\n` : '';
+    if (offset === 0) {
+      response += jobs.length === 1
+        ? t('JOBS_FOUND_ONE', language)
+        : t('JOBS_FOUND_MANY', language, { count: jobs.length });
+    } else {
+      response += t('JOBS_PAGE_HEADER', language, { from: offset + 1, to: offset + page.length, total: jobs.length });
+    }
+    if (search.sort !== DEFAULT_JOB_SORT) {
+      response += `\n${t('JOBS_SORTED_BY', language, { sort: t(`JOB_SORTS.${search.sort}`, language) })}`;
+    }
+    response += '\n\n';
+
+    page.forEach((job, index) => {
+      response += `${offset + index + 1}. ${job.title}\n`;
+      if (job.match) response += `${this._formatMatch(job.match, language)}\n`;
+      response += `${t('JOBS_LOCATION_LINE', language, { location: job.location, work_type: this._formatWorkType(job.work_type, language) })}\n`;
+      response += `${t('JOBS_SALARY_LINE', language, { salary: this._formatSalary(job, language) })}\n`;
+      response += `${t('JOBS_POSITIONS_LINE', language, { count: this._openPositions(job) })}\n`;
+      const deadline = this._formatDate(job.application_deadline);
+      if (deadline) response += `${t('JOBS_DEADLINE_LINE', language, { date: deadline })}\n`;
+      response += `\n`;
+    });
 
-    const job = {
-      id: raw.id ?? raw.job_id ?? raw.ID ?? null,
-      title: raw.title ?? raw.job_title ?? raw.position ?? 'Untitled Position',
-      category: raw.category ?? raw.job_category ?? raw.type ?? 'General',
-      description: raw.description ?? raw.job_description ?? raw.details ?? '',
-      requirements: raw.requirements ?? raw.requirement ?? '',
+    const remaining = jobs.length - offset - page.length;
+    if (remaining > 0) {
+      response += `${t('JOBS_MORE', language, { count: remaining })}\n\n`;
+    } else if (offset > 0) {
+      response += `${t('JOBS_LIST_END', language, { total: jobs.length })}\n\n`;
+    }
 
-      salary_min: this._parseNumber(raw.salary_min ?? raw.min_salary ?? raw.minSalary),
-      salary_max: this._parseNumber(raw.salary_max ?? raw.max_salary ?? raw.maxSalary),
-      salary_currency: raw.salary_currency ?? raw.currency ?? DEFAULT_CURRENCY,
+    response += `${t('JOBS_HOW_TO_APPLY', language, { number: offset + 1 })}\n\n`;
 
-      location: raw.location ?? raw.city ?? raw.district ?? raw.area ?? 'Kigali',
-      work_type: raw.work_type ?? raw.employment_type ?? raw.type ?? 'full-time',
-      experience_level: raw.experience_level ?? raw.level ?? 'entry',
-      education_level: raw.education_level ?? raw.education ?? null,
+    if (offset === 0) {
+      if (jobs.length > JOBS_PAGE_SIZE) response += `${t('JOBS_REFINE_HINT', language)}\n\n`;
 
-      status: (raw.status ?? 'active').toString().toLowerCase(),
-      positions_available: parseInt(raw.positions_available ?? raw.openings ?? raw.slots ?? 1, 10) || 1,
-      positions_filled: parseInt(raw.positions_filled ?? raw.filled ?? 0, 10) || 0,
+      const profile = await this.profileService.getProfileStatus(userId);
+      response += t('JOBS_PROFILE_STATUS', language, { percent: profile.completion_percentage });
+      response += profile.completion_percentage < 80
+        ? t('JOBS_PROFILE_LOW', language)
+        : t('JOBS_PROFILE_GOOD', language);
+    }
 
-      posted_date: raw.posted_date ?? raw.created_at ?? raw.date_posted ?? new Date().toISOString(),
-      application_deadline: raw.application_deadline ?? raw.deadline ?? raw.closing_date,
-      start_date: raw.start_date ?? null,
+    // The whole list stays in the session for paging and "apply" by number
+    await ChatSession.updateContext(sessionId, {
+      last_jobs: jobs,
+      last_jobs_timestamp: Date.now(),
+      job_search: search,
+      focused_job: null,
+      intent: 'jobs'
+    });
 
-      views: parseInt(raw.views ?? 0, 10) || 0,
-      applications_count: parseInt(raw.applications_count ?? 0, 10) || 0
+    return {
+      message: response.trim(),
+      intent: 'jobs',
+      context: { last_jobs: page, job_offset: offset },
+      ...(stale && { jobs_stale: true })
     };
+  }
 
-    return job.id ? job : null;
+  // Sort a job list; best_match scores it against the user's profile first
+  async _sortJobs(userId, jobs, sort) {
+    if (sort !== 'best_match') return sortJobs(jobs, sort);
+
+    const { profile_data: profile } = await this.profileService.getProfileStatus(userId);
+    return matchJobs(jobs, profile);
   }
 
-  _parseNumber(val) {
-    if (val === null || val === undefined || val === '') return null;
-    const num = Number(val);
-    return Number.isFinite(num) && num >= 0 ? num : null;
+  _formatMatch(match, language = DEFAULT_LANGUAGE) {
+    const reasons = describeMatch(match, language).slice(0, MATCH_REASONS_SHOWN);
+    return reasons.length
+      ? t('JOBS_MATCH_LINE', language, { score: match.score, reasons: reasons.join(', ') })
+      : t('JOBS_MATCH_SCORE', language, { score: match.score });
   }
 
-  // ======================================================
-  //                 INTENTS / RESPONSES
-  // ======================================================
+  // Classifier slots → jobs gateway filters (only the ones that were mentioned)
+  _jobFilters(slots) {
+    const filters = {};
+    ['category', 'location', 'work_type', 'salary_min', 'salary_max'].forEach(key => {
+      if (slots[key] !== null && slots[key] !== undefined) filters[key] = slots[key];
+    });
+    return filters;
+  }
 
   /**
-   * Jobs intent → fetch upstream → return message + jobs for UI
+   * Full details of one job: by its number in the last list, by the id the job cards
+   * send ("job #4521"), or the job already being discussed. It becomes the session's
+   * focused_job, so follow-up questions are answered from its data.
    */
-  async _handleJobsIntent(sessionId, userId, message) {
+  async _handleJobDetailsIntent(sessionId, userId, message, slots = {}, language = DEFAULT_LANGUAGE) {
     try {
-      const profile = await this.profileService.getProfileStatus(userId);
-      const preferences = this._extractJobPreferences(message);
+      const session = await ChatSession.findBySessionId(sessionId);
+      const lastJobs = session.context?.last_jobs || [];
+      const jobId = String(message || '').match(JOB_ID_PATTERN)?.[1] || null;
 
-      logger.info('Handling jobs intent', { preferences });
+      if (!jobId && !slots.job_index && !session.context?.focused_job) {
+        return { message: t('JOB_DETAILS_WHICH', language), intent: 'job_details' };
+      }
+      if (!jobId && slots.job_index && !lastJobs.length) {
+        return { message: t('APPLY_NO_RECENT_JOBS', language), intent: 'job_details' };
+      }
 
-      const jobs = await this._fetchRealtimeJobs(preferences);
+      let { job } = this._pickListedJob(lastJobs, message, slots);
+      if (!job && jobId) {
+        job = (await this.jobsGateway.getJob(jobId)).job;
+      }
+      if (!job && !jobId && !slots.job_index) {
+        job = session.context.focused_job;
+      }
 
-      if (jobs.length === 0) {
+      if (!job) {
         return {
-          message:
-            "I couldn't find any jobs matching your criteria right now.\n\n" +
-            "Would you like me to:\n" +
-            "• Show all available jobs\n" +
-            "• Help you update your profile\n" +
-            "• Search for different job types",
-          intent: 'jobs'
+          message: t('APPLY_JOB_NOT_FOUND', language, { number: jobId || slots.job_index }),
+          intent: 'job_details'
         };
       }
 
-      // Clean, concise text list (first 5)
-      let response = `I found ${jobs.length} job ${jobs.length === 1 ? 'opportunity' : 'opportunities'} for you!\n\n`;
-      jobs.slice(0, 5).forEach((job, index) => {
-        const salary = (job.salary_min && job.salary_max)
-          ? `${this._formatNumber(job.salary_min)} - ${this._formatNumber(job.salary_max)} ${job.salary_currency}`
-          : 'Salary negotiable';
-
-        response += `${index + 1}. ${job.title}\n`;
-        response += `Location: ${job.location} | Type: ${this._formatWorkType(job.work_type)}\n`;
-        response += `Salary: ${salary}\n`;
-        const remaining = (job.positions_available || 0) - (job.positions_filled || 0);
-        response += `Positions available: ${remaining >= 0 ? remaining : 0}\n`;
-        if (job.application_deadline) {
-          const d = new Date(job.application_deadline);
-          if (!isNaN(d.getTime())) response += `Deadline: ${d.toLocaleDateString()}\n`;
-        }
-        response += `\n`;
-      });
-
-      if (jobs.length > 5) {
-        response += `... and ${jobs.length - 5} more jobs!\n\n`;
+      // The listed copy may be old: prefer the current feed entry
+      let open = true;
+      try {
+        const { job: current } = await this.jobsGateway.getJob(job.id);
+        open = Boolean(current) && isOpen(current);
+        job = current || job;
+      } catch (error) {
+        logger.warn('Jobs feed unavailable for job details; using the listed copy', { sessionId, error: error.message });
       }
 
-      response += `To view details or apply, say: "Show me job number 1" or "Apply to job number 2"\n\n`;
-      response += `Your profile is ${profile.completion_percentage}% complete. `;
-      response += profile.completion_percentage < 80
-        ? 'Complete it to improve your chances!'
-        : 'Great job!';
-
-      // Save jobs to session context (for UI JobCard + subsequent "apply" by index)
-      await ChatSession.updateContext(sessionId, {
-        last_jobs: jobs,
-        last_jobs_timestamp: Date.now(),
-        intent: 'jobs'
-      });
+      await this.viewJob(sessionId, job);
 
+      const number = lastJobs.findIndex(item => String(item.id) === String(job.id)) + 1;
       return {
-        message: response,
-        intent: 'jobs',
-        context: { last_jobs: jobs }
+        message: this._formatJobDetails(job, { number, open }, language),
+        intent: 'job_details',
+        context: { focused_job: job }
       };
     } catch (error) {
-      logger.error('Failed to handle jobs intent', { error: error.message, stack: error.stack });
-      return {
-        message: "I had trouble fetching jobs right now. Please try again in a moment.",
-        intent: 'jobs'
-      };
+      logger.error('Failed to handle job details', { error: error.message });
+      return { message: t('JOBS_ERROR', language), intent: 'job_details' };
+    }
+  }
+
+  /**
+   * The job of the last list the user means: the id a job card sends ("job #4521") or its
+   * number in the list ("job number 2", "#2" typed by hand). → { job, number }, job null
+   * when it isn't in the list.
+   */
+  _pickListedJob(lastJobs, message, slots = {}) {
+    const jobId = String(message || '').match(JOB_ID_PATTERN)?.[1];
+    let index = jobId ? lastJobs.findIndex(job => String(job.id) === jobId) : -1;
+    if (index === -1 && slots.job_index) {
+      index = slots.job_index === -1 ? lastJobs.length - 1 : slots.job_index - 1;
     }
+
+    const job = lastJobs[index] || null;
+    return { job, number: job ? index + 1 : null };
+  }
+
+  /**
+   * The user opened a job: make it the session's focused_job and count the view on its
+   * local mirror. Also used by the agent's get_job_details tool.
+   */
+  async viewJob(sessionId, job) {
+    await ChatSession.updateContext(sessionId, { focused_job: job });
+
+    try {
+      const localJob = await this.jobSync.findLocalJob(job.id);
+      if (localJob) await Job.incrementViews(localJob.id);
+    } catch (error) {
+      logger.warn('Could not count job view', { jobId: job.id, error: error.message });
+    }
+  }
+
+  _formatJobDetails(job, { number = 0, open = true } = {}, language = DEFAULT_LANGUAGE) {
+    const lines = [job.title];
+    if (job.category) lines.push(t('JOB_DETAILS_CATEGORY_LINE', language, { category: job.category }));
+    lines.push(t('JOBS_LOCATION_LINE', language, { location: job.location, work_type: this._formatWorkType(job.work_type, language) }));
+    lines.push(t('JOBS_SALARY_LINE', language, { salary: this._formatSalary(job, language) }));
+    lines.push(t('JOBS_POSITIONS_LINE', language, { count: this._openPositions(job) }));
+
+    const deadline = this._formatDate(job.application_deadline);
+    if (deadline) lines.push(t('JOBS_DEADLINE_LINE', language, { date: deadline }));
+    const start = this._formatDate(job.start_date);
+    if (start) lines.push(t('JOB_DETAILS_START_LINE', language, { date: start }));
+    if (job.education_level) lines.push(t('JOB_DETAILS_EDUCATION_LINE', language, { education: job.education_level }));
+
+    let response = lines.join('\n');
+    if (job.description) response += `\n\n${t('JOB_DETAILS_DESCRIPTION', language)}\n${job.description}`;
+    if (job.requirements) response += `\n\n${t('JOB_DETAILS_REQUIREMENTS', language)}\n${job.requirements}`;
+
+    if (!open) response += `\n\n${t('JOB_DETAILS_CLOSED', language)}`;
+    else if (number) response += `\n\n${t('JOB_DETAILS_FOLLOW_UP', language, { number })}`;
+    else response += `\n\n${t('JOB_DETAILS_ASK', language)}`;
+
+    return response;
+  }
+
+  _formatSalary(job, language = DEFAULT_LANGUAGE) {
+    return (job.salary_min && job.salary_max)
+      ? `${this._formatNumber(job.salary_min)} - ${this._formatNumber(job.salary_max)} ${job.salary_currency}`
+      : t('JOBS_SALARY_NEGOTIABLE', language);
+  }
+
+  _openPositions(job) {
+    return Math.max((job.positions_available || 0) - (job.positions_filled || 0), 0);
+  }
+
+  // Locale date, or null for a missing/invalid one
+  _formatDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toLocaleDateString();
   }
 
   _formatNumber(num) {
     return new Intl.NumberFormat('en-US').format(num);
   }
 
-  _formatWorkType(type) {
-    const types = {
-      'full-time': 'Full-Time',
-      'part-time': 'Part-Time',
-      contract: 'Contract',
-      temporary: 'Temporary'
-    };
-    return types[type] || type;
+  _formatWorkType(type, language = DEFAULT_LANGUAGE) {
+    const label = t(`WORK_TYPES.${type}`, language);
+    return label === `WORK_TYPES.${type}` ? type : label;
   }
 
-  async _handleCVGenerationIntent(sessionId, userId, message) {
+  async _handleCVGenerationIntent(sessionId, userId, message, language = DEFAULT_LANGUAGE) {
     try {
-      const result = await this.cvService.startCVGeneration(userId, sessionId);
+      const result = await this.cvService.startCVGeneration(userId, sessionId, language);
 
       if (result.hasProgress) {
-        const continueIntent = /\b(yes|continue|resume|proceed)\b/i.test(message);
-        const startFreshIntent = /\b(no|new|fresh|start over|restart)\b/i.test(message);
+        const continueIntent = /\b(yes|continue|resume|proceed|yego|komeza|oui|continuer|reprendre)\b/i.test(message);
+        const startFreshIntent = /\b(no|new|fresh|start over|restart|oya|bushya|non|nouveau|recommencer)\b/i.test(message);
 
         if (continueIntent) {
-          return { message: `Great! Let's continue. ${this.cvService.stepPrompts[result.currentStep]}` };
+          return { message: t('CV_CONTINUE', language, { prompt: this.cvService.stepPrompt(result.currentStep, language) }) };
         } else if (startFreshIntent) {
           await this.cvService.saveCVGenerationState(sessionId, userId, {
             current_step: 'contact_info',
             completed_steps: [],
-            cv_data: {}
+            cv_data: {},
+            language
           });
-          return { message: this.cvService.stepPrompts.contact_info };
+          return { message: this.cvService.stepPrompt('contact_info', language) };
         } else {
           return { message: result.message };
         }
@@ -530,20 +896,20 @@ class ChatService {
       return { message: result.message };
     } catch (error) {
       logger.error('Failed to handle CV generation intent', { error: error.message });
-      return { message: "I had trouble starting CV generation. Please try again." };
+      return { message: t('CV_START_ERROR', language) };
     }
   }
 
-  async _handleCVGenerationFlow(sessionId, userId, message, cvState) {
+  async _handleCVGenerationFlow(sessionId, userId, message, cvState, language = DEFAULT_LANGUAGE) {
     try {
-      if (/\b(cancel|stop|quit|exit)\b/i.test(message)) {
+      if (/\b(cancel|stop|quit|exit|hagarika|annuler|arr[eê]ter)\b/i.test(message)) {
         await ChatSession.updateContext(sessionId, {
           cv_generation: { ...cvState, completed: true }
         });
-        return { message: "CV generation cancelled. Your progress has been saved." };
+        return { message: t('CV_CANCELLED', language) };
       }
 
-      const result = await this.cvService.processStep(sessionId, message, cvState.current_step);
+      const result = await this.cvService.processStep(sessionId, message, cvState.current_step, language);
 
       if (result.completed) {
         await ChatSession.updateContext(sessionId, {
@@ -554,116 +920,136 @@ class ChatService {
       return { message: result.message };
     } catch (error) {
       logger.error('Failed to handle CV generation flow', { error: error.message });
-      return { message: "I had trouble processing that. Could you please rephrase?" };
+      return { message: t('CV_STEP_ERROR', language) };
     }
   }
 
-  async _handleJobApplicationIntent(sessionId, userId, message) {
+  async _handleJobApplicationIntent(sessionId, userId, message, slots = {}, language = DEFAULT_LANGUAGE) {
     try {
-      const jobIdMatch = message.match(/job\s*(?:number\s*)?#?(\d+)/i);
-
-      if (!jobIdMatch) {
-        return { message: "Which job would you like to apply to? Please say 'Apply to job number 1'." };
+      const jobId = String(message || '').match(JOB_ID_PATTERN)?.[1];
+      if (!slots.job_index && !jobId) {
+        return { message: t('APPLY_WHICH_JOB', language) };
       }
 
       const session = await ChatSession.findBySessionId(sessionId);
       const lastJobs = session.context?.last_jobs;
 
       if (!lastJobs || lastJobs.length === 0) {
-        return { message: "I don't see any recent job listings. Please search for jobs first." };
+        return { message: t('APPLY_NO_RECENT_JOBS', language) };
       }
 
-      const jobIndex = parseInt(jobIdMatch[1], 10) - 1;
-      const selectedJob = lastJobs[jobIndex];
-
+      const { job: selectedJob } = this._pickListedJob(lastJobs, message, slots);
       if (!selectedJob) {
-        return { message: `I couldn't find job number ${jobIndex + 1}. Please check the number.` };
+        return { message: t('APPLY_JOB_NOT_FOUND', language, { number: jobId || slots.job_index }) };
       }
 
       const profile = await this.profileService.getProfileStatus(userId);
 
-      if (profile.completion_percentage < 60) {
+      if (profile.completion_percentage < MIN_PROFILE_COMPLETION_TO_APPLY) {
         return {
-          message:
-            `To apply, complete at least 60% of your profile. You're at ${profile.completion_percentage}%.\n\n` +
-            `Missing: ${profile.missing_fields.join(', ')}\n\n` +
-            `Shall I help you complete it?`
+          message: t('APPLY_PROFILE_INCOMPLETE', language, {
+            required: MIN_PROFILE_COMPLETION_TO_APPLY,
+            percent: profile.completion_percentage,
+            missing: profileFieldNames(profile.missing_fields, language).join(', ')
+          })
         };
       }
 
-      // Local application record (your DB)
-      await JobApplication.create({
-        job_id: selectedJob.id,
+      // Listed jobs carry upstream ids; applications go to their local mirror
+      const job = await this.jobSync.findLocalJob(selectedJob.id);
+      if (!job || !this.jobSync.acceptsApplications(job)) {
+        return { message: t('APPLY_JOB_CLOSED', language, { title: selectedJob.title }) };
+      }
+      if (await JobApplication.hasApplied(userId, job.id)) {
+        return { message: t('APPLY_ALREADY', language, { title: selectedJob.title }) };
+      }
+
+      const applicationId = await JobApplication.create({
+        job_id: job.id,
         user_id: userId,
         cover_letter: 'Application via Kozi chatbot',
         cv_file_path: profile.profile_data?.cv_file_path || null
       });
+      await this.applicationSubmitter.enqueue(applicationId, job);
 
       return {
-        message:
-          `Success! You've applied to "${selectedJob.title}"!\n\n` +
-          `The employer will review your application and contact you.\n\n` +
-          `Tips:\n` +
-          `• Keep your phone handy\n` +
-          `• Complete your profile to 100%\n` +
-          `• Apply to similar jobs\n\n` +
-          `Good luck!`
+        message: t('APPLY_SUCCESS', language, { title: selectedJob.title })
       };
     } catch (error) {
       logger.error('Failed to handle job application', { error: error.message });
-      return { message: "I had trouble submitting your application. Please try again." };
+      return { message: t('APPLY_ERROR', language) };
     }
   }
 
-  async _handleGeneralIntent(sessionId, userId, message) {
-    const profileStatus = await this.profileService.getProfileStatus(userId);
+  /**
+   * The user's applications and where each stands. Decisions made on the Kozi platform
+   * are fetched first, so the answer is as current as the platform's.
+   */
+  async _handleApplicationStatusIntent(userId, language = DEFAULT_LANGUAGE) {
+    try {
+      try {
+        await this.applicationSubmitter.reconcile({ userId });
+      } catch (error) {
+        logger.warn('Could not refresh application statuses', { error: error.message, userId });
+      }
+
+      const applications = await JobApplication.findByUserId(userId);
+      if (!applications.length) {
+        return { message: t('MY_APPLICATIONS_NONE', language), intent: 'application_status' };
+      }
+
+      const shown = applications.slice(0, MY_APPLICATIONS_SHOWN);
+      let response = `${t('MY_APPLICATIONS_HEADER', language, { count: applications.length })}\n\n`;
+      shown.forEach((application, index) => {
+        response += t('MY_APPLICATION_LINE', language, {
+          number: index + 1,
+          title: application.title,
+          status: t(`APPLICATION_STATUSES.${application.status}`, language),
+          date: new Date(application.applied_at).toLocaleDateString()
+        });
+        if (application.submission_status === 'pending') response += t('MY_APPLICATION_SENDING', language);
+        if (application.submission_status === 'failed') response += t('MY_APPLICATION_NOT_DELIVERED', language);
+        response += '\n';
+      });
+      if (applications.length > MY_APPLICATIONS_SHOWN) {
+        response += t('APPLICANTS_MORE', language, { count: applications.length - MY_APPLICATIONS_SHOWN });
+      }
+
+      return { message: response.trim(), intent: 'application_status' };
+    } catch (error) {
+      logger.error('Failed to list applications', { error: error.message, userId });
+      return { message: t('MY_APPLICATIONS_ERROR', language), intent: 'application_status' };
+    }
+  }
+
+  /**
+   * Knowledge-base answer in the bot's persona, grounded only in the documents meant
+   * for its audience. Job-seeker answers also know the user's profile completion.
+   */
+  async _handleGeneralIntent(sessionId, userId, message, onToken = null, language = DEFAULT_LANGUAGE, bot = getBot(BOT_TYPES.EMPLOYEE)) {
+    const profileStatus = bot.profileContext ? await this.profileService.getProfileStatus(userId) : null;
     const session = await ChatSession.findBySessionId(sessionId);
     const recentMessages = session.messages.slice(-10);
 
-    const response = await this.ragService.generateContextualResponse(
+    const { message: response, citations } = await this.ragService.generateContextualResponse(
       message,
       recentMessages,
       {
-        profileCompletion: profileStatus.completion_percentage,
-        missingFields: profileStatus.missing_fields
-      }
+        ...(profileStatus && {
+          profileCompletion: profileStatus.completion_percentage,
+          missingFields: profileStatus.missing_fields
+        }),
+        ...(session.context?.focused_job && { focusedJob: session.context.focused_job })
+      },
+      { onToken, language, persona: bot.persona, filter: knowledgeFilter(bot) }
     );
 
     await ChatSession.updateContext(sessionId, {
-      last_profile_completion: profileStatus.completion_percentage,
+      ...(profileStatus && { last_profile_completion: profileStatus.completion_percentage }),
       topics_discussed: this._extractTopics(message)
     });
 
-    return { message: response };
-  }
-
-  _extractJobPreferences(message) {
-    const preferences = {};
-    const text = String(message || '').toLowerCase();
-
-    const categories = ['cleaning', 'security', 'childcare', 'cooking', 'gardening', 'driver', 'housekeeping'];
-    for (const cat of categories) {
-      if (text.includes(cat)) {
-        preferences.category = cat;
-        break;
-      }
-    }
-
-    const locations = ['kigali', 'nyarugenge', 'gasabo', 'kicukiro', 'musanze', 'huye', 'rubavu'];
-    for (const loc of locations) {
-      if (text.includes(loc)) {
-        preferences.location = loc;
-        break;
-      }
-    }
-
-    if (text.includes('full-time') || text.includes('full time')) {
-      preferences.work_type = 'full-time';
-    } else if (text.includes('part-time') || text.includes('part time')) {
-      preferences.work_type = 'part-time';
-    }
-
-    return preferences;
+    return { message: response, citations };
   }
 
   _extractTopics(message) {
@@ -724,4 +1110,12 @@ class ChatService {
   }
 }
 
+// Constant-time comparison of visitor tokens
+function sameToken(expected, given) {
+  if (!expected || !given) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 module.exports = ChatService;
@@ -0,0 +1,246 @@
+// src/services/chunker.js
+// Structure-aware chunking for knowledge documents.
+//
+// Text is first split into blocks at headings, numbered clauses and paragraphs,
+// then blocks are packed into chunks under a token budget. Oversized blocks are
+// split on sentence boundaries (never mid-sentence unless one sentence alone is
+// over budget). Each chunk keeps the page of its section and the title of the
+// heading or clause it falls under.
+
+// Per-source strategies; KnowledgeLoader picks one per file
+const STRATEGIES = {
+  // Prose (guidelines, profiles): merge paragraphs, break at headings
+  default: { maxTokens: 300, overlapSentences: 1, breakOnClauses: false, breakOnQuestions: false },
+  // Agreements: every numbered clause starts a new chunk so clauses are never merged or cut
+  contract: { maxTokens: 350, overlapSentences: 0, breakOnClauses: true, breakOnQuestions: false },
+  // FAQ sheets/pages: one question with its answer per chunk
+  faq: { maxTokens: 250, overlapSentences: 0, breakOnClauses: false, breakOnQuestions: true }
+};
+
+// Rough token estimate (~4 characters per token for English prose)
+const CHARS_PER_TOKEN = 4;
+
+const CLAUSE_PATTERN = /^(?:(?:article|clause|section)\s+\d+[.:)]?|\d+(?:\.\d+)*[.)]?)\s+\S/i;
+const BULLET_PATTERN = /^(?:[-•*▪●o]|\(?[a-z]\)|[ivx]+\.)\s+/i;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function getStrategy(name) {
+  return { name: STRATEGIES[name] ? name : 'default', ...(STRATEGIES[name] || STRATEGIES.default) };
+}
+
+/**
+ * Chunk extracted sections ({ text, metadata, atomic? }) into
+ * [{ text, metadata: { ...section.metadata, section } }].
+ * `strategy` is a strategy name or an object overriding the default settings.
+ */
+function chunkSections(sections, strategy = 'default') {
+  const options = typeof strategy === 'string'
+    ? getStrategy(strategy)
+    : { ...STRATEGIES.default, name: 'custom', ...strategy };
+
+  const boilerplate = findRepeatedLines(sections);
+  const chunks = [];
+  let title = null; // carried across pages until the next heading/clause
+
+  for (const section of sections) {
+    if (section.atomic) {
+      chunks.push({ text: section.text.trim(), metadata: { ...section.metadata } });
+      continue;
+    }
+
+    if (section.metadata?.heading) title = section.metadata.heading;
+
+    const blocks = splitBlocks(section, options, boilerplate, title);
+    if (blocks.length) title = blocks[blocks.length - 1].title;
+
+    packBlocks(blocks, options).forEach(chunk => {
+      chunks.push({
+        text: chunk.text,
+        metadata: { ...section.metadata, ...(chunk.title && { section: chunk.title }) }
+      });
+    });
+  }
+
+  return chunks;
+}
+
+// ---- blocks ----
+
+function splitBlocks({ text, metadata = {} }, options, boilerplate, initialTitle) {
+  const blocks = [];
+  let title = initialTitle;
+  let lines = [];
+
+  const flush = () => {
+    const body = lines.join(' ').replace(/\s+/g, ' ').trim();
+    if (body) blocks.push({ text: body, title });
+    lines = [];
+  };
+
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+
+    if (!line) {
+      flush();
+      continue;
+    }
+    if (boilerplate.has(boilerplateKey(line))) continue;
+
+    if (line === metadata.heading || isHeading(line)) {
+      flush();
+      title = line.replace(/[:.]\s*$/, '');
+      blocks.push({ text: line, title, heading: true });
+      continue;
+    }
+
+    if (CLAUSE_PATTERN.test(line)) {
+      flush();
+      if (options.breakOnClauses) title = clauseTitle(line);
+    } else if (BULLET_PATTERN.test(line) || (options.breakOnQuestions && /\?$/.test(line))) {
+      flush();
+    }
+
+    lines.push(line);
+  }
+  flush();
+
+  return blocks;
+}
+
+// Short all-caps lines and short "Title:" lines read as headings in extracted PDF text
+function isHeading(line) {
+  if (line.length > 80 || CLAUSE_PATTERN.test(line) || BULLET_PATTERN.test(line)) return false;
+  const letters = line.replace(/[^\p{L}]/gu, '');
+  if (letters.length < 3) return false;
+  return letters === letters.toUpperCase() || (/:$/.test(line) && line.split(/\s+/).length <= 6);
+}
+
+function clauseTitle(line) {
+  // "3.2 Payment terms. The client shall..." → "3.2 Payment terms"
+  const [, number, rest] = line.match(/^(\S+(?:\s+\d+[.:)]?)?)\s+(.*)$/);
+  const heading = rest.split(/(?<=[.:;])\s+/)[0].replace(/[.:;]$/, '');
+  const title = `${number.replace(/[.)]$/, '')} ${heading}`;
+  return title.length > 80 ? `${title.slice(0, 77).trim()}...` : title;
+}
+
+// ---- packing ----
+
+function packBlocks(blocks, options) {
+  const chunks = [];
+  let current = null;
+
+  const emit = () => {
+    if (current && current.parts.length) {
+      chunks.push({ text: current.parts.join('\n'), title: current.title });
+    }
+    current = null;
+  };
+
+  for (const block of blocks) {
+    // A new heading, or a new clause/question in strategies that keep them apart
+    const boundary = block.heading
+      || (current && block.title !== current.title && (options.breakOnClauses || options.breakOnQuestions))
+      || (options.breakOnQuestions && /\?$/.test(block.text.split(/(?<=\?)\s/)[0]));
+
+    if (boundary) emit();
+
+    const pieces = estimateTokens(block.text) > options.maxTokens
+      ? splitLongText(block.text, options)
+      : [block.text];
+
+    for (const piece of pieces) {
+      const size = estimateTokens(piece);
+      if (current && current.tokens + size > options.maxTokens) {
+        const carry = overlapFrom(current.parts, options.overlapSentences);
+        emit();
+        if (carry) current = { parts: [carry], tokens: estimateTokens(carry), title: block.title };
+      }
+      if (!current) current = { parts: [], tokens: 0, title: block.title };
+      current.parts.push(piece);
+      current.tokens += size;
+    }
+  }
+  emit();
+
+  // Drop chunks that are only a heading when a body chunk follows under the same title
+  return chunks.filter((chunk, i) => {
+    const next = chunks[i + 1];
+    return !(next && next.title === chunk.title && chunk.text === chunk.title);
+  });
+}
+
+// Sentence-sized pieces under the budget; words as a last resort
+function splitLongText(text, options) {
+  const budget = options.maxTokens * CHARS_PER_TOKEN;
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of splitSentences(text)) {
+    const parts = sentence.length > budget ? hardWrap(sentence, budget) : [sentence];
+    for (const part of parts) {
+      if (current && current.length + part.length + 1 > budget) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${part}` : part;
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?;])\s+(?=[\p{Lu}\d"“(])/u)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function hardWrap(text, budget) {
+  const out = [];
+  let line = '';
+  for (const word of text.split(/\s+/)) {
+    if (line && line.length + word.length + 1 > budget) {
+      out.push(line);
+      line = '';
+    }
+    line = line ? `${line} ${word}` : word;
+  }
+  if (line) out.push(line);
+  return out;
+}
+
+function overlapFrom(parts, sentences) {
+  if (!sentences) return '';
+  return splitSentences(parts[parts.length - 1]).slice(-sentences).join(' ');
+}
+
+// Running headers/footers: short lines repeated on most pages of a multi-page document
+function findRepeatedLines(sections) {
+  const pages = sections.filter(section => section.metadata?.page !== undefined);
+  if (pages.length < 3) return new Set();
+
+  const counts = new Map();
+  pages.forEach(section => {
+    new Set(section.text.split(/\r?\n/).map(line => line.trim()).filter(line => line && line.length < 100).map(boilerplateKey))
+      .forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+  });
+
+  return new Set([...counts].filter(([, count]) => count > pages.length / 2).map(([line]) => line));
+}
+
+// Page numbers differ from page to page, so compare lines with digits masked
+function boilerplateKey(line) {
+  return line.replace(/\d+/g, '#');
+}
+
+module.exports = {
+  chunkSections,
+  estimateTokens,
+  getStrategy,
+  STRATEGIES
+};
@@ -1,6 +1,8 @@
 // src/services/cvGenerationService.js
 const { pool } = require('../core/db/connection');
 const OpenAIService = require('./openaiService');
+const { MESSAGES } = require('../config/messages');
+const { t } = require('../core/utils/i18n');
 const logger = require('../core/utils/logger');
 
 class CVGenerationService {
@@ -18,35 +20,25 @@ class CVGenerationService {
       'languages'
     ];
 
-    // Step prompts for the chatbot
-    this.stepPrompts = {
-      contact_info: "Let's start creating your professional CV! 📄\n\nFirst, I need your contact information:\n• Full Name\n• Phone Number\n• Email Address\n• Location (City)\n\nPlease provide these details.",
-      
-      professional_summary: "Great! 👍 Now, let's write your professional summary.\n\nIn 2-3 sentences, tell me:\n• Your current role or profession\n• Your key skills\n• Your career goals\n\nExample: 'Experienced house manager with 5+ years in maintaining clean, organized homes. Skilled in deep cleaning, laundry care, and household organization. Seeking to provide exceptional service to families in Kigali.'",
-      
-      work_experience: "Perfect! Now let's add your work experience. 💼\n\nFor each job, provide:\n• Job Title\n• Company/Employer Name\n• Dates (e.g., 'Jan 2020 - Present')\n• Key responsibilities and achievements\n\nYou can list multiple jobs, starting with the most recent.",
-      
-      education: "Excellent work history! Now let's add your education. 🎓\n\nProvide:\n• Highest level of education\n• Institution name\n• Year completed (or expected)\n• Any relevant coursework or honors\n\nExample: 'High School Diploma, Kigali Secondary School, 2018'",
-      
-      skills: "Great! Now let's list your relevant skills. ⚡\n\nList 5-10 skills related to your job category:\n• Technical skills\n• Soft skills\n• Job-specific abilities\n\nExample: 'Deep cleaning, Laundry & ironing, Time management, Attention to detail, Customer service'",
-      
-      certifications: "Almost done! Do you have any certifications or training? 📜\n\nIf yes, provide:\n• Certification name\n• Issuing organization\n• Date obtained\n\nIf none, just say 'None' or 'Skip'",
-      
-      languages: "Final step! What languages do you speak? 🗣️\n\nList languages and proficiency level:\n• Language (Proficiency)\n\nExample: 'Kinyarwanda (Native), English (Fluent), French (Intermediate)'"
-    };
+    // Step prompts for the chatbot (English; see stepPrompt() for other languages)
+    this.stepPrompts = MESSAGES.en.CV_STEPS;
+  }
+
+  stepPrompt(step, language = 'en') {
+    return t(`CV_STEPS.${step}`, language);
   }
 
   /**
    * Initialize CV generation session for a user
    */
-  async startCVGeneration(userId, sessionId) {
+  async startCVGeneration(userId, sessionId, language = 'en') {
     try {
       // Check if user already has a CV in progress
       const existing = await this.getCVGenerationState(sessionId);
       
       if (existing) {
         return {
-          message: "I see you already have a CV in progress. Would you like to continue from where you left off, or start fresh?",
+          message: t('CV_IN_PROGRESS', language),
           currentStep: existing.current_step,
           hasProgress: true
         };
@@ -56,11 +48,12 @@ class CVGenerationService {
       await this.saveCVGenerationState(sessionId, userId, {
         current_step: 'contact_info',
         completed_steps: [],
-        cv_data: {}
+        cv_data: {},
+        language
       });
 
       return {
-        message: this.stepPrompts.contact_info,
+        message: this.stepPrompt('contact_info', language),
         currentStep: 'contact_info',
         hasProgress: false
       };
@@ -71,9 +64,10 @@ class CVGenerationService {
   }
 
   /**
-   * Process user input for current CV generation step
+   * Process user input for current CV generation step.
+   * Prompts are in the language the CV was started in unless `language` is given.
    */
-  async processStep(sessionId, userInput, currentStep) {
+  async processStep(sessionId, userInput, currentStep, language = null) {
     try {
       // Get current state
       const state = await this.getCVGenerationState(sessionId);
@@ -82,6 +76,9 @@ class CVGenerationService {
         throw new Error('CV generation session not found');
       }
 
+      if (language) state.language = language;
+      const lang = state.language || 'en';
+
       // Parse user input using AI
       const parsedData = await this.parseStepInput(currentStep, userInput);
       
@@ -99,16 +96,16 @@ class CVGenerationService {
         await this.saveCVGenerationState(sessionId, state.user_id, state);
 
         return {
-          message: `✅ Got it! Information saved.\n\n${this.stepPrompts[nextStep]}`,
+          message: t('CV_STEP_SAVED', lang, { prompt: this.stepPrompt(nextStep, lang) }),
           currentStep: nextStep,
           progress: ((currentStepIndex + 1) / this.steps.length * 100).toFixed(0)
         };
       } else {
         // All steps completed - generate CV
-        const cvResult = await this.generateFinalCV(state.user_id, state.cv_data);
+        const cvResult = await this.generateFinalCV(state.user_id, state.cv_data, lang);
         
         return {
-          message: `🎉 Congratulations! Your CV has been generated successfully!\n\n${cvResult.summary}\n\nYou can now download it or view it in your profile.`,
+          message: t('CV_COMPLETED', lang, { summary: cvResult.summary }),
           completed: true,
           cvId: cvResult.cvId,
           downloadLink: cvResult.downloadLink
@@ -194,7 +191,8 @@ If user says "none" or "skip", return empty array.`,
       const prompt = systemPrompts[step];
       const response = await this.openaiService.generateResponse(
         [{ sender: 'user', message: userInput }],
-        `${prompt}\n\nIMPORTANT: Return ONLY valid JSON, no additional text.`
+        `${prompt}\n\nThe user may write in English, Kinyarwanda or French; write the extracted values in English.` +
+        `\n\nIMPORTANT: Return ONLY valid JSON, no additional text.`
       );
 
       // Parse JSON response
@@ -213,7 +211,7 @@ If user says "none" or "skip", return empty array.`,
   /**
    * Generate final CV document
    */
-  async generateFinalCV(userId, cvData) {
+  async generateFinalCV(userId, cvData, language = 'en') {
     try {
       // Format CV data into structured format
       const formattedCV = this.formatCVData(cvData);
@@ -239,7 +237,7 @@ If user says "none" or "skip", return empty array.`,
 
       return {
         cvId,
-        summary: this.generateCVSummary(formattedCV),
+        summary: this.generateCVSummary(formattedCV, language),
         content: cvContent,
         downloadLink: `/api/cv/download/${cvId}`
       };
@@ -267,19 +265,19 @@ If user says "none" or "skip", return empty array.`,
   /**
    * Generate human-readable CV summary
    */
-  generateCVSummary(cvData) {
+  generateCVSummary(cvData, language = 'en') {
     const parts = [];
     
     if (cvData.contact?.full_name) {
-      parts.push(`📋 CV for ${cvData.contact.full_name}`);
+      parts.push(t('CV_SUMMARY_NAME', language, { name: cvData.contact.full_name }));
     }
     
     if (cvData.experience?.length > 0) {
-      parts.push(`💼 ${cvData.experience.length} work experience entries`);
+      parts.push(t('CV_SUMMARY_EXPERIENCE', language, { count: cvData.experience.length }));
     }
     
     if (cvData.skills?.length > 0) {
-      parts.push(`⚡ ${cvData.skills.length} skills listed`);
+      parts.push(t('CV_SUMMARY_SKILLS', language, { count: cvData.skills.length }));
     }
     
     return parts.join('\n');
@@ -0,0 +1,250 @@
+// src/services/documentExtractor.js
+// Turns a knowledge document into text sections, dispatching on file extension.
+//
+// Every extractor returns { format, sections: [{ text, metadata, atomic? }] }:
+//   - metadata carries what the format knows about the section (page, heading, question, row)
+//   - atomic sections (CSV FAQ rows) are indexed as-is instead of being chunked further
+const fs = require('fs').promises;
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const EXTRACTORS = {
+  '.pdf': extractPdf,
+  '.docx': extractDocx,
+  '.md': extractMarkdown,
+  '.markdown': extractMarkdown,
+  '.html': extractHtml,
+  '.htm': extractHtml,
+  '.txt': extractText,
+  '.csv': extractCsv
+};
+
+const FORMAT_ALIASES = { markdown: 'md', htm: 'html' };
+
+const SUPPORTED_EXTENSIONS = Object.keys(EXTRACTORS);
+
+function isSupported(filename) {
+  return SUPPORTED_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+async function extractDocument(absPath, buffer = null) {
+  const ext = path.extname(absPath).toLowerCase();
+  const extractor = EXTRACTORS[ext];
+  if (!extractor) {
+    throw new Error(`Unsupported document type: ${ext || absPath}`);
+  }
+
+  const buf = buffer || (await fs.readFile(absPath));
+  const sections = (await extractor(buf)).filter(section => section.text.trim());
+  const format = FORMAT_ALIASES[ext.slice(1)] || ext.slice(1);
+  return { format, sections };
+}
+
+// One section per page, so chunks keep their page number
+async function extractPdf(buf) {
+  const pages = [];
+
+  await pdfParse(buf, {
+    // Same text assembly as pdf-parse's default renderer, but collected per page
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY;
+      let text = '';
+      for (const item of content.items) {
+        text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages.push({ page: (pageData.pageIndex ?? pages.length) + 1, text });
+      return text;
+    }
+  });
+
+  return pages
+    .sort((a, b) => a.page - b.page)
+    .map(({ page, text }) => ({ text: text.trim(), metadata: { page } }));
+}
+
+// Word → HTML (keeps heading styles), then the HTML extractor
+async function extractDocx(buf) {
+  const { value } = await mammoth.convertToHtml({ buffer: buf });
+  return extractHtml(Buffer.from(value, 'utf8'));
+}
+
+function extractMarkdown(buf) {
+  const sections = [];
+  let heading = null;
+  let lines = [];
+  let inFence = false;
+
+  // A section is its heading line plus the body below it; heading-only sections are dropped
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) sections.push({ text: heading ? `${heading}\n${body}` : body, metadata: heading ? { heading } : {} });
+    lines = [];
+  };
+
+  for (const line of buf.toString('utf8').split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+    const match = !inFence && line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (match) {
+      flush();
+      heading = stripMarkdown(match[2]);
+    } else {
+      lines.push(inFence ? line : stripMarkdown(line));
+    }
+  }
+  flush();
+
+  return sections;
+}
+
+function extractHtml(buf) {
+  const html = buf
+    .toString('utf8')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '');
+
+  const sections = [];
+  const headingPattern = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let heading = null;
+  let cursor = 0;
+  let match;
+
+  const flush = (end) => {
+    const body = htmlToText(html.slice(cursor, end));
+    if (body) sections.push({ text: heading ? `${heading}\n${body}` : body, metadata: heading ? { heading } : {} });
+  };
+
+  while ((match = headingPattern.exec(html)) !== null) {
+    flush(match.index);
+    heading = htmlToText(match[2]).replace(/\s+/g, ' ');
+    cursor = headingPattern.lastIndex;
+  }
+  flush(html.length);
+
+  return sections;
+}
+
+function extractText(buf) {
+  return [{ text: buf.toString('utf8').replace(/\r\n/g, '\n'), metadata: {} }];
+}
+
+/**
+ * FAQ sheets: one atomic Q/A section per row. Uses "question"/"answer" (or q/a)
+ * header columns when present, otherwise the first two columns. An optional
+ * "category" column is copied into metadata.
+ */
+function extractCsv(buf) {
+  const rows = parseCsv(buf.toString('utf8').replace(/^\uFEFF/, ''));
+  if (!rows.length) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const q = header.findIndex(cell => ['question', 'questions', 'q'].includes(cell));
+  const a = header.findIndex(cell => ['answer', 'answers', 'a'].includes(cell));
+  const hasHeader = q !== -1 && a !== -1;
+  const category = hasHeader ? header.indexOf('category') : -1;
+
+  const qCol = hasHeader ? q : 0;
+  const aCol = hasHeader ? a : 1;
+
+  return rows
+    .slice(hasHeader ? 1 : 0)
+    .map((cells, i) => {
+      const question = (cells[qCol] || '').trim();
+      const answer = (cells[aCol] || '').trim();
+      if (!question || !answer) return null;
+
+      const metadata = { question, row: i + (hasHeader ? 2 : 1) };
+      if (category !== -1 && cells[category]?.trim()) metadata.category = cells[category].trim();
+      return { text: `Q: ${question}\nA: ${answer}`, metadata, atomic: true };
+    })
+    .filter(Boolean);
+}
+
+// ---- helpers ----
+
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<\/(p|div|tr|table|ul|ol|section|article|blockquote|h[1-6])>/gi, '\n')
+      .replace(/<\/t[dh]>/gi, ' | ')
+      .replace(/<[^>]+>/g, '')
+  )
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').replace(/\s*\|\s*$/, '').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘', hellip: '…' };
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : entity;
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+function stripMarkdown(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')      // images → alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')       // links → label
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|\W)(\*|_)(\S.*?)\2(?=\W|$)/g, '$1$3')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\s*>\s?/, '');
+}
+
+// RFC 4180-style parser: quoted fields, escaped quotes, newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+module.exports = {
+  extractDocument,
+  isSupported,
+  SUPPORTED_EXTENSIONS
+};
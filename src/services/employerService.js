@@ -0,0 +1,499 @@
+// src/services/employerService.js
+// Flows of the employer bot (see config/bots.js):
+//
+//   - Posting a job: the "Job Providers Request Form" asked one step per message. The
+//     answers are kept in the session context (`job_post`) until the client agrees to
+//     the one-time service fee, then saved with Job.create.
+//   - Reviewing applicants to the client's own jobs, and shortlisting, rejecting or
+//     hiring them from the list just shown (`last_applicants` in the session context).
+
+const { z } = require('zod');
+const { ChatSession } = require('../core/db/models');
+const { Job, JobApplication } = require('../core/db/models/Job');
+const OpenAIService = require('./openaiService');
+const IntentClassifier = require('./intentClassifier');
+const { JOB_CATEGORIES, WORK_TYPES } = require('../config/intents');
+const { JOB_POST_MIN_SALARY, JOB_POST_SERVICE_FEE } = require('../config/constants');
+const { t, DEFAULT_LANGUAGE } = require('../core/utils/i18n');
+const logger = require('../core/utils/logger');
+
+const APPLICANTS_SHOWN = 10;
+const DEFAULT_CATEGORY = 'other';
+
+const AGREE_PATTERN = /^\s*(yes|y|yeah|yep|sure|ok|okay|agree|i agree|confirm|post it|yego|ndabyemeye|ndemeye|oui|d'accord|j'accepte)\b/i;
+const DECLINE_PATTERN = /^\s*(no|n|nope|oya|reka|non)\b/i;
+const CANCEL_PATTERN = /\b(cancel|stop|quit|exit|hagarika|annuler|arr[eê]ter)\b/i;
+const NONE_PATTERN = /^\s*(none|no|nothing|skip|n\/a|ntabyo|nta na kimwe|simbuka|aucune?|rien|passer)\s*\.?\s*$/i;
+const LIVE_IN_PATTERN = /(?<!\p{L})(live[- ]?in|aba mu rugo|log[ée]e?)(?!\p{L})/iu;
+const HOURS_PATTERN = /\d{1,2}\s*(?:[:h.]\s*\d{2})?\s*(?:am|pm|h)?\s*(?:-|–|to|à|kugeza)\s*\d{1,2}\s*(?:[:h.]\s*\d{2})?\s*(?:am|pm|h)?/i;
+const DATE_PATTERN = /\b(\d{4}-\d{2}-\d{2})\b/;
+const POSITIONS_PATTERN = /\b(\d{1,2})\s*(?:workers?|people|persons?|positions?|abakozi|umukozi|employ[ée]e?s?|personnes?)/i;
+const APPLICANT_NUMBER_PATTERN = /(?:applicant|candidate|candidat|usaba|uwasabye)\s*(?:number|no\.?|num[ée]ro|n°|nimero|wa)?\s*#?(\d{1,2})\b/i;
+
+const DECISIONS = [
+  { status: 'shortlisted', pattern: /\b(shortlist|hitamo|hitamwo|pr[ée]s[ée]lectionn|retenir)/i },
+  { status: 'rejected', pattern: /\b(reject|decline|wanga|rejeter|refuser)/i },
+  { status: 'hired', pattern: /\b(hire|ha akazi|embaucher)/i }
+];
+
+// The request form in the order it is asked. `schema` is what the model extracts from
+// the answer, `fallback(text, slots)` reads it with rules when the model can't, and
+// `required` fields must be given before moving on.
+const STEPS = {
+  location: {
+    schema: z.object({ location: z.string().nullable() }),
+    instructions: 'location: the address where the worker will work (district and sector in Rwanda), as written.',
+    fallback: text => ({ location: text.trim() }),
+    required: ['location']
+  },
+  position: {
+    schema: z.object({
+      title: z.string().nullable(),
+      category: z.string().nullable(),
+      work_type: z.string().nullable(),
+      live_in: z.boolean().nullable(),
+      working_hours: z.string().nullable()
+    }),
+    instructions: 'title: the job title in English (e.g. "House cleaner").\n' +
+      `category: one of ${Object.keys(JOB_CATEGORIES).join(', ')}, or null.\n` +
+      `work_type: one of ${Object.keys(WORK_TYPES).join(', ')} (a live-in job is full-time), or null.\n` +
+      'live_in: true if the worker lives in the home.\n' +
+      'working_hours: the days and hours as stated, or null.',
+    fallback: (text, slots) => ({
+      title: text.split(/[,;\n]/)[0].trim().slice(0, 100),
+      category: slots.category,
+      work_type: slots.work_type,
+      live_in: LIVE_IN_PATTERN.test(text),
+      working_hours: (text.match(HOURS_PATTERN) || [null])[0]
+    }),
+    required: ['title']
+  },
+  duties: {
+    schema: z.object({ description: z.string().nullable() }),
+    instructions: 'description: the tasks and responsibilities, as a short English paragraph.',
+    fallback: text => ({ description: text.trim() }),
+    required: ['description']
+  },
+  requirements: {
+    schema: z.object({ requirements: z.string().nullable() }),
+    instructions: 'requirements: gender, age, language skills and any other expectations, as a short English paragraph; null if the client has none.',
+    fallback: text => ({ requirements: NONE_PATTERN.test(text) ? null : text.trim() }),
+    required: []
+  },
+  salary: {
+    schema: z.object({
+      salary_min: z.number().nullable(),
+      salary_max: z.number().nullable(),
+      start_date: z.string().nullable(),
+      positions: z.number().int().nullable()
+    }),
+    instructions: 'salary_min / salary_max: monthly salary in RWF as plain numbers ("70k" → 70000).\n' +
+      'start_date: the starting date as YYYY-MM-DD (today is {today}), or null.\n' +
+      'positions: the number of workers needed, or null.',
+    fallback: (text, slots) => {
+      const amounts = slots.salary_min || slots.salary_max ? [] : findAmounts(text.replace(DATE_PATTERN, ' '));
+      return {
+        salary_min: slots.salary_min || amounts[0] || null,
+        salary_max: slots.salary_max || amounts[1] || null,
+        start_date: (text.match(DATE_PATTERN) || [])[1] || null,
+        positions: POSITIONS_PATTERN.test(text) ? parseInt(text.match(POSITIONS_PATTERN)[1], 10) : null
+      };
+    },
+    required: ['salary_min']
+  }
+};
+
+const STEP_ORDER = Object.keys(STEPS);
+const FEE_STEP = 'fee_agreement';
+
+// Form fields → their label in JOB_POST_FIELDS
+const FIELD_LABELS = { salary_min: 'salary' };
+
+class EmployerService {
+  constructor() {
+    this.openaiService = new OpenAIService();
+    // Only used for its rule-based slot reading (category, work type, salary)
+    this.slotReader = new IntentClassifier();
+  }
+
+  stepPrompt(step, language = DEFAULT_LANGUAGE) {
+    return t(`JOB_POST_STEPS.${step}`, language, { min_salary: formatNumber(JOB_POST_MIN_SALARY) });
+  }
+
+  // ======================================================
+  //                 JOB REQUEST FORM
+  // ======================================================
+
+  async startJobPost(sessionId, userId, language = DEFAULT_LANGUAGE) {
+    try {
+      await this._saveJobPost(sessionId, {
+        current_step: STEP_ORDER[0],
+        form: {},
+        language,
+        started_at: new Date().toISOString()
+      });
+
+      logger.info('Job post started', { sessionId, userId });
+      return { message: this.stepPrompt(STEP_ORDER[0], language), intent: 'post_job' };
+    } catch (error) {
+      logger.error('Failed to start job post', { error: error.message, sessionId });
+      return { message: t('JOB_POST_ERROR', language), intent: 'post_job' };
+    }
+  }
+
+  /**
+   * Take the client's answer to the current step of the form (`state` is the
+   * session's `job_post`). Returns { message, intent, completed? }.
+   */
+  async processJobPostStep(sessionId, userId, message, state, language = DEFAULT_LANGUAGE) {
+    try {
+      if (state.current_step === FEE_STEP) {
+        return await this._handleFeeAgreement(sessionId, userId, message, state, language);
+      }
+
+      if (CANCEL_PATTERN.test(message)) {
+        return await this._cancelJobPost(sessionId, state, language);
+      }
+
+      const step = STEPS[state.current_step];
+      const values = await this._parseStep(state.current_step, message);
+
+      const missing = step.required.filter(field => values[field] === null || values[field] === undefined || values[field] === '');
+      if (missing.length) {
+        const fields = missing.map(field => t(`JOB_POST_FIELDS.${FIELD_LABELS[field] || field}`, language).toLowerCase());
+        return {
+          message: `${t('JOB_POST_STEP_MISSING', language, { fields: fields.join(', ') })}\n\n${this.stepPrompt(state.current_step, language)}`,
+          intent: 'post_job'
+        };
+      }
+      if (values.salary_min !== undefined && values.salary_min < JOB_POST_MIN_SALARY) {
+        return {
+          message: t('JOB_POST_SALARY_TOO_LOW', language, { min: formatNumber(JOB_POST_MIN_SALARY) }),
+          intent: 'post_job'
+        };
+      }
+
+      const form = { ...state.form, ...values };
+      const nextStep = STEP_ORDER[STEP_ORDER.indexOf(state.current_step) + 1] || FEE_STEP;
+      await this._saveJobPost(sessionId, { ...state, form, current_step: nextStep, language });
+
+      if (nextStep === FEE_STEP) {
+        return {
+          message: t('JOB_POST_REVIEW', language, { summary: this._summary(form, language), fee: formatNumber(JOB_POST_SERVICE_FEE) }),
+          intent: 'post_job'
+        };
+      }
+
+      return {
+        message: t('JOB_POST_STEP_SAVED', language, { prompt: this.stepPrompt(nextStep, language) }),
+        intent: 'post_job'
+      };
+    } catch (error) {
+      logger.error('Failed to process job post step', { error: error.message, sessionId, step: state.current_step });
+      return { message: t('JOB_POST_STEP_ERROR', language), intent: 'post_job' };
+    }
+  }
+
+  async _handleFeeAgreement(sessionId, userId, message, state, language) {
+    if (DECLINE_PATTERN.test(message) || CANCEL_PATTERN.test(message)) {
+      return this._cancelJobPost(sessionId, state, language);
+    }
+    if (!AGREE_PATTERN.test(message)) {
+      return { message: t('JOB_POST_REVIEW_AGAIN', language, { fee: formatNumber(JOB_POST_SERVICE_FEE) }), intent: 'post_job' };
+    }
+
+    const { form } = state;
+    try {
+      const jobId = await Job.create({
+        employer_id: userId,
+        title: form.title,
+        category: form.category || DEFAULT_CATEGORY,
+        description: jobDescription(form),
+        requirements: form.requirements || null,
+        salary_min: form.salary_min,
+        salary_max: form.salary_max || null,
+        location: form.location,
+        work_type: form.work_type || 'full-time',
+        experience_level: 'entry',
+        education_level: null,
+        positions_available: form.positions || 1,
+        posted_date: new Date().toISOString().slice(0, 10),
+        application_deadline: null,
+        start_date: form.start_date || null
+      });
+
+      await this._saveJobPost(sessionId, {
+        ...state,
+        completed: true,
+        job_id: jobId,
+        fee_agreed_at: new Date().toISOString()
+      });
+
+      logger.info('Job posted from chat', { sessionId, userId, jobId, fee: JOB_POST_SERVICE_FEE });
+      return {
+        message: t('JOB_POST_CREATED', language, { title: form.title, id: jobId }),
+        intent: 'post_job',
+        completed: true
+      };
+    } catch (error) {
+      logger.error('Failed to create job from chat', { error: error.message, sessionId, userId });
+      return { message: t('JOB_POST_ERROR', language), intent: 'post_job' };
+    }
+  }
+
+  async _cancelJobPost(sessionId, state, language) {
+    await this._saveJobPost(sessionId, { ...state, completed: true, cancelled: true });
+    return { message: t('JOB_POST_CANCELLED', language), intent: 'post_job', completed: true };
+  }
+
+  // Extract one step's fields with the model; fall back to rules if it fails
+  async _parseStep(stepName, text) {
+    const step = STEPS[stepName];
+    const slots = this.slotReader.extractSlots(text);
+
+    let values;
+    try {
+      values = await this.openaiService.generateStructured(
+        [{ sender: 'user', message: text }],
+        'Extract fields of a job request form from the client\'s answer. The answer may be in English, ' +
+        'Kinyarwanda or French; give text values in English. Use null for anything not given.\n\n' +
+        step.instructions.replace('{today}', new Date().toISOString().slice(0, 10)),
+        step.schema,
+        { name: `job_post_${stepName}` }
+      );
+    } catch (error) {
+      logger.warn('Job post step parsing failed; using rules', { step: stepName, error: error.message });
+      values = step.fallback(text, slots);
+    }
+
+    return normalizeValues(values, slots);
+  }
+
+  _summary(form, language) {
+    const workType = [
+      form.work_type && t(`WORK_TYPES.${form.work_type}`, language),
+      form.live_in && t('JOB_POST_LIVE_IN', language)
+    ].filter(Boolean).join(', ');
+    const salary = form.salary_max
+      ? `${formatNumber(form.salary_min)} - ${formatNumber(form.salary_max)} RWF`
+      : `${formatNumber(form.salary_min)} RWF`;
+
+    return [
+      ['title', form.title],
+      ['category', form.category],
+      ['location', form.location],
+      ['work_type', workType],
+      ['working_hours', form.working_hours],
+      ['salary', salary],
+      ['start_date', form.start_date],
+      ['positions', form.positions || 1],
+      ['description', form.description],
+      ['requirements', form.requirements]
+    ]
+      .filter(([, value]) => value)
+      .map(([field, value]) => `• ${t(`JOB_POST_FIELDS.${field}`, language)}: ${value}`)
+      .join('\n');
+  }
+
+  _saveJobPost(sessionId, state) {
+    return ChatSession.updateContext(sessionId, { job_post: state });
+  }
+
+  // ======================================================
+  //                 APPLICANTS
+  // ======================================================
+
+  /**
+   * List the client's jobs, or the applicants to one of them: the job numbered
+   * `slots.job_index` in that list, or the only job when there is just one.
+   */
+  async reviewApplicants(sessionId, userId, slots = {}, language = DEFAULT_LANGUAGE) {
+    try {
+      const jobs = await Job.findByEmployerId(userId);
+
+      if (!jobs.length) {
+        return { message: t('EMPLOYER_NO_JOBS', language), intent: 'review_applicants' };
+      }
+
+      let job = jobs.length === 1 ? jobs[0] : null;
+      if (slots.job_index) {
+        job = jobs[slots.job_index === -1 ? jobs.length - 1 : slots.job_index - 1];
+        if (!job) {
+          return {
+            message: t('EMPLOYER_JOB_NOT_FOUND', language, { number: slots.job_index, count: jobs.length }),
+            intent: 'review_applicants'
+          };
+        }
+      }
+
+      if (!job) {
+        const lines = jobs.map((item, index) => t('EMPLOYER_JOB_LINE', language, {
+          number: index + 1,
+          title: item.title,
+          location: item.location,
+          count: item.applications_count || 0,
+          status: t(`JOB_STATUSES.${item.status}`, language)
+        }));
+        return {
+          message: `${t('EMPLOYER_JOBS_HEADER', language)}\n\n${lines.join('\n')}\n\n${t('EMPLOYER_PICK_JOB', language)}`,
+          intent: 'review_applicants'
+        };
+      }
+
+      return await this._listApplicants(sessionId, job, language);
+    } catch (error) {
+      logger.error('Failed to review applicants', { error: error.message, userId });
+      return { message: t('APPLICANTS_ERROR', language), intent: 'review_applicants' };
+    }
+  }
+
+  async _listApplicants(sessionId, job, language) {
+    const applications = await JobApplication.findByJobId(job.id);
+
+    if (!applications.length) {
+      return { message: t('APPLICANTS_NONE', language, { title: job.title }), intent: 'review_applicants' };
+    }
+
+    const shown = applications.slice(0, APPLICANTS_SHOWN);
+    let response = `${t('APPLICANTS_HEADER', language, { title: job.title, count: applications.length })}\n\n`;
+    shown.forEach((application, index) => {
+      response += t('APPLICANT_LINE', language, {
+        number: index + 1,
+        name: application.full_name || t('APPLICANT_UNNAMED', language),
+        status: t(`APPLICATION_STATUSES.${application.status}`, language),
+        date: new Date(application.applied_at).toLocaleDateString()
+      });
+      response += application.cv_file_path ? `${t('APPLICANT_HAS_CV', language)}\n` : '\n';
+    });
+    if (applications.length > APPLICANTS_SHOWN) {
+      response += `${t('APPLICANTS_MORE', language, { count: applications.length - APPLICANTS_SHOWN })}\n`;
+    }
+    response += `\n${t('APPLICANTS_HOW_TO_DECIDE', language)}`;
+
+    // Numbers in the list refer to these (see decideApplicant)
+    await ChatSession.updateContext(sessionId, {
+      last_applicants: shown.map(application => ({
+        application_id: application.id,
+        job_id: job.id,
+        job_title: job.title,
+        name: application.full_name || null
+      }))
+    });
+
+    return { message: response, intent: 'review_applicants' };
+  }
+
+  /**
+   * Shortlist, reject or hire an applicant from the list last shown in this session
+   * ("Shortlist applicant 2"). That list only ever holds the client's own applicants.
+   */
+  async decideApplicant(sessionId, userId, message, slots = {}, language = DEFAULT_LANGUAGE) {
+    try {
+      const decision = DECISIONS.find(item => item.pattern.test(message));
+      const numberMatch = String(message).match(APPLICANT_NUMBER_PATTERN);
+      const number = numberMatch ? parseInt(numberMatch[1], 10) : slots.job_index;
+
+      if (!decision || !number) {
+        return { message: t('APPLICANT_WHICH', language), intent: 'applicant_decision' };
+      }
+
+      const session = await ChatSession.findBySessionId(sessionId);
+      const applicants = session.context?.last_applicants || [];
+      if (!applicants.length) {
+        return { message: t('APPLICANT_NO_LIST', language), intent: 'applicant_decision' };
+      }
+
+      const applicant = applicants[number === -1 ? applicants.length - 1 : number - 1];
+      if (!applicant) {
+        return { message: t('APPLICANT_NOT_FOUND', language, { number }), intent: 'applicant_decision' };
+      }
+
+      await JobApplication.updateStatus(applicant.application_id, decision.status, userId);
+
+      logger.info('Applicant status set from chat', {
+        sessionId,
+        userId,
+        applicationId: applicant.application_id,
+        status: decision.status
+      });
+
+      return {
+        message: t('APPLICANT_UPDATED', language, {
+          name: applicant.name || t('APPLICANT_UNNAMED', language),
+          status: t(`APPLICATION_STATUSES.${decision.status}`, language),
+          title: applicant.job_title
+        }),
+        intent: 'applicant_decision'
+      };
+    } catch (error) {
+      logger.error('Failed to update applicant', { error: error.message, userId });
+      return { message: t('APPLICANTS_ERROR', language), intent: 'applicant_decision' };
+    }
+  }
+}
+
+// Keep only values that fit the jobs table; map categories and work types onto known ones
+function normalizeValues(values, slots) {
+  const clean = {};
+
+  Object.entries(values || {}).forEach(([field, value]) => {
+    if (value === null || value === undefined) return;
+    clean[field] = typeof value === 'string' ? value.trim() : value;
+  });
+
+  if ('category' in values) {
+    clean.category = JOB_CATEGORIES[clean.category] ? clean.category : slots.category;
+  }
+  if ('work_type' in values) {
+    clean.work_type = WORK_TYPES[clean.work_type] ? clean.work_type : slots.work_type;
+    if (!clean.work_type && clean.live_in) clean.work_type = 'full-time';
+  }
+  if ('salary_min' in values) {
+    if (!positive(clean.salary_min) && positive(clean.salary_max)) clean.salary_min = clean.salary_max;
+    if (positive(clean.salary_max) && clean.salary_max < clean.salary_min) {
+      [clean.salary_min, clean.salary_max] = [clean.salary_max, clean.salary_min];
+    }
+    if (!positive(clean.salary_max)) delete clean.salary_max;
+  }
+  if (clean.start_date && (!DATE_PATTERN.test(clean.start_date) || isNaN(Date.parse(clean.start_date)))) {
+    delete clean.start_date;
+  }
+  if (clean.positions !== undefined && !(Number.isInteger(clean.positions) && clean.positions > 0)) {
+    delete clean.positions;
+  }
+
+  Object.keys(clean).forEach(field => {
+    if (clean[field] === null || clean[field] === undefined || clean[field] === '') delete clean[field];
+  });
+  return clean;
+}
+
+// Amounts in free text: "70,000", "90 000", "85000", "70k"
+function findAmounts(text) {
+  return (text.match(/\d{1,3}(?:[,\s]\d{3})+|\d+(?:\.\d+)?\s*k\b|\d{4,}/gi) || [])
+    .map(raw => {
+      const value = Number(raw.replace(/[,\sk]/gi, ''));
+      return /k$/i.test(raw) ? value * 1000 : value;
+    })
+    .filter(value => Number.isFinite(value) && value >= 1000);
+}
+
+// The stored description also carries the form answers the jobs table has no column for
+function jobDescription(form) {
+  const extras = [
+    form.working_hours && `Working hours: ${form.working_hours}`,
+    form.live_in && 'Live-in position'
+  ].filter(Boolean);
+
+  return extras.length ? `${form.description}\n\n${extras.join('\n')}` : form.description;
+}
+
+function formatNumber(num) {
+  return new Intl.NumberFormat('en-US').format(num);
+}
+
+function positive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+module.exports = EmployerService;
@@ -0,0 +1,130 @@
+// src/services/fakeLLM.js
+// Deterministic, offline stand-ins for the chat model and embeddings.
+// Used when LLM_PROVIDER=fake (tests, CI, offline development).
+
+const fs = require('fs');
+const { SimpleChatModel } = require('@langchain/core/language_models/chat_models');
+const { Embeddings } = require('@langchain/core/embeddings');
+const { AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+
+/**
+ * Chat model answering from a script of `{ match, response }` rules.
+ * `match` is a case-insensitive regex tested against the system prompt and the
+ * last user message; `response` is a string or an object (sent back as JSON).
+ * `{{input}}` in a response is replaced by the last user message.
+ * Without a matching rule the model echoes the user's message.
+ */
+class FakeChatModel extends SimpleChatModel {
+  constructor(fields = {}) {
+    super(fields);
+    this.rules = (fields.rules || []).map(rule => ({
+      pattern: new RegExp(rule.match, 'i'),
+      response: rule.response
+    }));
+  }
+
+  static fromScriptFile(scriptPath, fields = {}) {
+    let rules = [];
+    if (scriptPath && fs.existsSync(scriptPath)) {
+      rules = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    }
+    return new FakeChatModel({ ...fields, rules });
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  async _call(messages) {
+    return this._respond(messages);
+  }
+
+  async *_streamResponseChunks(messages) {
+    const text = this._respond(messages);
+    const parts = text.match(/\S+\s*/g) || [text];
+    for (const part of parts) {
+      yield new ChatGenerationChunk({ text: part, message: new AIMessageChunk({ content: part }) });
+    }
+  }
+
+  _respond(messages) {
+    const system = messages
+      .filter(m => m._getType() === 'system')
+      .map(m => m.content)
+      .join('\n');
+    const userMessages = messages.filter(m => m._getType() === 'human');
+    const input = userMessages.length ? String(userMessages[userMessages.length - 1].content) : '';
+
+    const rule = this.rules.find(r => r.pattern.test(system) || r.pattern.test(input));
+    if (!rule) {
+      return `You said: ${input}`;
+    }
+
+    if (typeof rule.response === 'string') {
+      return rule.response.replace(/\{\{input\}\}/g, input);
+    }
+
+    // Objects: substitute inside string values so the result stays valid JSON
+    return JSON.stringify(rule.response, (key, value) =>
+      typeof value === 'string' ? value.replace(/\{\{input\}\}/g, input) : value
+    );
+  }
+}
+
+/**
+ * Hash-based embeddings: words and character trigrams are hashed into a fixed
+ * number of signed buckets and L2-normalised, so texts sharing vocabulary end up
+ * close together. Deterministic across runs and machines.
+ */
+class FakeEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions || 256;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this._embed(text));
+  }
+
+  async embedQuery(text) {
+    return this._embed(text);
+  }
+
+  _embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+      this._accumulate(vector, word, 1);
+      const padded = ` ${word} `;
+      for (let i = 0; i < padded.length - 2; i++) {
+        this._accumulate(vector, padded.slice(i, i + 3), 0.5);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  _accumulate(vector, token, weight) {
+    const hash = fnv1a(token);
+    const sign = (hash & 1) === 0 ? 1 : -1;
+    vector[(hash >>> 1) % this.dimensions] += sign * weight;
+  }
+}
+
+// 32-bit FNV-1a
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+module.exports = {
+  FakeChatModel,
+  FakeEmbeddings
+};
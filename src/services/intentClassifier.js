@@ -0,0 +1,268 @@
+// src/services/intentClassifier.js
+// Decides what a chat message is about and pulls out job-search slots.
+//
+//   1. Fast path: the regexes in config/intents.js. A hit answers without an LLM call.
+//   2. Otherwise the configured chat model classifies the message with structured output.
+//   3. If the model is disabled, fails, or is unsure, the rule-based result is used.
+//
+// Result: { intent, slots, confidence, source: 'rules' | 'llm' | 'fallback' }
+// Slots: category, location, work_type, salary_min, salary_max, job_index, sort, query (null when absent).
+
+const { z } = require('zod');
+const OpenAIService = require('./openaiService');
+const { INTENTS, JOB_CATEGORIES, LOCATIONS, WORK_TYPES, JOB_SORTS, SEARCH_FILLER_WORDS } = require('../config/intents');
+const env = require('../config/environment');
+const logger = require('../core/utils/logger');
+
+const RULE_CONFIDENCE = 0.9;
+const FALLBACK_CONFIDENCE = 0.3;
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10, last: -1
+};
+
+// "le deuxième", "la dernière offre"
+const FRENCH_ORDINALS = {
+  premier: 1, 'première': 1, 'deuxième': 2, second: 2, seconde: 2, 'troisième': 3, 'quatrième': 4,
+  'cinquième': 5, 'sixième': 6, 'septième': 7, 'huitième': 8, 'neuvième': 9, 'dixième': 10,
+  dernier: -1, 'dernière': -1
+};
+
+// "aka kabiri", "akazi ka gatatu", "aka nyuma"
+const KINYARWANDA_ORDINALS = {
+  mbere: 1, kabiri: 2, gatatu: 3, kane: 4, gatanu: 5,
+  gatandatu: 6, karindwi: 7, umunani: 8, icyenda: 9, icumi: 10, nyuma: -1
+};
+
+const EMPTY_SLOTS = {
+  category: null,
+  location: null,
+  work_type: null,
+  salary_min: null,
+  salary_max: null,
+  job_index: null,
+  sort: null,
+  query: null
+};
+
+const FILLER_WORDS = new Set(SEARCH_FILLER_WORDS);
+const MAX_QUERY_LENGTH = 200;
+
+class IntentClassifier {
+  // `intents` is the bot's intent set (config/intents.js); the job-seeker set by default
+  constructor(intents = INTENTS) {
+    this.openaiService = new OpenAIService();
+    this.intents = intents;
+    this.schema = buildSchema(this.intents);
+  }
+
+  /**
+   * Classify one message. `context.has_recent_jobs` tells the model a job list was
+   * just shown, so "the second one" can be read as a job reference.
+   */
+  async classify(message, context = {}) {
+    const text = String(message || '');
+    const rules = this.classifyWithRules(text);
+
+    if (rules.intent !== 'general' || env.INTENT_CLASSIFIER !== 'llm') {
+      return rules;
+    }
+
+    try {
+      const result = await this.openaiService.generateStructured(
+        [{ sender: 'user', message: text }],
+        this._systemPrompt(context),
+        this.schema,
+        { name: 'classify_intent' }
+      );
+
+      const slots = this._normalizeSlots(result.slots || {}, text);
+      const intent = result.confidence >= env.INTENT_MIN_CONFIDENCE ? result.intent : 'general';
+
+      logger.info('Intent classified', { intent, confidence: result.confidence, source: 'llm' });
+      return { intent, slots, confidence: result.confidence, source: 'llm' };
+    } catch (error) {
+      logger.warn('LLM intent classification failed; using rules', { error: error.message });
+      return { ...rules, confidence: FALLBACK_CONFIDENCE, source: 'fallback' };
+    }
+  }
+
+  // Regex intent + keyword slots (the fast path, and the fallback)
+  classifyWithRules(message) {
+    const text = String(message || '').toLowerCase();
+    const match = this.intents.find(intent => (intent.patterns || []).some(pattern => pattern.test(text)));
+
+    return {
+      intent: match ? match.name : 'general',
+      slots: this.extractSlots(message),
+      confidence: match ? RULE_CONFIDENCE : FALLBACK_CONFIDENCE,
+      source: 'rules'
+    };
+  }
+
+  extractSlots(message) {
+    const text = String(message || '').toLowerCase();
+    const category = findSynonym(text, JOB_CATEGORIES);
+    return {
+      category,
+      location: findLocation(text),
+      work_type: findSynonym(text, WORK_TYPES),
+      ...extractSalary(text),
+      job_index: extractJobIndex(text),
+      sort: findSynonym(text, JOB_SORTS),
+      query: category ? null : extractQuery(text)
+    };
+  }
+
+  getIntent(name) {
+    return this.intents.find(intent => intent.name === name) || null;
+  }
+
+  _systemPrompt(context) {
+    const intentList = this.intents
+      .map(intent => `- ${intent.name}: ${intent.description} Examples: ${intent.examples.map(e => `"${e}"`).join(', ')}`)
+      .join('\n');
+
+    return `Classify the user's message for the Kozi job platform chatbot (Rwanda).
+The message may be in English, Kinyarwanda or French; always answer with the English values below.
+
+Intents:
+${intentList}
+
+Slots (null when not mentioned):
+- category: one of ${Object.keys(JOB_CATEGORIES).join(', ')} (map synonyms, e.g. nanny → childcare)
+- location: a Rwandan district or Kigali, lower case
+- work_type: one of ${Object.keys(WORK_TYPES).join(', ')}
+- salary_min / salary_max: monthly amounts in RWF as plain numbers (e.g. "60k" → 60000)
+- job_index: the 1-based number of a job in the list shown to the user ("the second one" → 2)
+- sort: how the user wants the job list ordered, one of ${Object.keys(JOB_SORTS).join(', ')}
+- query: when the user describes the work in words that fit none of the categories, those words (e.g. "looking after elderly people"); null when a category fits
+
+${context.has_recent_jobs ? 'A numbered job list was just shown to the user.' : 'No job list has been shown yet.'}
+confidence is your certainty in the intent, from 0 to 1.`;
+  }
+
+  // Trust the model's slots only when they map onto known values
+  _normalizeSlots(slots, message) {
+    const ruleSlots = this.extractSlots(message);
+    const category = slots.category && (findSynonym(String(slots.category).toLowerCase(), JOB_CATEGORIES) || null);
+    const location = slots.location && findLocation(String(slots.location).toLowerCase());
+    const query = typeof slots.query === 'string' && slots.query.trim().slice(0, MAX_QUERY_LENGTH);
+
+    const normalized = {
+      ...EMPTY_SLOTS,
+      ...ruleSlots,
+      ...(category && { category }),
+      ...(location && { location }),
+      ...(WORK_TYPES[slots.work_type] && { work_type: slots.work_type }),
+      ...(positive(slots.salary_min) && { salary_min: slots.salary_min }),
+      ...(positive(slots.salary_max) && { salary_max: slots.salary_max }),
+      ...(Number.isInteger(slots.job_index) && slots.job_index > 0 && { job_index: slots.job_index }),
+      ...(JOB_SORTS[slots.sort] && { sort: slots.sort }),
+      ...(query && { query })
+    };
+    // A category search needs no description
+    if (normalized.category) normalized.query = null;
+    return normalized;
+  }
+}
+
+function buildSchema(intents) {
+  return z.object({
+    intent: z.enum(intents.map(intent => intent.name)),
+    confidence: z.number().min(0).max(1),
+    slots: z.object({
+      category: z.string().nullable(),
+      location: z.string().nullable(),
+      work_type: z.string().nullable(),
+      salary_min: z.number().nullable(),
+      salary_max: z.number().nullable(),
+      job_index: z.number().int().nullable(),
+      sort: z.string().nullable(),
+      query: z.string().nullable()
+    })
+  });
+}
+
+// The first known place named in `text` (so "Kicukiro district" is kicukiro), or null
+function findLocation(text) {
+  return LOCATIONS.find(loc => new RegExp(`\\b${loc}\\b`).test(text)) || null;
+}
+
+// Letter-aware word boundaries, so accented words ("sécurité") match too
+function findSynonym(text, table) {
+  for (const [canonical, words] of Object.entries(table)) {
+    if (words.some(word => new RegExp(`(?<!\\p{L})${word.replace(/[-\s]/g, '[-\\s]?')}s?(?!\\p{L})`, 'u').test(text))) {
+      return canonical;
+    }
+  }
+  return null;
+}
+
+/**
+ * What the user says the work is, in their words ("looking after elderly people"): the
+ * message without filler words, places, work types, orders and amounts. Null when nothing
+ * descriptive is left ("show me jobs in Kigali").
+ */
+function extractQuery(text) {
+  let rest = text;
+  for (const words of [...Object.values(WORK_TYPES), ...Object.values(JOB_SORTS)]) {
+    for (const word of words) {
+      rest = rest.replace(new RegExp(`(?<!\\p{L})${word.replace(/[-\s]/g, '[-\\s]?')}(?!\\p{L})`, 'gu'), ' ');
+    }
+  }
+
+  const words = (rest.match(/\p{L}+/gu) || [])
+    .filter(word => word.length > 2 && !FILLER_WORDS.has(word) && !LOCATIONS.includes(word));
+  return words.length ? words.join(' ').slice(0, MAX_QUERY_LENGTH) : null;
+}
+
+function parseAmount(raw, suffix) {
+  const value = Number(raw.replace(/[,\s]/g, ''));
+  if (!Number.isFinite(value)) return null;
+  return /^k$/i.test(suffix || '') ? value * 1000 : value;
+}
+
+// "at least 50,000", "above 60k", "under 100000", "between 40k and 60k", "40,000-60,000 rwf",
+// "au moins 50 000", "entre 40k et 60k", "nibura 50000", "hagati ya 40k na 60k"
+function extractSalary(text) {
+  const amount = '(\\d{1,3}(?:[,\\s]\\d{3})+|\\d+(?:\\.\\d+)?)\\s*(k)?';
+  const range = text.match(new RegExp(`(?:between\\s+|entre\\s+|hagati ya\\s+)?${amount}\\s*(?:-|–|to|and|et|à|na|kugeza)\\s*${amount}\\s*(?:rwf|frw|francs)?`));
+  if (range && /(salary|pay|earn|rwf|frw|k\b|between|salaire|pay[ée]|entre|umushahara|amafaranga|hagati)/.test(text)) {
+    return { salary_min: parseAmount(range[1], range[2]), salary_max: parseAmount(range[3], range[4]) };
+  }
+
+  const min = text.match(new RegExp(`(?:at least|minimum|min\\.?|above|over|more than|from|au moins|plus de|nibura|hejuru ya|guhera kuri)\\s+${amount}`));
+  const max = text.match(new RegExp(`(?:at most|maximum|max\\.?|below|under|less than|up to|au plus|moins de|jusqu'à|munsi ya|ntarenze)\\s+${amount}`));
+  return {
+    salary_min: min ? parseAmount(min[1], min[2]) : null,
+    salary_max: max ? parseAmount(max[1], max[2]) : null
+  };
+}
+
+// "job number 2", "job #2", "number 3", "the second one", "2nd job",
+// "l'offre numéro 2", "la deuxième", "akazi nimero 2", "aka kabiri"
+function extractJobIndex(text) {
+  const numbered = text.match(/\b(?:job|number|no\.?|offre|emploi|akazi|nimero)\s*(?:number\s*|num[ée]ro\s*|n°\s*|nimero\s*)?#?(\d{1,2})\b/) ||
+    text.match(/(?:#|\bnum[ée]ro\s*|n°\s*)(\d{1,2})\b/);
+  if (numbered) return parseInt(numbered[1], 10);
+
+  const ordinal = text.match(/\b(\d{1,2})(?:st|nd|rd|th|e|ème|er)\b/);
+  if (ordinal) return parseInt(ordinal[1], 10);
+
+  const word = Object.keys(ORDINALS).find(w => new RegExp(`\\bthe\\s+${w}\\b|\\b${w}\\s+(one|job|position)\\b`).test(text));
+  if (word) return ORDINALS[word];
+
+  const french = text.match(new RegExp(`\\b(?:le|la|l')\\s*(${Object.keys(FRENCH_ORDINALS).join('|')})(?!\\p{L})`, 'u'));
+  if (french) return FRENCH_ORDINALS[french[1]];
+
+  const kinyarwanda = text.match(new RegExp(`\\b(?:aka|akazi\\s+ka|ka)\\s+(${Object.keys(KINYARWANDA_ORDINALS).join('|')})\\b`));
+  return kinyarwanda ? KINYARWANDA_ORDINALS[kinyarwanda[1]] : null;
+}
+
+function positive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+module.exports = IntentClassifier;
@@ -0,0 +1,140 @@
+// src/services/jobIndex.js
+// Open jobs from the feed, embedded into the shared vector store (title, description and
+// requirements) so they can be found by what the work is rather than by exact category:
+// "looking after elderly people" finds the Caregiver job. The server refreshes the index
+// after every feed sync; only new or changed jobs are embedded, and jobs that left the feed
+// are removed. Job vectors are tagged type 'job' and are never used as knowledge (RAG).
+
+const VectorService = require('./vectorService');
+const { getJobsGateway } = require('./jobsGateway');
+const env = require('../config/environment');
+const logger = require('../core/utils/logger');
+
+const JOB_DOCUMENT_TYPE = 'job';
+// Job vector ids; knowledge entry ids may not start with it (they share the store)
+const JOB_DOCUMENT_PREFIX = 'job-';
+const MANAGED_BY = 'job-index';
+
+// One refresh at a time per process
+let refreshing = null;
+
+function isJobDocument(doc) {
+  return doc?.metadata?.type === JOB_DOCUMENT_TYPE;
+}
+
+function documentId(job) {
+  return `${JOB_DOCUMENT_PREFIX}${job.id}`;
+}
+
+function documentText(job) {
+  return [job.title, job.description, job.requirements].filter(Boolean).join('\n\n');
+}
+
+class JobIndex {
+  constructor() {
+    this.vectorService = new VectorService();
+    this.jobsGateway = getJobsGateway();
+    this._ready = null;
+  }
+
+  ready() {
+    if (!this._ready) {
+      this._ready = this.vectorService.initialize().catch(error => {
+        this._ready = null;
+        throw error;
+      });
+    }
+    return this._ready;
+  }
+
+  /**
+   * Bring the index in line with the open jobs of the feed. Returns
+   * { added, updated, unchanged, removed, failed }.
+   */
+  refresh() {
+    if (!refreshing) {
+      refreshing = this._refresh().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  async _refresh() {
+    await this.ready();
+    const { jobs } = await this.jobsGateway.getJobs();
+    const stats = { added: 0, updated: 0, unchanged: 0, removed: 0, failed: 0 };
+    const indexed = new Set();
+
+    for (const job of jobs) {
+      const id = documentId(job);
+      indexed.add(id);
+      try {
+        const status = await this.vectorService.upsertDocument(id, documentText(job), {
+          type: JOB_DOCUMENT_TYPE,
+          job_id: String(job.id),
+          managed_by: MANAGED_BY
+        });
+        stats[status] += 1;
+      } catch (error) {
+        stats.failed += 1;
+        logger.warn('Failed to index job', { error: error.message, jobId: job.id });
+      }
+    }
+
+    // Like the jobs table sync: an empty feed is more likely a glitch than every job closing
+    if (jobs.length) {
+      stats.removed = this.vectorService.deleteWhere(doc =>
+        doc.metadata?.managed_by === MANAGED_BY && !indexed.has(doc.id)
+      );
+    }
+
+    if (stats.added || stats.updated || stats.removed || stats.failed) {
+      logger.info('Job search index refreshed', stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Semantic search: the open jobs passing `filters` (as for jobsGateway.getJobs), ranked by
+   * how close their text is to `query`, keeping those at least JOBS_SEMANTIC_MIN_SIMILARITY
+   * alike. Returns the feed ({ jobs, stale, fetchedAt }) with a `similarity` on each job, and
+   * `unindexed`: the ids of candidates not embedded yet, which could not be compared.
+   */
+  async search(query, filters = {}) {
+    const feed = await this.jobsGateway.getJobs(filters);
+    const candidates = new Map(feed.jobs.map(job => [String(job.id), job]));
+    if (!candidates.size) return { ...feed, unindexed: [] };
+
+    await this.ready();
+    const hits = await this.vectorService.search(
+      query,
+      candidates.size,
+      doc => isJobDocument(doc) && candidates.has(doc.metadata.job_id)
+    );
+
+    const jobs = hits
+      .filter(hit => hit.similarity >= env.JOBS_SEMANTIC_MIN_SIMILARITY)
+      .map(hit => ({ ...candidates.get(hit.metadata.job_id), similarity: Number(hit.similarity.toFixed(3)) }));
+    const embedded = new Set(hits.map(hit => hit.metadata.job_id));
+    const unindexed = [...candidates.keys()].filter(id => !embedded.has(id));
+
+    logger.info('Semantic job search', { query, candidates: candidates.size, matches: jobs.length, unindexed: unindexed.length });
+    return { ...feed, jobs, unindexed };
+  }
+}
+
+let jobIndex = null;
+
+// The shared index for this process, created on first use
+function getJobIndex() {
+  if (!jobIndex) jobIndex = new JobIndex();
+  return jobIndex;
+}
+
+module.exports = {
+  JobIndex,
+  getJobIndex,
+  isJobDocument,
+  JOB_DOCUMENT_PREFIX
+};
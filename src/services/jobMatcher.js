@@ -0,0 +1,215 @@
+// src/services/jobMatcher.js
+// How well a job suits a job seeker: each job is scored 0–100 against the profile on
+// category, distance between districts, experience level, skills, education and work type,
+// with the reasons behind the score ("matches your Childcare category, 3 km from Kicukiro").
+// The recommendations route and the "jobs for me" chat intent both rank jobs with it.
+//
+// A criterion only counts when both the job and the profile say something about it, so a
+// missing skills list or education doesn't count against anyone; the score is the share of
+// the weight of the criteria that could be compared.
+
+const { JOB_CATEGORIES, LOCATIONS } = require('../config/intents');
+const { DISTRICT_CENTERS } = require('../config/districts');
+const { sortJobs } = require('./jobsGateway');
+const { t, DEFAULT_LANGUAGE } = require('../core/utils/i18n');
+
+const WEIGHTS = {
+  category: 35,
+  location: 20,
+  experience: 15,
+  skills: 15,
+  work_type: 10,
+  education: 5
+};
+
+// Distance (km) → share of the location weight; farther than the last band scores nothing
+const DISTANCE_BANDS = [[10, 0.8], [25, 0.6], [50, 0.3]];
+
+const EXPERIENCE_RANKS = {
+  entry: 0, junior: 0, beginner: 0,
+  mid: 1, intermediate: 1, experienced: 1,
+  senior: 2, expert: 2
+};
+
+// Education wording (en/rw/fr and Rwandan levels) → rank; the first match wins
+const EDUCATION_RANKS = [
+  [/\b(phd|doctorate|doctorat)\b/, 7],
+  [/\b(masters?|msc|mba|ma[îi]trise)\b/, 6],
+  [/\b(bachelor'?s?|degree|a0|licence|university|kaminuza|bsc)\b/, 5],
+  [/\b(diploma|a1|dipl[oô]me)\b/, 4],
+  [/\b(a2|a-level|advanced level|high school|secondary|yisumbuye|secondaire|tvet|vocational|certificate)\b/, 3],
+  [/\b(o-level|ordinary level|lower secondary|tronc commun|s3)\b/, 2],
+  [/\b(primary|abanza|primaire|p6)\b/, 1]
+];
+
+const SKILLS_FOR_FULL_MARKS = 2;
+
+function words(text) {
+  return ` ${String(text || '').toLowerCase().replace(/[^\p{L}\p{N}'+#]+/gu, ' ')} `;
+}
+
+// Whole-word (or phrase) containment, case-insensitive
+function mentions(text, phrase) {
+  const needle = words(phrase).trim();
+  return Boolean(needle) && words(text).includes(` ${needle} `);
+}
+
+// JSON columns come back parsed from mysql2, but may be strings in older rows
+function list(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string' || !value.trim()) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return value.split(',');
+  }
+}
+
+function categoryOf(text) {
+  if (!text) return null;
+  const entry = Object.entries(JOB_CATEGORIES)
+    .find(([category, synonyms]) => [category, ...synonyms].some(word => mentions(text, word)));
+  return entry ? entry[0] : null;
+}
+
+// The most specific place mentioned: a district over plain "Kigali"
+function districtOf(text) {
+  if (!text) return null;
+  const districts = LOCATIONS.filter(place => place !== 'kigali');
+  return districts.find(district => mentions(text, district)) || (mentions(text, 'kigali') ? 'kigali' : null);
+}
+
+function distanceKm([lat1, lon1], [lat2, lon2]) {
+  const rad = deg => deg * Math.PI / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+function educationRank(text) {
+  const lower = String(text || '').toLowerCase();
+  const found = EDUCATION_RANKS.find(([pattern]) => pattern.test(lower));
+  return found ? found[1] : null;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Each criterion: null when it can't be compared, else { points: 0..1, reason? }
+const CRITERIA = {
+  category(job, profile) {
+    if (!profile.job_category) return null;
+    const wanted = categoryOf(profile.job_category);
+    const offered = categoryOf(job.category) || categoryOf(job.title);
+    const matches = wanted ? wanted === offered : mentions(`${job.category} ${job.title}`, profile.job_category);
+
+    return matches
+      ? { points: 1, reason: { key: 'category', params: { category: capitalize(wanted || profile.job_category.trim()) } } }
+      : { points: 0 };
+  },
+
+  location(job, profile) {
+    const home = districtOf(profile.location);
+    const place = districtOf(job.location);
+    if (!home || !place) return null;
+
+    const district = capitalize(home);
+    if (home === place) return { points: 1, reason: { key: 'same_district', params: { district } } };
+
+    const km = distanceKm(DISTRICT_CENTERS[home], DISTRICT_CENTERS[place]);
+    const band = DISTANCE_BANDS.find(([limit]) => km <= limit);
+    return band
+      ? { points: band[1], reason: { key: 'distance', params: { km: Math.max(Math.round(km), 1), district } } }
+      : { points: 0 };
+  },
+
+  experience(job, profile) {
+    const has = EXPERIENCE_RANKS[String(profile.experience_level || '').toLowerCase()];
+    const needs = EXPERIENCE_RANKS[String(job.experience_level || '').toLowerCase()];
+    if (has === undefined || needs === undefined) return null;
+
+    if (has >= needs) {
+      return { points: 1, reason: { key: 'experience', params: { level: profile.experience_level.toLowerCase() } } };
+    }
+    return { points: has === needs - 1 ? 0.5 : 0 };
+  },
+
+  skills(job, profile) {
+    const skills = list(profile.skills)
+      .map(skill => String(typeof skill === 'object' && skill ? skill.name || '' : skill).trim())
+      .filter(skill => skill.length > 2);
+    const text = `${job.title} ${job.description || ''} ${job.requirements || ''}`;
+    if (!skills.length || !(job.description || job.requirements)) return null;
+
+    const used = skills.filter(skill => mentions(text, skill));
+    return used.length
+      ? { points: Math.min(used.length / SKILLS_FOR_FULL_MARKS, 1), reason: { key: 'skills', params: { skills: used.slice(0, 3).join(', ') } } }
+      : { points: 0 };
+  },
+
+  work_type(job, profile) {
+    if (!profile.preferred_work_type || !job.work_type) return null;
+    return profile.preferred_work_type === job.work_type
+      ? { points: 1, reason: { key: 'work_type', params: { work_type: job.work_type } } }
+      : { points: 0 };
+  },
+
+  education(job, profile) {
+    const needs = educationRank(job.education_level);
+    const has = Math.max(0, ...list(profile.education)
+      .map(entry => educationRank(typeof entry === 'object' && entry ? `${entry.level || ''} ${entry.details || ''}` : entry) || 0));
+    if (needs === null || !has) return null;
+
+    if (has >= needs) return { points: 1, reason: { key: 'education', params: { education: job.education_level } } };
+    return { points: has === needs - 1 ? 0.5 : 0 };
+  }
+};
+
+/**
+ * Score one job against a profile row. Returns { score: 0–100, reasons: [{ key, params }] },
+ * strongest reasons first; describeMatch turns the reasons into text.
+ */
+function scoreJob(job, profile) {
+  let earned = 0;
+  let possible = 0;
+  const reasons = [];
+
+  for (const [criterion, weight] of Object.entries(WEIGHTS)) {
+    const result = profile ? CRITERIA[criterion](job, profile) : null;
+    if (!result) continue;
+
+    possible += weight;
+    earned += weight * result.points;
+    if (result.reason) reasons.push({ ...result.reason, weight: weight * result.points });
+  }
+
+  return {
+    score: possible ? Math.round((earned / possible) * 100) : 0,
+    reasons: reasons
+      .sort((a, b) => b.weight - a.weight)
+      .map(({ key, params }) => ({ key, params }))
+  };
+}
+
+// Jobs with their `match` attached, best first (ties keep the incoming order)
+function matchJobs(jobs, profile) {
+  return sortJobs(jobs.map(job => ({ ...job, match: scoreJob(job, profile) })), 'best_match');
+}
+
+// A match's reasons as text in `language`
+function describeMatch(match, language = DEFAULT_LANGUAGE) {
+  return (match?.reasons || []).map(({ key, params }) => {
+    const vars = { ...params };
+    if (key === 'experience') vars.level = t(`EXPERIENCE_LEVELS.${params.level}`, language);
+    if (key === 'work_type') vars.work_type = t(`WORK_TYPES.${params.work_type}`, language);
+    return t(`MATCH_REASONS.${key}`, language, vars);
+  });
+}
+
+module.exports = {
+  scoreJob,
+  matchJobs,
+  describeMatch
+};
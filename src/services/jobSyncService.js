@@ -0,0 +1,128 @@
+// src/services/jobSyncService.js
+// Mirrors the upstream jobs feed into the local `jobs` table (keyed by external_id) so
+// applications, which reference jobs.id, work for the jobs users actually see. The server
+// runs sync() on the JOBS_REFRESH_INTERVAL_SECONDS schedule; jobs that disappear from the
+// feed are closed. A job applied to before its first sync is imported on the spot.
+
+const { Job } = require('../core/db/models/Job');
+const { getJobsGateway, isOpen, isPastDeadline } = require('./jobsGateway');
+const { JOB_SOURCES, JOB_STATUSES, EXPERIENCE_LEVELS } = require('../config/constants');
+const { WORK_TYPES } = require('../config/intents');
+const logger = require('../core/utils/logger');
+
+// One sync at a time per process, whoever asks
+let running = null;
+
+// Fit a value into a VARCHAR column
+const clip = (value, length) => (value === null || value === undefined ? null : String(value).slice(0, length));
+
+// The jobs table only takes its own ENUM values
+function localStatus(job) {
+  if (!isOpen(job)) {
+    return job.positions_available && job.positions_available <= job.positions_filled ? 'filled' : 'closed';
+  }
+  return JOB_STATUSES.includes(job.status) ? job.status : 'active';
+}
+
+// A normalized feed job (see jobsGateway) → a jobs row
+function toLocalJob(job, today = new Date().toISOString().slice(0, 10)) {
+  return {
+    external_id: clip(job.id, 64),
+    title: clip(job.title, 255),
+    category: clip(job.category, 100),
+    description: job.description || '',
+    requirements: job.requirements || null,
+    salary_min: job.salary_min,
+    salary_max: job.salary_max,
+    salary_currency: clip(job.salary_currency, 10),
+    location: clip(job.location, 255),
+    work_type: Object.keys(WORK_TYPES).includes(job.work_type) ? job.work_type : 'full-time',
+    experience_level: Object.values(EXPERIENCE_LEVELS).includes(job.experience_level) ? job.experience_level : 'entry',
+    education_level: clip(job.education_level, 100),
+    status: localStatus(job),
+    positions_available: job.positions_available ?? 1,
+    positions_filled: job.positions_filled ?? 0,
+    posted_date: job.posted_date || today,
+    application_deadline: job.application_deadline,
+    start_date: job.start_date
+  };
+}
+
+class JobSyncService {
+  constructor() {
+    this.jobsGateway = getJobsGateway();
+  }
+
+  /**
+   * Fetch the feed and upsert every job; active mirrors missing from it are closed.
+   * Returns { upserted, failed, closed }. Throws when the feed can't be fetched, so a
+   * stale snapshot never closes anything.
+   */
+  sync() {
+    if (!running) {
+      running = this._sync().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  async _sync() {
+    // synced_at is a TIMESTAMP (whole seconds): drop the milliseconds so this run's rows aren't "older" than it
+    const startedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+    const { jobs } = await this.jobsGateway.refresh();
+
+    let upserted = 0;
+    const failed = []; // still in the feed, so not to be closed
+    for (const job of jobs) {
+      try {
+        await Job.upsertExternal(toLocalJob(job), startedAt);
+        upserted += 1;
+      } catch (error) {
+        failed.push(toLocalJob(job).external_id);
+      }
+    }
+
+    // An empty feed is more likely an upstream glitch than every job closing at once
+    let closed = 0;
+    if (jobs.length === 0) {
+      logger.warn('Jobs feed is empty; not closing any local jobs');
+    } else {
+      closed = await Job.closeUnsynced(startedAt, failed);
+    }
+
+    logger.info('Upstream jobs synced', { upserted, failed: failed.length, closed, duration: `${Date.now() - startedAt}ms` });
+    return { upserted, failed: failed.length, closed };
+  }
+
+  /**
+   * The local jobs row for a job a user picked. Jobs from the feed (what GET /api/jobs and
+   * the chat list) are found by external_id, imported if not synced yet; with source
+   * 'local', jobId is a jobs.id of a job posted through Kozi. Null when there is no such job.
+   */
+  async findLocalJob(jobId, source = JOB_SOURCES.UPSTREAM) {
+    if (source === JOB_SOURCES.LOCAL) {
+      return Job.findById(jobId);
+    }
+
+    const mirrored = await Job.findByExternalId(jobId);
+    if (mirrored) return mirrored;
+
+    const { job } = await this.jobsGateway.getJob(jobId);
+    return job ? this.importJob(job) : null;
+  }
+
+  // Whether a jobs row takes applications; its status may date from before the deadline passed
+  acceptsApplications(localJob) {
+    return localJob.status === 'active' && !isPastDeadline(localJob.application_deadline);
+  }
+
+  // Mirror one feed job now (before the next sync) and return its row
+  async importJob(job) {
+    const localId = await Job.upsertExternal(toLocalJob(job));
+    logger.info('Imported upstream job', { externalId: job.id, jobId: localId });
+    return Job.findById(localId);
+  }
+}
+
+module.exports = JobSyncService;
@@ -0,0 +1,524 @@
+// src/services/jobsGateway.js
+// The one client for the upstream Kozi jobs API: the jobs feed (JOBS_API_URL) and, when
+// configured, application submission and status. It logs in for a bearer token when
+// JOBS_API_EMAIL/PASSWORD are set, retries timeouts and 5xx responses, maps each raw job
+// through FIELD_MAP and filters the result. The REST routes and the chat bot both go
+// through it, so a job looks the same everywhere.
+//
+// Reads are served from an in-memory snapshot of the feed (stale-while-revalidate), and a
+// circuit breaker stops calling upstream while it keeps failing; the last good snapshot
+// is then served flagged `stale` for up to JOBS_CACHE_MAX_STALE_SECONDS.
+
+const env = require('../config/environment');
+const logger = require('../core/utils/logger');
+
+const DEFAULT_CURRENCY = 'RWF';
+const TOKEN_LIFETIME_MS = 60 * 60 * 1000; // upstream tokens last an hour
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const RETRY_DELAY_MS = 500;
+const CLOSED_STATUSES = ['inactive', 'closed', 'expired', 'deleted'];
+const KIGALI_UTC_OFFSET_MS = 2 * 60 * 60 * 1000; // CAT, no daylight saving
+
+// Value parsers for FIELD_MAP
+const parse = {
+  text: v => String(v).trim(),
+  lower: v => String(v).trim().toLowerCase(),
+  amount: v => {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+  },
+  int: v => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) ? n : null;
+  },
+  date: v => {
+    const d = new Date(v);
+    return isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10); // YYYY-MM-DD
+  }
+};
+
+/**
+ * How each field of a normalized job is read from an upstream job: the first of `from`
+ * that is present wins, is run through `parse`, and `default` is used when none is
+ * present (or the value doesn't parse). Upstream renames are fixed here only.
+ */
+const FIELD_MAP = {
+  id: { from: ['id', 'job_id', 'ID'], parse: 'text' },
+  title: { from: ['title', 'job_title', 'position'], parse: 'text', default: 'Untitled Position' },
+  category: { from: ['category', 'job_category', 'function'], parse: 'text', default: 'General' },
+  description: { from: ['description', 'job_description', 'details'], parse: 'text', default: '' },
+  requirements: { from: ['requirements', 'requirement'], parse: 'text', default: '' },
+
+  salary_min: { from: ['salary_min', 'min_salary', 'minSalary'], parse: 'amount', default: null },
+  salary_max: { from: ['salary_max', 'max_salary', 'maxSalary'], parse: 'amount', default: null },
+  salary_currency: { from: ['salary_currency', 'currency'], parse: 'text', default: DEFAULT_CURRENCY },
+
+  location: { from: ['location', 'city', 'district', 'area'], parse: 'text', default: 'Kigali' },
+  work_type: { from: ['work_type', 'employment_type'], parse: 'lower', default: 'full-time' },
+  experience_level: { from: ['experience_level', 'level'], parse: 'lower', default: 'entry' },
+  education_level: { from: ['education_level', 'education'], parse: 'text', default: null },
+
+  status: { from: ['status'], parse: 'lower', default: 'active' },
+  positions_available: { from: ['positions_available', 'openings', 'slots'], parse: 'int', default: 1 },
+  positions_filled: { from: ['positions_filled', 'filled'], parse: 'int', default: 0 },
+
+  posted_date: { from: ['posted_date', 'created_at', 'date_posted'], parse: 'date', default: null },
+  application_deadline: { from: ['application_deadline', 'deadline', 'closing_date'], parse: 'date', default: null },
+  start_date: { from: ['start_date'], parse: 'date', default: null },
+
+  views: { from: ['views'], parse: 'int', default: 0 },
+  applications_count: { from: ['applications_count'], parse: 'int', default: 0 }
+};
+
+// One raw upstream job → the normalized shape (null when it has no id)
+function normalizeJob(raw, fieldMap = FIELD_MAP) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const job = {};
+  for (const [field, rule] of Object.entries(fieldMap)) {
+    const source = rule.from.find(key => raw[key] !== undefined && raw[key] !== null && raw[key] !== '');
+    const value = source === undefined ? null : parse[rule.parse](raw[source]);
+    job[field] = value === null || value === '' ? (rule.default ?? null) : value;
+  }
+
+  return job.id ? job : null;
+}
+
+// A date as YYYY-MM-DD; DATE columns come back from mysql2 as local midnight
+function toDay(value) {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+// The application deadline has passed; jobs take applications through the deadline day, Kigali time
+function isPastDeadline(deadline) {
+  if (!deadline) return false;
+  const today = new Date(Date.now() + KIGALI_UTC_OFFSET_MS).toISOString().slice(0, 10);
+  return toDay(deadline) < today;
+}
+
+// Still taking applications: not closed, not past its deadline and not all positions filled
+function isOpen(job) {
+  if (CLOSED_STATUSES.includes(job.status)) return false;
+  if (isPastDeadline(job.application_deadline)) return false;
+  return !job.positions_available || job.positions_available > (job.positions_filled || 0);
+}
+
+const contains = (value, wanted) => String(value || '').toLowerCase().includes(String(wanted).toLowerCase());
+const equals = (value, wanted) => String(value || '').toLowerCase() === String(wanted).toLowerCase();
+
+/**
+ * Filter normalized jobs. Without `status` only open jobs are kept; with it, jobs in that
+ * status. Salary filters keep jobs that don't state a salary. Newest first.
+ */
+function filterJobs(jobs, filters = {}) {
+  let result = filters.status
+    ? jobs.filter(j => equals(j.status, filters.status))
+    : jobs.filter(isOpen);
+
+  if (filters.category) result = result.filter(j => contains(j.category, filters.category));
+  if (filters.location) result = result.filter(j => contains(j.location, filters.location));
+  if (filters.work_type) result = result.filter(j => equals(j.work_type, filters.work_type));
+  if (filters.experience_level) result = result.filter(j => equals(j.experience_level, filters.experience_level));
+  if (filters.salary_min) {
+    result = result.filter(j => {
+      const top = j.salary_max ?? j.salary_min;
+      return top === null || top >= filters.salary_min;
+    });
+  }
+  if (filters.salary_max) {
+    result = result.filter(j => j.salary_min === null || j.salary_min <= filters.salary_max);
+  }
+
+  return sortJobs(result);
+}
+
+// Job list orders (config/intents.js JOB_SORTS); jobs missing the value go last
+const SORTS = {
+  newest: [job => job.posted_date, 'desc'],
+  highest_pay: [job => job.salary_max ?? job.salary_min, 'desc'],
+  lowest_pay: [job => job.salary_min ?? job.salary_max, 'asc'],
+  deadline: [job => job.application_deadline, 'asc'],
+  best_match: [job => job.match?.score, 'desc'], // set by jobMatcher.matchJobs
+  relevance: [job => job.similarity, 'desc'] // set by jobIndex.search
+};
+
+function sortJobs(jobs, sort = 'newest') {
+  const [value, direction] = SORTS[sort] || SORTS.newest;
+  const compare = (a, b) => (typeof a === 'number' ? a - b : String(a).localeCompare(String(b)));
+
+  return [...jobs].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    return direction === 'desc' ? compare(y, x) : compare(x, y);
+  });
+}
+
+// Accept either [] or { data: [] }; null for anything else
+function jobList(body) {
+  return Array.isArray(body) ? body : (Array.isArray(body?.data) ? body.data : null);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class JobsGateway {
+  constructor(options = {}) {
+    this.url = options.url || env.JOBS_API_URL;
+    this.loginUrl = options.loginUrl || env.JOBS_API_LOGIN_URL;
+    this.applyUrl = options.applyUrl || env.JOBS_API_APPLY_URL;
+    this.applicationStatusUrl = options.applicationStatusUrl || env.JOBS_API_APPLICATION_STATUS_URL;
+    this.credentials = options.credentials !== undefined ? options.credentials : (env.JOBS_API_EMAIL && env.JOBS_API_PASSWORD
+      ? { email: env.JOBS_API_EMAIL, password: env.JOBS_API_PASSWORD, role_id: env.JOBS_API_ROLE_ID }
+      : null);
+    this.timeoutMs = options.timeoutMs ?? env.JOBS_API_TIMEOUT_MS;
+    this.retries = options.retries ?? env.JOBS_API_RETRIES;
+    this.fieldMap = options.fieldMap || FIELD_MAP;
+    this.cacheTtlMs = (options.cacheTtlSeconds ?? env.JOBS_CACHE_TTL_SECONDS) * 1000;
+    this.maxStaleMs = (options.maxStaleSeconds ?? env.JOBS_CACHE_MAX_STALE_SECONDS) * 1000;
+    this.breakerThreshold = options.breakerThreshold ?? env.JOBS_BREAKER_THRESHOLD;
+    this.breakerCooldownMs = (options.breakerCooldownSeconds ?? env.JOBS_BREAKER_COOLDOWN_SECONDS) * 1000;
+
+    // Token cache for upstream auth
+    this.apiToken = null;
+    this.tokenExpiry = null; // ms epoch
+
+    // Last good snapshot of the feed: { jobs (normalized), fetchedAt }
+    this.snapshot = null;
+    this.refreshing = null; // the in-flight refresh, shared by concurrent callers
+
+    // Circuit breaker: after `breakerThreshold` failures in a row, upstream is left alone
+    // until `openUntil`; then one trial request decides whether it closes again
+    this.failures = 0;
+    this.openUntil = 0;
+  }
+
+  /**
+   * Open jobs matching `filters` (see filterJobs) → { jobs, stale, fetchedAt }.
+   * Served from the snapshot: fresh within JOBS_CACHE_TTL_SECONDS, after that served at
+   * once while a refresh runs in the background. `stale` means upstream is failing and
+   * the jobs may be outdated. Throws an unavailable error when there is nothing to serve.
+   */
+  async getJobs(filters = {}) {
+    const snapshot = await this._currentSnapshot();
+    return { jobs: filterJobs(snapshot.jobs, filters), stale: snapshot.stale, fetchedAt: snapshot.fetchedAt };
+  }
+
+  // One job by upstream id, whatever its status → { job (null when not in the feed), stale, fetchedAt }
+  async getJob(jobId) {
+    const snapshot = await this._currentSnapshot();
+    const job = snapshot.jobs.find(j => j.id === String(jobId)) || null;
+    return { job, stale: snapshot.stale, fetchedAt: snapshot.fetchedAt };
+  }
+
+  /**
+   * Download and normalize the feed into a new snapshot. Concurrent calls share one
+   * request; while the circuit is open it rejects without calling upstream.
+   */
+  refresh() {
+    if (this.refreshing) return this.refreshing;
+    if (this.circuitState() === 'open') {
+      return Promise.reject(this._unavailable(new Error('Circuit open')));
+    }
+
+    const startTime = Date.now();
+    this.refreshing = this.fetchRaw()
+      .then(raw => {
+        const jobs = raw.map(item => normalizeJob(item, this.fieldMap)).filter(Boolean);
+        this.snapshot = { jobs, fetchedAt: Date.now() };
+        this._recordSuccess();
+
+        logger.info('Jobs feed refreshed', {
+          total: raw.length,
+          normalized: jobs.length,
+          duration: `${Date.now() - startTime}ms`
+        });
+        return this.snapshot;
+      }, error => {
+        this._recordFailure(error);
+        throw this._unavailable(error);
+      })
+      .finally(() => {
+        this.refreshing = null;
+      });
+
+    return this.refreshing;
+  }
+
+  // 'closed' (normal), 'open' (upstream skipped) or 'half-open' (next request is a trial)
+  circuitState() {
+    if (this.failures < this.breakerThreshold) return 'closed';
+    return Date.now() < this.openUntil ? 'open' : 'half-open';
+  }
+
+  // For health checks
+  status() {
+    return {
+      circuit: this.circuitState(),
+      failures: this.failures,
+      jobs: this.snapshot ? this.snapshot.jobs.length : null,
+      fetched_at: this.snapshot ? new Date(this.snapshot.fetchedAt).toISOString() : null
+    };
+  }
+
+  async _currentSnapshot() {
+    const age = this.snapshot ? Date.now() - this.snapshot.fetchedAt : Infinity;
+
+    if (age >= this.cacheTtlMs) {
+      if (age < this.cacheTtlMs + this.maxStaleMs) {
+        // Stale-while-revalidate: answer now, refresh behind (failures are logged there)
+        this.refresh().catch(() => {});
+      } else {
+        // Nothing (usable) cached yet: wait for upstream
+        try {
+          await this.refresh();
+        } catch (error) {
+          logger.warn('Jobs feed unavailable and no usable snapshot', { error: error.message });
+          throw error;
+        }
+      }
+    }
+
+    return { ...this.snapshot, stale: this.failures > 0 };
+  }
+
+  _recordSuccess() {
+    if (this.failures >= this.breakerThreshold) logger.info('Jobs feed circuit closed');
+    this.failures = 0;
+    this.openUntil = 0;
+  }
+
+  _recordFailure(error) {
+    this.failures += 1;
+    logger.error('Jobs feed refresh failed', { error: error.message, failures: this.failures });
+
+    if (this.failures >= this.breakerThreshold) {
+      this.openUntil = Date.now() + this.breakerCooldownMs;
+      logger.warn('Jobs feed circuit open', { failures: this.failures, cooldownMs: this.breakerCooldownMs });
+    }
+  }
+
+  // The error callers get when jobs can't be served; `retryAfter` is in seconds
+  _unavailable(cause) {
+    const error = new Error(`Jobs feed temporarily unavailable: ${cause.message}`);
+    error.code = 'JOBS_UNAVAILABLE';
+    error.retryAfter = Math.max(Math.ceil((this.openUntil - Date.now()) / 1000), 0) || null;
+    return error;
+  }
+
+  // The upstream job list as sent, before normalization
+  async fetchRaw() {
+    const response = await this._authorized(this.url, {}, this.retries);
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Upstream jobs API returned ${response.status} ${response.statusText} ${detail.slice(0, 200)}`.trim());
+    }
+
+    // A garbled body must not replace the last good snapshot with an empty one
+    const list = jobList(await response.json().catch(() => null));
+    if (!list) throw new Error('Upstream jobs API returned an unexpected body');
+    if (list.length === 0) logger.warn('No jobs returned from upstream jobs API', { url: this.url });
+    return list;
+  }
+
+  /**
+   * POST an application to the Kozi platform (JOBS_API_APPLY_URL) → { id, status }.
+   * Not retried here: the application outbox retries with backoff. A rejected request
+   * throws an error with `status` (the HTTP status) and `permanent` for 4xx answers
+   * that won't change on retry; a 409 means upstream already has it and counts as sent
+   * (`id` is the existing application's when the answer says, else null: see findApplication).
+   */
+  async submitApplication(payload) {
+    if (!this.applyUrl) throw new Error('JOBS_API_APPLY_URL is not set');
+
+    const response = await this._authorized(this.applyUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    }, 0);
+
+    if (response.status === 409) {
+      const existing = await this._body(response);
+      return { id: existing.id ?? existing.application_id ?? null, status: existing.status ?? null, duplicate: true };
+    }
+    const data = await this._json(response, 'Application submission');
+    return { id: data.id ?? data.application_id ?? null, status: data.status ?? null, duplicate: false };
+  }
+
+  /**
+   * The platform's application by `email` for upstream job `jobId` → { id, status }, or null.
+   * Lists JOBS_API_APPLY_URL?job_id=&email=; finds submissions upstream answered 409 to
+   * without naming the application it already had.
+   */
+  async findApplication({ jobId, email }) {
+    if (!this.applyUrl) throw new Error('JOBS_API_APPLY_URL is not set');
+
+    const url = new URL(this.applyUrl);
+    url.searchParams.set('job_id', jobId);
+    url.searchParams.set('email', email);
+    const data = await this._json(await this._authorized(url.toString(), {}, this.retries), 'Application lookup');
+
+    const found = [].concat(data).find(application => application &&
+      String(application.job_id ?? jobId) === String(jobId) &&
+      String(application.email ?? email).toLowerCase() === String(email).toLowerCase());
+    const id = found && (found.id ?? found.application_id);
+    return id === undefined || id === null ? null : { id, status: found.status ?? found.application_status ?? null };
+  }
+
+  // The upstream status of a submitted application (JOBS_API_APPLICATION_STATUS_URL) → { status }
+  async getApplicationStatus(upstreamId) {
+    if (!this.applicationStatusUrl) throw new Error('JOBS_API_APPLICATION_STATUS_URL is not set');
+
+    const url = this.applicationStatusUrl.replace('{id}', encodeURIComponent(upstreamId));
+    const data = await this._json(await this._authorized(url, {}, this.retries), 'Application status');
+    return { status: data.status ?? data.application_status ?? null };
+  }
+
+  // The response body (unwrapping { data }), or an error carrying the HTTP status
+  async _json(response, what) {
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`${what} failed: ${response.status} ${response.statusText} ${detail.slice(0, 200)}`.trim());
+      error.status = response.status;
+      error.permanent = response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status);
+      throw error;
+    }
+
+    return this._body(response);
+  }
+
+  // The JSON body, unwrapping { data }; {} when there is none
+  async _body(response) {
+    const body = await response.json().catch(() => ({}));
+    return body?.data && typeof body.data === 'object' ? body.data : (body || {});
+  }
+
+  // A request with the upstream token; an expired token (401) logs in again once
+  async _authorized(url, init, retries) {
+    let token = await this._getAPIToken();
+    let response = await this._request(url, init, token, retries);
+
+    if (response.status === 401 && token) {
+      logger.warn('Upstream jobs API rejected the token; logging in again');
+      this.apiToken = null;
+      this.tokenExpiry = null;
+      token = await this._getAPIToken();
+      response = await this._request(url, init, token, retries);
+    }
+
+    return response;
+  }
+
+  // Timeouts, network errors and 5xx are retried up to `retries` times
+  async _request(url, init, token, retries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this._fetch(url, {
+          ...init,
+          headers: {
+            'Accept': 'application/json',
+            'User-Agent': 'Kozi-Platform/1.0',
+            ...init.headers,
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+          }
+        });
+
+        if (response.status < 500 || attempt >= retries) return response;
+        logger.warn('Upstream jobs API error, retrying', { url, status: response.status, attempt: attempt + 1 });
+      } catch (error) {
+        if (attempt >= retries) {
+          logger.error('Failed to reach upstream jobs API', { url, error: error.message });
+          throw error;
+        }
+        logger.warn('Upstream jobs API unreachable, retrying', { url, error: error.message, attempt: attempt + 1 });
+      }
+
+      await sleep(RETRY_DELAY_MS * (attempt + 1));
+    }
+  }
+
+  async _fetch(url, init) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      throw controller.signal.aborted
+        ? new Error(`Upstream jobs API timed out after ${this.timeoutMs}ms`)
+        : error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Get an API token; cache it until near expiry.
+   * Without credentials (or if login fails) returns null and the feed is fetched unauthenticated.
+   */
+  async _getAPIToken() {
+    if (this.apiToken && this.tokenExpiry && Date.now() < this.tokenExpiry - TOKEN_REFRESH_MARGIN_MS) {
+      return this.apiToken;
+    }
+
+    this.apiToken = null;
+    this.tokenExpiry = null;
+    if (!this.credentials) return null;
+
+    try {
+      const resp = await this._fetch(this.loginUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(this.credentials)
+      });
+
+      if (!resp.ok) {
+        const errText = await resp.text().catch(() => '');
+        throw new Error(`Login failed ${resp.status}: ${errText.slice(0, 300)}`);
+      }
+
+      const data = await resp.json().catch(() => ({}));
+      const token = data.token || data.access_token || data.accessToken || null;
+      if (!token) throw new Error('No token field found in login response');
+
+      this.apiToken = token;
+      this.tokenExpiry = Date.now() + TOKEN_LIFETIME_MS;
+      logger.info('Upstream token acquired', { loginUrl: this.loginUrl });
+
+      return token;
+    } catch (error) {
+      // The feed may still allow public reads
+      logger.error('Failed to obtain upstream token', { error: error.message });
+      return null;
+    }
+  }
+}
+
+let gateway = null;
+
+// The shared gateway for this process (one token cache), created on first use
+function getJobsGateway() {
+  if (!gateway) {
+    gateway = new JobsGateway();
+    if (!gateway.credentials) {
+      logger.warn('JOBS_API_EMAIL or JOBS_API_PASSWORD not set; fetching jobs without Authorization');
+    }
+  }
+  return gateway;
+}
+
+module.exports = {
+  JobsGateway,
+  getJobsGateway,
+  normalizeJob,
+  filterJobs,
+  sortJobs,
+  isOpen,
+  isPastDeadline,
+  FIELD_MAP
+};
@@ -0,0 +1,107 @@
+// src/services/keywordIndex.js
+// In-memory BM25 index kept next to the vector store, so exact terms
+// (district names, clause numbers, "KG 647 St") can be matched literally.
+
+const K1 = 1.5;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'to', 'what',
+  'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+// One index per vector store, shared by every VectorService using that store
+const indexes = new WeakMap();
+
+class KeywordIndex {
+  constructor() {
+    this.postings = new Map();   // term → Map(id → term frequency)
+    this.lengths = new Map();    // id → document length in terms
+    this.docTerms = new Map();   // id → distinct terms, for cheap removal
+    this.totalLength = 0;
+  }
+
+  static forStore(store) {
+    if (!indexes.has(store)) {
+      const index = new KeywordIndex();
+      store.all().forEach(doc => index.add(doc.id, doc.text));
+      indexes.set(store, index);
+    }
+    return indexes.get(store);
+  }
+
+  get size() {
+    return this.lengths.size;
+  }
+
+  add(id, text) {
+    if (this.lengths.has(id)) this.remove(id);
+
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+    frequencies.forEach((tf, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, tf);
+    });
+    this.lengths.set(id, terms.length);
+    this.docTerms.set(id, [...frequencies.keys()]);
+    this.totalLength += terms.length;
+  }
+
+  remove(id) {
+    const length = this.lengths.get(id);
+    if (length === undefined) return false;
+
+    this.docTerms.get(id).forEach(term => {
+      const docs = this.postings.get(term);
+      docs.delete(id);
+      if (docs.size === 0) this.postings.delete(term);
+    });
+    this.lengths.delete(id);
+    this.docTerms.delete(id);
+    this.totalLength -= length;
+    return true;
+  }
+
+  /**
+   * BM25 top-k. `filter(id)` can restrict candidates. Returns [{ id, score }].
+   */
+  search(query, limit = 10, filter = null) {
+    const n = this.size;
+    if (n === 0) return [];
+
+    const avgLength = this.totalLength / n || 1;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const docs = this.postings.get(term);
+      if (!docs) continue;
+
+      const idf = Math.log(1 + (n - docs.size + 0.5) / (docs.size + 0.5));
+      docs.forEach((tf, id) => {
+        if (filter && !filter(id)) return;
+        const norm = tf + K1 * (1 - B + B * (this.lengths.get(id) / avgLength));
+        scores.set(id, (scores.get(id) || 0) + idf * ((tf * (K1 + 1)) / norm));
+      });
+    }
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')   // 40,000 → 40000
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term && !STOPWORDS.has(term));
+}
+
+module.exports = KeywordIndex;
+module.exports.tokenize = tokenize;
@@ -1,12 +1,20 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const RAGService = require('./ragService');
+const documentExtractor = require('./documentExtractor');
+const { KnowledgeEntry } = require('../core/db/models');
 const logger = require('../core/utils/logger');
 
+// Marks vectors this loader owns, so anything it no longer produces can be removed
+const MANAGED_BY = 'knowledge-loader';
+
 class KnowledgeLoader {
   constructor() {
     this.ragService = new RAGService();
+    this.docsDir = path.join(process.cwd(), 'data', 'docs');
     this._initialized = false;
+    this._resetSync();
   }
 
   async initialize() {
@@ -15,9 +23,16 @@ class KnowledgeLoader {
     this._initialized = true;
   }
 
+  /**
+   * Sync the knowledge entries and data/docs into the vector store. Only new or changed
+   * items are embedded; vectors for entries or files that disappeared are deleted.
+   * The built-in facts below only seed the knowledge_entries table; after that the
+   * admin API owns them. Returns { added, updated, removed, unchanged }.
+   */
   async loadKoziKnowledge() {
     try {
       await this.initialize();
+      this._resetSync();
 
       // Core Kozi Information
       await this.loadCoreInfo();
@@ -46,11 +61,19 @@ class KnowledgeLoader {
       // NEW: Lightweight job/cv guidance for chat UX (jobs intent discoverability)
       await this.loadJobKnowledge();
 
-      // NEW: Index local PDFs placed under data/docs
+      for (const entry of await this.loadEntries()) {
+        await this._syncEntry(entry.id, entry.content, entry.metadata);
+      }
+
+      // NEW: Index local documents placed under data/docs
       await this.loadLocalDocuments();
 
-      logger.info('Kozi knowledge base loaded successfully');
-      return true;
+      this.stats.removed += this.ragService.removeKnowledgeDocuments(
+        doc => doc.metadata?.managed_by === MANAGED_BY && !this._seen.has(doc.id)
+      );
+
+      logger.info('Kozi knowledge base loaded successfully', this.stats);
+      return this.stats;
     } catch (error) {
       logger.error('Failed to load knowledge base', { error: error.message });
       throw error;
@@ -73,11 +96,16 @@ class KnowledgeLoader {
         id: 'kozi-contact',
         content: `Contact Kozi: Phone: +250 788 719 678, Email: info@kozi.rw, Address: Kigali-Kacyiru, KG 647 St. Website: www.kozi.rw. For support, contact support@kozi.rw`,
         metadata: { type: 'contact_info', category: 'support' }
+      },
+      {
+        id: 'kozi-registration',
+        content: `How to join Kozi: Job seekers sign up at www.kozi.rw, complete their profile (personal information, job category and experience level) and upload their CV and National ID card; a profile photo is optional. A registration fee may apply. Employers sign up at www.kozi.rw and submit the Job Providers Request Form describing the worker they need; Kozi then shares suitable candidates.`,
+        metadata: { type: 'guidance', category: 'registration', audience: ['public', 'employee', 'employer'] }
       }
     ];
 
     for (const item of coreInfo) {
-      await this.ragService.addKnowledgeDocument(item.id, item.content, item.metadata);
+      this._builtIns.push(item);
     }
   }
 
@@ -101,7 +129,7 @@ class KnowledgeLoader {
     ];
 
     for (const item of profileGuidance) {
-      await this.ragService.addKnowledgeDocument(item.id, item.content, item.metadata);
+      this._builtIns.push(item);
     }
   }
 
@@ -120,7 +148,7 @@ class KnowledgeLoader {
     ];
 
     for (const item of jobInfo) {
-      await this.ragService.addKnowledgeDocument(item.id, item.content, item.metadata);
+      this._builtIns.push(item);
     }
   }
 
@@ -139,7 +167,7 @@ class KnowledgeLoader {
     ];
 
     for (const item of cvGuidance) {
-      await this.ragService.addKnowledgeDocument(item.id, item.content, item.metadata);
+      this._builtIns.push(item);
     }
   }
 
@@ -158,7 +186,7 @@ class KnowledgeLoader {
     ];
 
     for (const item of docInfo) {
-      await this.ragService.addKnowledgeDocument(item.id, item.content, item.metadata);
+      this._builtIns.push(item);
     }
   }
 
@@ -182,7 +210,7 @@ class KnowledgeLoader {
     ];
 
     for (const item of contractInfo) {
-      await this.ragService.addKnowledgeDocument(item.id, item.content, item.metadata);
+      this._builtIns.push(item);
     }
   }
 
@@ -201,11 +229,11 @@ FEES & PAYMENTS (HOUSE CLEANER AGREEMENT – KOZI RWANDA)
 • Payment methods (as listed in the agreement at time of writing): MoMo code 067788 (Account Name: SANSON GROUP); Bank of Kigali account 100185006268 (Account Name: SANSON GROUP).
     `.trim();
 
-    await this.ragService.addKnowledgeDocument(
-      'fees-house-cleaner-agreement',
+    this._builtIns.push({
+      id: 'fees-house-cleaner-agreement',
       content,
-      { type: 'policy', category: 'fees', source: 'agreement' }
-    );
+      metadata: { type: 'policy', category: 'fees', source: 'agreement' }
+    });
   }
 
   // NEW: Atomic knowledge snippets from PDFs / profiles / guidelines
@@ -363,7 +391,7 @@ FEES & PAYMENTS (HOUSE CLEANER AGREEMENT – KOZI RWANDA)
     ];
 
     for (const item of koziKnowledgePack) {
-      await this.ragService.addKnowledgeDocument(item.id, item.content, item.metadata);
+      this._builtIns.push(item);
     }
   }
 
@@ -388,43 +416,165 @@ FEES & PAYMENTS (HOUSE CLEANER AGREEMENT – KOZI RWANDA)
     ];
 
     for (const item of jobKnowledge) {
-      await this.ragService.addKnowledgeDocument(item.id, item.content, item.metadata);
+      this._builtIns.push(item);
     }
   }
 
-  // NEW: scan data/docs and index PDFs
+  /**
+   * Seed the built-ins into knowledge_entries and return every active entry as
+   * { id, content, metadata }. Falls back to the built-ins if the table is unavailable.
+   */
+  async loadEntries() {
+    try {
+      await KnowledgeEntry.seed(this._builtIns);
+      const rows = await KnowledgeEntry.findAll();
+      return rows.map(toDocument);
+    } catch (error) {
+      logger.warn('knowledge-loader: knowledge_entries unavailable, using built-in entries', {
+        error: error.message
+      });
+      return this._builtIns;
+    }
+  }
+
+  // NEW: scan data/docs and index every supported document (PDF, DOCX, MD, HTML, TXT, CSV)
   async loadLocalDocuments() {
-    const docsDir = path.join(process.cwd(), 'data', 'docs');
+    const docsDir = this.docsDir;
     if (!fs.existsSync(docsDir)) {
       logger.info('knowledge-loader: no local docs folder found', { docsDir });
       return;
     }
 
-    const files = fs
-      .readdirSync(docsDir, { withFileTypes: true })
-      .filter((d) => d.isFile() && d.name.toLowerCase().endsWith('.pdf'))
-      .map((d) => d.name);
+    const files = this._documentFiles();
 
     if (!files.length) {
-      logger.info('knowledge-loader: no PDFs found in docs folder', { docsDir });
+      logger.info('knowledge-loader: no documents found in docs folder', { docsDir });
       return;
     }
 
     for (const filename of files) {
-      const abs = path.join(docsDir, filename);
-      try {
-        await this.ragService.indexFile(abs, {
-          source: 'pdf',
-          tags: this._tagsFor(filename)
-        });
-        logger.info('Knowledge document added', { id: filename, type: 'pdf' });
-      } catch (e) {
-        // Continue indexing remaining files even if one fails
-        logger.error('Failed to index PDF', { file: filename, error: e.message });
+      await this._syncFile(filename);
+    }
+  }
+
+  // ---- Single-item operations used by the admin API ----
+
+  // Embed one knowledge_entries row right away. Returns 'added' | 'updated' | 'unchanged'.
+  async indexEntry(row) {
+    await this.initialize();
+    const doc = toDocument(row);
+    return this.ragService.upsertKnowledgeDocument(doc.id, doc.content, {
+      ...doc.metadata,
+      managed_by: MANAGED_BY
+    });
+  }
+
+  async removeEntry(entryId) {
+    await this.initialize();
+    return this.ragService.removeKnowledgeDocuments(doc => doc.id === entryId);
+  }
+
+  listDocuments() {
+    if (!fs.existsSync(this.docsDir)) return [];
+
+    return this._documentFiles().map(filename => {
+      const chunks = this.ragService.listKnowledgeDocuments(doc => doc.metadata?.filename === filename);
+      const { size, mtime } = fs.statSync(path.join(this.docsDir, filename));
+      return { filename, size, modified_at: mtime, chunks: chunks.length };
+    });
+  }
+
+  // Write an uploaded document into data/docs and index it. Returns sync counts.
+  async saveDocument(filename, buffer) {
+    await this.initialize();
+    fs.mkdirSync(this.docsDir, { recursive: true });
+    fs.writeFileSync(path.join(this.docsDir, filename), buffer);
+
+    this._resetSync();
+    await this._syncFile(filename, { throwOnError: true });
+    return this.stats;
+  }
+
+  async removeDocument(filename) {
+    await this.initialize();
+    const abs = path.join(this.docsDir, filename);
+    const existed = fs.existsSync(abs);
+    if (existed) fs.unlinkSync(abs);
+
+    const removed = this.ragService.removeKnowledgeDocuments(doc => doc.metadata?.filename === filename);
+    return { existed, removed };
+  }
+
+  isSupportedDocument(filename) {
+    return documentExtractor.isSupported(filename);
+  }
+
+  _documentFiles() {
+    return fs
+      .readdirSync(this.docsDir, { withFileTypes: true })
+      .filter((d) => d.isFile() && this.isSupportedDocument(d.name))
+      .map((d) => d.name);
+  }
+
+  async _syncFile(filename, { throwOnError = false } = {}) {
+    const abs = path.join(this.docsDir, filename);
+    const existing = this.ragService.listKnowledgeDocuments(doc => doc.metadata?.filename === filename);
+    try {
+      const fileHash = hashFile(abs);
+      const strategy = this._chunkingFor(filename);
+
+      // Same bytes and strategy as last time: keep the chunks without extracting the file again
+      if (existing.length && existing.every(doc =>
+        doc.metadata.file_hash === fileHash && doc.metadata.chunking === strategy
+      )) {
+        existing.forEach(doc => this._seen.add(doc.id));
+        this.stats.unchanged += existing.length;
+        return;
       }
+
+      const result = await this.ragService.indexFile(abs, {
+        source: path.extname(filename).slice(1).toLowerCase(),
+        tags: this._tagsFor(filename),
+        file_hash: fileHash,
+        managed_by: MANAGED_BY
+      }, { strategy });
+      result.ids.forEach(id => this._seen.add(id));
+      this.stats.added += result.added;
+      this.stats.updated += result.updated;
+      this.stats.unchanged += result.unchanged;
+      this.stats.removed += result.removed;
+      logger.info('Knowledge document synced', { id: filename, chunks: result.ids.length });
+    } catch (e) {
+      if (throwOnError) throw e;
+      // Continue indexing remaining files even if one fails; keep its old chunks
+      existing.forEach(doc => this._seen.add(doc.id));
+      logger.error('Failed to index document', { file: filename, error: e.message });
     }
   }
 
+  async _syncEntry(id, content, metadata) {
+    const status = await this.ragService.upsertKnowledgeDocument(id, content, {
+      ...metadata,
+      managed_by: MANAGED_BY
+    });
+    this._seen.add(id);
+    this.stats[status]++;
+  }
+
+  _resetSync() {
+    this._builtIns = [];
+    this._seen = new Set();
+    this.stats = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+  }
+
+  // Chunking strategy per source (see chunker.js STRATEGIES)
+  _chunkingFor(filename) {
+    const f = filename.toLowerCase();
+    if (f.includes('agreement') || f.includes('contract') || f.includes('terms')) return 'contract';
+    if (f.includes('faq') || f.endsWith('.csv')) return 'faq';
+    return 'default';
+  }
+
   _tagsFor(filename) {
     const f = filename.toLowerCase();
     if (f.includes('agreement')) return ['contract', 'house cleaner', 'fees', 'payment', 'terms'];
@@ -435,4 +585,16 @@ FEES & PAYMENTS (HOUSE CLEANER AGREEMENT – KOZI RWANDA)
   }
 }
 
+// knowledge_entries row → vector document (type/category back into metadata)
+function toDocument(row) {
+  if (!row.entry_id) return row; // already a { id, content, metadata } built-in
+  const metadata = { type: row.type };
+  if (row.category) metadata.category = row.category;
+  return { id: row.entry_id, content: row.content, metadata: { ...metadata, ...row.metadata } };
+}
+
+function hashFile(absPath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(absPath)).digest('hex');
+}
+
 module.exports = KnowledgeLoader;
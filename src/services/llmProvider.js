@@ -0,0 +1,95 @@
+// src/services/llmProvider.js
+// Builds the chat model and embeddings for the configured provider:
+//   openai             → OpenAI API (OPENAI_API_KEY)
+//   openai-compatible  → any OpenAI-compatible server, e.g. Ollama or llama.cpp (LLM_BASE_URL)
+//   fake               → deterministic offline models from ./fakeLLM
+// Embedding calls are charged to the daily token budget being tracked, like chat calls
+// (see OpenAIService): a RAG turn or semantic job search embeds the user's query.
+
+const { ChatOpenAI, OpenAIEmbeddings } = require('@langchain/openai');
+const { FakeChatModel, FakeEmbeddings } = require('./fakeLLM');
+const env = require('../config/environment');
+const { LLM_PROVIDERS } = require('../config/constants');
+const tokenBudget = require('../core/utils/tokenBudget');
+
+function createChatModel(options = {}) {
+  const provider = env.LLM_PROVIDER;
+
+  switch (provider) {
+    case LLM_PROVIDERS.OPENAI:
+      return new ChatOpenAI({
+        openAIApiKey: env.OPENAI_API_KEY,
+        modelName: env.CHAT_MODEL,
+        ...options
+      });
+
+    case LLM_PROVIDERS.OPENAI_COMPATIBLE:
+      return new ChatOpenAI({
+        openAIApiKey: env.LLM_API_KEY,
+        modelName: env.CHAT_MODEL,
+        configuration: { baseURL: env.LLM_BASE_URL },
+        ...options
+      });
+
+    case LLM_PROVIDERS.FAKE:
+      return FakeChatModel.fromScriptFile(env.FAKE_LLM_SCRIPT);
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${provider}`);
+  }
+}
+
+function createEmbeddings() {
+  return chargeToBudget(createProviderEmbeddings());
+}
+
+// Record each call's (estimated) tokens; outside a tracked request nothing is charged
+function chargeToBudget(embeddings) {
+  const embedQuery = embeddings.embedQuery.bind(embeddings);
+  const embedDocuments = embeddings.embedDocuments.bind(embeddings);
+
+  embeddings.embedQuery = async text => {
+    const embedding = await embedQuery(text);
+    await tokenBudget.record(tokenBudget.estimateTokens(text));
+    return embedding;
+  };
+  embeddings.embedDocuments = async texts => {
+    const embeddingList = await embedDocuments(texts);
+    await tokenBudget.record(tokenBudget.estimateTokens(texts.join('\n')));
+    return embeddingList;
+  };
+  return embeddings;
+}
+
+function createProviderEmbeddings() {
+  const provider = env.EMBEDDING_PROVIDER || env.LLM_PROVIDER;
+
+  switch (provider) {
+    case LLM_PROVIDERS.OPENAI:
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY is required for OpenAI embeddings');
+      }
+      return new OpenAIEmbeddings({
+        openAIApiKey: env.OPENAI_API_KEY,
+        modelName: env.EMBEDDING_MODEL
+      });
+
+    case LLM_PROVIDERS.OPENAI_COMPATIBLE:
+      return new OpenAIEmbeddings({
+        openAIApiKey: env.LLM_API_KEY,
+        modelName: env.EMBEDDING_MODEL,
+        configuration: { baseURL: env.EMBEDDING_BASE_URL || env.LLM_BASE_URL }
+      });
+
+    case LLM_PROVIDERS.FAKE:
+      return new FakeEmbeddings({ dimensions: env.FAKE_EMBEDDING_DIM });
+
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER: ${provider}`);
+  }
+}
+
+module.exports = {
+  createChatModel,
+  createEmbeddings
+};
@@ -1,37 +1,29 @@
-const { ChatOpenAI } = require('@langchain/openai');
+const { toJsonSchema } = require('@langchain/core/utils/json_schema');
+const { SystemMessage, HumanMessage, AIMessage, ToolMessage } = require('@langchain/core/messages');
+const { createChatModel } = require('./llmProvider');
 const env = require('../config/environment');
+const tokenBudget = require('../core/utils/tokenBudget');
 const logger = require('../core/utils/logger');
 
+// Chat completions through whichever provider LLM_PROVIDER selects. Every call's token
+// usage is charged to the user being served (see core/utils/tokenBudget.js).
 class OpenAIService {
   constructor() {
-    this.chatModel = new ChatOpenAI({
-      openAIApiKey: env.OPENAI_API_KEY,
-      modelName: env.CHAT_MODEL,
-      temperature: 0.7
-    });
+    this.chatModel = createChatModel({ temperature: 0.7 });
+    this.structuredModel = createChatModel({ temperature: 0 });
   }
 
   async generateResponse(messages, systemPrompt = null) {
     try {
-      const formattedMessages = [];
-      
-      if (systemPrompt) {
-        formattedMessages.push({
-          role: 'system',
-          content: systemPrompt
-        });
-      }
-
-      formattedMessages.push(...messages.map(msg => ({
-        role: msg.sender === 'user' ? 'user' : 'assistant',
-        content: msg.message
-      })));
+      const formattedMessages = this._formatMessages(messages, systemPrompt);
 
       const response = await this.chatModel.invoke(formattedMessages);
+      await this._charge(formattedMessages, response);
       
       logger.info('OpenAI response generated', { 
         messageCount: messages.length,
-        model: env.CHAT_MODEL 
+        provider: env.LLM_PROVIDER,
+        model: env.CHAT_MODEL
       });
 
       return response.content;
@@ -41,6 +33,167 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Stream a completion token by token. `onToken` receives each text delta
+   * as the model produces it; the full text is returned once done.
+   */
+  async streamResponse(messages, systemPrompt = null, onToken = () => {}) {
+    try {
+      const formattedMessages = this._formatMessages(messages, systemPrompt);
+      const stream = await this.chatModel.stream(formattedMessages);
+
+      let fullText = '';
+      let usage = null;
+      for await (const chunk of stream) {
+        usage = chunk.usage_metadata || usage; // providers report it on the last chunk
+        const text = typeof chunk.content === 'string' ? chunk.content : '';
+        if (!text) continue;
+        fullText += text;
+        onToken(text);
+      }
+      await this._charge(formattedMessages, { content: fullText, usage_metadata: usage });
+
+      logger.info('OpenAI response streamed', {
+        messageCount: messages.length,
+        provider: env.LLM_PROVIDER,
+        model: env.CHAT_MODEL,
+        length: fullText.length
+      });
+
+      return fullText;
+    } catch (error) {
+      logger.error('OpenAI streaming error', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Completion parsed into an object matching a zod `schema`. Uses the provider's
+   * structured output (tool calling) when the model supports it, otherwise asks for
+   * JSON in the prompt and validates the reply against the schema.
+   */
+  async generateStructured(messages, systemPrompt, schema, { name = 'result' } = {}) {
+    try {
+      const formattedMessages = this._formatMessages(messages, systemPrompt);
+
+      if (typeof this.structuredModel.bindTools === 'function') {
+        const { raw, parsed } = await this.structuredModel
+          .withStructuredOutput(schema, { name, includeRaw: true })
+          .invoke(formattedMessages);
+        await this._charge(formattedMessages, raw);
+
+        if (parsed === null || parsed === undefined) {
+          throw new Error('Model output did not match the schema');
+        }
+        return parsed;
+      }
+
+      const jsonMessages = this._formatMessages(messages, `${systemPrompt}\n\nIMPORTANT: Return ONLY valid JSON, no additional text.`);
+      const response = await this.structuredModel.invoke(jsonMessages);
+      await this._charge(jsonMessages, response);
+      const jsonMatch = String(response.content).match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new Error('Model did not return JSON');
+      }
+      return schema.parse(JSON.parse(jsonMatch[0]));
+    } catch (error) {
+      logger.error('Structured output error', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  /**
+   * One tool-calling turn. `tools` are `{ name, description, schema }` with zod schemas;
+   * `messages` may include assistant turns carrying `tool_calls` and `{ sender: 'tool' }`
+   * results. Returns { content, toolCalls: [{ id, name, args }] }. Models without native
+   * tool calling are asked for a JSON object naming the tool instead.
+   */
+  async generateWithTools(messages, systemPrompt, tools) {
+    try {
+      if (typeof this.structuredModel.bindTools === 'function') {
+        const toolMessages = this._formatToolMessages(messages, systemPrompt);
+        const response = await this.structuredModel
+          .bindTools(tools)
+          .invoke(toolMessages);
+        await this._charge(toolMessages, response);
+
+        return {
+          content: typeof response.content === 'string' ? response.content : '',
+          toolCalls: (response.tool_calls || []).map(call => ({ id: call.id, name: call.name, args: call.args || {} }))
+        };
+      }
+
+      const jsonMessages = this._formatMessages(this._inlineToolMessages(messages), `${systemPrompt}\n\n${jsonToolInstructions(tools)}`);
+      const response = await this.structuredModel.invoke(jsonMessages);
+      await this._charge(jsonMessages, response);
+      const text = String(response.content);
+      const jsonMatch = text.match(/\{[\s\S]*\}/);
+      const parsed = jsonMatch ? safeJson(jsonMatch[0]) : null;
+
+      if (parsed && typeof parsed.tool === 'string') {
+        return { content: '', toolCalls: [{ id: `call_${Date.now()}`, name: parsed.tool, args: parsed.args || {} }] };
+      }
+      return { content: parsed && typeof parsed.reply === 'string' ? parsed.reply : text, toolCalls: [] };
+    } catch (error) {
+      logger.error('Tool-calling error', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Charge a call's tokens to the current user's daily budget
+  async _charge(promptMessages, response) {
+    const promptText = promptMessages.map(msg => (typeof msg.content === 'string' ? msg.content : '')).join('\n');
+    await tokenBudget.record(tokenBudget.tokensUsed(response, promptText));
+  }
+
+  _formatToolMessages(messages, systemPrompt) {
+    const formatted = systemPrompt ? [new SystemMessage(systemPrompt)] : [];
+
+    messages.forEach(msg => {
+      if (msg.sender === 'tool') {
+        formatted.push(new ToolMessage({ content: msg.message, tool_call_id: msg.tool_call_id, name: msg.name }));
+      } else if (msg.sender === 'user') {
+        formatted.push(new HumanMessage(msg.message));
+      } else {
+        formatted.push(new AIMessage({ content: msg.message || '', tool_calls: msg.tool_calls || [] }));
+      }
+    });
+
+    return formatted;
+  }
+
+  // Tool calls and results as plain text, for models without native tool calling
+  _inlineToolMessages(messages) {
+    return messages.map(msg => {
+      if (msg.sender === 'tool') {
+        return { sender: 'user', message: `Result of ${msg.name}: ${msg.message}` };
+      }
+      if (msg.tool_calls?.length) {
+        const [call] = msg.tool_calls;
+        return { sender: 'assistant', message: JSON.stringify({ tool: call.name, args: call.args }) };
+      }
+      return msg;
+    });
+  }
+
+  _formatMessages(messages, systemPrompt) {
+    const formattedMessages = [];
+
+    if (systemPrompt) {
+      formattedMessages.push({
+        role: 'system',
+        content: systemPrompt
+      });
+    }
+
+    formattedMessages.push(...messages.map(msg => ({
+      role: msg.sender === 'user' ? 'user' : 'assistant',
+      content: msg.message
+    })));
+
+    return formattedMessages;
+  }
+
   async summarizeConversation(messages) {
     const summaryPrompt = `Summarize the key points from this conversation between a job seeker and Kozi support. Focus on:
 - User's profile completion status
@@ -53,10 +206,12 @@ class OpenAIService {
         `${msg.sender}: ${msg.message}`
       ).join('\n');
 
-      const response = await this.chatModel.invoke([
+      const summaryMessages = [
         { role: 'system', content: summaryPrompt },
         { role: 'user', content: conversationText }
-      ]);
+      ];
+      const response = await this.chatModel.invoke(summaryMessages);
+      await this._charge(summaryMessages, response);
 
       return response.content;
     } catch (error) {
@@ -66,4 +221,21 @@ class OpenAIService {
   }
 }
 
+function jsonToolInstructions(tools) {
+  const list = tools
+    .map(tool => `- ${tool.name}: ${tool.description}\n  args: ${JSON.stringify(toJsonSchema(tool.schema).properties || {})}`)
+    .join('\n');
+
+  return `TOOLS:\n${list}\n\nTo use a tool, return ONLY valid JSON: {"tool": "<name>", "args": {...}}. ` +
+    'To answer the user, return ONLY valid JSON: {"reply": "<your answer>"}.';
+}
+
+function safeJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
 module.exports = OpenAIService;
\ No newline at end of file
@@ -39,6 +39,22 @@ class ProfileService {
     }
   }
 
+  // Language the chatbot answers this user in (doesn't affect profile completion)
+  async getPreferredLanguage(userId) {
+    const profile = await this.getOrCreateProfile(userId);
+    return profile.preferred_language || 'en';
+  }
+
+  async setPreferredLanguage(userId, language) {
+    try {
+      await Profile.update(userId, { preferred_language: language });
+      logger.info('Preferred language updated', { userId, language });
+    } catch (error) {
+      logger.error('Failed to update preferred language', { error: error.message, userId });
+      throw error;
+    }
+  }
+
   async uploadDocument(userId, docType, filePath) {
     try {
       await Profile.updateDocumentStatus(userId, docType, true, filePath);
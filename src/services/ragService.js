@@ -1,7 +1,19 @@
 const VectorService = require('./vectorService');
+const { isJobDocument } = require('./jobIndex');
 const OpenAIService = require('./openaiService');
+const env = require('../config/environment');
+const { KNOWLEDGE_SOURCE_TITLES, BOT_TYPES } = require('../config/constants');
+const { BOTS } = require('../config/bots');
+const { LANGUAGE_NAMES } = require('../core/utils/i18n');
 const logger = require('../core/utils/logger');
 
+// Fields of a jobs-feed job the model may quote when asked about it
+const JOB_FACTS = [
+  'title', 'category', 'location', 'work_type', 'experience_level', 'education_level',
+  'salary_min', 'salary_max', 'salary_currency', 'positions_available', 'positions_filled',
+  'posted_date', 'application_deadline', 'start_date', 'status', 'description', 'requirements'
+];
+
 class RAGService {
   constructor() {
     this.vectorService = new VectorService();
@@ -28,82 +40,251 @@ class RAGService {
     }
   }
 
+  // Add or refresh a document only if its content changed ('added' | 'updated' | 'unchanged')
+  async upsertKnowledgeDocument(id, content, metadata = {}) {
+    try {
+      const status = await this.vectorService.upsertDocument(id, content, metadata);
+      if (status !== 'unchanged') {
+        logger.info('Knowledge document synced', { id, status, type: metadata.type });
+      }
+      return status;
+    } catch (error) {
+      logger.error('Failed to sync knowledge document', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  listKnowledgeDocuments(predicate) {
+    return this.vectorService.listDocuments(predicate);
+  }
+
+  removeKnowledgeDocuments(predicate) {
+    return this.vectorService.deleteWhere(predicate);
+  }
+
   // NEW: expose file indexing to KnowledgeLoader
-  async indexFile(absPath, metadata = {}) {
-    return this.vectorService.indexFile(absPath, metadata);
+  async indexFile(absPath, metadata = {}, options = {}) {
+    return this.vectorService.indexFile(absPath, metadata, options);
   }
 
-  async getRelevantContext(query, limit = 6) {
-    try {
-      const normalized = this._normalizeQuery(query);
-      const results = await this.vectorService.search(normalized, limit);
+  /**
+   * Hybrid retrieval: vector and BM25 candidates fused with reciprocal-rank fusion,
+   * optionally re-ranked by the LLM. Each hit carries its scores and the retrievers
+   * that found it ({ similarity, keywordScore, fusedScore, sources }) for tuning.
+   */
+  async retrieve(query, limit = 6, options = {}) {
+    const settings = { filter: null, ...this.getRetrievalSettings(), ...options };
+    const normalized = this._normalizeQuery(query);
+    // Job vectors share the store (services/jobIndex.js) but aren't knowledge
+    const filter = doc => !isJobDocument(doc) && (!settings.filter || settings.filter(doc));
 
-      // Lower the cut-off to catch paraphrases (was 0.7)
-      const MIN = 0.55;
+    const vectorHits = await this.vectorService.search(normalized, settings.candidates, filter);
+    const keywordHits = this.vectorService.keywordSearch(normalized, settings.candidates, filter);
 
-      const context = results
-        .filter(result => result.similarity >= MIN)
-        .map(result => result.text)
-        .join('\n\n');
+    const fused = new Map();
+    const entryFor = (doc) => {
+      if (!fused.has(doc.id)) {
+        fused.set(doc.id, {
+          id: doc.id,
+          text: doc.text,
+          metadata: doc.metadata || {},
+          similarity: null,
+          keywordScore: null,
+          fusedScore: 0,
+          sources: []
+        });
+      }
+      return fused.get(doc.id);
+    };
+
+    vectorHits.forEach((doc, rank) => {
+      const entry = entryFor(doc);
+      entry.similarity = doc.similarity;
+      entry.fusedScore += 1 / (settings.rrfK + rank + 1);
+      entry.sources.push('vector');
+    });
+    keywordHits.forEach((doc, rank) => {
+      const entry = entryFor(doc);
+      entry.keywordScore = doc.score;
+      entry.fusedScore += 1 / (settings.rrfK + rank + 1);
+      entry.sources.push('keyword');
+    });
+
+    // A hit must clear at least one retriever's own cut-off
+    let results = [...fused.values()]
+      .filter(hit =>
+        (hit.similarity !== null && hit.similarity >= settings.minSimilarity) ||
+        (hit.keywordScore !== null && hit.keywordScore >= settings.minKeywordScore)
+      )
+      .sort((a, b) => b.fusedScore - a.fusedScore);
+
+    if (settings.reranker === 'llm' && results.length > 1) {
+      results = await this._rerank(query, results.slice(0, settings.candidates));
+    }
+
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Retrieve context for a query. Returns the joined passage text (each passage
+   * prefixed with its source) plus the hits it was built from. `filter(doc)` can
+   * restrict which documents are used.
+   */
+  async getRelevantContext(query, limit = 6, filter = null) {
+    try {
+      const results = await this.retrieve(query, limit, { filter });
 
       logger.info('Retrieved relevant context', {
         query,
-        normalized,
-        resultsCount: results.length,
-        relevantCount: results.filter(r => r.similarity >= MIN).length
+        relevantCount: results.length,
+        hits: results.map(r => ({
+          id: r.id,
+          similarity: r.similarity !== null ? Number(r.similarity.toFixed(3)) : null,
+          keywordScore: r.keywordScore !== null ? Number(r.keywordScore.toFixed(2)) : null,
+          fusedScore: Number(r.fusedScore.toFixed(4)),
+          sources: r.sources
+        }))
       });
 
-      return context;
+      const context = results
+        .map(result => `[Source: ${this._citationFor(result).title}]\n${result.text}`)
+        .join('\n\n');
+
+      return { context, hits: results };
     } catch (error) {
       logger.error('Context retrieval failed', { error: error.message, query });
-      return ''; // Return empty context on failure
+      return { context: '', hits: [] }; // Return empty context on failure
     }
   }
 
-  async generateContextualResponse(userMessage, chatHistory = [], userContext = {}) {
+  /**
+   * Structured citations for the hits an answer was grounded in,
+   * one per document/page (seeded facts are grouped per source).
+   */
+  buildCitations(hits) {
+    const seen = new Set();
+    const citations = [];
+
+    for (const hit of hits) {
+      const citation = this._citationFor(hit);
+      const key = `${citation.filename || citation.title}|${citation.page ?? ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      citations.push(citation);
+    }
+
+    return citations;
+  }
+
+  _citationFor(hit) {
+    const metadata = hit.metadata || {};
+    const filename = metadata.filename || null;
+    const title = filename
+      ? filename.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim()
+      : (KNOWLEDGE_SOURCE_TITLES[metadata.source] || KNOWLEDGE_SOURCE_TITLES.default);
+
+    return {
+      document_id: hit.id,
+      title,
+      filename,
+      chunk: metadata.chunk ?? null,
+      page: metadata.page ?? null,
+      section: metadata.section || metadata.heading || null,
+      category: metadata.category || null,
+      kind: filename ? 'document' : 'knowledge',
+      similarity: hit.similarity !== null && hit.similarity !== undefined
+        ? Number(hit.similarity.toFixed(3))
+        : null,
+      score: Number(hit.fusedScore.toFixed(4))
+    };
+  }
+
+  // Effective retrieval cut-offs (from RAG_* env settings)
+  getRetrievalSettings() {
+    return {
+      candidates: env.RAG_CANDIDATES,
+      minSimilarity: env.RAG_MIN_SIMILARITY,
+      minKeywordScore: env.RAG_MIN_KEYWORD_SCORE,
+      rrfK: env.RAG_RRF_K,
+      reranker: env.RAG_RERANKER
+    };
+  }
+
+  /**
+   * Ask the model to grade each candidate 0-10 for the query and reorder by that
+   * grade. Keeps the fused order if the model's answer can't be used.
+   */
+  async _rerank(query, candidates) {
+    try {
+      const passages = candidates
+        .map((c, i) => `[${i}] ${c.text.slice(0, 600)}`)
+        .join('\n\n');
+
+      const response = await this.openaiService.generateResponse(
+        [{ sender: 'user', message: `Question: ${query}\n\nPassages:\n${passages}` }],
+        'Grade how well each passage answers the question, from 0 (irrelevant) to 10 (answers it directly). ' +
+        'Return ONLY valid JSON: {"scores": [number, ...]} with one score per passage, in order.'
+      );
+
+      const jsonMatch = response.match(/\{[\s\S]*\}/);
+      const scores = jsonMatch ? JSON.parse(jsonMatch[0]).scores : null;
+      if (!Array.isArray(scores) || scores.length !== candidates.length) {
+        throw new Error('Unexpected re-ranker output');
+      }
+
+      return candidates
+        .map((c, i) => ({ ...c, rerankScore: Number(scores[i]) || 0 }))
+        .sort((a, b) => b.rerankScore - a.rerankScore || b.fusedScore - a.fusedScore);
+    } catch (error) {
+      logger.warn('Re-ranking failed; using fused order', { error: error.message });
+      return candidates;
+    }
+  }
+
+  /**
+   * Answer a user message grounded in the knowledge base.
+   * Pass `options.onToken` to receive the answer incrementally while it is generated.
+   * `options.language` ('en' | 'rw' | 'fr') is the language to answer in; the knowledge
+   * base is English, so other languages are translated for retrieval only.
+   * `options.persona` replaces the job-seeker system prompt and `options.filter(doc)`
+   * limits the knowledge used (both set per bot, see config/bots.js).
+   * Returns { message, citations } where citations list the chunks the answer used.
+   */
+  async generateContextualResponse(userMessage, chatHistory = [], userContext = {}, options = {}) {
     try {
+      const language = options.language || 'en';
+      const query = language === 'en' ? userMessage : await this._translateForRetrieval(userMessage, language);
+
       // Get relevant knowledge from vector store
-      const relevantContext = await this.getRelevantContext(userMessage);
+      const { context: relevantContext, hits } = await this.getRelevantContext(query, 6, options.filter || null);
 
       // Build system prompt with context
-      const systemPrompt = this._buildSystemPrompt(relevantContext, userContext);
+      const systemPrompt = this._buildSystemPrompt(relevantContext, userContext, language, options.persona);
 
-      // Generate response using OpenAI
-      const response = await this.openaiService.generateResponse(
-        [{ sender: 'user', message: userMessage }, ...chatHistory],
-        systemPrompt
-      );
+      const messages = [{ sender: 'user', message: userMessage }, ...chatHistory];
+
+      // Generate response using OpenAI (streamed when the caller wants tokens)
+      const response = options.onToken
+        ? await this.openaiService.streamResponse(messages, systemPrompt, options.onToken)
+        : await this.openaiService.generateResponse(messages, systemPrompt);
+
+      const citations = this.buildCitations(hits);
 
       logger.info('Contextual response generated', {
         hasContext: relevantContext.length > 0,
+        citations: citations.length,
+        language,
         userMessageLength: userMessage.length
       });
 
-      return response;
+      return { message: response, citations };
     } catch (error) {
       logger.error('Contextual response generation failed', { error: error.message });
       throw error;
     }
   }
 
-  _buildSystemPrompt(relevantContext, userContext) {
-    const basePrompt = `You are KOZI DASHBOARD AGENT, the official virtual assistant for Kozi users (job seekers). 
-
-CORE BEHAVIOR:
-- Always greet users warmly, acknowledging they have a Kozi account
-- Help with profile completion, job applications, and CV preparation
-- Provide step-by-step guidance
-- Be friendly, encouraging, and professional
-- End responses with motivation about profile completion
-
-SCOPE: Only answer Kozi-related questions about:
-- Profile completion/updating
-- Document uploads (ID, CV, profile photo)
-- Job searching and applications
-- CV creation and improvement
-
-If unrelated question → redirect: "Please contact our Support Team 📧 support@kozi.rw | ☎ +250 788 123 456"`;
-
+  _buildSystemPrompt(relevantContext, userContext, language = 'en', persona = BOTS[BOT_TYPES.EMPLOYEE].persona) {
     let contextSection = '';
     if (relevantContext) {
       contextSection = `\nRELEVANT KOZI INFORMATION:\n${relevantContext}\n`;
@@ -114,7 +295,37 @@ If unrelated question → redirect: "Please contact our Support Team 📧 suppor
       userSection = `\nUSER STATUS:\n- Profile completion: ${userContext.profileCompletion}%\n`;
     }
 
-    return basePrompt + contextSection + userSection;
+    let jobSection = '';
+    if (userContext.focusedJob) {
+      const facts = JOB_FACTS
+        .filter(field => userContext.focusedJob[field] !== null && userContext.focusedJob[field] !== undefined && userContext.focusedJob[field] !== '')
+        .map(field => `- ${field}: ${userContext.focusedJob[field]}`)
+        .join('\n');
+      jobSection = '\nJOB THE USER IS LOOKING AT (answer questions about this job only from these details; ' +
+        `if something isn't listed, say you don't know and suggest contacting Kozi):\n${facts}\n`;
+    }
+
+    let languageSection = '';
+    if (language !== 'en' && LANGUAGE_NAMES[language]) {
+      languageSection = `\nLANGUAGE: Reply in ${LANGUAGE_NAMES[language]}. The Kozi information above is in English; ` +
+        'translate what you use, keeping names, amounts, phone numbers and emails unchanged.\n';
+    }
+
+    return persona + contextSection + userSection + jobSection + languageSection;
+  }
+
+  // The knowledge base is in English: translate the question before retrieval
+  async _translateForRetrieval(text, language) {
+    try {
+      const translated = await this.openaiService.generateResponse(
+        [{ sender: 'user', message: text }],
+        `Translate the user's message from ${LANGUAGE_NAMES[language]} to English. Return only the translation.`
+      );
+      return String(translated || '').trim() || text;
+    } catch (error) {
+      logger.warn('Query translation failed; retrieving with the original text', { error: error.message, language });
+      return text;
+    }
   }
 
   // Normalize common user phrasing to improve matching
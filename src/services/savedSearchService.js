@@ -0,0 +1,176 @@
+// src/services/savedSearchService.js
+// New-job alerts: a user saves a job search from the chat ("notify me about new cleaning jobs
+// in Kigali") and is told about jobs that start matching it. The jobs matching when it is
+// saved are only the baseline; after every feed sync the server runs checkAll(), which
+// records the jobs each search matches for the first time as new. The next chat session
+// opens with them ("3 new jobs match your saved search"), after which they count as told.
+
+const { SavedSearch } = require('../core/db/models');
+const { getJobsGateway, sortJobs } = require('./jobsGateway');
+const { getJobIndex } = require('./jobIndex');
+const { MAX_SAVED_SEARCHES } = require('../config/constants');
+const { t, DEFAULT_LANGUAGE } = require('../core/utils/i18n');
+const logger = require('../core/utils/logger');
+
+// One check run at a time per process
+let checking = null;
+
+// Same filters and description, whatever order the filters were given in
+function searchKey({ filters = {}, query = null }) {
+  const sorted = Object.keys(filters).sort().map(key => [key, filters[key]]);
+  return JSON.stringify([sorted, query ? query.trim().toLowerCase() : null]);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatAmount(amount) {
+  return Number(amount).toLocaleString('en-US');
+}
+
+// A saved search as a short label: "Cleaning, part-time, Kigali, 60,000+ RWF"
+function describeSearch({ filters = {}, query = null }, language = DEFAULT_LANGUAGE) {
+  const parts = [];
+  if (query) parts.push(`"${query}"`);
+  else if (filters.category) parts.push(capitalize(filters.category));
+  if (filters.work_type) parts.push(t(`WORK_TYPES.${filters.work_type}`, language));
+  if (filters.location) parts.push(capitalize(filters.location));
+
+  if (filters.salary_min && filters.salary_max) {
+    parts.push(`${formatAmount(filters.salary_min)}–${formatAmount(filters.salary_max)} RWF`);
+  } else if (filters.salary_min) {
+    parts.push(`${formatAmount(filters.salary_min)}+ RWF`);
+  } else if (filters.salary_max) {
+    parts.push(`≤ ${formatAmount(filters.salary_max)} RWF`);
+  }
+
+  return parts.length ? parts.join(', ') : t('SAVED_SEARCH_ALL_JOBS', language);
+}
+
+class SavedSearchService {
+  constructor() {
+    this.jobsGateway = getJobsGateway();
+    this.jobIndex = getJobIndex();
+  }
+
+  /**
+   * Save `search` ({ filters, query? }, as in context.job_search) for new-job alerts.
+   * Returns { status: 'saved' | 'exists' | 'limit', count }, count being the open jobs it
+   * matches right now (null when the feed couldn't be checked).
+   */
+  async save(userId, search, language = DEFAULT_LANGUAGE) {
+    const filters = search.filters || {};
+    const query = search.query || null;
+
+    const existing = await SavedSearch.findActiveByUserId(userId);
+    if (existing.some(saved => searchKey(saved) === searchKey({ filters, query }))) {
+      return { status: 'exists', count: null };
+    }
+    if (existing.length >= MAX_SAVED_SEARCHES) {
+      return { status: 'limit', count: null };
+    }
+
+    const id = await SavedSearch.create(userId, { filters, query, language });
+    logger.info('Job search saved', { userId, savedSearchId: id, filters, query });
+
+    // If the feed is down the first scheduled check records the baseline instead
+    try {
+      const { matching } = await this._check({ id, filters, query, checked_at: null });
+      return { status: 'saved', count: matching };
+    } catch (error) {
+      logger.warn('Could not record saved search baseline', { error: error.message, savedSearchId: id });
+      return { status: 'saved', count: null };
+    }
+  }
+
+  // Turn off all of the user's alerts; returns how many there were
+  async stopAll(userId) {
+    const stopped = await SavedSearch.deactivateByUserId(userId);
+    logger.info('Job alerts turned off', { userId, stopped });
+    return stopped;
+  }
+
+  /**
+   * Check every active saved search against the feed and record the jobs it matches for
+   * the first time. Returns { checked, found, failed }.
+   */
+  checkAll() {
+    if (!checking) {
+      checking = this._checkAll().finally(() => {
+        checking = null;
+      });
+    }
+    return checking;
+  }
+
+  async _checkAll() {
+    const searches = await SavedSearch.findActive();
+    const stats = { checked: 0, found: 0, failed: 0 };
+
+    for (const search of searches) {
+      try {
+        const { found } = await this._check(search);
+        stats.checked += 1;
+        stats.found += found;
+      } catch (error) {
+        stats.failed += 1;
+        logger.warn('Saved search check failed', { error: error.message, savedSearchId: search.id });
+      }
+    }
+
+    if (stats.found || stats.failed) {
+      logger.info('Saved searches checked', stats);
+    }
+    return stats;
+  }
+
+  // A search's first check only records the baseline; later ones record new jobs
+  async _check(search) {
+    const feed = search.query
+      ? await this.jobIndex.search(search.query, search.filters)
+      : await this.jobsGateway.getJobs(search.filters);
+
+    const status = search.checked_at ? 'new' : 'baseline';
+    const jobIds = feed.jobs.map(job => job.id);
+    // Jobs not embedded yet can't match a described search now; counting them in the
+    // baseline keeps them from being reported as new once they are
+    if (status === 'baseline' && feed.unindexed) jobIds.push(...feed.unindexed);
+    const recorded = await SavedSearch.recordJobs(search.id, jobIds, status);
+    await SavedSearch.markChecked(search.id);
+
+    return { matching: feed.jobs.length, found: status === 'new' ? recorded : 0 };
+  }
+
+  /**
+   * The new jobs of the user's saved searches they haven't been told about, newest first,
+   * with the searches that found them. Jobs no longer open are dropped. Everything returned
+   * (or dropped) counts as told. Returns { jobs, searches }.
+   */
+  async takeNewJobs(userId) {
+    const rows = await SavedSearch.findNewJobsByUserId(userId);
+    if (!rows.length) return { jobs: [], searches: [] };
+
+    const feed = await this.jobsGateway.getJobs();
+    const open = new Map(feed.jobs.map(job => [String(job.id), job]));
+    const jobs = new Map();
+    const searches = new Map();
+
+    for (const row of rows) {
+      const job = open.get(row.job_id);
+      if (!job) continue;
+      jobs.set(row.job_id, job);
+      searches.set(row.saved_search_id, row);
+    }
+
+    await SavedSearch.markNotified(userId, [...new Set(rows.map(row => row.job_id))]);
+    logger.info('New saved search jobs taken', { userId, found: rows.length, open: jobs.size });
+
+    return { jobs: sortJobs([...jobs.values()], 'newest'), searches: [...searches.values()] };
+  }
+}
+
+module.exports = {
+  SavedSearchService,
+  describeSearch
+};
@@ -1,24 +1,48 @@
 const fs = require('fs').promises;
 const fsc = require('fs');
 const path = require('path');
-const pdfParse = require('pdf-parse'); // ← new
-const { OpenAIEmbeddings } = require('@langchain/openai');
+const crypto = require('crypto');
+const { extractDocument } = require('./documentExtractor');
+const { chunkSections, getStrategy } = require('./chunker');
+const { createEmbeddings } = require('./llmProvider');
+const VectorStore = require('./vectorStore');
+const KeywordIndex = require('./keywordIndex');
 const env = require('../config/environment');
 const logger = require('../core/utils/logger');
 
+const STORE_FILENAME = 'index.kvec';
+
 class VectorService {
   constructor() {
-    this.embeddings = new OpenAIEmbeddings({
-      openAIApiKey: env.OPENAI_API_KEY,
-      modelName: env.EMBEDDING_MODEL
-    });
+    this.embeddings = createEmbeddings();
     this.vectorPath = env.VECTOR_STORE_PATH;
+    this.store = VectorStore.open(path.join(this.vectorPath, STORE_FILENAME));
+    this.modelId = embeddingModelId();
   }
 
   async initialize() {
     try {
       await fs.mkdir(this.vectorPath, { recursive: true });
-      logger.info('Vector store initialized', { path: this.vectorPath });
+      await this.store.load();
+
+      // Vectors from a different embedding model are not comparable; start over
+      if (this.store.size > 0 && this.store.model && this.store.model !== this.modelId) {
+        logger.warn('Embedding model changed; clearing vector store', {
+          previous: this.store.model,
+          current: this.modelId
+        });
+        this.store.clear();
+      }
+      this.store.model = this.modelId;
+
+      if (this.store.size === 0) {
+        await this.importLegacyDocuments();
+      }
+
+      // BM25 index over the same documents, rebuilt in memory from the store
+      this.keywordIndex = KeywordIndex.forStore(this.store);
+
+      logger.info('Vector store initialized', { path: this.vectorPath, documents: this.store.size });
     } catch (error) {
       logger.error('Failed to initialize vector store', { error: error.message });
       throw error;
@@ -29,16 +53,8 @@ class VectorService {
   async addDocument(id, text, metadata = {}) {
     try {
       const embedding = await this.embeddings.embedQuery(text);
-      const document = {
-        id,
-        text,
-        embedding,
-        metadata,
-        timestamp: new Date().toISOString()
-      };
-
-      const filePath = path.join(this.vectorPath, `${sanitize(id)}.json`);
-      await fs.writeFile(filePath, JSON.stringify(document));
+      this.store.upsert({ id, text, embedding, metadata });
+      this.keywordIndex?.add(id, text);
       logger.info('Document added to vector store', { id });
       return true;
     } catch (error) {
@@ -47,91 +63,173 @@ class VectorService {
     }
   }
 
-  // NEW: index a PDF file by extracting text, chunking, and saving each chunk
-  async indexFile(absPath, metadata = {}) {
-    try {
-      const buf = await fs.readFile(absPath);
-      const parsed = await pdfParse(buf);
-      const text = (parsed.text || '').trim();
-      if (!text) {
-        logger.warn('vectorService: empty PDF text', { absPath });
-        return;
-      }
+  /**
+   * Embed and store a document only when its text or metadata changed since it was
+   * last indexed (compared by content hash). Returns 'added', 'updated' or 'unchanged'.
+   */
+  async upsertDocument(id, text, metadata = {}) {
+    const contentHash = hashContent(text, metadata);
+    const existing = this.store.get(id);
+
+    if (existing && existing.metadata?.content_hash === contentHash) {
+      // Unhashed bookkeeping fields (e.g. file_hash) may still have moved on
+      this.store.updateMetadata(id, { ...metadata, content_hash: contentHash });
+      return 'unchanged';
+    }
+
+    await this.addDocument(id, text, { ...metadata, content_hash: contentHash });
+    return existing ? 'updated' : 'added';
+  }
+
+  getDocument(id) {
+    return this.store.get(id);
+  }
+
+  deleteDocument(id) {
+    const deleted = this.store.delete(id);
+    this.keywordIndex?.remove(id);
+    if (deleted) logger.info('Document removed from vector store', { id });
+    return deleted;
+  }
+
+  listDocuments(predicate = () => true) {
+    return this.store.all().filter(predicate);
+  }
+
+  deleteWhere(predicate) {
+    const ids = this.store.all().filter(predicate).map(doc => doc.id);
+    ids.forEach(id => {
+      this.store.delete(id);
+      this.keywordIndex?.remove(id);
+    });
+    if (ids.length) logger.info('Documents removed from vector store', { count: ids.length });
+    return ids.length;
+  }
 
+  /**
+   * Index a knowledge document (PDF, DOCX, Markdown, HTML, TXT or CSV FAQ sheet):
+   * extract its sections, chunk them with the given chunking strategy (see chunker.js),
+   * and save each chunk with its page / heading / section title. Unchanged chunks are
+   * not re-embedded; chunks past the new end are removed.
+   * Returns { ids, added, updated, unchanged, removed }.
+   */
+  async indexFile(absPath, metadata = {}, { strategy = 'default' } = {}) {
+    try {
+      const { format, sections } = await extractDocument(absPath);
       const baseId = path.basename(absPath);
-      const chunks = this._chunk(text, 1200, 200); // size/overlap tuned for short docs
+      const chunking = getStrategy(strategy).name;
+      const stats = { ids: [], added: 0, updated: 0, unchanged: 0, removed: 0 };
+
+      const chunks = chunkSections(sections, chunking);
+
+      if (!chunks.length) {
+        logger.warn('vectorService: no text extracted', { absPath, format });
+      }
 
       for (let i = 0; i < chunks.length; i++) {
         const chunkId = `${baseId}#${i.toString().padStart(4, '0')}`;
-        await this.addDocument(chunkId, chunks[i], { ...metadata, filename: baseId, chunk: i });
+        const status = await this.upsertDocument(chunkId, chunks[i].text, {
+          ...metadata,
+          ...chunks[i].metadata,
+          format,
+          chunking,
+          filename: baseId,
+          chunk: i
+        });
+        stats[status]++;
+        stats.ids.push(chunkId);
       }
 
-      logger.info('PDF indexed', { file: baseId, chunks: chunks.length });
+      stats.removed = this.deleteWhere(doc =>
+        doc.metadata?.filename === baseId && doc.metadata.chunk >= chunks.length
+      );
+
+      logger.info('Document indexed', { file: baseId, format, chunking, chunks: chunks.length, ...stats, ids: undefined });
+      return stats;
     } catch (error) {
       logger.error('Failed to index file', { file: absPath, error: error.message });
       throw error;
     }
   }
 
-  async search(query, limit = 5) {
+  async search(query, limit = 5, filter = null) {
     try {
       const queryEmbedding = await this.embeddings.embedQuery(query);
-      const documents = await this._loadAllDocuments();
-
-      const similarities = documents.map(doc => ({
-        ...doc,
-        similarity: this._cosineSimilarity(queryEmbedding, doc.embedding)
-      }));
-
-      return similarities
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, limit);
+      return this.store.search(queryEmbedding, limit, filter);
     } catch (error) {
       logger.error('Vector search failed', { error: error.message, query });
       throw error;
     }
   }
 
-  async _loadAllDocuments() {
-    try {
-      const files = await fs.readdir(this.vectorPath);
-      const jsonFiles = files.filter(file => file.endsWith('.json'));
-
-      const documents = await Promise.all(
-        jsonFiles.map(async file => {
-          const content = await fs.readFile(path.join(this.vectorPath, file), 'utf8');
-          return JSON.parse(content);
-        })
-      );
+  /**
+   * BM25 keyword search over the same documents. Returns docs with a `score`.
+   */
+  keywordSearch(query, limit = 5, filter = null) {
+    if (!this.keywordIndex) return [];
+    const idFilter = filter ? id => filter(this.store.get(id)) : null;
+    return this.keywordIndex
+      .search(query, limit, idFilter)
+      .map(({ id, score }) => ({ ...this.store.get(id), score }));
+  }
 
-      return documents;
+  /**
+   * One-time import of the old one-JSON-file-per-chunk layout
+   * ({ id, text, embedding, metadata, timestamp } per file) into the indexed store.
+   * Documents embedded with a different dimension than the current model are skipped.
+   */
+  async importLegacyDocuments(dir = this.vectorPath) {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
     } catch (error) {
-      logger.error('Failed to load documents', { error: error.message });
-      return [];
+      if (error.code === 'ENOENT') return { imported: 0, skipped: 0 };
+      throw error;
     }
-  }
-
-  _chunk(s, size, overlap) {
-    const out = [];
-    let i = 0;
-    while (i < s.length) {
-      out.push(s.slice(i, i + size));
-      i += Math.max(1, size - overlap);
+    if (!files.length) return { imported: 0, skipped: 0 };
+
+    const probe = await this.embeddings.embedQuery('dimension probe');
+    let imported = 0;
+    let skipped = 0;
+
+    for (const file of files) {
+      try {
+        const doc = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        if (!doc.id || !Array.isArray(doc.embedding) || doc.embedding.length !== probe.length) {
+          skipped++;
+          continue;
+        }
+        // Every legacy file was written by the knowledge loader
+        this.store.upsert({ ...doc, metadata: { ...doc.metadata, managed_by: 'knowledge-loader' } });
+        this.keywordIndex?.add(doc.id, doc.text);
+        imported++;
+      } catch (error) {
+        logger.warn('Skipping unreadable legacy vector file', { file, error: error.message });
+        skipped++;
+      }
     }
-    return out;
-  }
 
-  _cosineSimilarity(vecA, vecB) {
-    const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0);
-    const magnitudeA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
-    const magnitudeB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0));
-    return dotProduct / (magnitudeA * magnitudeB);
+    await this.store.flush();
+    logger.info('Imported legacy vector files', { dir, imported, skipped });
+    return { imported, skipped };
   }
 }
 
-function sanitize(id) {
-  // make a file-safe id
-  return String(id).replace(/[^\w\-\.\#]+/g, '_');
+// Hash of what gets embedded; bookkeeping fields are left out so they don't force a re-embed
+function hashContent(text, metadata) {
+  const { content_hash, file_hash, ...hashed } = metadata || {};
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ text, metadata: hashed }))
+    .digest('hex');
+}
+
+// Identifies the embedding space so stale vectors can be detected after a config change
+function embeddingModelId() {
+  const provider = env.EMBEDDING_PROVIDER || env.LLM_PROVIDER;
+  return provider === 'fake'
+    ? `fake:${env.FAKE_EMBEDDING_DIM}`
+    : `${provider}:${env.EMBEDDING_MODEL}`;
 }
 
 module.exports = VectorService;
@@ -0,0 +1,302 @@
+// src/services/vectorStore.js
+// In-memory vector index backed by a single binary file.
+//
+// Vectors are L2-normalised on insert and kept in one contiguous Float32Array,
+// so a query is a single pass of dot products (= cosine similarity).
+//
+// File layout (little-endian):
+//   'KVEC' | uint32 version | uint32 dimension | uint32 count | uint32 headerLength
+//   | header JSON { model, docs: [{ id, text, metadata, timestamp }] } | pad to 4 bytes
+//   | float32[count * dimension]
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../core/utils/logger');
+
+const MAGIC = 'KVEC';
+const VERSION = 1;
+const FIXED_HEADER_BYTES = 20;
+const SAVE_DEBOUNCE_MS = 500;
+
+// One shared instance per file, so every service sees the same index
+const openStores = new Map();
+
+class VectorStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.model = null;
+    this.dimension = 0;
+    this.docs = [];            // row → { id, text, metadata, timestamp }
+    this.rows = new Map();     // id → row
+    this.vectors = new Float32Array(0);
+    this.loaded = false;
+    this._loading = null;
+    this._saveTimer = null;
+    this._saving = Promise.resolve(); // the last queued save; saves run one at a time
+  }
+
+  static open(filePath) {
+    const key = path.resolve(filePath);
+    if (!openStores.has(key)) {
+      openStores.set(key, new VectorStore(key));
+    }
+    return openStores.get(key);
+  }
+
+  static async flushAll() {
+    await Promise.all([...openStores.values()].map(store => store.flush()));
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  async load() {
+    if (this.loaded) return;
+    if (!this._loading) {
+      this._loading = this._readFile().finally(() => {
+        this._loading = null;
+      });
+    }
+    await this._loading;
+  }
+
+  async _readFile() {
+    let buf;
+    try {
+      buf = await fs.readFile(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.loaded = true;
+      return;
+    }
+
+    if (buf.toString('utf8', 0, 4) !== MAGIC) {
+      throw new Error(`Not a vector store file: ${this.filePath}`);
+    }
+    const version = buf.readUInt32LE(4);
+    if (version !== VERSION) {
+      throw new Error(`Unsupported vector store version ${version}`);
+    }
+
+    const dimension = buf.readUInt32LE(8);
+    const count = buf.readUInt32LE(12);
+    const headerLength = buf.readUInt32LE(16);
+    const header = JSON.parse(buf.toString('utf8', FIXED_HEADER_BYTES, FIXED_HEADER_BYTES + headerLength));
+
+    const dataOffset = align4(FIXED_HEADER_BYTES + headerLength);
+    const vectors = new Float32Array(count * dimension);
+    for (let i = 0; i < vectors.length; i++) {
+      vectors[i] = buf.readFloatLE(dataOffset + i * 4);
+    }
+
+    this.model = header.model || null;
+    this.dimension = dimension;
+    this.docs = header.docs || [];
+    this.vectors = vectors;
+    this.rows = new Map(this.docs.map((doc, row) => [doc.id, row]));
+    this.loaded = true;
+
+    logger.info('Vector store loaded', { file: this.filePath, documents: count, dimension });
+  }
+
+  has(id) {
+    return this.rows.has(id);
+  }
+
+  get(id) {
+    const row = this.rows.get(id);
+    return row === undefined ? null : this.docs[row];
+  }
+
+  all() {
+    return this.docs.slice();
+  }
+
+  /**
+   * Insert or replace one document. The embedding must match the store's dimension.
+   */
+  upsert({ id, text, embedding, metadata = {}, timestamp = new Date().toISOString() }) {
+    if (!embedding || !embedding.length) {
+      throw new Error(`Missing embedding for document ${id}`);
+    }
+    if (this.size === 0 && !this.rows.has(id)) {
+      this.dimension = embedding.length;
+    }
+    if (embedding.length !== this.dimension) {
+      throw new Error(`Embedding dimension ${embedding.length} does not match store dimension ${this.dimension}`);
+    }
+
+    let row = this.rows.get(id);
+    if (row === undefined) {
+      row = this.docs.length;
+      this._ensureCapacity(row + 1);
+      this.rows.set(id, row);
+      this.docs.push(null);
+    }
+
+    this.docs[row] = { id, text, metadata, timestamp };
+    this._writeVector(row, embedding);
+    this.scheduleSave();
+  }
+
+  // Replace a document's metadata without touching its vector
+  updateMetadata(id, metadata) {
+    const row = this.rows.get(id);
+    if (row === undefined) return false;
+    if (JSON.stringify(this.docs[row].metadata) === JSON.stringify(metadata)) return false;
+
+    this.docs[row] = { ...this.docs[row], metadata };
+    this.scheduleSave();
+    return true;
+  }
+
+  delete(id) {
+    const row = this.rows.get(id);
+    if (row === undefined) return false;
+
+    // Move the last row into the hole to keep storage contiguous
+    const last = this.docs.length - 1;
+    if (row !== last) {
+      const lastDoc = this.docs[last];
+      this.docs[row] = lastDoc;
+      this.rows.set(lastDoc.id, row);
+      this.vectors.copyWithin(row * this.dimension, last * this.dimension, (last + 1) * this.dimension);
+    }
+    this.docs.pop();
+    this.rows.delete(id);
+    this.scheduleSave();
+    return true;
+  }
+
+  deleteWhere(predicate) {
+    const ids = this.docs.filter(predicate).map(doc => doc.id);
+    ids.forEach(id => this.delete(id));
+    return ids.length;
+  }
+
+  clear() {
+    this.docs = [];
+    this.rows = new Map();
+    this.vectors = new Float32Array(0);
+    this.dimension = 0;
+    this.scheduleSave();
+  }
+
+  /**
+   * Top-k documents by cosine similarity. `filter(doc)` can restrict candidates.
+   */
+  search(queryEmbedding, limit = 5, filter = null) {
+    if (this.size === 0) return [];
+    if (queryEmbedding.length !== this.dimension) {
+      logger.warn('Query embedding dimension does not match vector store', {
+        query: queryEmbedding.length,
+        store: this.dimension
+      });
+      return [];
+    }
+
+    const query = normalize(queryEmbedding);
+    const dim = this.dimension;
+    const scored = [];
+
+    for (let row = 0; row < this.docs.length; row++) {
+      const doc = this.docs[row];
+      if (filter && !filter(doc)) continue;
+
+      let dot = 0;
+      const offset = row * dim;
+      for (let i = 0; i < dim; i++) {
+        dot += query[i] * this.vectors[offset + i];
+      }
+      scored.push({ row, similarity: dot });
+    }
+
+    return scored
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit)
+      .map(({ row, similarity }) => ({ ...this.docs[row], similarity }));
+  }
+
+  scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.save().catch(error => {
+        logger.error('Failed to persist vector store', { error: error.message, file: this.filePath });
+      });
+    }, SAVE_DEBOUNCE_MS);
+    this._saveTimer.unref?.();
+  }
+
+  // Write pending changes now and wait for any save already running
+  async flush() {
+    if (!this._saveTimer) {
+      await this._saving;
+      return;
+    }
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    await this.save();
+  }
+
+  // Queue a save behind any in progress, so two writes never share the temp file
+  save() {
+    const run = this._saving.then(() => this._write());
+    this._saving = run.catch(() => {});
+    return run;
+  }
+
+  async _write() {
+    const header = Buffer.from(JSON.stringify({ model: this.model, docs: this.docs }), 'utf8');
+    const dataOffset = align4(FIXED_HEADER_BYTES + header.length);
+    const count = this.docs.length;
+    const buf = Buffer.alloc(dataOffset + count * this.dimension * 4);
+
+    buf.write(MAGIC, 0, 'utf8');
+    buf.writeUInt32LE(VERSION, 4);
+    buf.writeUInt32LE(this.dimension, 8);
+    buf.writeUInt32LE(count, 12);
+    buf.writeUInt32LE(header.length, 16);
+    header.copy(buf, FIXED_HEADER_BYTES);
+    for (let i = 0; i < count * this.dimension; i++) {
+      buf.writeFloatLE(this.vectors[i], dataOffset + i * 4);
+    }
+
+    // Write-then-rename so a crash never leaves a half-written index
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, buf);
+    await fs.rename(tmpPath, this.filePath);
+
+    logger.info('Vector store saved', { file: this.filePath, documents: count });
+  }
+
+  _ensureCapacity(rows) {
+    const needed = rows * this.dimension;
+    if (needed <= this.vectors.length) return;
+
+    const grown = new Float32Array(Math.max(needed, this.vectors.length * 2));
+    grown.set(this.vectors);
+    this.vectors = grown;
+  }
+
+  _writeVector(row, embedding) {
+    this.vectors.set(normalize(embedding), row * this.dimension);
+  }
+}
+
+function normalize(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  const norm = Math.sqrt(sum) || 1;
+  const out = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) out[i] = vector[i] / norm;
+  return out;
+}
+
+function align4(n) {
+  return Math.ceil(n / 4) * 4;
+}
+
+module.exports = VectorStore;
@@ -0,0 +1,133 @@
+// test/applicationSubmitter.test.js
+// Sending queued applications to the Kozi platform: success, backoff and giving up, and
+// reading their status back.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+process.env.JOBS_API_APPLY_URL = 'https://apis.kozi.rw/applications';
+process.env.JOBS_API_APPLICATION_STATUS_URL = 'https://apis.kozi.rw/applications/{id}';
+require('./helpers');
+
+const { ApplicationOutbox, JobApplication } = require('../src/core/db/models');
+const ApplicationSubmitter = require('../src/services/applicationSubmitter');
+
+const realFetch = global.fetch;
+const MINUTE = 60 * 1000;
+
+// The platform answers every submission with `status` and `body`
+function stubPlatform(status, body = {}) {
+  const requests = [];
+  global.fetch = async (url, init = {}) => {
+    requests.push({ url: String(url), body: init.body && JSON.parse(init.body) });
+    return {
+      ok: status < 400,
+      status,
+      statusText: '',
+      json: async () => body,
+      text: async () => JSON.stringify(body)
+    };
+  };
+  return requests;
+}
+
+describe('ApplicationSubmitter', () => {
+  let outbox;
+
+  beforeEach(() => {
+    outbox = { due: [], submitted: [], failed: [], statuses: [], toReconcile: [], upstreamIds: [], reconciled: [] };
+    ApplicationOutbox.findDue = async () => outbox.due;
+    ApplicationOutbox.findToReconcile = async () => outbox.toReconcile;
+    ApplicationOutbox.setUpstreamId = async (id, upstreamId) => outbox.upstreamIds.push({ id, upstreamId });
+    ApplicationOutbox.markReconciled = async (id, status) => outbox.reconciled.push({ id, status });
+    ApplicationOutbox.markSubmitted = async (id, fields) => outbox.submitted.push({ id, ...fields });
+    ApplicationOutbox.markAttemptFailed = async (id, error, nextAttemptAt) =>
+      outbox.failed.push({ id, error, nextAttemptAt });
+    JobApplication.updateStatus = async (id, status) => outbox.statuses.push({ id, status });
+  });
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  const entry = (attempts = 0) => ({
+    id: 11, application_id: 5, attempts, external_id: 'J-9', email: 'ana@example.com', full_name: 'Ana'
+  });
+
+  it('sends due applications and copies the platform status', async () => {
+    const requests = stubPlatform(201, { data: { id: 77, status: 'received' } });
+    outbox.due = [entry()];
+
+    assert.deepEqual(await new ApplicationSubmitter().submitDue(), { submitted: 1, failed: 0 });
+    assert.equal(requests[0].body.job_id, 'J-9');
+    assert.equal(requests[0].body.reference, 'kozi-chat-5');
+    assert.deepEqual(outbox.submitted, [{ id: 11, upstreamId: '77', upstreamStatus: 'received' }]);
+    assert.deepEqual(outbox.statuses, [{ id: 5, status: 'pending' }]);
+  });
+
+  it('retries server errors with exponential backoff', async () => {
+    stubPlatform(503);
+    outbox.due = [entry(0), { ...entry(3), id: 12 }];
+
+    const before = Date.now();
+    assert.deepEqual(await new ApplicationSubmitter().submitDue(), { submitted: 0, failed: 2 });
+
+    const [first, fourth] = outbox.failed.map(failure => failure.nextAttemptAt.getTime() - before);
+    assert.ok(first >= 0.8 * MINUTE && first <= 1.2 * MINUTE + 1000, `first retry in ${first}ms`);
+    assert.ok(fourth >= 0.8 * 8 * MINUTE && fourth <= 1.2 * 8 * MINUTE + 1000, `fourth retry in ${fourth}ms`);
+  });
+
+  it('retries rate limiting but gives up on other client errors', async () => {
+    stubPlatform(429);
+    outbox.due = [entry()];
+    await new ApplicationSubmitter().submitDue();
+
+    stubPlatform(422, { message: 'unknown job' });
+    await new ApplicationSubmitter().submitDue();
+
+    assert.ok(outbox.failed[0].nextAttemptAt instanceof Date);
+    assert.equal(outbox.failed[1].nextAttemptAt, null);
+    assert.match(outbox.failed[1].error, /422/);
+  });
+
+  it('gives up after APPLICATION_SUBMIT_MAX_ATTEMPTS', async () => {
+    stubPlatform(503);
+    outbox.due = [entry(7)];
+
+    await new ApplicationSubmitter().submitDue();
+    assert.equal(outbox.failed[0].nextAttemptAt, null);
+  });
+
+  it('counts a submission the platform already has as sent, keeping its id when given', async () => {
+    stubPlatform(409, { data: { id: 31, status: 'reviewed' } });
+    outbox.due = [entry()];
+    await new ApplicationSubmitter().submitDue();
+
+    stubPlatform(409, { message: 'duplicate' });
+    await new ApplicationSubmitter().submitDue();
+
+    assert.deepEqual(outbox.submitted.map(row => row.upstreamId), ['31', null]);
+    assert.deepEqual(outbox.failed, []);
+  });
+
+  it('looks up applications the platform already had by job and applicant', async () => {
+    outbox.toReconcile = [
+      { ...entry(), upstream_application_id: null, upstream_status: null, application_status: 'pending' },
+      { ...entry(), id: 12, application_id: 6, external_id: 'J-10', upstream_application_id: null, upstream_status: null }
+    ];
+    const requests = [];
+    global.fetch = async url => {
+      requests.push(String(url));
+      const { pathname, searchParams } = new URL(url);
+      const body = pathname.endsWith('/applications')
+        ? (searchParams.get('job_id') === 'J-9' ? [{ id: 31, job_id: 'J-9', email: 'ana@example.com' }] : [])
+        : { status: 'shortlisted' };
+      return { ok: true, status: 200, statusText: '', json: async () => body, text: async () => JSON.stringify(body) };
+    };
+
+    assert.equal(await new ApplicationSubmitter().reconcile(), 1);
+    assert.equal(requests[0], 'https://apis.kozi.rw/applications?job_id=J-9&email=ana%40example.com');
+    assert.equal(requests[1], 'https://apis.kozi.rw/applications/31');
+    assert.deepEqual(outbox.upstreamIds, [{ id: 11, upstreamId: '31' }]);
+    assert.deepEqual(outbox.statuses, [{ id: 5, status: 'shortlisted' }]);
+    assert.deepEqual(outbox.reconciled, [{ id: 11, status: 'shortlisted' }, { id: 12, status: null }]);
+  });
+});
@@ -0,0 +1,73 @@
+// test/chat.test.js
+// Chat end to end on the offline model: knowledge-base answers grounded in the vector store,
+// job searches against the (stubbed) jobs feed, and the token budgets replies are charged to.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubJobsFeed, stubDatabase } = require('./helpers');
+const ChatService = require('../src/services/chatService');
+const tokenBudget = require('../src/core/utils/tokenBudget');
+
+const FEES_DOC = 'Kozi charges employers a one-time service fee of 20% of the first month salary of the worker they hire.';
+const CV_DOC = 'Job seekers add a CV to their profile: upload a PDF or ask the assistant to write one, then review it before applying.';
+
+describe('chat', () => {
+  let chat;
+
+  before(async () => {
+    stubJobsFeed();
+    stubDatabase();
+
+    chat = new ChatService();
+    await chat.initialize();
+    await chat.ragService.addKnowledgeDocument('test-fees', FEES_DOC, { type: 'fees' });
+    await chat.ragService.addKnowledgeDocument('test-cv', CV_DOC, { type: 'guidance' });
+  });
+
+  it('retrieves the knowledge document a question is about', async () => {
+    const [top, other] = await chat.ragService.vectorService.search('What service fee does Kozi charge employers?', 2);
+
+    assert.equal(top.id, 'test-fees');
+    assert.ok(top.similarity > other.similarity);
+  });
+
+  it('answers questions through the offline model', async () => {
+    const { session_id } = await chat.startSession(7);
+    const reply = await chat.sendMessage(session_id, 7, 'What fee does Kozi charge employers?');
+
+    assert.equal(reply.message, 'You said: What fee does Kozi charge employers?');
+    assert.ok(reply.message_id);
+  });
+
+  it('lists jobs from the jobs feed', async () => {
+    const { session_id } = await chat.startSession(7);
+    const reply = await chat.sendMessage(session_id, 7, 'show jobs in Kigali');
+
+    assert.equal(reply.intent, 'jobs');
+    assert.match(reply.message, /House cleaner/);
+  });
+
+  it('charges replies to the user\'s budget', async () => {
+    const { session_id } = await chat.startSession(8);
+    await chat.sendMessage(session_id, 8, 'What fee does Kozi charge employers?');
+
+    const { used } = await tokenBudget.status('user:8');
+    assert.ok(used > 0);
+  });
+
+  it('charges visitors per visitor token and IP, and to the shared anonymous budget', async () => {
+    const { session_id, visitor_token } = await chat.startVisitorSession();
+    const anonymous = await tokenBudget.status(tokenBudget.ANONYMOUS_KEY);
+
+    await chat.sendMessage(session_id, null, 'What fee does Kozi charge employers?', { visitorToken: visitor_token, ip: '10.0.0.9' });
+
+    const [visitor, ip, shared] = await Promise.all([
+      tokenBudget.status(`visitor:${visitor_token}`),
+      tokenBudget.status('ip:10.0.0.9'),
+      tokenBudget.status(tokenBudget.ANONYMOUS_KEY)
+    ]);
+    assert.ok(visitor.used > 0);
+    assert.equal(ip.used, visitor.used);
+    assert.equal(shared.used - anonymous.used, visitor.used);
+  });
+});
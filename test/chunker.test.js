@@ -0,0 +1,81 @@
+// test/chunker.test.js
+// Structure-aware chunking: headings, contract clauses, FAQ questions, sentence overlap.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkSections, estimateTokens } = require('../src/services/chunker');
+
+const texts = chunks => chunks.map(chunk => chunk.text);
+const sections = chunks => chunks.map(chunk => chunk.metadata.section);
+
+describe('chunkSections', () => {
+  it('starts a chunk at each heading and records it as the section', () => {
+    const chunks = chunkSections([{
+      text: 'REGISTRATION\nSign up on www.kozi.rw.\nAdd your phone number.\n\nFEES\nEmployers pay a one-time fee.',
+      metadata: { page: 1, filename: 'guide.pdf' }
+    }]);
+
+    assert.deepEqual(texts(chunks), [
+      'REGISTRATION\nSign up on www.kozi.rw. Add your phone number.',
+      'FEES\nEmployers pay a one-time fee.'
+    ]);
+    assert.deepEqual(sections(chunks), ['REGISTRATION', 'FEES']);
+    assert.equal(chunks[1].metadata.page, 1);
+    assert.equal(chunks[1].metadata.filename, 'guide.pdf');
+  });
+
+  it('keeps every contract clause in its own chunk, titled by the clause', () => {
+    const chunks = chunkSections([{
+      text: '1. Payment. The client pays the salary monthly.\n2. Termination. Either party gives two weeks notice.\n2.1 Notice is given in writing.',
+      metadata: { page: 2 }
+    }], 'contract');
+
+    assert.deepEqual(texts(chunks), [
+      '1. Payment. The client pays the salary monthly.',
+      '2. Termination. Either party gives two weeks notice.',
+      '2.1 Notice is given in writing.'
+    ]);
+    assert.deepEqual(sections(chunks), ['1 Payment', '2 Termination', '2.1 Notice is given in writing']);
+  });
+
+  it('keeps each FAQ question with its answer', () => {
+    const chunks = chunkSections([{
+      text: 'How do I register?\nSign up on www.kozi.rw.\nHow much does it cost?\nRegistration is free for job seekers.'
+    }], 'faq');
+
+    assert.deepEqual(texts(chunks), [
+      'How do I register? Sign up on www.kozi.rw.',
+      'How much does it cost? Registration is free for job seekers.'
+    ]);
+  });
+
+  it('splits long text on sentences and carries the last sentence over', () => {
+    const sentence = n => `Sentence number ${n} is about twenty characters long.`;
+    const text = [1, 2, 3, 4, 5, 6].map(sentence).join(' ');
+    const chunks = chunkSections([{ text }], { maxTokens: 30, overlapSentences: 1 });
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(estimateTokens(chunk.text) <= 30 + estimateTokens(sentence(1))));
+    chunks.slice(1).forEach((chunk, i) => {
+      const previous = chunks[i].text.split('\n').pop().split(/(?<=\.)\s+/).pop();
+      assert.ok(chunk.text.startsWith(previous), `chunk ${i + 1} starts with the overlap`);
+    });
+    assert.ok(texts(chunks).join(' ').includes(sentence(6)));
+  });
+
+  it('drops running headers repeated on most pages', () => {
+    const rules = ['Arrive on time.', 'Keep the home clean.', 'Respect the family.'];
+    const pages = rules.map((rule, i) => ({
+      text: `Kozi Worker Guidelines - page ${i + 1}\n${rule}`,
+      metadata: { page: i + 1 }
+    }));
+
+    assert.deepEqual(texts(chunkSections(pages)), rules);
+  });
+
+  it('keeps atomic sections whole', () => {
+    const chunks = chunkSections([{ text: '  Q: Fee? A: 20%.  ', metadata: { type: 'fees' }, atomic: true }]);
+
+    assert.deepEqual(chunks, [{ text: 'Q: Fee? A: 20%.', metadata: { type: 'fees' } }]);
+  });
+});
@@ -0,0 +1,31 @@
+// test/cvGeneration.test.js
+// CV step parsing on the offline model, answered from data/fake-llm-script.json.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const CVGenerationService = require('../src/services/cvGenerationService');
+
+describe('CVGenerationService.parseStepInput', () => {
+  const cv = new CVGenerationService();
+
+  it('extracts contact details as JSON', async () => {
+    const contact = await cv.parseStepInput('contact_info', 'I am Test Worker, call me on 0788000000');
+
+    assert.deepEqual(contact, {
+      full_name: 'Test Worker',
+      phone: '+250788000000',
+      email: 'worker@example.com',
+      location: 'Kigali'
+    });
+  });
+
+  it('fills scripted answers with what the user said', async () => {
+    const { skills } = await cv.parseStepInput('skills', 'cooking, ironing');
+    const { experiences } = await cv.parseStepInput('work_experience', 'Cleaned houses in Kimihurura since 2020');
+
+    assert.deepEqual(skills, ['cooking, ironing']);
+    assert.equal(experiences[0].title, 'House Cleaner');
+    assert.deepEqual(experiences[0].responsibilities, ['Cleaned houses in Kimihurura since 2020']);
+  });
+});
@@ -0,0 +1,90 @@
+// test/helpers.js
+// Shared setup for `npm test`: the offline model (LLM_PROVIDER=fake), the in-memory counter
+// store, a throwaway vector store and chat sessions kept in memory instead of MySQL. Require
+// it before anything under src/, which reads the environment when first loaded.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const VECTOR_STORE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'kozi-vectors-'));
+process.on('exit', () => fs.rmSync(VECTOR_STORE_PATH, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DB_HOST: 'localhost',
+  DB_USER: 'test',
+  DB_PASSWORD: '',
+  DB_NAME: 'kozi_test',
+  JWT_SECRET: 'test-secret-that-is-at-least-32-characters-long',
+  LLM_PROVIDER: 'fake',
+  FAKE_LLM_SCRIPT: path.join(ROOT, 'data', 'fake-llm-script.json'),
+  VECTOR_STORE_PATH,
+  RATE_LIMIT_STORE: 'memory',
+  LOG_LEVEL: 'error'
+});
+
+const { ChatSession } = require('../src/core/db/models');
+const ProfileService = require('../src/services/profileService');
+
+// Jobs the stubbed Kozi jobs feed serves
+const FEED_JOBS = [
+  { id: 1, title: 'House cleaner', category: 'Cleaning', city: 'Kigali', work_type: 'full-time', description: 'Clean a family home in Kigali: floors, laundry and dishes.', posted_date: '2026-10-01' },
+  { id: 2, title: 'Nanny', category: 'Childcare', city: 'Gasabo', work_type: 'part-time', description: 'Look after two young children after school.', posted_date: '2026-10-05' },
+  { id: 3, title: 'Security guard', category: 'Security', city: 'Musanze', work_type: 'full-time', description: 'Night shifts guarding a warehouse.', posted_date: '2026-10-09' }
+];
+
+// Serve FEED_JOBS for the Kozi jobs API; any other request is a test bug
+function stubJobsFeed() {
+  global.fetch = async url => {
+    if (!String(url).includes('kozi.rw')) throw new Error(`Unexpected request to ${url}`);
+    return {
+      ok: true,
+      status: 200,
+      statusText: 'OK',
+      json: async () => FEED_JOBS,
+      text: async () => JSON.stringify(FEED_JOBS)
+    };
+  };
+}
+
+// Chat sessions in memory, and a profile service that knows nothing about anyone
+function stubDatabase() {
+  const sessions = new Map();
+  const newSession = fields => ({ messages: [], context: {}, ...fields });
+
+  ChatSession.create = async (userId, sessionId, botType) => {
+    sessions.set(sessionId, newSession({ session_id: sessionId, user_id: userId, bot_type: botType }));
+  };
+  ChatSession.createForVisitor = async (visitorToken, sessionId, expiresAt) => {
+    sessions.set(sessionId, newSession({
+      session_id: sessionId, user_id: null, visitor_token: visitorToken, bot_type: 'homepage', expires_at: expiresAt
+    }));
+  };
+  ChatSession.findBySessionId = async sessionId =>
+    sessions.has(sessionId) ? structuredClone(sessions.get(sessionId)) : null;
+  ChatSession.addMessage = async (sessionId, message, sender) => {
+    const { messages } = sessions.get(sessionId);
+    messages.push({ sender, message });
+    return messages.length;
+  };
+  ChatSession.updateContext = async (sessionId, update) => {
+    Object.assign(sessions.get(sessionId).context, update);
+  };
+  ChatSession.extendExpiry = async () => {};
+
+  ProfileService.prototype.getPreferredLanguage = async () => null;
+  ProfileService.prototype.setPreferredLanguage = async () => {};
+  ProfileService.prototype.getProfileStatus = async () => ({
+    completion_percentage: 0, missing_fields: [], profile_data: null
+  });
+
+  return sessions;
+}
+
+module.exports = {
+  FEED_JOBS,
+  stubJobsFeed,
+  stubDatabase
+};
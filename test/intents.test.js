@@ -0,0 +1,93 @@
+// test/intents.test.js
+// The rule-based fast path of the intent classifier (config/intents.js), and the model
+// path on the offline provider.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const IntentClassifier = require('../src/services/intentClassifier');
+
+const classifier = new IntentClassifier();
+
+function assertIntent(message, intent) {
+  assert.equal(classifier.classifyWithRules(message).intent, intent, message);
+}
+
+describe('intent rules', () => {
+  it('recognizes job searches and their filters', () => {
+    const { intent, slots } = classifier.classifyWithRules('part-time nanny jobs in Gasabo paying at least 50000');
+
+    assert.equal(intent, 'jobs');
+    assert.equal(slots.category, 'childcare');
+    assert.equal(slots.location, 'gasabo');
+    assert.equal(slots.work_type, 'part-time');
+    assert.equal(slots.salary_min, 50000);
+  });
+
+  it('recognizes job searches in Kinyarwanda and French', () => {
+    assertIntent('ndashaka akazi ko gusukura i Kigali', 'jobs');
+    assertIntent('je cherche un emploi de ménage à Kigali', 'jobs');
+  });
+
+  it('picks the job a user applies to', () => {
+    const { intent, slots } = classifier.classifyWithRules('apply for job 2');
+
+    assert.equal(intent, 'job_application');
+    assert.equal(slots.job_index, 2);
+  });
+
+  it('saves searches when asked about jobs still to come', () => {
+    assertIntent('notify me about new cleaning jobs in Kigali', 'save_search');
+    assertIntent('alert me when new nanny jobs paying at least 80000 are posted', 'save_search');
+    assertIntent('save this search', 'save_search');
+    assertIntent('Mujye mummenyesha akazi gashya ko gusukura i Kigali', 'save_search');
+    assertIntent('bika ubu bushakashatsi', 'save_search');
+    assertIntent('Prévenez-moi des nouvelles offres de ménage à Kigali', 'save_search');
+    assertIntent('enregistrer cette recherche', 'save_search');
+  });
+
+  it('does not save searches for requests about jobs there are now', () => {
+    for (const message of [
+      'informe-moi sur les offres de ménage à kigali',
+      'ushobora kummenyesha akazi gahari i kigali?',
+      'text me the job details'
+    ]) {
+      assert.notEqual(classifier.classifyWithRules(message).intent, 'save_search', message);
+    }
+  });
+
+  it('turns job alerts off', () => {
+    assertIntent('stop my job alerts', 'stop_job_alerts');
+    assertIntent('Hagarika kummenyesha akazi gashya', 'stop_job_alerts');
+    assertIntent('Arrêtez mes alertes', 'stop_job_alerts');
+  });
+
+  it('leaves other questions to the knowledge base', () => {
+    assertIntent('hello', 'general');
+    assertIntent('how do I complete my profile?', 'general');
+  });
+});
+
+describe('intent classification', () => {
+  it('answers from the rules when they match', async () => {
+    const result = await classifier.classify('help me create a CV');
+
+    assert.equal(result.intent, 'cv_generation');
+    assert.equal(result.source, 'rules');
+  });
+
+  it('asks the model about everything else', async () => {
+    const result = await classifier.classify('what is Kozi?');
+
+    assert.equal(result.source, 'llm');
+    assert.equal(result.intent, 'general');
+  });
+
+  it('keeps only known places from the model', () => {
+    const slots = location => classifier._normalizeSlots({ location }, 'cleaning jobs near me');
+
+    assert.equal(slots('Kicukiro District').location, 'kicukiro');
+    assert.equal(slots('Nairobi').location, null);
+    assert.equal(classifier._normalizeSlots({ location: 'Nairobi' }, 'jobs in Huye').location, 'huye');
+  });
+});
@@ -0,0 +1,71 @@
+// test/jobMatcher.test.js
+// Scoring jobs against a job seeker's profile: each criterion, distance bands and ranking.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { scoreJob, matchJobs, describeMatch } = require('../src/services/jobMatcher');
+
+const NANNY = {
+  title: 'Nanny', category: 'Childcare', location: 'Kicukiro, Kigali', work_type: 'part-time',
+  experience_level: 'mid', education_level: 'Secondary school',
+  description: 'Look after two children: cooking and first aid.'
+};
+
+describe('scoreJob', () => {
+  it('scores a job meeting every criterion at 100 with the reasons, strongest first', () => {
+    const match = scoreJob(NANNY, {
+      job_category: 'childcare', location: 'Kicukiro', preferred_work_type: 'part-time',
+      experience_level: 'Senior', skills: '["Cooking", "First aid"]', education: [{ level: 'A2', details: 'TVET' }]
+    });
+
+    assert.equal(match.score, 100);
+    assert.deepEqual(match.reasons.map(reason => reason.key),
+      ['category', 'same_district', 'experience', 'skills', 'work_type', 'education']);
+    assert.deepEqual(describeMatch(match).slice(0, 2), ['matches your Childcare category', 'in Kicukiro, your district']);
+  });
+
+  it('only counts criteria both sides say something about', () => {
+    assert.equal(scoreJob(NANNY, { job_category: 'nanny' }).score, 100);
+    assert.equal(scoreJob(NANNY, { job_category: 'security' }).score, 0);
+    assert.deepEqual(scoreJob(NANNY, {}), { score: 0, reasons: [] });
+    assert.deepEqual(scoreJob(NANNY, null), { score: 0, reasons: [] });
+  });
+
+  it('gives half marks one experience or education level short', () => {
+    assert.equal(scoreJob(NANNY, { experience_level: 'entry' }).score, 50);
+    assert.equal(scoreJob({ ...NANNY, experience_level: 'senior' }, { experience_level: 'entry' }).score, 0);
+    assert.equal(scoreJob(NANNY, { education: ['O-level'] }).score, 50);
+  });
+
+  it('needs two matching skills for full marks', () => {
+    assert.equal(scoreJob(NANNY, { skills: ['cooking', 'driving'] }).score, 50);
+    assert.equal(scoreJob(NANNY, { skills: 'cooking, first aid' }).score, 100);
+  });
+
+  it('scores location by distance band between districts', () => {
+    const score = (jobLocation, home) => scoreJob({ location: jobLocation }, { location: home }).score;
+
+    assert.equal(score('Kicukiro', 'kicukiro'), 100);
+    assert.equal(score('Gasabo', 'Kicukiro'), 80); // ~8 km
+    assert.equal(score('Bugesera', 'Kicukiro'), 60); // ~21 km
+    assert.equal(score('Rwamagana', 'Kicukiro'), 30); // ~37 km
+    assert.equal(score('Musanze', 'Kicukiro'), 0);
+    assert.deepEqual(scoreJob({ location: 'Gasabo' }, { location: 'Kicukiro' }).reasons,
+      [{ key: 'distance', params: { km: 8, district: 'Kicukiro' } }]);
+    assert.deepEqual(scoreJob({ location: 'Remote' }, { location: 'Kicukiro' }), { score: 0, reasons: [] });
+  });
+});
+
+describe('matchJobs', () => {
+  it('ranks jobs by score', () => {
+    const jobs = [
+      { id: '1', title: 'Guard', category: 'Security', location: 'Musanze' },
+      { id: '2', ...NANNY },
+      { id: '3', title: 'Cleaner', category: 'Cleaning', location: 'Gasabo' }
+    ];
+    const ranked = matchJobs(jobs, { job_category: 'childcare', location: 'Kicukiro' });
+
+    assert.deepEqual(ranked.map(job => [job.id, job.match.score]), [['2', 100], ['3', 29], ['1', 0]]);
+  });
+});
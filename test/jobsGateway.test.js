@@ -0,0 +1,217 @@
+// test/jobsGateway.test.js
+// The upstream jobs feed client: FIELD_MAP normalization, filtering, retries and login, the
+// stale-while-revalidate snapshot and the circuit breaker.
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { JobsGateway, normalizeJob, filterJobs, isOpen, isPastDeadline } = require('../src/services/jobsGateway');
+
+const realFetch = global.fetch;
+
+// Answer feed requests with `responses` in turn ({ status, body } or an Error), recording them
+function stubFetch(responses) {
+  const calls = [];
+  global.fetch = async (url, init = {}) => {
+    calls.push({ url: String(url), init });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return {
+      ok: next.status < 400,
+      status: next.status,
+      statusText: '',
+      json: async () => next.body,
+      text: async () => JSON.stringify(next.body ?? '')
+    };
+  };
+  return calls;
+}
+
+const gatewayOptions = {
+  url: 'https://apis.kozi.rw/jobs', loginUrl: 'https://apis.kozi.rw/login', credentials: null, retries: 1,
+  cacheTtlSeconds: 60, maxStaleSeconds: 600, breakerThreshold: 2, breakerCooldownSeconds: 30
+};
+
+// Let background refreshes settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('normalizeJob', () => {
+  it('reads each field from the first alias present', () => {
+    const job = normalizeJob({
+      job_id: 42, job_title: ' Nanny ', city: 'Gasabo', employment_type: 'Part-Time',
+      min_salary: '60000', maxSalary: 80000, openings: '3', deadline: '2026-11-30T10:00:00Z'
+    });
+
+    assert.equal(job.id, '42');
+    assert.equal(job.title, 'Nanny');
+    assert.equal(job.location, 'Gasabo');
+    assert.equal(job.work_type, 'part-time');
+    assert.equal(job.salary_min, 60000);
+    assert.equal(job.salary_max, 80000);
+    assert.equal(job.positions_available, 3);
+    assert.equal(job.application_deadline, '2026-11-30');
+  });
+
+  it('falls back to defaults for missing or unparseable values', () => {
+    const job = normalizeJob({ id: 7, title: '', salary_min: -5, posted_date: 'not a date', deadline: '' });
+
+    assert.equal(job.title, 'Untitled Position');
+    assert.equal(job.location, 'Kigali');
+    assert.equal(job.salary_currency, 'RWF');
+    assert.equal(job.salary_min, null);
+    assert.equal(job.posted_date, null);
+    assert.equal(job.application_deadline, null);
+    assert.equal(job.status, 'active');
+  });
+
+  it('drops jobs without an id', () => {
+    assert.equal(normalizeJob({ title: 'Cook' }), null);
+    assert.equal(normalizeJob(null), null);
+  });
+});
+
+describe('isPastDeadline', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('keeps jobs open through the deadline day, Kigali time', () => {
+    mock.method(Date, 'now', () => Date.parse('2026-10-19T21:30:00Z')); // 23:30 in Kigali
+    assert.equal(isPastDeadline('2026-10-19'), false);
+    assert.equal(isPastDeadline('2026-10-18'), true);
+
+    Date.now.mock.mockImplementation(() => Date.parse('2026-10-19T22:30:00Z')); // 00:30 the next day
+    assert.equal(isPastDeadline('2026-10-19'), true);
+    assert.equal(isPastDeadline(new Date(2026, 9, 20)), false); // a DATE column, local midnight
+    assert.equal(isPastDeadline(null), false);
+  });
+
+  it('closes jobs past their deadline', () => {
+    mock.method(Date, 'now', () => Date.parse('2026-10-19T08:00:00Z'));
+    assert.equal(isOpen({ status: 'active', application_deadline: '2026-10-18' }), false);
+    assert.equal(isOpen({ status: 'active', application_deadline: '2026-10-19' }), true);
+  });
+});
+
+describe('filterJobs', () => {
+  const jobs = [
+    { id: '1', status: 'active', category: 'Cleaning', location: 'Kigali', salary_min: 50000, salary_max: 70000, posted_date: '2026-10-01' },
+    { id: '2', status: 'active', category: 'Childcare', location: 'Gasabo', salary_min: null, salary_max: null, posted_date: '2026-10-05' },
+    { id: '3', status: 'closed', category: 'Cleaning', location: 'Kigali', salary_min: 90000, salary_max: null, posted_date: '2026-10-09' },
+    { id: '4', status: 'active', category: 'Cleaning', location: 'Huye', positions_available: 2, positions_filled: 2, salary_min: null, salary_max: null, posted_date: '2026-10-08' }
+  ].map(job => ({ positions_available: 1, positions_filled: 0, ...job }));
+
+  it('keeps open jobs, newest first', () => {
+    assert.deepEqual(filterJobs(jobs).map(job => job.id), ['2', '1']);
+    assert.equal(isOpen(jobs[2]), false);
+    assert.equal(isOpen(jobs[3]), false);
+  });
+
+  it('keeps jobs without a salary when filtering by salary', () => {
+    assert.deepEqual(filterJobs(jobs, { salary_min: 75000 }).map(job => job.id), ['2']);
+    assert.deepEqual(filterJobs(jobs, { salary_max: 40000 }).map(job => job.id), ['2']);
+  });
+
+  it('filters by status instead of openness when asked', () => {
+    assert.deepEqual(filterJobs(jobs, { status: 'closed', category: 'clean' }).map(job => job.id), ['3']);
+  });
+});
+
+describe('JobsGateway', () => {
+  beforeEach(() => {
+    global.fetch = realFetch;
+  });
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('normalizes and filters the feed, sent as a list or as { data }', async () => {
+    stubFetch([{ status: 200, body: { data: [{ id: 1, title: 'Cook', city: 'Huye' }, { id: 2, city: 'Musanze' }, { title: 'no id' }] } }]);
+    const gateway = new JobsGateway(gatewayOptions);
+
+    const { jobs, stale } = await gateway.getJobs({ location: 'huye' });
+    assert.deepEqual(jobs.map(job => job.title), ['Cook']);
+    assert.equal(stale, false);
+    assert.equal((await gateway.getJob(2)).job.location, 'Musanze');
+    assert.equal((await gateway.getJob(3)).job, null);
+  });
+
+  it('retries server errors and network failures', async () => {
+    const calls = stubFetch([{ status: 503 }, new Error('socket hang up'), { status: 200, body: [{ id: 1 }] }]);
+
+    await assert.rejects(new JobsGateway(gatewayOptions).getJobs(), /socket hang up/);
+    assert.equal((await new JobsGateway(gatewayOptions).getJobs()).jobs.length, 1);
+    assert.equal(calls.length, 3);
+  });
+
+  it('does not retry client errors', async () => {
+    const calls = stubFetch([{ status: 404, body: 'missing' }]);
+
+    await assert.rejects(new JobsGateway(gatewayOptions).getJobs(), /returned 404/);
+    assert.equal(calls.length, 1);
+  });
+
+  it('logs in for a token and logs in again when it is rejected', async () => {
+    const calls = stubFetch([
+      { status: 200, body: { token: 'first' } },
+      { status: 401 },
+      { status: 200, body: { access_token: 'second' } },
+      { status: 200, body: [{ id: 1 }] }
+    ]);
+    const gateway = new JobsGateway({ ...gatewayOptions, credentials: { email: 'a@kozi.rw', password: 'x' } });
+
+    assert.equal((await gateway.getJobs()).jobs.length, 1);
+    assert.deepEqual(calls.map(call => call.url), [
+      'https://apis.kozi.rw/login', 'https://apis.kozi.rw/jobs', 'https://apis.kozi.rw/login', 'https://apis.kozi.rw/jobs'
+    ]);
+    assert.equal(calls[3].init.headers.Authorization, 'Bearer second');
+  });
+
+  it('serves the snapshot until it expires, then revalidates in the background', async () => {
+    const calls = stubFetch([{ status: 200, body: [{ id: 1 }] }, { status: 200, body: [{ id: 1 }, { id: 2 }] }]);
+    const gateway = new JobsGateway(gatewayOptions);
+
+    assert.equal((await gateway.getJobs()).jobs.length, 1);
+    assert.equal((await gateway.getJobs()).jobs.length, 1);
+    assert.equal(calls.length, 1);
+
+    gateway.snapshot.fetchedAt -= 61 * 1000;
+    assert.equal((await gateway.getJobs()).jobs.length, 1); // answered from the old snapshot
+    await settle();
+    assert.equal(calls.length, 2);
+    assert.equal((await gateway.getJobs()).jobs.length, 2);
+  });
+
+  it('serves the last snapshot flagged stale while upstream fails, up to the stale limit', async () => {
+    stubFetch([{ status: 200, body: [{ id: 1 }] }, { status: 404 }]);
+    const gateway = new JobsGateway(gatewayOptions);
+    await gateway.getJobs();
+
+    gateway.snapshot.fetchedAt -= 61 * 1000;
+    await gateway.getJobs();
+    await settle();
+    const { jobs, stale } = await gateway.getJobs();
+    assert.equal(jobs.length, 1);
+    assert.equal(stale, true);
+
+    gateway.snapshot.fetchedAt -= 600 * 1000;
+    gateway.openUntil = 0;
+    await assert.rejects(gateway.getJobs(), error => error.code === 'JOBS_UNAVAILABLE');
+  });
+
+  it('stops calling upstream while the circuit is open and closes it after a good trial', async () => {
+    const calls = stubFetch([{ status: 404 }, { status: 404 }, { status: 200, body: [{ id: 1 }] }]);
+    const gateway = new JobsGateway(gatewayOptions);
+
+    await assert.rejects(gateway.getJobs());
+    await assert.rejects(gateway.getJobs());
+    assert.equal(gateway.circuitState(), 'open');
+
+    await assert.rejects(gateway.getJobs(), error => error.code === 'JOBS_UNAVAILABLE' && error.retryAfter === 30);
+    assert.equal(calls.length, 2);
+
+    gateway.openUntil = Date.now() - 1;
+    assert.equal(gateway.circuitState(), 'half-open');
+    assert.equal((await gateway.getJobs()).jobs.length, 1);
+    assert.equal(gateway.circuitState(), 'closed');
+    assert.equal(gateway.status().failures, 0);
+  });
+});
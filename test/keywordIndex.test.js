@@ -0,0 +1,94 @@
+// test/keywordIndex.test.js
+// BM25 keyword scoring, and how RAGService fuses it with vector search (reciprocal-rank fusion).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const KeywordIndex = require('../src/services/keywordIndex');
+const { tokenize } = require('../src/services/keywordIndex');
+const RAGService = require('../src/services/ragService');
+
+const ids = results => results.map(hit => hit.id);
+
+function buildIndex(docs) {
+  const index = new KeywordIndex();
+  Object.entries(docs).forEach(([id, text]) => index.add(id, text));
+  return index;
+}
+
+describe('KeywordIndex', () => {
+  it('tokenizes without stopwords and joins thousands separators', () => {
+    assert.deepEqual(tokenize('What is the fee for 40,000 RWF in KG 647 St?'), ['fee', '40000', 'rwf', 'kg', '647', 'st']);
+  });
+
+  it('scores rare terms above common ones', () => {
+    const index = buildIndex({
+      fees: 'kozi service fee paid by the employer',
+      cleaner: 'kozi house cleaner duties',
+      nanny: 'kozi nanny duties'
+    });
+
+    const [top, ...rest] = index.search('kozi fee');
+    assert.equal(top.id, 'fees');
+    assert.ok(rest.every(hit => hit.score < top.score));
+    assert.deepEqual(index.search('astronaut'), []);
+  });
+
+  it('favours shorter documents for the same term frequency', () => {
+    const index = buildIndex({
+      short: 'gasabo district',
+      long: 'gasabo district office with many other words about unrelated things here'
+    });
+
+    assert.deepEqual(ids(index.search('gasabo')), ['short', 'long']);
+  });
+
+  it('forgets removed and replaced documents', () => {
+    const index = buildIndex({ a: 'nanny in kicukiro', b: 'cleaner in huye' });
+
+    index.add('a', 'guard in musanze');
+    assert.deepEqual(index.search('nanny'), []);
+    assert.deepEqual(ids(index.search('musanze')), ['a']);
+
+    assert.equal(index.remove('b'), true);
+    assert.equal(index.remove('b'), false);
+    assert.equal(index.size, 1);
+    assert.deepEqual(index.search('huye'), []);
+  });
+
+  it('applies the candidate filter', () => {
+    const index = buildIndex({ a: 'nanny job', b: 'nanny job in kigali' });
+
+    assert.deepEqual(ids(index.search('nanny', 10, id => id !== 'a')), ['b']);
+  });
+});
+
+describe('RAGService.retrieve', () => {
+  // Retrievers returning fixed rankings, so the fused order can be worked out by hand
+  function ragWith(vectorHits, keywordHits) {
+    const rag = new RAGService();
+    rag.vectorService.search = async () => vectorHits.map(([id, similarity]) => ({ id, text: id, similarity }));
+    rag.vectorService.keywordSearch = () => keywordHits.map(([id, score]) => ({ id, text: id, score }));
+    return rag;
+  }
+
+  const cutOffs = { minSimilarity: 0.5, minKeywordScore: 2, rrfK: 60, reranker: 'none' };
+
+  it('ranks documents both retrievers found first', async () => {
+    const rag = ragWith([['a', 0.9], ['b', 0.8], ['c', 0.7]], [['c', 5], ['d', 4]]);
+    const hits = await rag.retrieve('query', 10, cutOffs);
+
+    assert.deepEqual(ids(hits).slice(0, 2), ['c', 'a']);
+    assert.equal(hits[0].fusedScore, 1 / 63 + 1 / 61);
+    assert.deepEqual(hits[0].sources, ['vector', 'keyword']);
+    assert.equal(hits[0].similarity, 0.7);
+    assert.equal(hits[0].keywordScore, 5);
+  });
+
+  it('drops hits below both retrievers\' cut-offs', async () => {
+    const rag = ragWith([['a', 0.9], ['weak', 0.2]], [['weak', 1], ['exact', 3]]);
+    const hits = await rag.retrieve('query', 10, cutOffs);
+
+    assert.deepEqual(ids(hits).sort(), ['a', 'exact']);
+  });
+});
@@ -0,0 +1,37 @@
+// test/savedSearch.test.js
+// Saved job searches: the baseline recorded when a search described in words is saved.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubJobsFeed } = require('./helpers');
+const { SavedSearch } = require('../src/core/db/models');
+const { SavedSearchService } = require('../src/services/savedSearchService');
+const { getJobIndex } = require('../src/services/jobIndex');
+
+describe('SavedSearchService', () => {
+  const recorded = [];
+
+  before(async () => {
+    stubJobsFeed();
+    SavedSearch.findActiveByUserId = async () => [];
+    SavedSearch.create = async () => 1;
+    SavedSearch.recordJobs = async (id, jobIds, status) => recorded.push({ id, jobIds, status });
+    SavedSearch.markChecked = async () => {};
+
+    // Jobs 1 and 2 are embedded; job 3 is in the feed but not indexed yet
+    const jobIndex = getJobIndex();
+    await jobIndex.ready();
+    await jobIndex.vectorService.upsertDocument('job-1', 'House cleaner', { type: 'job', job_id: '1', managed_by: 'job-index' });
+    await jobIndex.vectorService.upsertDocument('job-2', 'Nanny', { type: 'job', job_id: '2', managed_by: 'job-index' });
+  });
+
+  it('counts jobs not embedded yet in the baseline of a described search', async () => {
+    const feed = await getJobIndex().search('looking after children');
+    assert.deepEqual(feed.unindexed, ['3']);
+
+    const { status } = await new SavedSearchService().save(9, { filters: {}, query: 'looking after children' });
+    assert.equal(status, 'saved');
+    assert.equal(recorded[0].status, 'baseline');
+    assert.ok(recorded[0].jobIds.includes('3'));
+  });
+});
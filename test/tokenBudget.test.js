@@ -0,0 +1,62 @@
+// test/tokenBudget.test.js
+// Daily token budgets on the in-memory counter store.
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const tokenBudget = require('../src/core/utils/tokenBudget');
+const { createEmbeddings } = require('../src/services/llmProvider');
+const { getCounterStore } = require('../src/core/utils/counterStore');
+const env = require('../src/config/environment');
+
+describe('tokenBudget', () => {
+  it('charges every tracked key', async () => {
+    await tokenBudget.track(['user:101', 'ip:10.0.0.1'], () => tokenBudget.record(120));
+
+    assert.equal((await tokenBudget.status('user:101')).used, 120);
+    assert.equal((await tokenBudget.status('ip:10.0.0.1')).used, 120);
+  });
+
+  it('charges nothing outside a tracked call', async () => {
+    await tokenBudget.record(500);
+
+    assert.deepEqual(tokenBudget.currentKeys(), []);
+  });
+
+  it('reports the tightest key, exhausted once any key is', async () => {
+    await tokenBudget.track('user:102', () => tokenBudget.record(env.DAILY_TOKEN_BUDGET));
+
+    const status = await tokenBudget.status(['user:103', 'user:102']);
+    assert.equal(status.key, 'user:102');
+    assert.equal(status.exhausted, true);
+    assert.equal(status.remaining, 0);
+    assert.ok(status.resetMs > 0 && status.resetMs <= 24 * 60 * 60 * 1000);
+  });
+
+  it('charges embedding calls too', async () => {
+    const embeddings = createEmbeddings();
+
+    await tokenBudget.track('user:104', async () => {
+      await embeddings.embedQuery('a'.repeat(40));
+      await embeddings.embedDocuments(['b'.repeat(40), 'c'.repeat(19)]);
+    });
+
+    assert.equal((await tokenBudget.status('user:104')).used, 25);
+  });
+
+  it('lets calls through when the counter store is down', async () => {
+    await tokenBudget.track('user:105', () => tokenBudget.record(env.DAILY_TOKEN_BUDGET));
+    const failing = () => Promise.reject(new Error('connect ECONNREFUSED'));
+    mock.method(getCounterStore(), 'get', failing);
+    mock.method(getCounterStore(), 'increment', failing);
+
+    try {
+      await tokenBudget.track('user:105', () => tokenBudget.record(10));
+      const status = await tokenBudget.status('user:105');
+      assert.equal(status.exhausted, false);
+      assert.equal(status.used, 0);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
@@ -0,0 +1,89 @@
+// test/vectorStore.test.js
+// The binary vector index: search, swap-remove deletes and the save/load round trip.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const VectorStore = require('../src/services/vectorStore');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kozi-store-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'index.kvec');
+}
+
+const ids = results => results.map(doc => doc.id);
+
+describe('VectorStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new VectorStore(tempFile());
+    store.upsert({ id: 'a', text: 'first', embedding: [1, 0, 0], metadata: { n: 1 } });
+    store.upsert({ id: 'b', text: 'second', embedding: [0, 2, 0], metadata: { n: 2 } });
+    store.upsert({ id: 'c', text: 'third', embedding: [0, 0, 3], metadata: { n: 3 } });
+  });
+
+  it('ranks documents by cosine similarity', () => {
+    const results = store.search([0.1, 1, 0.5], 3);
+
+    assert.deepEqual(ids(results), ['b', 'c', 'a']);
+    assert.ok(Math.abs(results[0].similarity - 1 / Math.sqrt(1.26)) < 1e-6);
+    assert.deepEqual(ids(store.search([0, 1, 1], 3, doc => doc.metadata.n !== 2)), ['c', 'a']);
+  });
+
+  it('rejects embeddings of another dimension', () => {
+    assert.throws(() => store.upsert({ id: 'd', text: 'fourth', embedding: [1, 1] }), /dimension/);
+    assert.deepEqual(store.search([1, 1], 3), []);
+  });
+
+  it('moves the last row into a deleted one', () => {
+    assert.equal(store.delete('a'), true);
+    assert.equal(store.delete('a'), false);
+
+    assert.equal(store.size, 2);
+    assert.deepEqual(ids(store.all()), ['c', 'b']);
+    assert.equal(store.search([0, 0, 1], 1)[0].id, 'c');
+    assert.equal(store.search([0, 1, 0], 1)[0].id, 'b');
+
+    store.upsert({ id: 'c', text: 'third, again', embedding: [1, 0, 0] });
+    assert.equal(store.size, 2);
+    assert.equal(store.search([1, 0, 0], 1)[0].text, 'third, again');
+  });
+
+  it('reads back what it saved', async () => {
+    store.model = 'fake-3';
+    store.delete('b');
+    await store.flush();
+
+    const reopened = new VectorStore(store.filePath);
+    await reopened.load();
+
+    assert.equal(reopened.model, 'fake-3');
+    assert.equal(reopened.dimension, 3);
+    assert.deepEqual(reopened.all(), store.all());
+    assert.deepEqual(reopened.search([1, 0, 1], 2), store.search([1, 0, 1], 2));
+  });
+
+  it('runs concurrent saves one after another and flush waits for them', async () => {
+    const first = store.save();
+    store.delete('c');
+    const second = store.save();
+    const flushed = store.flush();
+    await Promise.all([first, second, flushed]);
+
+    const reopened = new VectorStore(store.filePath);
+    await reopened.load();
+    assert.deepEqual(ids(reopened.all()), ['a', 'b']);
+    assert.equal(fs.existsSync(`${store.filePath}.tmp`), false);
+  });
+
+  it('refuses files that are not vector stores', async () => {
+    fs.writeFileSync(store.filePath, 'not a store');
+
+    await assert.rejects(new VectorStore(store.filePath).load(), /Not a vector store file/);
+  });
+});